@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Compile JSON catalogs ahead of time into JS modules, for the Locale's loadCompiledDomain() fast path:
+ * the catalogs are validated once here (as loadDomain() does), their translations trimmed and the empty ones dropped,
+ * their plural rule compiled into a plain function, and their translators metadata ("meta" header) left out.
+ * With --hash, the keys are replaced with their hash (see CorbeauPerdu.i18n.LocaleCompiled.hash()) to shrink the payload.
+ *
+ * Usage: locale-compile [options] <JSON files or directories...>
+ *   -o, --output <template>     modules path, with the {dir}, {name}, {domain} and {lang} placeholders (default: {dir}/{name}.js)
+ *   -l, --lang <lang>           language of the catalogs, for their plural forms when their header has none (default: the header's "language")
+ *   -d, --domain <name>         domain of the catalogs, for the messages (default: the header's "domain", else the file name)
+ *   -f, --format <format>       'esm' (default) for an ES module, or 'cjs' for a CommonJS module
+ *   --hash                      hash the keys
+ *   --lenient                   drop the invalid translations with a warning, instead of failing the whole catalog
+ *   -h, --help                  show this help
+ *
+ * i.e. npx locale-compile --hash --output "dist/i18n/{lang}/{domain}.js" i18n/
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { Locale, LocalePlural, LocaleCompiled, LocaleException } = require('../src/Locale.js');
+
+/**
+ * parseArguments()
+ * Parse the command line arguments
+ *
+ * @param array argv
+ * @returns object options
+ */
+const parseArguments = function(argv) {
+  const options = { output: '{dir}/{name}.js', lang: null, domain: null, format: 'esm', hash: false, lenient: false, help: false, sources: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = function() {
+      if (i + 1 >= argv.length) throw new Error("Missing value for option " + arg);
+      return argv[++i];
+    };
+
+    if ( (arg === '-o') || (arg === '--output') ) options.output = value();
+    else if ( (arg === '-l') || (arg === '--lang') ) options.lang = value();
+    else if ( (arg === '-d') || (arg === '--domain') ) options.domain = value();
+    else if ( (arg === '-f') || (arg === '--format') ) options.format = value();
+    else if (arg === '--hash') options.hash = true;
+    else if (arg === '--lenient') options.lenient = true;
+    else if ( (arg === '-h') || (arg === '--help') ) options.help = true;
+    else if (arg.charAt(0) === '-') throw new Error("Unknown option: " + arg);
+    else options.sources.push(arg);
+  }
+
+  if ( (options.format !== 'esm') && (options.format !== 'cjs') ) throw new Error("Unknown module format: " + options.format + " (expecting 'esm' or 'cjs')");
+
+  return options;
+};
+
+/**
+ * listFiles()
+ * List the JSON catalogs to compile, recursing in the directories (but node_modules and hidden directories)
+ *
+ * @param array sources files and directories
+ * @returns array files
+ */
+const listFiles = function(sources) {
+  let files = [];
+
+  sources.forEach(function(source) {
+    if (fs.statSync(source).isDirectory()) {
+      const entries = fs.readdirSync(source).filter(function(entry) { return (entry !== 'node_modules') && (entry.charAt(0) !== '.'); });
+      const children = entries.map(function(entry) { return path.join(source, entry); }).filter(function(child) {
+        return fs.statSync(child).isDirectory() || (path.extname(child).toLowerCase() === '.json');
+      });
+      files = files.concat(listFiles(children.sort()));
+    }
+    else files.push(source);
+  });
+
+  return files;
+};
+
+/**
+ * compileCatalog()
+ * Validate a catalog and compile it into a compiled catalog's parts
+ *
+ * @param object catalog JSON catalog, as loadDomain() expects it
+ * @param string domain
+ * @param string lang language for the plural forms, or null
+ * @param object options
+ * @returns object { header, translations: by key (hashed with --hash), evaluate: source of the plural function, or 'null' }
+ * @throws Error if the catalog isn't valid
+ */
+const compileCatalog = function(catalog, domain, lang, options) {
+  const locale = new Locale(lang, domain, null, true, false, true);
+
+  // report all the problems at once, as loadDomain() would only throw the first error
+  const problems = locale.validateDomain(catalog, { domain: domain, lang: lang });
+  const errors = problems.filter(function(problem) { return problem.severity === 'error'; });
+
+  // the empty translations are only untranslated messages: they are left out
+  problems.forEach(function(problem) {
+    if ( (problem.severity === 'warning') && (problem.code !== LocaleException.EMPTY_TRANSLATION) ) console.warn('  warning: ' + problem.message);
+  });
+
+  if ( (errors.length > 0) && !options.lenient ) {
+    throw new Error(errors.map(function(error) { return '  error: ' + error.message; }).join('\n') + '\n  ' + errors.length + ' error(s): not compiled (or use --lenient)');
+  }
+
+  // lenient mode: loadDomain() drops the invalid translations
+  errors.forEach(function(error) { console.warn('  dropped: ' + error.message); });
+  locale.setLenientLoading(options.lenient);
+  locale.loadDomain(domain, catalog);
+
+  const loaded = locale.getLoadedDomains()[domain];
+  const rule = locale.getPluralRule(domain);
+  const header = {}, translations = {}, keys = {};
+
+  // the header, with the resolved plural forms: the translators metadata is left out
+  Object.keys(loaded[''] || {}).forEach(function(field) {
+    if (field !== 'meta') header[field] = loaded[''][field];
+  });
+  if ( (typeof header.language === 'undefined') && (lang !== null) ) header.language = lang;
+  header.nplurals = String(rule.nplurals);
+  header.plural = rule.plural;
+
+  Object.keys(loaded).forEach(function(key) {
+    if (key === '') return;
+
+    const value = Array.isArray(loaded[key]) ? loaded[key].map(function(form) { return form.trim(); }) : loaded[key].trim();
+    if (value === '') return; // untranslated
+
+    const id = options.hash ? LocaleCompiled.hash(key) : key;
+    if (Object.prototype.hasOwnProperty.call(keys, id)) throw new Error("Keys '" + keys[id] + "' and '" + key + "' have the same hash: compile without --hash");
+
+    keys[id] = key;
+    translations[id] = value;
+  });
+
+  return { header: header, translations: translations, evaluate: (rule.nplurals >= 1) ? 'function(n) { return ' + LocalePlural.toSource(rule.plural) + '; }' : 'null' };
+};
+
+/**
+ * moduleSource()
+ * Get the JS module source of a compiled catalog
+ *
+ * @param object compiled see compileCatalog()
+ * @param string file source catalog path
+ * @param object options
+ * @returns string
+ */
+const moduleSource = function(compiled, file, options) {
+  const data = Object.assign({ '': compiled.header }, compiled.translations);
+
+  return '// Compiled by locale-compile from ' + file.split(path.sep).join('/') + ': compile it again after changing the catalog\n' +
+    ( (options.format === 'esm') ? 'export default {\n' : 'module.exports = {\n' ) +
+    '  version: ' + LocaleCompiled.VERSION + ',\n' +
+    '  hashed: ' + options.hash + ',\n' +
+    '  evaluate: ' + compiled.evaluate + ',\n' +
+    '  data: ' + JSON.stringify(data) + '\n' +
+    '};\n';
+};
+
+const usage = function() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  const doc = source.substring(source.indexOf('/**') + 3, source.indexOf('*/'));
+  return doc.split('\n').map(function(line) { return line.replace(/^ \* ?/, ''); }).join('\n').trim();
+};
+
+const main = function() {
+  const options = parseArguments(process.argv.slice(2));
+
+  if ( options.help || (options.sources.length === 0) ) {
+    console.log(usage());
+    return options.help ? 0 : 1;
+  }
+
+  let failed = 0;
+
+  listFiles(options.sources).forEach(function(file) {
+    const catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const header = catalog[''] || {};
+    const name = path.basename(file, path.extname(file));
+    const domain = options.domain || header.domain || name;
+    const lang = options.lang || header.language || null;
+
+    const output = options.output.split('{dir}').join(path.dirname(file)).split('{name}').join(name).split('{domain}').join(domain).split('{lang}').join(lang);
+
+    console.log(file + ' -> ' + output);
+
+    try {
+      if ( (options.output.indexOf('{lang}') !== -1) && (lang === null) ) throw new Error("  error: no language for the output {lang} placeholder: the --lang option is needed");
+
+      const compiled = compileCatalog(catalog, domain, lang, options);
+      const source = moduleSource(compiled, path.relative(process.cwd(), file), options);
+
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, source);
+
+      console.log('  ' + Object.keys(compiled.translations).length + ' translations, ' + Buffer.byteLength(source) + ' bytes (catalog: ' + fs.statSync(file).size + ' bytes)');
+    }
+    catch (error) {
+      console.error(error.message);
+      failed++;
+    }
+  });
+
+  return (failed > 0) ? 1 : 0;
+};
+
+try {
+  process.exitCode = main();
+}
+catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,650 @@
+#!/usr/bin/env node
+/**
+ * Extract the translatable messages of JS / HTML sources into per-domain JSON catalogs, as loadDomain() expects them:
+ * the calls to gettext(), ngettext(), dgettext(), dngettext(), pgettext(), npgettext(), dpgettext(), dnpgettext()
+ * and their aliases _(), _n(), _d(), _dn(), _p(), _np(), _dp(), _dnp() with string literal messages are extracted,
+ * as well as the templates of the t``, dt("domain")``, tn(n)```` and dtn("domain", n)```` template tags, with the message IDs
+ * they look up (i.e. t`Hello ${name}` gives "Hello {0}")
+ * (in the <script> elements of the HTML files).
+ *
+ * Existing catalogs are updated: their translations are kept, the new messages are added with empty translations,
+ * the plural translations arrays are sized by the catalog's 'nplurals', and the messages no longer found in the sources
+ * are flagged 'obsolete' (or dropped, with --purge).
+ * The flags and the source references of the messages are kept in the header's "meta" object, by key, for the translators:
+ * as CorbeauPerdu.i18n.LocaleParser.parsePO() keeps them.
+ *
+ * Usage: locale-extract [options] <files or directories...>
+ *   -o, --output <template>     catalogs path, with the {domain} and {lang} placeholders (default: i18n/{domain}.json)
+ *   -l, --lang <lang>           language of the catalogs, for their plural forms (i.e. fr_FR)
+ *   -d, --domain <name>         domain of the gettext() / ngettext() / pgettext() / npgettext() calls (default: main)
+ *   -e, --extensions <list>     extensions of the files to scan in the directories (default: js,mjs,cjs,jsx,ts,tsx,html,htm)
+ *   --purge                     drop the obsolete messages instead of marking them
+ *   --no-references             don't list the source references
+ *   -h, --help                  show this help
+ *
+ * i.e. npx locale-extract --lang fr_FR --output "i18n/{lang}/{domain}.json" src/ index.html
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { LocalePlural } = require('../src/Locale.js');
+
+const CONTEXTSEPARATOR = '\u0004';
+
+// extracted functions: their arguments before the message, and if they have a plural message
+const FUNCTIONS = {
+  gettext:    { domain: false, context: false, plural: false },
+  ngettext:   { domain: false, context: false, plural: true },
+  dgettext:   { domain: true,  context: false, plural: false },
+  dngettext:  { domain: true,  context: false, plural: true },
+  pgettext:   { domain: false, context: true,  plural: false },
+  npgettext:  { domain: false, context: true,  plural: true },
+  dpgettext:  { domain: true,  context: true,  plural: false },
+  dnpgettext: { domain: true,  context: true,  plural: true }
+};
+FUNCTIONS._ = FUNCTIONS.gettext;
+FUNCTIONS._n = FUNCTIONS.ngettext;
+FUNCTIONS._d = FUNCTIONS.dgettext;
+FUNCTIONS._dn = FUNCTIONS.dngettext;
+FUNCTIONS._p = FUNCTIONS.pgettext;
+FUNCTIONS._np = FUNCTIONS.npgettext;
+FUNCTIONS._dp = FUNCTIONS.dpgettext;
+FUNCTIONS._dnp = FUNCTIONS.dnpgettext;
+
+// extracted template tags: if they take a domain argument, and if they tag a plural template after the singular one
+const TAGS = {
+  t:   { domain: false, plural: false, call: false },
+  dt:  { domain: true,  plural: false, call: true },
+  tn:  { domain: false, plural: true,  call: true },
+  dtn: { domain: true,  plural: true,  call: true }
+};
+
+// keywords after which a '/' starts a regular expression literal, instead of a division
+const REGEXKEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+/**
+ * parseArguments()
+ * Parse the command line arguments
+ *
+ * @param array argv
+ * @returns object options
+ */
+const parseArguments = function(argv) {
+  const options = { output: 'i18n/{domain}.json', lang: null, domain: 'main', extensions: 'js,mjs,cjs,jsx,ts,tsx,html,htm', purge: false, references: true, help: false, sources: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = function() {
+      if (i + 1 >= argv.length) throw new Error("Missing value for option " + arg);
+      return argv[++i];
+    };
+
+    if ( (arg === '-o') || (arg === '--output') ) options.output = value();
+    else if ( (arg === '-l') || (arg === '--lang') ) options.lang = value();
+    else if ( (arg === '-d') || (arg === '--domain') ) options.domain = value();
+    else if ( (arg === '-e') || (arg === '--extensions') ) options.extensions = value();
+    else if (arg === '--purge') options.purge = true;
+    else if (arg === '--no-references') options.references = false;
+    else if ( (arg === '-h') || (arg === '--help') ) options.help = true;
+    else if (arg.charAt(0) === '-') throw new Error("Unknown option: " + arg);
+    else options.sources.push(arg);
+  }
+
+  if ( (options.output.indexOf('{lang}') !== -1) && (options.lang === null) ) throw new Error("The output template has a {lang} placeholder: the --lang option is needed");
+
+  return options;
+};
+
+/**
+ * listFiles()
+ * List the files to scan, recursing in the directories (but node_modules and hidden directories)
+ *
+ * @param array sources files and directories
+ * @param array extensions
+ * @returns array files
+ */
+const listFiles = function(sources, extensions) {
+  let files = [];
+
+  sources.forEach(function(source) {
+    if (fs.statSync(source).isDirectory()) {
+      const entries = fs.readdirSync(source).filter(function(entry) { return (entry !== 'node_modules') && (entry.charAt(0) !== '.'); });
+      const children = entries.map(function(entry) { return path.join(source, entry); }).filter(function(child) {
+        return fs.statSync(child).isDirectory() || (extensions.indexOf(path.extname(child).substr(1).toLowerCase()) !== -1);
+      });
+      files = files.concat(listFiles(children.sort(), extensions));
+    }
+    else files.push(source);
+  });
+
+  return files;
+};
+
+/**
+ * scriptsOf()
+ * Get the content of the <script> elements of an HTML file, anything else being blanked out (keeping the line numbers)
+ *
+ * @param string html
+ * @returns string
+ */
+const scriptsOf = function(html) {
+  const blank = function(text) { return text.replace(/[^\n]/g, ' '); };
+  let result = '', last = 0, match;
+  const scripts = /(<script\b[^>]*>)([\s\S]*?)<\/script\s*>/gi;
+
+  while ( (match = scripts.exec(html)) !== null ) {
+    result += blank(html.substring(last, match.index + match[1].length)) + match[2];
+    last = match.index + match[1].length + match[2].length; // the closing tag is blanked out with the next html
+  }
+
+  return result + blank(html.substring(last));
+};
+
+/**
+ * readString()
+ * Read a string literal: '...', "..." or `...` with no ${} expressions
+ *
+ * @param string code
+ * @param int start position of the opening quote
+ * @returns object { value: the string, or null if not a string literal, end: position after the literal }
+ */
+const readString = function(code, start) {
+  const quote = code.charAt(start);
+  let value = '', i = start + 1;
+
+  while (i < code.length) {
+    const c = code.charAt(i);
+
+    if (c === quote) return { value: value, end: i + 1 };
+    if ( (quote === '`') && (c === '$') && (code.charAt(i + 1) === '{') ) return { value: null, end: skipTemplate(code, start) };
+    if ( (quote !== '`') && ( (c === '\n') || (c === '\r') ) ) return { value: null, end: i }; // unterminated: quoted strings end with their line
+
+    if (c === '\\') {
+      const escape = readEscape(code, i);
+      value += escape.value;
+      i = escape.end;
+    }
+    else {
+      value += c;
+      i++;
+    }
+  }
+
+  return { value: null, end: code.length };
+};
+
+/**
+ * readEscape()
+ * Read an escape sequence of a string literal
+ *
+ * @param string code
+ * @param int start position of the backslash
+ * @returns object { value: the escaped string, end: position after the escape sequence }
+ */
+const readEscape = function(code, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', '0': '\0' };
+  const c = code.charAt(start + 1);
+
+  if (c === 'u' && code.charAt(start + 2) === '{') {
+    const close = code.indexOf('}', start);
+    return { value: String.fromCodePoint(parseInt(code.substring(start + 3, close), 16)), end: close + 1 };
+  }
+  if (c === 'u') return { value: String.fromCharCode(parseInt(code.substr(start + 2, 4), 16)), end: start + 6 };
+  if (c === 'x') return { value: String.fromCharCode(parseInt(code.substr(start + 2, 2), 16)), end: start + 4 };
+  if (c === '\r' && code.charAt(start + 2) === '\n') return { value: '', end: start + 3 }; // line continuation
+  if (c === '\r' || c === '\n') return { value: '', end: start + 2 };
+
+  return { value: Object.prototype.hasOwnProperty.call(escapes, c) ? escapes[c] : c, end: start + 2 };
+};
+
+/**
+ * readTemplate()
+ * Read a tagged template literal as the message ID it looks up, as CorbeauPerdu.i18n.Locale.t() derives it:
+ * a numbered placeholder per ${} expression, or a named one for an object of a single value (i.e. ${{ count }} gives {count}),
+ * and the '%' escaped as '%%'
+ *
+ * @param string code
+ * @param int start position of the opening back quote
+ * @returns object { value: the message ID, end: position after the template literal }
+ */
+const readTemplate = function(code, start) {
+  let value = '', index = 0, i = start + 1;
+
+  while (i < code.length) {
+    const c = code.charAt(i);
+
+    if (c === '`') return { value: value, end: i + 1 };
+
+    if (c === '\\') {
+      const escape = readEscape(code, i);
+      value += escape.value.replace(/%/g, '%%');
+      i = escape.end;
+    }
+    else if ( (c === '$') && (code.charAt(i + 1) === '{') ) {
+      const end = skipTo(code, i + 2, '}');
+      const expression = code.substring(i + 2, end).trim();
+      const named = /^\{\s*([A-Za-z_$][\w$]*)\s*(?::|\})/.exec(expression);
+      let name = String(index++);
+
+      // an object of a single value: its name
+      if ( (named !== null) && (skipTo(expression, 1, ',}') === expression.length - 1) ) name = named[1];
+
+      value += '{' + name + '}';
+      i = end + 1;
+    }
+    else {
+      value += (c === '%') ? '%%' : c;
+      i++;
+    }
+  }
+
+  return { value: null, end: code.length };
+};
+
+/**
+ * skipTemplate()
+ * Skip a template literal with ${} expressions
+ *
+ * @param string code
+ * @param int start position of the opening back quote
+ * @returns int position after the template literal
+ */
+const skipTemplate = function(code, start) {
+  let i = start + 1;
+
+  while (i < code.length) {
+    const c = code.charAt(i);
+    if (c === '\\') i += 2;
+    else if (c === '`') return i + 1;
+    else if ( (c === '$') && (code.charAt(i + 1) === '{') ) i = skipTo(code, i + 2, '}') + 1;
+    else i++;
+  }
+
+  return i;
+};
+
+/**
+ * regexAllowed()
+ * Can a '/' start a regular expression literal after the previous token, rather than be a division operator?
+ *
+ * @param string previous previous token: an identifier, keyword or number, 'string' or 'regex' after a literal,
+ *                        a punctuator character, or '' at the start
+ * @returns boolean
+ */
+const regexAllowed = function(previous) {
+  if (/^[\w$]/.test(previous)) return REGEXKEYWORDS.indexOf(previous) !== -1;
+
+  return (previous !== ')') && (previous !== ']');
+};
+
+/**
+ * skipRegex()
+ * Skip a regular expression literal, i.e. /'/g or /["`]/ (its quotes don't open strings)
+ *
+ * @param string code
+ * @param int start position of the opening slash
+ * @returns int position after the literal and its flags, or -1 if it isn't one (no closing slash on the line)
+ */
+const skipRegex = function(code, start) {
+  let i = start + 1, inClass = false;
+
+  while (i < code.length) {
+    const c = code.charAt(i);
+
+    if ( (c === '\n') || (c === '\r') ) return -1;
+
+    if (c === '\\') i += 2;
+    else if (c === '[') { inClass = true; i++; }
+    else if (c === ']') { inClass = false; i++; }
+    else if ( (c === '/') && !inClass ) {
+      i++;
+      while (/[A-Za-z]/.test(code.charAt(i))) i++;
+      return i;
+    }
+    else i++;
+  }
+
+  return -1;
+};
+
+/**
+ * skipSpaces()
+ * Skip the spaces and the comments
+ *
+ * @param string code
+ * @param int i position
+ * @returns int position of the next token
+ */
+const skipSpaces = function(code, i) {
+  while (i < code.length) {
+    if (/\s/.test(code.charAt(i))) i++;
+    else if (code.substr(i, 2) === '//') i = (code.indexOf('\n', i) === -1) ? code.length : code.indexOf('\n', i);
+    else if (code.substr(i, 2) === '/*') i = (code.indexOf('*/', i + 2) === -1) ? code.length : code.indexOf('*/', i + 2) + 2;
+    else break;
+  }
+
+  return i;
+};
+
+/**
+ * skipTo()
+ * Skip to a closing character at the same nesting level, i.e. the ',' or ')' ending an argument
+ *
+ * @param string code
+ * @param int i position
+ * @param string stops characters to stop at
+ * @returns int position of the stop character
+ */
+const skipTo = function(code, i, stops) {
+  let depth = 0, previous = '';
+
+  while (i < code.length) {
+    i = skipSpaces(code, i);
+    const c = code.charAt(i);
+
+    if ( (depth === 0) && (stops.indexOf(c) !== -1) ) return i;
+
+    const word = /^[\w$]+/.exec(code.substring(i, i + 100));
+    const regexEnd = ( (c === '/') && regexAllowed(previous) ) ? skipRegex(code, i) : -1;
+
+    if ( (c === '"') || (c === "'") || (c === '`') ) {
+      i = readString(code, i).end;
+      previous = 'string';
+    }
+    else if (regexEnd !== -1) {
+      i = regexEnd;
+      previous = 'regex';
+    }
+    else if (word !== null) {
+      i += word[0].length;
+      previous = word[0];
+    }
+    else {
+      if ('([{'.indexOf(c) !== -1) depth++;
+      else if (')]}'.indexOf(c) !== -1) depth--;
+      previous = c;
+      i++;
+    }
+  }
+
+  return i;
+};
+
+/**
+ * readArguments()
+ * Read the arguments of a call: string literals (concatenated with '+') are read, other arguments are null
+ *
+ * @param string code
+ * @param int i position after the opening parenthesis
+ * @returns array arguments
+ */
+const readArguments = function(code, i) {
+  const args = [];
+
+  while (i < code.length) {
+    i = skipSpaces(code, i);
+    if (code.charAt(i) === ')') break;
+
+    let value = '';
+    const start = i;
+
+    // string literals, concatenated with '+'
+    while ( (value !== null) && ('"\'`'.indexOf(code.charAt(i)) !== -1) ) {
+      const literal = readString(code, i);
+      value = (literal.value === null) ? null : value + literal.value;
+      i = skipSpaces(code, literal.end);
+      if (code.charAt(i) === '+') i = skipSpaces(code, i + 1);
+      else break;
+    }
+
+    if ( (i === start) || ( (code.charAt(i) !== ',') && (code.charAt(i) !== ')') ) ) value = null;
+
+    args.push(value);
+    i = skipTo(code, i, ',)');
+    if (code.charAt(i) === ',') i++;
+  }
+
+  return args;
+};
+
+/**
+ * extract()
+ * Extract the messages of a source code
+ *
+ * @param string code
+ * @param string file path for the references and the warnings
+ * @param string defaultDomain
+ * @returns array messages { domain, context, msgid1, msgid2, reference }
+ */
+const extract = function(code, file, defaultDomain) {
+  const messages = [];
+  const lineOf = function(position) { return code.substring(0, position).split('\n').length; };
+  let i = 0, previous = '';
+
+  while (i < code.length) {
+    i = skipSpaces(code, i);
+    const c = code.charAt(i);
+
+    if ( (c === '"') || (c === "'") || (c === '`') ) {
+      const end = readString(code, i).end;
+
+      // an unterminated string would hide the messages after it: say so
+      if (code.charAt(end - 1) !== c) console.warn(file + ':' + lineOf(i) + ": unterminated string literal");
+
+      i = end;
+      previous = 'string';
+      continue;
+    }
+
+    // the quotes of the regular expression literals don't open strings
+    if ( (c === '/') && regexAllowed(previous) && (skipRegex(code, i) !== -1) ) {
+      i = skipRegex(code, i);
+      previous = 'regex';
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(code.substring(i, i + 100));
+    if (identifier === null) {
+      previous = c;
+      i++;
+      continue;
+    }
+
+    const name = identifier[0], position = i;
+    i += name.length;
+
+    const open = skipSpaces(code, i);
+
+    if ( (previous !== 'function') && Object.prototype.hasOwnProperty.call(TAGS, name) && (code.charAt(open) === (TAGS[name].call ? '(' : '`')) ) {
+      const tag = TAGS[name];
+      const args = tag.call ? readArguments(code, open + 1) : [];
+      const domain = tag.domain ? args[0] : defaultDomain;
+      const templates = [];
+      let j = tag.call ? skipSpaces(code, skipTo(code, open + 1, ')') + 1) : open;
+
+      while ( (templates.length < (tag.plural ? 2 : 1)) && (code.charAt(j) === '`') ) {
+        const template = readTemplate(code, j);
+        templates.push(template.value);
+        j = skipSpaces(code, template.end);
+      }
+
+      previous = name;
+      if (templates.length === 0) continue;
+
+      if ( (typeof domain !== 'string') || (templates.length < (tag.plural ? 2 : 1)) ) {
+        console.warn(file + ':' + lineOf(position) + ": skipped " + name + "`` template, its domain must be a string literal" + ( tag.plural ? ", followed by the singular and plural templates" : "" ));
+        continue;
+      }
+
+      messages.push({ domain: domain, context: null, msgid1: templates[0], msgid2: tag.plural ? templates[1] : null, reference: file.split(path.sep).join('/') + ':' + lineOf(position) });
+      i = j;
+      continue;
+    }
+
+    const called = (code.charAt(open) === '(') && (previous !== 'function') && Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+    previous = name;
+    if (!called) continue;
+
+    const fn = FUNCTIONS[name];
+    const args = readArguments(code, open + 1);
+    let index = 0;
+
+    const domain = fn.domain ? args[index++] : defaultDomain;
+    const context = fn.context ? args[index++] : null;
+    const msgid1 = args[index++];
+    const msgid2 = fn.plural ? args[index++] : null;
+
+    if ( (typeof domain !== 'string') || (fn.context && (typeof context !== 'string')) || (typeof msgid1 !== 'string') || (fn.plural && (typeof msgid2 !== 'string')) ) {
+      if (args.length > 0) console.warn(file + ':' + lineOf(position) + ": skipped " + name + "() call, its domain, context and messages must be string literals");
+      continue;
+    }
+
+    messages.push({ domain: domain, context: context, msgid1: msgid1, msgid2: msgid2, reference: file.split(path.sep).join('/') + ':' + lineOf(position) });
+  }
+
+  return messages;
+};
+
+/**
+ * updateCatalog()
+ * Update a domain's catalog with its extracted messages
+ *
+ * @param object catalog existing catalog, or null
+ * @param string domain
+ * @param array messages extracted messages of the domain
+ * @param object options
+ * @returns object { catalog, messages: extracted messages count, added: new messages count, obsolete: obsolete messages count }
+ */
+const updateCatalog = function(catalog, domain, messages, options) {
+  catalog = catalog || {};
+
+  let header = catalog[''];
+  if ( (typeof header !== 'object') || (header === null) ) {
+    const rule = (options.lang !== null) ? LocalePlural.getRule(options.lang) : null;
+
+    header = { domain: domain };
+    if (options.lang !== null) header.language = options.lang;
+    header.nplurals = (rule !== null) ? String(rule.nplurals) : '1';
+    header.plural = (rule !== null) ? rule.plural : '(n != 1)';
+  }
+
+  const nplurals = parseInt(header.nplurals, 10) || 0;
+  const oldMeta = ( (typeof header.meta === 'object') && (header.meta !== null) ) ? header.meta : {};
+  const entries = {}, meta = {};
+
+  // the messages details, as LocaleParser.parsePO() keeps them: by key, with their flags, comments and references
+  const metaOf = function(key, context) {
+    if (!Object.prototype.hasOwnProperty.call(meta, key)) {
+      meta[key] = Object.prototype.hasOwnProperty.call(oldMeta, key) ? oldMeta[key] : { context: context, flags: [], comments: [], extracted: [], references: [] };
+      meta[key].flags = (meta[key].flags || []).filter(function(flag) { return flag !== 'obsolete'; });
+      if (options.references) meta[key].references = [];
+    }
+    return meta[key];
+  };
+
+  messages.forEach(function(message) {
+    const prefix = (message.context !== null) ? message.context + CONTEXTSEPARATOR : '';
+    const key1 = prefix + message.msgid1;
+    const details = metaOf(key1, message.context);
+
+    if (!Array.isArray(entries[key1])) entries[key1] = '';
+    if ( options.references && (details.references.indexOf(message.reference) === -1) ) details.references.push(message.reference);
+
+    // the plural translations are keyed by the plural message
+    if (message.msgid2 !== null) {
+      const key2 = prefix + message.msgid2;
+
+      details.plural = message.msgid2;
+      if (nplurals >= 1) {
+        if (typeof entries[key2] === 'string') console.warn("Message '" + message.msgid2 + "' of domain '" + domain + "' is used as a singular and a plural message: kept as a plural");
+        entries[key2] = [];
+      }
+    }
+  });
+
+  const result = { '': header };
+  let added = 0, obsolete = 0;
+
+  Object.keys(entries).sort().forEach(function(key) {
+    let value = Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+
+    if (typeof value === 'undefined') added++;
+
+    if (Array.isArray(entries[key])) {
+      // size the plural translations array by nplurals
+      if ( Array.isArray(value) && (value.length > nplurals) ) console.warn("Message '" + key + "' of domain '" + domain + "' has more plural translations than 'nplurals' (" + nplurals + "): the extra ones are dropped");
+      value = Array.isArray(value) ? value.slice(0, nplurals) : ( (typeof value === 'string') && (value !== '') ? [value] : [] );
+      while (value.length < nplurals) value.push('');
+    }
+    else if (typeof value !== 'string') value = '';
+
+    result[key] = value;
+  });
+
+  // the messages no longer in the sources: flagged 'obsolete', with their translations kept, or dropped
+  Object.keys(catalog).sort().forEach(function(key) {
+    if ( (key === '') || Object.prototype.hasOwnProperty.call(entries, key) ) return;
+
+    obsolete++;
+    if (options.purge) return;
+
+    result[key] = catalog[key];
+    meta[key] = Object.prototype.hasOwnProperty.call(oldMeta, key) ? oldMeta[key] : { context: null, flags: [], comments: [], extracted: [], references: [] };
+    if ((meta[key].flags || []).indexOf('obsolete') === -1) meta[key].flags = (meta[key].flags || []).concat('obsolete');
+  });
+
+  header.meta = {};
+  Object.keys(meta).sort().forEach(function(key) { header.meta[key] = meta[key]; });
+
+  return { catalog: result, messages: Object.keys(entries).length, added: added, obsolete: obsolete };
+};
+
+const usage = function() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  const doc = source.substring(source.indexOf('/**') + 3, source.indexOf('*/'));
+  return doc.split('\n').map(function(line) { return line.replace(/^ \* ?/, ''); }).join('\n').trim();
+};
+
+const main = function() {
+  const options = parseArguments(process.argv.slice(2));
+
+  if ( options.help || (options.sources.length === 0) ) {
+    console.log(usage());
+    return options.help ? 0 : 1;
+  }
+
+  const extensions = options.extensions.split(',').map(function(extension) { return extension.trim().replace(/^\./, '').toLowerCase(); });
+  const domains = {};
+
+  listFiles(options.sources, extensions).forEach(function(file) {
+    let code = fs.readFileSync(file, 'utf8');
+    if (/^\.html?$/i.test(path.extname(file))) code = scriptsOf(code);
+
+    extract(code, path.relative(process.cwd(), file), options.domain).forEach(function(message) {
+      (domains[message.domain] = domains[message.domain] || []).push(message);
+    });
+  });
+
+  Object.keys(domains).sort().forEach(function(domain) {
+    const file = options.output.split('{domain}').join(domain).split('{lang}').join(options.lang);
+    const catalog = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    const update = updateCatalog(catalog, domain, domains[domain], options);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(update.catalog, null, 2) + '\n');
+
+    console.log(file + ': ' + update.messages + ' messages, ' + update.added + ' new, ' + update.obsolete + ' obsolete' + ( options.purge ? ' (dropped)' : '' ));
+  });
+
+  return 0;
+};
+
+try {
+  process.exitCode = main();
+}
+catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -1 +1,2 @@
-"use strict";var namespace=function(e,a){var n=e.split(".");a||(a=window);for(var r=a,o=0;o<n.length;o++)r.hasOwnProperty(n[o])||(r[n[o]]={}),r=r[n[o]];return r};namespace("CorbeauPerdu.i18n"),CorbeauPerdu.i18n.Locale=function(lang,domain,data,useCustomPluralForms,debug){var _PLURALVALIDCHARS="()%=&!?|:<>0123456789n",_DEFAULTPLURAL="(n != 1)",_lang=lang,_defaultDomain=domain,_loadedDomains={},_workingPlural=_DEFAULTPLURAL,_useCustomPluralForms=useCustomPluralForms,_debug=debug,_formatMessages4Web=!1,_formatMessages4WebInclPlaceholders=!0,_validJSON=function(e){return e instanceof Array||e instanceof Object?!0:!1},_evalPlural=function(plural,n,workingDomain){var retval;if(isNaN(n))throw new CorbeauPerdu.i18n.LocaleException("Invalid 'n' number (e.g. item count) passed!",6);var n=Math.abs(n);if(!_evalProperPluralChars(plural))throw workingDomain?new CorbeauPerdu.i18n.LocaleException("Invalid characters found in 'plural' value of the '"+workingDomain+"' domain: '"+plural+"'\n\nContent of 'plural' may only use the 'n' variable, and make use of the following characters (excluding the quotes): '"+_PLURALVALIDCHARS+"'",7):new CorbeauPerdu.i18n.LocaleException("Invalid characters found in the default 'plural' set: '"+plural+"'\n\nContent of 'plural' may only use the 'n' variable, and make use of the following characters (excluding the quotes): '"+_PLURALVALIDCHARS+"'",7);try{retval=+eval(plural)}catch(error){throw workingDomain?new CorbeauPerdu.i18n.LocaleException("Invalid 'plural' ternary conditions format in the '"+workingDomain+"' domain: '"+plural+"'\n\n"+error.message,8):new CorbeauPerdu.i18n.LocaleException("Invalid default 'plural' ternary conditions format specified: '"+plural+"'\n\n"+error.message,8)}return retval},_evalProperPluralChars=function(e){return e.match("[^ "+_escapeRegExp(_PLURALVALIDCHARS)+"]")?!1:!0},_escapeRegExp=function(e){return e.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g,"\\$&")},_stringToWeb=function(e,a){void 0===a&&(a=!0);var n=String(e).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#039;");return 1==a&&(n=String(e).replace(/\n/g,"<br/>")),n};this.getLoadedDomains=function(){return _loadedDomains},this.getLang=function(){return _lang},this.getWorkingPlural=function(){return _workingPlural},this.setDefaultPlural=function(e){try{_evalPlural(e,1),_DEFAULTPLURAL=e}catch(a){throw a}},this.setFormatMessages4Web=function(e){var a=_formatMessages4Web;return _formatMessages4Web=e,a},this.setFormatMessages4WebInclPlaceholders=function(e){var a=_formatMessages4WebInclPlaceholders;return _formatMessages4WebInclPlaceholders=e,a},this.getDefaultPlural=function(){return _DEFAULTPLURAL},this.loadDomain=function(e,a){if(_debug&&console.log("Loading domain: "+e+"..."),!_validJSON(a))throw new CorbeauPerdu.i18n.LocaleException("Invalid JSON data for domain: '"+e+"'",1);if(_loadedDomains[e]=a,_useCustomPluralForms){var n=_loadedDomains[e][""].nplurals,r=_loadedDomains[e][""].plural;if("undefined"==typeof n||null===n||""===n.trim()||n.match("^[^0-9]*$")||0>n)throw delete _loadedDomains[e],new CorbeauPerdu.i18n.LocaleException("Missing or invalid 'nplurals' number in domain '"+e+"'",2);if(n>=1){if("undefined"==typeof r||null===r||""===r.trim())throw delete _loadedDomains[e],new CorbeauPerdu.i18n.LocaleException("Missing 'plural' ternary test conditions in domain '"+e+"'",3);if(r.split("?").length!=n)throw delete _loadedDomains[e],new CorbeauPerdu.i18n.LocaleException("The 'nplurals' value doesn't match the actual number of 'plural' conditions (number of possible returned values) in domain '"+e+"'",4);for(var o in _loadedDomains[e]){var l=_loadedDomains[e][o];if(""!=o&&Array.isArray(l)&&l.length!=n)throw delete _loadedDomains[e],new CorbeauPerdu.i18n.LocaleException("Possible plurals count ("+l.length+") for key '"+o+"' in domain '"+e+"' doesn't match the 'nplurals' value ("+n+") !",5)}_loadedDomains[e][""].nplurals=_loadedDomains[e][""].nplurals.trim(),_loadedDomains[e][""].plural=_loadedDomains[e][""].plural.trim();try{_evalPlural(_loadedDomains[e][""].plural,1,e),_workingPlural=_loadedDomains[e][""].plural}catch(t){throw delete _loadedDomains[e],t}}}_debug&&console.log("  loaded "+(_useCustomPluralForms?"with custom plural: ":"with default plural: ")+this.getWorkingPlural())},this.gettext=function(e,a){var n=Array.prototype.slice.call(arguments);return n.unshift(_defaultDomain),this.dgettext.apply(this,n)},this.ngettext=function(e,a,n,r){var o=Array.prototype.slice.call(arguments);return o.unshift(_defaultDomain),this.dngettext.apply(this,o)},this.dgettext=function(e,a,n){var r,o=_loadedDomains[e];if("undefined"==typeof o||null===o?(_debug&&console.error("Undefined domain: "+e),r=a):"undefined"==typeof o[a]||null===o[a]||""===o[a].trim()?(_debug&&console.warn("Undefined message in domain '"+e+"': '"+a+"'"),r=a):r=o[a],_formatMessages4Web===!0&&_formatMessages4WebInclPlaceholders===!1&&(r=_stringToWeb(r)),n){var l=Array.prototype.slice.call(arguments,1);l[0]=r;try{r=sprintf.apply(null,l)}catch(t){console.error(t)}}return _formatMessages4Web===!0&&_formatMessages4WebInclPlaceholders===!0&&(r=_stringToWeb(r)),r},this.dngettext=function(e,a,n,r,o){var l,t=_loadedDomains[e];if("undefined"==typeof t||null===t)_debug&&console.error("Undefined domain: "+e),l=a;else{var i=t[a];"string"==typeof i&&(i=i.trim());var s=t[n];if("string"==typeof s&&(s=s.trim()),_useCustomPluralForms){var u=t[""].nplurals,d=t[""].plural;if(u>=1)try{var c=_evalPlural(d,r,e);l=s,1==u&&1==c?(Array.isArray(l)&&(l=l[0].trim()),("undefined"==typeof l||null===l||""===l)&&(_debug&&console.warn("Undefined message in domain '"+e+"': '"+n+"'"),l=n)):1==u&&0==c?(l=i,("undefined"==typeof l||null===l||""===l)&&(_debug&&console.warn("Undefined message in domain '"+e+"': '"+a+"'"),l=a)):(l=Array.isArray(l)?l[c].trim():void 0,("undefined"==typeof l||null===l||""===l)&&(_debug&&console.warn("Undefined message in domain '"+e+"': '"+n+"' [array id: "+c+"]"),l=n))}catch(m){l=a,console.error("Plural evaluation for key '"+a+"' caused an exception with plural ('"+d+"'):\n\n"+m.message)}else l=i,("undefined"==typeof l||null===l||""===l)&&(_debug&&console.warn("Undefined message in domain '"+e+"': '"+a+"'"),l=a)}else try{var c=_evalPlural(_DEFAULTPLURAL,r);1==c?(l=Array.isArray(s)?s[0].trim():s,("undefined"==typeof l||null===l||""===l)&&(_debug&&console.warn("Undefined message in domain '"+e+"': '"+n+"'"),l=n)):(l=i,("undefined"==typeof l||null===l||""===l)&&(_debug&&console.warn("Undefined message in domain '"+e+"': '"+a+"'"),l=a))}catch(m){l=a,console.error("Plural evaluation for key '"+a+"' caused an exception with default plural ('"+_DEFAULTPLURAL+"'):\n\n"+m.message)}}if(_formatMessages4Web===!0&&_formatMessages4WebInclPlaceholders===!1&&(l=_stringToWeb(l)),o){var f=Array.prototype.slice.call(arguments,4);f.unshift(l);try{l=sprintf.apply(null,f)}catch(m){console.error(m)}}return _formatMessages4Web===!0&&_formatMessages4WebInclPlaceholders===!0&&(l=_stringToWeb(l)),l},this._=function(e,a){var n=Array.prototype.slice.call(arguments);return n.unshift(_defaultDomain),this.dgettext.apply(this,n)},this._n=function(e,a,n,r){var o=Array.prototype.slice.call(arguments);return o.unshift(_defaultDomain),this.dngettext.apply(this,o)},this._d=function(e,a,n){return this.dgettext.apply(this,Array.prototype.slice.call(arguments))},this._dn=function(e,a,n,r,o){return this.dngettext.apply(this,Array.prototype.slice.call(arguments))},_debug&&console.log("Locale is loading with lang: "+lang);try{this.loadDomain(domain,data)}catch(error){console.error(error)}},CorbeauPerdu.i18n.LocaleException=function(e,a){const n=new Error(e);return n.code=a,n.name="LocaleException",n};
\ No newline at end of file
+/*! CorbeauPerdu.i18n.Locale v1.4.0 | MIT License | (c) 2020 Patrick Roy */
+"use strict";var namespace=function(n,e){var t=n.split(".");e||(e=window);for(var r=e,o=0;o<t.length;o++)r.hasOwnProperty(t[o])||(r[t[o]]={}),r=r[t[o]];return r};!function(n,e){"function"==typeof define&&define.amd?define([],function(){return e({})}):"object"==typeof module&&module.exports?module.exports=e({}):e(namespace("CorbeauPerdu.i18n",n))}("undefined"!=typeof self?self:this,function(n){var e,t,r,o,a,i,l,u,c,s,f,p,d,g,h,m,v,y,x,L,w,b,A,E,O,I,N,P,S,D,_={i18n:n};return _.i18n.Locale=function(n,e,t,r,o,a,i){var l="(n != 1)",u=n,c=e,s={},f={},p={},d={},g=null,h=!1,m=r,v=o,y=null,x={},L=void 0,w=!0,b=[],A={},E={},O={},I={},N=0,P={},S=null,D={},k=null,M=!1,C=null,T=i||null,j=this,U=function(n){return n instanceof Array||n instanceof Object},R=function(n,e){try{return _.i18n.LocalePlural.compile(n)}catch(r){var t={domain:e||null,plural:n,position:r.position};throw e?new _.i18n.LocaleException("Invalid 'plural' ternary conditions format in the '"+e+"' domain: '"+n+"'\n\n"+r.message,r.code,t):new _.i18n.LocaleException("Invalid default 'plural' ternary conditions format specified: '"+n+"'\n\n"+r.message,r.code,t)}},F=function(n){var e=y;return void 0!==L?e=L:Object.prototype.hasOwnProperty.call(x,n)&&(e=x[n]),null===e?null:_.i18n.LocaleEncoder.get(e)},V=function(n,e){return null==n?e:n+""+e},z=function(n,e,t,r,o){var a,i=s[n],l={translation:null,message:t,arrayId:void 0,undefinedDomain:!1};if(null==i)return l.undefinedDomain=!0,l;var u=p[n],c=u&&u.hashed?function(n){return _.i18n.LocaleCompiled.hash(V(e,n))}:function(n){return V(e,n)},f=u?function(n){return n}:function(n){return"string"==typeof n?n.trim():n};if(null==r)return"string"==typeof(a=i[c(t)])&&""!==f(a)&&(l.translation=a),l;var d=f(i[c(t)]),g=f(i[c(r)]),h=wn(n),m=h.nplurals,v=h.plural;if(m>=1)try{var y=xn(h,hn(n),o);1==m&&1==y?(a=Array.isArray(g)?g[0]:g,l.message=r):1==m&&0==y?a=d:(a=Array.isArray(g)&&g.length>0?g[Math.min(y,g.length-1)]:void 0,l.message=r,l.arrayId=y)}catch(n){return console.error("Plural evaluation for key '"+t+"' caused an exception with plural ('"+v+"'):\n\n"+n.message),l}else a=d;return"string"==typeof(a=f(a))&&""!==a&&(l.translation=a),l},$=function(n,e,t,r,o,a){for(var i=z(n,e,t,r,o),l=d[n];null===i.translation&&void 0!==l;l=d[l])i.translation=z(l,e,t,r,o).translation;for(var u=0;null===i.translation&&u<b.length;u++)-1===a.indexOf(b[u])&&(a.push(b[u]),i.translation=b[u].lookup(n,e,t,r,o,a).translation);return i},X=function(n,e,t,r,o){var a=$(n,e,t,r,o,[]),i=a.translation;return null===i&&(null!==S&&G(n,e,t,r,a.undefinedDomain),fn("missingkey",{domain:n,context:e,msgid1:t,msgid2:r,n:o,message:a.message,undefinedDomain:a.undefinedDomain})),a.undefinedDomain&&A.lazy&&A.path&&!O[n]&&(O[n]=!0,j.loadDomainFrom(n).catch(function(n){console.error(n)})),null===i&&(v&&(a.undefinedDomain?console.error("Undefined domain: "+n):console.warn("Undefined message in domain '"+n+"': "+function(n,e){return"'"+e+"'"+(null==n?"":" (context '"+n+"')")}(e,a.message)+(void 0!==a.arrayId?" [array id: "+a.arrayId+"]":""))),i=a.message),i},H=function(n,e,t,r,o,a){var i=X(n,e,t,r,o);null!==C&&(i=_.i18n.LocalePseudo.transform(i,C));var l=F(n),u=null!==l&&!0===w;if(0===a.length)return null!==l?l(i):i;try{return null===k?_.i18n.LocaleFormatter.format(i,a,{formatArgument:q,escape:l,escapeValue:u?l:null}):null===l||u?(i=k.call(j,i,a,{formatArgument:q}),null!==l?l(i):i):k.call(j,l(i),a,{formatArgument:q})}catch(n){return console.error(n),null!==l?l(i):i}},J=function(n,e,t){var r,o=X(n,null,e,null,null),a=F(n),i=null!==a&&!0===w,l=a,u=0;null!==C&&(l=function(n){return u+=n.length,n=_.i18n.LocalePseudo.transformText(n,C),null!==a?a(n):n});try{r=_.i18n.LocaleMessageFormat.format(o,t,{pluralCategory:function(e,t){return mn(n,e,t)},escape:l,escapeValue:i?a:null,formatArgument:q})}catch(n){console.error(n),r=null!==l?l(o):o}if(null===C)return r;var c=_.i18n.LocalePseudo.brackets(u,C);return null!==a&&(c=c.map(a)),c[0]+r+c[1]},W=function(n,e,t,r){var o=void 0!==(r=r||{}).context?r.context:null,a=void 0!==r.plural?r.plural:null,i=X(n,o,e,a,null!==a?r.n:null),l=[],u=null;if(null!==C&&(i=_.i18n.LocalePseudo.transform(i,C)),void 0!==r.values)try{i=_.i18n.LocaleFormatter.format(i,Array.isArray(r.values)?r.values:[r.values],{formatArgument:q,escapeValue:function(n){return l.push(n),""+(l.length-1)+""}}),u=function(n){return n.replace(/\uE000(\d+)\uE001/g,function(n,e){return l[e]})}}catch(n){console.error(n)}return _.i18n.LocaleRichText.render(i,t,r.output,{document:r.document,text:u})},Y=function(n,e){for(var t,r,o=String(n[0]).replace(/%/g,"%%"),a={},i=0;i<e.length;i++)t=String(i),null!==(r=e[i])&&"object"==typeof r&&"[object Object]"===Object.prototype.toString.call(r)&&1===Object.keys(r).length&&(r=r[t=Object.keys(r)[0]]),a[t]=r,o+="{"+t+"}"+String(n[i+1]).replace(/%/g,"%%");return{message:o,values:a}},B=function(n){return function(e){var t=Y(e,Array.prototype.slice.call(arguments,1));return j.dgettext(n,t.message,t.values)}},K=function(n,e){return function(t){var r=Y(t,Array.prototype.slice.call(arguments,1));return function(t){var o=Y(t,Array.prototype.slice.call(arguments,1));return j.dngettext(n,r.message,o.message,e,Object.assign({},r.values,o.values))}}},q=function(n,e,t){return _.i18n.LocaleIntl.format(u,n,e,t)},G=function(n,e,t,r,o){var a=[u,n,V(e,t),null===r?"":r].join("|"),i=D[a];if(void 0===i&&(i=D[a]={lang:u,domain:n,msgctxt:e,msgid:t,msgid_plural:r,hits:0,undefinedDomain:o}),i.hits++,"function"==typeof S.onMissing)try{S.onMissing.call(j,Z(i))}catch(n){console.error(n)}},Z=function(n){var e={};for(var t in n)e[t]=n[t];return e},Q=function(n){return'"'+String(n).replace(/\\/g,"\\\\").replace(/"/g,'\\"').replace(/\n/g,"\\n").replace(/\r/g,"\\r").replace(/\t/g,"\\t")+'"'},nn=function(n){if("localStorage"===n&&"undefined"!=typeof localStorage)return localStorage;if("indexedDB"===n&&"undefined"!=typeof indexedDB){var e=function(n,e){return new Promise(function(t,r){var o=indexedDB.open("CorbeauPerdu.i18n",1);o.onupgradeneeded=function(){o.result.createObjectStore("domains")},o.onerror=function(){r(o.error)},o.onsuccess=function(){var a=e(o.result.transaction("domains",n).objectStore("domains"));a.onsuccess=function(){t(a.result)},a.onerror=function(){r(a.error)}}})};return{getItem:function(n){return e("readonly",function(e){return e.get(n)})},setItem:function(n,t){return e("readwrite",function(e){return e.put(t,n)})}}}return n&&"function"==typeof n.getItem&&"function"==typeof n.setItem?n:null},en=function(n,e,t){return e.replace(/\{lang\}/g,encodeURIComponent(t)).replace(/\{domain\}/g,encodeURIComponent(n)).replace(/\{version\}/g,encodeURIComponent(A.version||""))},tn=function(n,e){var t=nn(A.cache);return null!==t&&A.version?Promise.resolve().then(function(){return t.setItem("CorbeauPerdu.i18n|"+n,JSON.stringify({version:A.version,data:e}))}).catch(function(e){v&&console.warn("Unable to cache '"+n+"': "+e.message)}):Promise.resolve()},rn=function(n,e,t){var r=null,o=[],a=null;if(!m)return{rule:r,errors:o};var i=e[""]||{},l=i.nplurals,u=i.plural,c=null;void 0===l&&void 0===u&&(c=h?g:sn(i.language||t),l=String(c.nplurals),u=c.plural);var s=!("string"!=typeof l||""===l.trim()||l.match("^[^0-9]*$")||l<0),f="string"==typeof u&&""!==u.trim();if(s?l>=1&&(f||o.push(new _.i18n.LocaleException("Missing 'plural' ternary test conditions in domain '"+n+"'",_.i18n.LocaleException.MISSING_PLURAL,{domain:n}))):o.push(new _.i18n.LocaleException("Missing or invalid 'nplurals' number in domain '"+n+"'",_.i18n.LocaleException.BAD_NPLURALS,{domain:n,actual:l})),f&&(!s||l>=1))try{a=R(u.trim(),n)}catch(n){o.push(n)}if(null!==a&&s&&l>=1){var p=1==parseInt(l,10)?2:parseInt(l,10),d=_.i18n.LocalePlural.range(a),v=d.min<0?d.min:d.max>=p?d.max:null;null!==v&&o.push(new _.i18n.LocaleException("The 'plural' conditions can return "+v+", out of the 0 to "+(p-1)+" range allowed by the 'nplurals' value in domain '"+n+"'",_.i18n.LocaleException.PLURAL_MISMATCH,{domain:n,plural:u,expected:parseInt(l,10),actual:v}))}return o.length>0?{rule:null,errors:o}:(l>=1?(l=l.trim(),u=u.trim(),null===c&&(e[""].nplurals=l,e[""].plural=u),r={nplurals:parseInt(l,10),plural:u,evaluate:a}):r={nplurals:0,plural:"0",evaluate:function(){return 0}},{rule:r,errors:o})},on=function(n,e,t,r,o){var a,i,l,u,c,s,f,p,d=[],g=function(e,t,r,o){o.domain=n,o.key=a,d.push({severity:e,exception:new _.i18n.LocaleException(t+" for key '"+a+"' in domain '"+n+"'",r,o)})};for(a in e)if(""!==a&&(i=e[a],l=Array.isArray(i)?i:[i],Array.isArray(i)&&null!==t&&t>=1&&i.length!=t&&d.push({severity:o||"error",exception:new _.i18n.LocaleException("Possible plurals count ("+i.length+") for key '"+a+"' in domain '"+n+"' doesn't match the 'nplurals' value ("+t+") !",_.i18n.LocaleException.PLURAL_COUNT_MISMATCH,{domain:n,key:a,expected:t,actual:i.length})}),r))for(u=a.substr(a.indexOf("")+1),c=_.i18n.LocaleFormatter.placeholders(u),p=0;p<l.length;p++)if("string"==typeof l[p])if(""!==l[p]){for(f in s=_.i18n.LocaleFormatter.placeholders(l[p]))Object.prototype.hasOwnProperty.call(c,f)?null!==c[f]&&null!==s[f]&&c[f].replace("i","d")!==s[f].replace("i","d")&&g("error","Placeholder '"+f+"' type mismatch ('"+c[f]+"' in the message, '"+s[f]+"' in the translation)",_.i18n.LocaleException.PLACEHOLDER_MISMATCH,{expected:c[f],actual:s[f]}):g("error","Placeholder '"+f+"' of the translation isn't in the message",_.i18n.LocaleException.PLACEHOLDER_MISMATCH,{actual:f});for(f in c)Object.prototype.hasOwnProperty.call(s,f)||g("warning","Placeholder '"+f+"' of the message isn't in the translation",_.i18n.LocaleException.PLACEHOLDER_MISMATCH,{expected:f})}else g("warning","Empty translation",_.i18n.LocaleException.EMPTY_TRANSLATION,{});else g("error","Invalid translation (expecting a string, got "+typeof l[p]+")",_.i18n.LocaleException.INVALID_VALUE,{actual:l[p]});return d},an=function(n,e,t,r){return null!==t?on(n,e,t.nplurals,r):m?on(n,e,null,r):on(n,e,g.nplurals,r,"warning")},ln=function(n,e,t){if(!U(e))throw new _.i18n.LocaleException("Invalid JSON data for domain: '"+n+"'",_.i18n.LocaleException.INVALID_JSON,{domain:n});var r=rn(n,e,t);if(r.errors.length>0)throw r.errors[0];var o,a,i=an(n,e,r.rule,M),l={};for(a=0;a<i.length;a++)if("error"===i[a].severity){if(!M)throw i[a].exception;v&&!l[i[a].exception.key]&&console.warn("Translation dropped: "+i[a].exception.message),l[i[a].exception.key]=!0}else v&&i[a].exception.code===_.i18n.LocaleException.PLURAL_COUNT_MISMATCH&&console.warn(i[a].exception.message);if(Object.keys(l).length>0){var u={};for(o in e)l[o]||(u[o]=e[o]);e=u}return{data:e,rule:r.rule}},un=function(n,e,t){s[n]=e,delete p[n],null!==t?f[n]=t:delete f[n]},cn=function(n){if(null===n||"object"!=typeof n)return n;var e=Array.isArray(n)?[]:{};for(var t in n)e[t]=cn(n[t]);return Object.freeze(e)},sn=function(n){var e=_.i18n.LocalePlural.getRule(n);return null!==e?e:{nplurals:1,plural:l,evaluate:R(l)}},fn=function(n,e){var t=(P[n]||[]).slice();e.type=n,e.lang=u;for(var r=0;r<t.length;r++)try{t[r].call(j,e)}catch(n){console.error(n)}},pn=function(n,e){fn(n,e),null!==T&&T.notify(j,u,n,e.domain)},dn=function(n){var e=null!==T?T.catalogsOf(n):{domains:{},pluralRules:{},compiledDomains:{}};s=e.domains,f=e.pluralRules,p=e.compiledDomains},gn=function(n,e){return function(n){var e=nn(A.cache);return null!==e&&A.version?Promise.resolve().then(function(){return e.getItem("CorbeauPerdu.i18n|"+n)}).then(function(n){var e=n?JSON.parse(n):null;return e&&e.version===A.version?e.data:null}).catch(function(e){return v&&console.warn("Unable to read the cache of '"+n+"': "+e.message),null}):Promise.resolve(null)}(e).then(function(t){return null!==t?(v&&console.log("Loading domain '"+n+"' from cache..."),{domain:n,url:e,data:t,cached:!0}):function(n,e){var t=A.fetch||("undefined"!=typeof fetch?fetch:null),r=(e.split(/[?#]/)[0].match(/\.(po|mo)$/i)||[null,"json"])[1].toLowerCase();return null===t?Promise.reject(new _.i18n.LocaleException("No fetch() function available to load domain '"+n+"': set one with setDomainLoader()",_.i18n.LocaleException.LOAD_FAILED,{domain:n,url:e})):Promise.resolve(t(e)).then(function(t){if(t&&"boolean"==typeof t.ok&&!t.ok)throw new _.i18n.LocaleException("Unable to load domain '"+n+"' from '"+e+"': HTTP status "+t.status,_.i18n.LocaleException.LOAD_FAILED,{domain:n,url:e,actual:t.status});return"mo"===r?t&&"function"==typeof t.arrayBuffer?t.arrayBuffer():t:"po"===r?t&&"function"==typeof t.text?t.text():t:t&&"function"==typeof t.json?t.json():"string"==typeof t?JSON.parse(t):t}).then(function(e){return"mo"===r?_.i18n.LocaleParser.parseMO(e,{domain:n}):"po"===r?_.i18n.LocaleParser.parsePO(e,{domain:n}):e})}(n,e).then(function(t){return{domain:n,url:e,data:t,cached:!1}})})},hn=function(n){var e=void 0!==s[n]?s[n][""]:null;return e&&e.language?e.language:u},mn=function(n,e,t){return t?_.i18n.LocalePlural.getCategory(hn(n),e,"ordinal"):Ln(wn(n),hn(n),e)},vn=function(n){return n=Number(n),isFinite(n)&&n%1!=0},yn=function(n,e){var t,r=n.nplurals<=1?n.nplurals+1:n.nplurals;return void 0===n.categories&&(t=_.i18n.LocalePlural.getRule(e),n.categories=null!==t&&t.categories.length===r?t.categories:null),n.categories},xn=function(n,e,t){var r,o=yn(n,e);return vn(t)&&null!==o?-1!==(r=o.indexOf(_.i18n.LocalePlural.getCategory(e,t)))?r:o.length-1:Number(n.evaluate(t))},Ln=function(n,e,t){var r=yn(n,e);if(vn(t)&&null!==r)return _.i18n.LocalePlural.getCategory(e,t);var o=Number(n.evaluate(t));return null!==r?r[o]||"other":0===o&&n.nplurals>=1?"one":"other"},wn=function(n){return void 0!==f[n]?f[n]:g};g=sn(u),this.getLoadedDomains=function(){return cn(s)},this.hasDomain=function(n){return Object.prototype.hasOwnProperty.call(s,n)},this.getDefaultDomain=function(){return c},this.setDefaultDomain=function(n){var e=c;return c=n,e},this.setDomainParent=function(n,e){for(var t=e;null!=t;t=d[t])if(t===n)throw new _.i18n.LocaleException("Domain '"+n+"' can't extend the '"+e+"' domain, which already extends it",_.i18n.LocaleException.INVALID_DOMAIN,{domain:n,actual:e});var r=Object.prototype.hasOwnProperty.call(d,n)?d[n]:null;return null===e?delete d[n]:d[n]=e,r},this.getDomainParent=function(n){return Object.prototype.hasOwnProperty.call(d,n)?d[n]:null},this.getLang=function(){return u},this.getLanguageTag=function(){return _.i18n.LocaleIntl.toLanguageTag(u)},this.setFormatter=function(n){var e=k;if(null!=n&&"function"!=typeof n)throw new TypeError("Formatter is not a function");return k=n||null,e},this.setMissingCollector=function(n){var e=S;return S=n||null,e},this.getMissing=function(n){var e=[];for(var t in D)null!=n&&D[t].domain!==n||e.push(Z(D[t]));return e},this.clearMissing=function(){D={}},this.exportMissing=function(n,e){var t=this.getMissing(e);if("json"===(n=n||"pot"))return JSON.stringify(t,null,2);if("pot"!==n)throw new _.i18n.LocaleException("Unknown missing translations export format: '"+n+"'",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:n});var r,o,a,i={},l=[];for(o=0;o<t.length;o++){var u=V(t[o].msgctxt,t[o].msgid)+"|"+(null===t[o].msgid_plural?"":t[o].msgid_plural);void 0===i[u]&&(i[u]=[],l.push(u)),i[u].push(t[o])}for(r=['msgid ""','msgstr ""','"Content-Type: text/plain; charset=UTF-8\\n"','"Content-Transfer-Encoding: 8bit\\n"'],null!=e&&r.push('"X-Domain: '+Q(e).slice(1,-1)+'\\n"'),o=0;o<l.length;o++){var c=i[l[o]][0];for(r.push(""),a=0;a<i[l[o]].length;a++)r.push("#. domain: "+i[l[o]][a].domain+", language: "+i[l[o]][a].lang+", hits: "+i[l[o]][a].hits);null!==c.msgctxt&&r.push("msgctxt "+Q(c.msgctxt)),r.push("msgid "+Q(c.msgid)),null!==c.msgid_plural?(r.push("msgid_plural "+Q(c.msgid_plural)),r.push('msgstr[0] ""'),r.push('msgstr[1] ""')):r.push('msgstr ""')}return r.join("\n")+"\n"},this.formatNumber=function(n,e){return q(n,"number",e)},this.formatCurrency=function(n,e){return q(n,"number","currency:"+e)},this.formatDate=function(n,e){return q(n,"date",e)},this.formatTime=function(n,e){return q(n,"time",e)},this.formatRelative=function(n,e){return q(n,"relative",e)},this.setLang=function(n,e){var t,r=this,o=++N,a=u,i=[],l="setLang|"+n;for(t in e=e||{})i.push({domain:t,url:null,data:e[t],cached:!0});for(t in I)void 0===e[t]&&i.push(gn(t,en(t,I[t],n)));var c=Promise.all(i).then(function(e){var t,i=[],f=[];if(E[l]===c&&delete E[l],o!==N)return r;for(t=0;t<e.length;t++)i.push(ln(e[t].domain,e[t].data,n));var p=Object.keys(s);for(u=n,dn(n),O={},h||(g=sn(n)),t=0;t<e.length;t++)un(e[t].domain,i[t].data,i[t].rule);for(t=0;t<p.length;t++)void 0===s[p[t]]&&(v&&console.warn("Domain '"+p[t]+"' has no '"+n+"' translations (no '{lang}' url, nor given to setLang()): unloaded"),f.push(p[t]));for(v&&console.log("Language switched from '"+a+"' to '"+n+"'"),t=0;t<f.length;t++)fn("domainunloaded",{domain:f[t]});for(t=0;t<e.length;t++)pn("domainloaded",{domain:e[t].domain});return fn("languagechange",{previousLang:a}),Promise.all(e.map(function(n){return n.cached?null:tn(n.url,n.data)})).then(function(){return r})},function(n){throw E[l]===c&&delete E[l],n});return E[l]=c,c},this.on=function(n,e){var t=this;if("function"!=typeof e)throw new TypeError("Event handler for '"+n+"' is not a function");return(P[n]=P[n]||[]).push(e),function(){t.off(n,e)}},this.off=function(n,e){var t=P[n]||[],r=t.indexOf(e);return-1!==r&&(t.splice(r,1),!0)},this.getWorkingPlural=function(){return wn(c).plural},this.getPluralRule=function(n){if(void 0===s[n])return null;var e=wn(n);return{nplurals:e.nplurals,plural:e.plural}},this.getPluralCategory=function(n,e){return e||null!==_.i18n.LocalePlural.getRule(u)&&!h?_.i18n.LocalePlural.getCategory(u,n,e?"ordinal":"cardinal"):Ln(g,u,n)},this.setDefaultPlural=function(n,e){try{g={nplurals:void 0===e?1:parseInt(e,10),plural:n,evaluate:R(n)},h=!0}catch(n){throw n}},this.setFormatMessages4Web=function(n){var e="html"===y;return y=!0===n?"html":null,e},this.setFormatMessages4WebInclPlaceholders=function(n){var e=w;return w=n,e},this.setEncoder=function(n,e){var t;return null!==n&&_.i18n.LocaleEncoder.get(n),void 0===e?(t=y,y=n):(t=Object.prototype.hasOwnProperty.call(x,e)?x[e]:null,null===n?delete x[e]:x[e]=n),t},this.getEncoder=function(n){return void 0!==n&&Object.prototype.hasOwnProperty.call(x,n)?x[n]:y},this.withEncoder=function(n){null!==n&&_.i18n.LocaleEncoder.get(n);var e={};return["gettext","ngettext","dgettext","dngettext","pgettext","npgettext","dpgettext","dnpgettext","format","dformat","t","_","_n","_d","_dn","_p","_np","_dp","_dnp"].forEach(function(t){e[t]=function(){var e=L;L=n;try{return j[t].apply(j,arguments)}finally{L=e}}}),e},this.setPseudoLocalization=function(n){var e=C;return C=null===n||!1===n||void 0===n?null:!0===n?{}:n,e},this.getDefaultPlural=function(){return g.plural},this.setFallbackLocales=function(n){Array.isArray(n)||(n=[n]);for(var e=0;e<n.length;e++)if(!(n[e]instanceof _.i18n.Locale)||n[e]===this)throw new _.i18n.LocaleException("Invalid fallback locale #"+e+": expected another CorbeauPerdu.i18n.Locale instance",_.i18n.LocaleException.INVALID_FALLBACK,{key:e});var t=b;return b=n.slice(),t},this.getFallbackLocales=function(){return b.slice()},this.lookup=function(n,e,t,r,o,a){return $(n,e,t,r,o,a=a||[this])},this.setLenientLoading=function(n){var e=M;return M=!0===n,e},this.validateDomain=function(n,e){var t,r=void 0!==(e=e||{}).domain?e.domain:c,o=[],a=function(n,e){var t={severity:n,code:e.code,message:e.message};for(var r in e)"name"!==r&&"code"!==r&&(t[r]=e[r]);o.push(t)};if(!U(n))return a("error",new _.i18n.LocaleException("Invalid JSON data for domain: '"+r+"'",_.i18n.LocaleException.INVALID_JSON,{domain:r})),o;var i=Object.assign({},n);i[""]&&(i[""]=Object.assign({},i[""]));var l=rn(r,i,e.lang||u);for(t=0;t<l.errors.length;t++)a("error",l.errors[t]);var s=an(r,i,l.rule,!0);for(t=0;t<s.length;t++)a(s[t].severity,s[t].exception);return o},this.loadDomain=function(n,e){var t;v&&console.log("Loading domain: "+n+"...");try{t=ln(n,e,u)}catch(t){throw U(e)&&(delete s[n],delete f[n],delete p[n]),t}un(n,t.data,t.rule),v&&console.log("  loaded "+(m?"with custom plural: ":"with default plural: ")+this.getPluralRule(n).plural),pn("domainloaded",{domain:n})},this.loadCompiledDomain=function(n,e){if(e&&_.i18n.LocaleCompiled.isCompiled(e.default)&&(e=e.default),!_.i18n.LocaleCompiled.isCompiled(e)){if(e&&void 0!==e.version)throw new _.i18n.LocaleException("Compiled catalog version "+e.version+" for domain '"+n+"' isn't supported: compile it again",_.i18n.LocaleException.UNKNOWN_FORMAT,{domain:n,expected:_.i18n.LocaleCompiled.VERSION,actual:e.version});throw new _.i18n.LocaleException("Invalid compiled catalog for domain: '"+n+"'",_.i18n.LocaleException.INVALID_JSON,{domain:n})}v&&console.log("Loading compiled domain: "+n+"...");var t=e.data[""]||{},r=null,o=parseInt(t.nplurals,10);m&&(r=o>=1?{nplurals:o,plural:t.plural,evaluate:_.i18n.LocalePlural.compile(t.plural,e.evaluate)}:{nplurals:0,plural:"0",evaluate:function(){return 0}}),un(n,e.data,r),p[n]={hashed:!0===e.hashed},pn("domainloaded",{domain:n})},this.mergeDomain=function(n,e){if(!U(e))throw new _.i18n.LocaleException("Invalid JSON data for domain: '"+n+"'",_.i18n.LocaleException.INVALID_JSON,{domain:n});if(!this.hasDomain(n))throw new _.i18n.LocaleException("Domain '"+n+"' isn't loaded: load it with loadDomain() before merging translations into it",_.i18n.LocaleException.INVALID_DOMAIN,{domain:n});if(p[n]&&p[n].hashed)throw new _.i18n.LocaleException("Domain '"+n+"' was loaded from a compiled catalog with hashed keys: translations can't be merged into it",_.i18n.LocaleException.INVALID_DOMAIN,{domain:n});var t=Object.assign({},s[n]);for(var r in e)""===r?t[""]=Object.assign({},t[""]||{},e[""]):null===e[r]?delete t[r]:t[r]=e[r];v&&console.log("Merging "+Object.keys(e).length+" translations into domain: "+n+"...");var o=ln(n,t,u);un(n,o.data,o.rule),pn("domainloaded",{domain:n})},this.unloadDomain=function(n){var e=this.hasDomain(n);return delete s[n],delete f[n],delete p[n],delete I[n],e&&pn("domainunloaded",{domain:n}),e},this.loadDomainPO=function(n,e,t){void 0===(t=t||{}).domain&&(t.domain=n),this.loadDomain(n,_.i18n.LocaleParser.parsePO(e,t))},this.loadDomainMO=function(n,e,t){void 0===(t=t||{}).domain&&(t.domain=n),this.loadDomain(n,_.i18n.LocaleParser.parseMO(e,t))},this.setDomainLoader=function(n){var e=A;return A=n||{},O={},e},this.loadDomainFrom=function(n,e){var t,r=this,o=u,a=e||A.path;if(!a)return Promise.reject(new _.i18n.LocaleException("No url given for domain '"+n+"', and no 'path' template set with setDomainLoader()",_.i18n.LocaleException.LOAD_FAILED,{domain:n}));if(-1!==a.indexOf("{lang}")&&(I[n]=a),e=en(n,a,o),void 0!==E[t=n+"|"+e])return E[t];var i=gn(n,e).then(function(a){return delete E[t],o!==u?r:(r.loadDomain(n,a.data),a.cached?r:tn(e,a.data).then(function(){return r}))},function(n){throw delete E[t],n});return E[t]=i,i},this.ready=function(){var n=this,e=[];for(var t in E)e.push(E[t]);return Promise.all(e).then(function(){return n})},this.gettext=function(n,e){var t=Array.prototype.slice.call(arguments);return t.unshift(c),this.dgettext.apply(this,t)},this.ngettext=function(n,e,t,r){var o=Array.prototype.slice.call(arguments);return o.unshift(c),this.dngettext.apply(this,o)},this.dgettext=function(n,e,t){return H(n,null,e,null,null,Array.prototype.slice.call(arguments,2))},this.dngettext=function(n,e,t,r,o){return H(n,null,e,t,r,Array.prototype.slice.call(arguments,4))},this.format=function(n,e){return J(c,n,e)},this.dformat=function(n,e,t){return J(n,e,t)},this.rich=function(n,e,t){return W(c,n,e,t)},this.drich=function(n,e,t,r){return W(n,e,t,r)},this.t=function(n,e){return B(c).apply(null,arguments)},this.dt=function(n){return B(n)},this.tn=function(n){return K(c,n)},this.dtn=function(n,e){return K(n,e)},this.pgettext=function(n,e,t){return H(c,n,e,null,null,Array.prototype.slice.call(arguments,2))},this.npgettext=function(n,e,t,r,o){return H(c,n,e,t,r,Array.prototype.slice.call(arguments,4))},this.dpgettext=function(n,e,t,r){return H(n,e,t,null,null,Array.prototype.slice.call(arguments,3))},this.dnpgettext=function(n,e,t,r,o,a){return H(n,e,t,r,o,Array.prototype.slice.call(arguments,5))},this._=function(n,e){var t=Array.prototype.slice.call(arguments);return t.unshift(c),this.dgettext.apply(this,t)},this._n=function(n,e,t,r){var o=Array.prototype.slice.call(arguments);return o.unshift(c),this.dngettext.apply(this,o)},this._d=function(n,e,t){return this.dgettext.apply(this,Array.prototype.slice.call(arguments))},this._dn=function(n,e,t,r,o){return this.dngettext.apply(this,Array.prototype.slice.call(arguments))},this._p=function(n,e,t){return this.pgettext.apply(this,Array.prototype.slice.call(arguments))},this._np=function(n,e,t,r,o){return this.npgettext.apply(this,Array.prototype.slice.call(arguments))},this._dp=function(n,e,t,r){return this.dpgettext.apply(this,Array.prototype.slice.call(arguments))},this._dnp=function(n,e,t,r,o,a){return this.dnpgettext.apply(this,Array.prototype.slice.call(arguments))},v&&console.log("Locale is loading with lang: "+n),null!==T&&(dn(u),T.attach(j,fn));try{a&&null==t||this.loadDomain(e,t)}catch(n){if(a)throw n;console.error(n)}},_.i18n.LocaleRegistry=function(n){var e=!1!==(n=n||{}).useCustomPluralForms,t=!0===n.debug,r={},o=[],a={},i={catalogsOf:function(n){return Object.prototype.hasOwnProperty.call(r,n)||(r[n]={domains:{},pluralRules:{},compiledDomains:{}}),r[n]},attach:function(n,e){o.push({locale:n,emit:e})},notify:function(n,e,t,r){for(var a=o.slice(),i=0;i<a.length;i++)a[i].locale!==n&&a[i].locale.getLang()===e&&a[i].emit(t,{domain:r})}},l=function(n){return Object.prototype.hasOwnProperty.call(a,n)||(a[n]=new _.i18n.Locale(n,null,null,e,t,!0,i)),a[n]};this.createLocale=function(n,r){return new _.i18n.Locale(n,r,null,e,t,!0,i)},this.release=function(n){var e=o.length;return(o=o.filter(function(e){return e.locale!==n})).length!==e},this.loadDomain=function(n,e,t){l(n).loadDomain(e,t)},this.loadCompiledDomain=function(n,e,t){l(n).loadCompiledDomain(e,t)},this.mergeDomain=function(n,e,t){l(n).mergeDomain(e,t)},this.unloadDomain=function(n,e){return l(n).unloadDomain(e)},this.hasDomain=function(n,e){return Object.prototype.hasOwnProperty.call(r,n)&&Object.prototype.hasOwnProperty.call(r[n].domains,e)},this.getLanguages=function(){return Object.keys(r).filter(function(n){return Object.keys(r[n].domains).length>0})},this.getDomains=function(n){return Object.prototype.hasOwnProperty.call(r,n)?Object.keys(r[n].domains):[]}},_.i18n.LocalePlural=(e=["||","&&","==","!=","<=",">=","<",">","+","-","*","/","%","!","?",":","(",")"],t=[[["other"],"0","bm bo dz hnj id ig ii ja jbo jv kde kea km ko lkt lo ms my nqo osa sah ses sg su th to tpi vi wo yo yue zh"],[["one","other"],"(n != 1)","af an asa ast az bal bem bez bg brx ca ce cgg chr ckb da de dv ee el en eo es et eu fi fo fur fy gl gsw ha haw hu ia io it jgo jmc ka kaj kcg kk kkj kl ks ksb ku ky lb lg mas mgo ml mn mr nah nb nd ne nl nn nnh no nr ny nyn om or os pap ps pt-pt rm rof rwk saq sc sd sdh seh sn so sq ss ssy st sv sw syr ta te teo tig tk tn tr ts ug ur uz ve vo vun wae xh xog yi"],[["one","other"],"(n > 1)","ak am as bho bn doi fa ff fr gu guw hi hy kab kn ln mg nso pa pt si ti wa zu"],[["one","other"],"(n%10 != 1 || n%100 == 11)","is mk"],[["one","other"],"(n != 1 && n != 2 && n != 3 && (n%10 == 4 || n%10 == 6 || n%10 == 9))","ceb fil tl"],[["zero","one","other"],"(n == 0 ? 0 : n == 1 ? 1 : 2)","ksh lag"],[["zero","one","other"],"(n%10 == 0 || (n%100 >= 11 && n%100 <= 19) ? 0 : n%10 == 1 && n%100 != 11 ? 1 : 2)","lv prg"],[["one","two","other"],"(n == 1 ? 0 : n == 2 ? 1 : 2)","he iu naq sat se sma smi smj smn sms"],[["one","few","other"],"(n <= 1 ? 0 : n <= 10 ? 1 : 2)","shi"],[["one","few","other"],"(n == 1 ? 0 : n >= 2 && n <= 4 ? 1 : 2)","cs sk"],[["one","few","other"],"(n == 1 ? 0 : n == 0 || (n%100 >= 1 && n%100 <= 19) ? 1 : 2)","mo ro"],[["one","few","other"],"(n%10 == 1 && n%100 != 11 ? 0 : n%10 >= 2 && n%10 <= 4 && (n%100 < 12 || n%100 > 14) ? 1 : 2)","bs hr sh sr"],[["one","few","other"],"(n%10 == 1 && (n%100 < 11 || n%100 > 19) ? 0 : n%10 >= 2 && (n%100 < 11 || n%100 > 19) ? 1 : 2)","lt"],[["one","few","many"],"(n%10 == 1 && n%100 != 11 ? 0 : n%10 >= 2 && n%10 <= 4 && (n%100 < 12 || n%100 > 14) ? 1 : 2)","be ru uk"],[["one","few","many"],"(n == 1 ? 0 : n%10 >= 2 && n%10 <= 4 && (n%100 < 12 || n%100 > 14) ? 1 : 2)","pl"],[["one","two","few","other"],"(n%100 == 1 ? 0 : n%100 == 2 ? 1 : n%100 == 3 || n%100 == 4 ? 2 : 3)","dsb hsb sl"],[["one","two","few","other"],"(n == 1 || n == 11 ? 0 : n == 2 || n == 12 ? 1 : (n >= 3 && n <= 10) || (n >= 13 && n <= 19) ? 2 : 3)","gd"],[["one","two","few","many","other"],"(n == 1 ? 0 : n == 2 ? 1 : n >= 3 && n <= 6 ? 2 : n >= 7 && n <= 10 ? 3 : 4)","ga"],[["one","two","few","many","other"],"(n == 1 ? 0 : n == 2 ? 1 : n == 0 || (n%100 >= 3 && n%100 <= 10) ? 2 : n%100 >= 11 && n%100 <= 19 ? 3 : 4)","mt"],[["one","two","few","many","other"],"(n%10 == 1 && n%100 != 11 && n%100 != 71 && n%100 != 91 ? 0 : n%10 == 2 && n%100 != 12 && n%100 != 72 && n%100 != 92 ? 1 : (n%10 == 3 || n%10 == 4 || n%10 == 9) && (n%100 < 10 || n%100 > 19) && (n%100 < 70 || n%100 > 79) && (n%100 < 90 || n%100 > 99) ? 2 : n != 0 && n%1000000 == 0 ? 3 : 4)","br"],[["zero","one","two","few","many","other"],"(n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n%100 >= 3 && n%100 <= 10 ? 3 : n%100 >= 11 ? 4 : 5)","ar ars"],[["zero","one","two","few","many","other"],"(n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n == 3 ? 3 : n == 6 ? 4 : 5)","cy"]],r=[[["one","other"],"(n != 1)","fil fr ga hy lo ms ro tl vi"],[["one","other"],"(n < 1 || n > 4)","ne"],[["one","other"],"(n != 1 && n != 5)","hu"],[["one","other"],"((n%10 != 1 && n%10 != 2) || n%100 == 11 || n%100 == 12)","sv"],[["few","other"],"(n%10 != 3 || n%100 == 13)","uk"],[["many","other"],"(n != 11 && n != 8 && n != 80 && n != 800)","it sc"],[["many","other"],"(n%10 != 6 && n%10 != 9 && (n%10 != 0 || n == 0))","kk"],[["one","many","other"],"(n == 1 ? 0 : n%10 == 4 && n%100 != 14 ? 1 : 2)","sq"],[["one","many","other"],"(n == 1 ? 0 : n == 0 || (n%100 >= 2 && n%100 <= 20) || n%100 == 40 || n%100 == 60 || n%100 == 80 ? 1 : 2)","ka"],[["one","two","few","other"],"(n%10 == 1 && n%100 != 11 ? 0 : n%10 == 2 && n%100 != 12 ? 1 : n%10 == 3 && n%100 != 13 ? 2 : 3)","en"],[["one","two","few","other"],"(n == 1 || n == 3 ? 0 : n == 2 ? 1 : n == 4 ? 2 : 3)","ca"],[["one","two","few","other"],"(n == 1 ? 0 : n == 2 || n == 3 ? 1 : n == 4 ? 2 : 3)","mr"],[["one","two","few","other"],"(n == 1 || n == 11 ? 0 : n == 2 || n == 12 ? 1 : n == 3 || n == 13 ? 2 : 3)","gd"],[["one","two","many","other"],"(n%10 == 1 && n%100 != 11 ? 0 : n%10 == 2 && n%100 != 12 ? 1 : (n%10 == 7 || n%10 == 8) && n%100 != 17 && n%100 != 18 ? 2 : 3)","mk"],[["one","two","few","many","other"],"(n == 1 ? 0 : n == 2 || n == 3 ? 1 : n == 4 ? 2 : n == 6 ? 3 : 4)","gu hi"],[["one","two","few","many","other"],"(n == 1 || n == 5 || (n >= 7 && n <= 10) ? 0 : n == 2 || n == 3 ? 1 : n == 4 ? 2 : n == 6 ? 3 : 4)","as bn"],[["zero","one","two","few","many","other"],"(n == 0 || n == 7 || n == 8 || n == 9 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n == 3 || n == 4 ? 3 : n == 5 || n == 6 ? 4 : 5)","cy"]],o={cardinal:{},ordinal:{}},a={cardinal:{},ordinal:{}},i=function(n,e,t,r){return new _.i18n.LocaleException(n+" at position "+r+":\n"+t+"\n"+new Array(r+1).join(" ")+"^",e,{plural:t,position:r})},l={number:function(n){return function(){return n}},n:function(){return function(n){return n}},not:function(n){return function(e){return n(e)?0:1}},binary:function(n,e,t){switch(n){case"||":return function(n){return e(n)||t(n)?1:0};case"&&":return function(n){return e(n)&&t(n)?1:0};case"==":return function(n){return e(n)===t(n)?1:0};case"!=":return function(n){return e(n)!==t(n)?1:0};case"<":return function(n){return e(n)<t(n)?1:0};case">":return function(n){return e(n)>t(n)?1:0};case"<=":return function(n){return e(n)<=t(n)?1:0};case">=":return function(n){return e(n)>=t(n)?1:0};case"+":return function(n){return e(n)+t(n)};case"-":return function(n){return e(n)-t(n)};case"*":return function(n){return e(n)*t(n)};case"/":return function(n){var r=t(n);return 0===r?0:Math.trunc(e(n)/r)};case"%":return function(n){var r=t(n);return 0===r?0:e(n)%r}}},ternary:function(n,e,t){return function(r){return n(r)?e(r):t(r)}}},u={number:function(n){return String(n)},n:function(){return"n"},not:function(n){return"("+n+" ? 0 : 1)"},binary:function(n,e,t){var r=/^[0-9]+$/.test(t)&&0!==parseInt(t,10);switch(n){case"||":case"&&":case"<":case">":case"<=":case">=":return"(("+e+" "+n+" "+t+") ? 1 : 0)";case"==":case"!=":return"(("+e+" "+n+"= "+t+") ? 1 : 0)";case"/":return r?"Math.trunc("+e+" / "+t+")":"(("+t+" === 0) ? 0 : Math.trunc("+e+" / "+t+"))";case"%":return r?"("+e+" % "+t+")":"(("+t+" === 0) ? 0 : "+e+" % "+t+")";default:return"("+e+" "+n+" "+t+")"}},ternary:function(n,e,t){return"("+n+" ? "+e+" : "+t+")"}},c=function(n,t){var r,o,a,l,u,c,s,f,p,d=function(n){for(var t,r=[],o=0;o<n.length;){var a=n.charAt(o);if(/\s/.test(a))o++;else{if(";"===a&&""===n.substr(o+1).trim())break;if(t=n.substr(o).match(/^[0-9]+/))r.push({type:"number",value:parseInt(t[0],10),position:o}),o+=t[0].length;else if("n"!==a||/^[A-Za-z0-9_]/.test(n.charAt(o+1))){for(var l=null,u=0;u<e.length;u++)if(n.substr(o,e[u].length)===e[u]){l=e[u];break}if(null===l)throw i("Invalid character '"+a+"' in plural",_.i18n.LocaleException.INVALID_PLURAL_CHAR,n,o);r.push({type:"op",value:l,position:o}),o+=l.length}else r.push({type:"n",value:"n",position:o}),o++}}return r.push({type:"end",value:null,position:n.length}),r}(n=String(n)),g=0,h=function(){return d[g]},m=function(n){return"op"===h().type&&-1!==n.indexOf(h().value)},v=function(){var e=h();return i("end"===e.type?"Unexpected end of plural":"Unexpected '"+e.value+"' in plural",_.i18n.LocaleException.PLURAL_SYNTAX,n,e.position)},y=function(n,e){return function(){for(var r=e();m(n);){var o=d[g++].value;r=t.binary(o,r,e())}return r}};r=function(){var n=o();if(!m(["?"]))return n;g++;var e=r();if(!m([":"]))throw v();g++;var a=r();return t.ternary(n,e,a)},p=function(){var n=h();if("number"===n.type)return g++,t.number(n.value);if("n"===n.type)return g++,t.n();if(m(["("])){g++;var e=r();if(!m([")"]))throw v();return g++,e}throw v()},s=y(["*","/","%"],f=function(){return m(["!"])?(g++,t.not(f())):p()}),c=y(["+","-"],s),u=y(["<",">","<=",">="],c),l=y(["==","!="],u),a=y(["&&"],l),o=y(["||"],a);var x=r();if("end"!==h().type)throw v();return x},f=function(n,e){return e=e||s(n),function(t){if(isNaN(t))throw new _.i18n.LocaleException("Invalid 'n' number (e.g. item count) passed!",_.i18n.LocaleException.INVALID_NUMBER,{plural:n,actual:t});return e(Math.floor(Math.abs(t)))}},p=function(n){for(var e=String(n).toLowerCase().split(/[-_.@]/),t=[],r=e.length;r>0;r--)t.push(e.slice(0,r).join("-"));return t},d=function(n,e){for(var a="ordinal"==(e="ordinal"===e?"ordinal":"cardinal")?r:t,i=p(n),l=0;l<i.length;l++){if(void 0!==o[e][i[l]])return o[e][i[l]];for(var u=0;u<a.length;u++)if(-1!==(" "+a[u][2]+" ").indexOf(" "+i[l]+" ")){var c=a[u][0].length;return o[e][i[l]]={categories:a[u][0],plural:a[u][1],nplurals:c<=2?c-1:c,evaluate:f(a[u][1])}}}return"ordinal"===e?{categories:["other"],plural:"0",nplurals:0,evaluate:f("0")}:null},{parse:s=function(n){return c(n,l)},toSource:function(n){return c(n,u)},compile:f,range:function(n){for(var e=1/0,t=-1/0,r=0;r<=1e3;r++){var o=n(r);o<e&&(e=o),o>t&&(t=o)}return{min:e,max:t}},getRule:d,getCategory:function(n,e,t){t="ordinal"===t?"ordinal":"cardinal",e=Number(e);var r,o=d(n,t);return null===o?null:isFinite(e)&&e%1!=0&&null!==(r=function(n,e){var t=p(n)[0];if(void 0===a[e][t])try{a[e][t]="undefined"!=typeof Intl&&"function"==typeof Intl.PluralRules?new Intl.PluralRules(t,{type:e}):null}catch(n){a[e][t]=null}return a[e][t]}(n,t))?r.select(e):o.categories[o.evaluate(e)]||"other"}}),_.i18n.LocaleParser=(g=2500072158,h=function(){return{msgctxt:null,msgid:null,msgid_plural:null,msgstr:[],flags:[],comments:[],extracted:[],references:[],obsolete:!1}},m=function(n,e){var t=n.match(/^"((?:[^"\\]|\\.)*)"$/);if(!t)throw new _.i18n.LocaleException("Invalid PO string on line "+e+": "+n,_.i18n.LocaleException.PO_SYNTAX,{line:e});return t[1].replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g,function(n,e){switch(e.charAt(0)){case"n":return"\n";case"t":return"\t";case"r":return"\r";case"a":return"";case"b":return"\b";case"f":return"\f";case"v":return"\v";case"x":return String.fromCharCode(parseInt(e.substr(1),16));default:return/^[0-7]+$/.test(e)?String.fromCharCode(parseInt(e,8)):e}})},v=function(n){for(var e={},t=String(n).split("\n"),r=0;r<t.length;r++){var o=t[r].indexOf(":");o>0&&(e[t[r].substr(0,o).trim()]=t[r].substr(o+1).trim())}return e},y=function(n,e){var t,r,o={},a={},i={};for(t=0;t<n.length;t++)if(""===n[t].msgid&&null===n[t].msgctxt&&!n[t].obsolete){i=v(n[t].msgstr[0]);break}var l=function(n){if(!n)return null;var e=n.match(/nplurals\s*=\s*(\d+)/),t=n.match(/plural\s*=\s*([^;]+);?/);return e&&t?{nplurals:parseInt(e[1],10),plural:t[1].trim()}:null}(i["Plural-Forms"])||{nplurals:2,plural:"(n != 1)"},u=l.nplurals;for(o[""]={domain:void 0!==e.domain?e.domain:i["X-Domain"]||"",language:i.Language||"",nplurals:String(u<=2?Math.max(u-1,0):u),plural:l.plural,headers:i,meta:a},t=0;t<n.length;t++){var c=n[t];if(!c.obsolete&&null!==c.msgid&&(""!==c.msgid||null!==c.msgctxt)){var s=null!==c.msgctxt?c.msgctxt+"":"",f=s+c.msgid,p=-1!==c.flags.indexOf("fuzzy"),d=[];for(r=0;r<Math.max(c.msgstr.length,1);r++)d.push(p&&!e.useFuzzy||void 0===c.msgstr[r]?"":c.msgstr[r]);o[f]=d[0],null!==c.msgid_plural&&(2==u?o[s+c.msgid_plural]=d.slice(1):u>2&&(o[s+c.msgid_plural]=d)),(null!==c.msgctxt||c.flags.length||c.comments.length||c.extracted.length||c.references.length)&&(a[f]={context:c.msgctxt,flags:c.flags,comments:c.comments,extracted:c.extracted,references:c.references},null!==c.msgid_plural&&(a[f].plural=c.msgid_plural))}}return o},{parsePO:function(n,e){if(e=e||{},"string"!=typeof n)throw new _.i18n.LocaleException("Invalid PO data: expected a string",_.i18n.LocaleException.PO_SYNTAX);for(var t,r=n.replace(/^\uFEFF/,"").split(/\r\n|\r|\n/),o=[],a={msgctxt:null,msgid:null,msgid_plural:null,msgstr:[],flags:[],comments:[],extracted:[],references:[],obsolete:!1},i=null,l=0,u=function(){null!==a.msgid&&o.push(a),a={msgctxt:null,msgid:null,msgid_plural:null,msgstr:[],flags:[],comments:[],extracted:[],references:[],obsolete:!1},i=null},c=0;c<r.length;c++){var s=r[c].trim(),f=c+1;if(""!==s){var p="#~"===s.substr(0,2);if(!p||""!==(s=s.substr(2).trim())&&"|"!==s.charAt(0))if("#"!==s.charAt(0)){if(t=s.match(/^msgctxt\s+(".*")$/))null!==a.msgid&&u(),a.msgctxt=m(t[1],f),i="msgctxt";else if(t=s.match(/^msgid\s+(".*")$/))null!==a.msgid&&u(),a.msgid=m(t[1],f),i="msgid";else if(t=s.match(/^msgid_plural\s+(".*")$/)){if(null===a.msgid)throw new _.i18n.LocaleException("Unexpected msgid_plural on line "+f+" of PO data",_.i18n.LocaleException.PO_SYNTAX,{line:f});a.msgid_plural=m(t[1],f),i="msgid_plural"}else if(t=s.match(/^msgstr(?:\[(\d+)\])?\s+(".*")$/)){if(null===a.msgid)throw new _.i18n.LocaleException("Unexpected msgstr on line "+f+" of PO data",_.i18n.LocaleException.PO_SYNTAX,{line:f});l=void 0!==t[1]?parseInt(t[1],10):0,a.msgstr[l]=m(t[2],f),i="msgstr"}else{if('"'!==s.charAt(0))throw new _.i18n.LocaleException("Invalid PO syntax on line "+f+": "+r[c],_.i18n.LocaleException.PO_SYNTAX,{line:f});if(null===i)throw new _.i18n.LocaleException("Unexpected string on line "+f+" of PO data",_.i18n.LocaleException.PO_SYNTAX,{line:f});var d=m(s,f);"msgstr"===i?a.msgstr[l]+=d:a[i]+=d}p&&(a.obsolete=!0)}else{null!==a.msgid&&u();var g=s.charAt(1),h=s.substr(2).trim();if(","===g)for(var v=h.split(","),x=0;x<v.length;x++)""!==v[x].trim()&&a.flags.push(v[x].trim());else"."===g?a.extracted.push(h):":"===g?a.references=a.references.concat(h.split(/\s+/)):"|"!==g&&a.comments.push(s.substr(1).replace(/^ /,""))}}}return u(),y(o,e)},parseMO:function(n,e){var t;if(e=e||{},"undefined"!=typeof ArrayBuffer&&n instanceof ArrayBuffer)t=new Uint8Array(n);else{if(!n||"number"!=typeof n.byteLength||!n.buffer)throw new _.i18n.LocaleException("Invalid MO data: expected an ArrayBuffer or Uint8Array",_.i18n.LocaleException.MO_DATA);t=new Uint8Array(n.buffer,n.byteOffset,n.byteLength)}if(t.length<28)throw new _.i18n.LocaleException("Invalid MO data: file is too short",_.i18n.LocaleException.MO_DATA);var r,o=new DataView(t.buffer,t.byteOffset,t.byteLength);if(o.getUint32(0,!0)===g)r=!0;else{if(o.getUint32(0,!1)!==g)throw new _.i18n.LocaleException("Invalid MO data: bad magic number",_.i18n.LocaleException.MO_DATA);r=!1}var a=o.getUint32(8,r),i=o.getUint32(12,r),l=o.getUint32(16,r),u=function(n,e,a){var i=o.getUint32(n+8*e,r),l=o.getUint32(n+8*e+4,r);if(l+i>t.length)throw new _.i18n.LocaleException("Invalid MO data: string #"+e+" is out of bounds",_.i18n.LocaleException.MO_DATA);return function(n,e){if("undefined"!=typeof TextDecoder)try{return new TextDecoder(e).decode(n)}catch(n){}var t="",r=0;if(/^(iso-8859-1|latin1|us-ascii|ascii)$/i.test(e)){for(r=0;r<n.length;r++)t+=String.fromCharCode(n[r]);return t}for(;r<n.length;){var o,a=n[r++];(o=a<128?a:a<224?(31&a)<<6|63&n[r++]:a<240?(15&a)<<12|(63&n[r++])<<6|63&n[r++]:(7&a)<<18|(63&n[r++])<<12|(63&n[r++])<<6|63&n[r++])>65535?(o-=65536,t+=String.fromCharCode(55296+(o>>10),56320+(1023&o))):t+=String.fromCharCode(o)}return t}(t.subarray(l,l+i),a)};if(i+8*a>t.length||l+8*a>t.length)throw new _.i18n.LocaleException("Invalid MO data: string tables are out of bounds",_.i18n.LocaleException.MO_DATA);var c,s="utf-8";for(c=0;c<a;c++)if(0===o.getUint32(i+8*c,r)){var f=u(l,c,"utf-8").match(/charset\s*=\s*([^\s;]+)/i);f&&"CHARSET"!==f[1].toUpperCase()&&(s=f[1]);break}var p=[];for(c=0;c<a;c++){var d=h(),m=u(i,c,s).split("\0"),v=u(l,c,s),x=m[0].indexOf("");-1!==x&&(d.msgctxt=m[0].substr(0,x),m[0]=m[0].substr(x+1)),d.msgid=m[0],m.length>1&&(d.msgid_plural=m[1]),d.msgstr=null!==d.msgid_plural?v.split("\0"):[v],p.push(d)}return y(p,e)}}),_.i18n.LocaleCompiled={VERSION:1,hash:function(n){var e,t=3735928559,r=1103547991;n=String(n);for(var o=0;o<n.length;o++)e=n.charCodeAt(o),t=Math.imul(t^e,2654435761),r=Math.imul(r^e,1597334677);return t=Math.imul(t^t>>>16,2246822507)^Math.imul(r^r>>>13,3266489909),(4294967296*(2097151&(r=Math.imul(r^r>>>16,2246822507)^Math.imul(t^t>>>13,3266489909)))+(t>>>0)).toString(36)},isCompiled:function(n){return null!==n&&"object"==typeof n&&1===n.version&&null!==n.data&&"object"==typeof n.data&&(null===n.evaluate||"function"==typeof n.evaluate)}},_.i18n.LocaleFormatter=(x=/%%|%(?:([1-9]\d*)\$|\(([^)]+)\))?(\+)?(0|'[\s\S])?(-)?(\d+)?(?:\.(\d+))?([bcdeEfgiosuxXj])|\{\s*([A-Za-z_$][\w$]*|\d+)\s*(?:,\s*([A-Za-z]+)\s*(?:,\s*([^{}]*?)\s*)?)?\}/g,L=function(n,e,t){var r=t?parseInt(n,10):parseFloat(n);if(isNaN(r))throw new _.i18n.LocaleException("Expecting a number for placeholder '"+e+"', got: "+n,_.i18n.LocaleException.INVALID_VALUE,{key:e,actual:n});return r},{format:function(n,e,t){e=e||[],t=t||{},n=String(n);var r,o=1===e.length&&null!==(r=e[0])&&"object"==typeof r&&"[object Object]"===Object.prototype.toString.call(r),a=o?e[0]:e,i=t.escape||String,l=t.escapeValue||String,u=0,c=0,s="";return n.replace(x,function(e,r,f,p,d,g,h,m,v,y,x,w,b){var A;if(s+=i(n.substring(c,b)),c=b+e.length,"%%"===e)s+=i("%");else if(void 0!==y)(o||t.braces)&&Object.prototype.hasOwnProperty.call(a,y)&&void 0!==a[y]?void 0!==x&&t.formatArgument?s+=l(t.formatArgument(a[y],x,void 0===w?null:w)):s+=l(String(a[y])):s+=i(e);else{if(void 0===(A=void 0!==f?a[f]:void 0!==r?a[parseInt(r,10)-1]:a[u++]))throw new _.i18n.LocaleException("Missing value for placeholder '"+e+"'",_.i18n.LocaleException.INVALID_VALUE,{key:e});s+=l(function(n,e,t,r,o,a,i,l){var u,c=!1,s="";switch(l){case"b":n=(L(n,e,!0)>>>0).toString(2);break;case"c":n=String.fromCharCode(L(n,e,!0));break;case"d":case"i":n=L(n,e,!0),c=!0;break;case"e":case"E":u=L(n,e,!1),n=void 0!==i?u.toExponential(parseInt(i,10)):u.toExponential(),"E"===l&&(n=n.toUpperCase()),c=!0;break;case"f":u=L(n,e,!1),n=void 0!==i?u.toFixed(parseInt(i,10)):String(u),c=!0;break;case"g":u=L(n,e,!1),n=String(void 0!==i?Number(u.toPrecision(parseInt(i,10))):u),c=!0;break;case"o":n=(L(n,e,!0)>>>0).toString(8);break;case"u":n=L(n,e,!0)>>>0;break;case"x":n=(L(n,e,!0)>>>0).toString(16);break;case"X":n=(L(n,e,!0)>>>0).toString(16).toUpperCase();break;case"j":n=JSON.stringify(n,null,void 0!==i?parseInt(i,10):0);break;default:n=String(n),void 0!==i&&(n=n.substring(0,parseInt(i,10)))}n=String(n),c&&("-"===n.charAt(0)?(s="-",n=n.substr(1)):t&&(s="+"));var f=r?"0"===r?"0":r.charAt(1):" ",p=void 0!==a?parseInt(a,10)-(s+n).length:0,d=p>0?new Array(p+1).join(f):"";return o?s+n+d.replace(/0/g," "):"0"===f?s+d+n:d+s+n}(A,e,p,d,g,h,m,v))}return e}),s+i(n.substring(c))},placeholders:function(n){var e,t={},r=0;(n=String(n)).replace(x,function(n,e,o,a,i,l,u,c,s,f,p){return"%%"===n||(void 0!==f?t[f]=void 0!==p?p:null:void 0!==o?t[o]=s:void 0!==e?t["%"+e]=s:t["%"+ ++r]=s),n});for(var o=/\{\s*([A-Za-z_$][\w$]*|\d+)\s*,\s*(plural|selectordinal|select)\s*,/g;null!==(e=o.exec(n));)t[e[1]]=e[2];return t}}),_.i18n.LocaleMessageFormat=function(){var n={},e=function(n,e){return Object.prototype.hasOwnProperty.call(n,e)},t=function(t){if(t=String(t),e(n,t))return n[t];var r,o=0,a=t.length,i=function(n,e){throw new _.i18n.LocaleException(n+" at position "+e+":\n"+t+"\n"+new Array(e+1).join(" ")+"^",_.i18n.LocaleException.MESSAGE_SYNTAX,{key:t,position:e})},l=function(){for(;o<a&&/\s/.test(t.charAt(o));)o++},u=function(){for(var n=o;o<a&&!/[\s{},#']/.test(t.charAt(o));)o++;return t.substring(n,o)},c=function(n){for(var e,i,l=[],u="";o<a;)if("{"===(e=t.charAt(o))||"}"===e||"#"===e&&n){if(""!==u&&l.push(u),u="","}"===e)break;"#"===e?(l.push({type:"pound"}),o++):l.push(r(n))}else if("'"===e)if("'"===(i=t.charAt(o+1)))u+="'",o+=2;else if("{"===i||"}"===i||"|"===i||"#"===i&&n)for(o++;o<a;){if("'"===(e=t.charAt(o))){if("'"!==t.charAt(o+1)){o++;break}o++}u+=e,o++}else u+=e,o++;else u+=e,o++;return""!==u&&l.push(u),l};r=function(n){var r,s,f,p,d,g=o,h=0,m={};if(o++,l(),""===(r=u())&&i("Missing argument name",o),l(),"}"===t.charAt(o))return o++,{type:"argument",name:r,format:null,style:null};if(","!==t.charAt(o)&&i("Expecting ',' or '}'",o),o++,l(),""===(s=u())&&i("Missing argument type",o),l(),"plural"===s||"selectordinal"===s||"select"===s){if(","!==t.charAt(o)&&i("Expecting ',' after '"+s+"'",o),o++,l(),"select"!==s&&"offset:"===t.substr(o,7)){o+=7,l();var v=t.substr(o).match(/^\d+/);v||i("Expecting a number after 'offset:'",o),h=parseInt(v[0],10),o+=v[0].length,l()}for(;o<a&&"}"!==t.charAt(o);)d=o,""===(p=u())&&i("Expecting a selector",o),e(m,p)&&i("Duplicate selector '"+p+"'",d),l(),"{"!==t.charAt(o)&&i("Expecting '{' after selector '"+p+"'",o),o++,m[p]=c("select"!==s||n),"}"!==t.charAt(o)&&i("Unclosed '{' of selector '"+p+"'",d),o++,l();return o>=a&&i("Unclosed argument '"+r+"'",g),e(m,"other")||i("Missing the 'other' option of argument '"+r+"'",g),o++,"select"===s?{type:"select",name:r,options:m}:{type:"plural",name:r,ordinal:"selectordinal"===s,offset:h,options:m}}if(f=null,","===t.charAt(o)){for(var y=++o,x=0;o<a&&("}"!==t.charAt(o)||x>0);)"{"===t.charAt(o)?x++:"}"===t.charAt(o)&&x--,o++;f=t.substring(y,o).trim()}return"}"!==t.charAt(o)&&i("Unclosed argument '"+r+"'",g),o++,{type:"argument",name:r,format:s,style:f}};var s=c(!1);return o<a&&i("Unexpected '}'",o),n[t]=s},r=function(n,t){if(!e(n,t)||void 0===n[t])throw new _.i18n.LocaleException("Missing value for argument '"+t+"'",_.i18n.LocaleException.INVALID_VALUE,{key:t});return n[t]},o=function(n,t,a,i){for(var l,u,c,s="",f=0;f<n.length;f++)if("string"==typeof(l=n[f]))s+=a.escape?a.escape(l):l;else if("pound"===l.type)u=a.formatArgument?a.formatArgument(i,"number",null):String(i),s+=a.escapeValue?a.escapeValue(u):u;else if("argument"===l.type)u=r(t,l.name),u=a.formatArgument?a.formatArgument(u,l.format,l.style):String(u),s+=a.escapeValue?a.escapeValue(u):u;else if("select"===l.type)u=String(r(t,l.name)),c=e(l.options,u)?l.options[u]:l.options.other,s+=o(c,t,a,i);else{if(u=Number(r(t,l.name)),isNaN(u))throw new _.i18n.LocaleException("Expecting a number for argument '"+l.name+"', got: "+t[l.name],_.i18n.LocaleException.INVALID_VALUE,{key:l.name,actual:t[l.name]});if(e(l.options,"="+u))c=l.options["="+u];else{var p=a.pluralCategory?a.pluralCategory(u-l.offset,l.ordinal):u-l.offset===1?"one":"other";c=e(l.options,p)?l.options[p]:l.options.other}s+=o(c,t,a,u-l.offset)}return s};return{parse:t,format:function(n,e,r){return o(t(n),e||{},r||{},null)}}}(),_.i18n.LocaleIntl=function(){var n={},e=[["second",1],["minute",60],["hour",3600],["day",86400],["week",604800],["month",2629800],["year",31557600]],t=["short","medium","long","full"],r=function(n){var e=String(n||"").replace(/[.@].*$/,"").replace(/_/g,"-");if(""!==e){if("undefined"==typeof Intl||"function"!=typeof Intl.getCanonicalLocales)return e;try{return Intl.getCanonicalLocales(e)[0]}catch(n){return}}},o=function(n){var e=n instanceof Date?n:new Date(n);if(isNaN(e.getTime()))throw new _.i18n.LocaleException("Expecting a date, got: "+n,_.i18n.LocaleException.INVALID_VALUE,{actual:n});return e},a=function(n){var e=Number(n);if(null===n||""===n||isNaN(e))throw new _.i18n.LocaleException("Expecting a number, got: "+n,_.i18n.LocaleException.INVALID_VALUE,{actual:n});return e},i=function(e,o,a){var i=r(e),l=[i,o,null!==a&&"object"==typeof a?JSON.stringify(a):a].join("|"),u=function(n,e){if(null!==e&&"object"==typeof e)return e;switch(null!=e&&""!==e||(e=null),n){case"number":if(null===e)return{};if("integer"===e)return{maximumFractionDigits:0};if("percent"===e)return{style:"percent"};if("compact"===e)return{notation:"compact"};if(/^currency:[A-Za-z]{3}$/.test(e))return{style:"currency",currency:e.substr(9).toUpperCase()};break;case"date":case"time":if(null===e&&(e="medium"),-1!==t.indexOf(e))return"date"===n?{dateStyle:e}:{timeStyle:e};break;case"relative":return{numeric:"auto"}}throw new _.i18n.LocaleException("Unknown '"+n+"' style: '"+e+"'",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:e})}(o,a);if(void 0!==n[l])return n[l];if("undefined"==typeof Intl)return null;switch(o){case"number":n[l]=new Intl.NumberFormat(i,u);break;case"relative":n[l]="function"==typeof Intl.RelativeTimeFormat?new Intl.RelativeTimeFormat(i,u):null;break;default:n[l]=new Intl.DateTimeFormat(i,u)}return n[l]};return{toLanguageTag:r,format:function(n,t,r,l){var u;if(null==r)if("number"==typeof t&&isFinite(t))r="number";else{if(!(t instanceof Date)||isNaN(t.getTime()))return String(t);r="date"}switch(r){case"number":t=a(t);break;case"date":case"time":t=o(t);break;case"relative":return function(n,t,r){var l,u,c=r;if(null==c||""===c)for(var s=(o(t).getTime()-Date.now())/1e3,f=0;f<e.length&&(c=e[f][0],l=Math.round(s/e[f][1]),!(f+1===e.length||Math.abs(s)<e[f+1][1]));f++);else{if(!/^(second|minute|hour|day|week|month|quarter|year)s?$/.test(c))throw new _.i18n.LocaleException("Unknown 'relative' style: '"+c+"'",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:c});l=a(t)}return null!==(u=i(n,"relative",null))?u.format(l,c):l+" "+c}(n,t,l);default:throw new _.i18n.LocaleException("Unknown argument type: '"+r+"'",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:r})}return null!==(u=i(n,r,void 0===l?null:l))?u.format(t):String(t)}}}(),_.i18n.LocaleEncoder=(w={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;","`":"&#096;","\n":"&#10;","\r":"&#13;"},b=function(n){return"\\u"+("0000"+n.charCodeAt(0).toString(16).toUpperCase()).slice(-4)},A={html:function(n){return String(n).replace(/[&<>"']/g,function(n){return w[n]}).replace(/\r?\n/g,"<br/>")},htmlAttr:function(n){return String(n).replace(/[&<>"'`\n\r]/g,function(n){return w[n]})},js:function(n){return String(n).replace(/[\\'"`]/g,"\\$&").replace(/[\u0000-\u001F\u007F<>&$\u2028\u2029]/g,b)},url:function(n){return encodeURIComponent(String(n)).replace(/[!'()*]/g,function(n){return"%"+n.charCodeAt(0).toString(16).toUpperCase()})},markdown:function(n){return String(n).replace(/[\\`*_{}\[\]()#+\-.!|<>~]/g,"\\$&")},raw:function(n){return String(n)}},{get:E=function(n){if("function"==typeof n)return n;if("string"!=typeof n||!Object.prototype.hasOwnProperty.call(A,n))throw new _.i18n.LocaleException("Unknown encoder: '"+n+"'",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:n});return A[n]},encode:function(n,e){return E(n)(e)},register:function(n,e){if("function"!=typeof e)throw new TypeError("The '"+n+"' encoder must be a function");A[n]=e}}),_.i18n.LocaleRichText=function(){var n=/<(\/?)([A-Za-z][\w-]*)\s*(\/?)>/g,e={},t=function(t){if(t=String(t),Object.prototype.hasOwnProperty.call(e,t))return e[t];var r,o,a,i={tag:null,children:[],position:0},l=[i],u=0;for(n.lastIndex=0;null!==(r=n.exec(t));)if(o=l[l.length-1],r.index>u&&o.children.push(t.substring(u,r.index)),u=n.lastIndex,"/"!==r[1])a={tag:r[2],children:[],position:r.index},o.children.push(a),"/"===r[3]?(delete a.position,a.empty=!0):l.push(a);else{if(o.tag!==r[2])throw new _.i18n.LocaleException("Unexpected closing tag '</"+r[2]+">' at position "+r.index+" in rich-text message: '"+t+"'",_.i18n.LocaleException.MESSAGE_SYNTAX,{key:t,expected:o.tag,actual:r[2],position:r.index});delete o.position,l.pop()}if(l.length>1)throw a=l[l.length-1],new _.i18n.LocaleException("Unclosed tag '<"+a.tag+">' at position "+a.position+" in rich-text message: '"+t+"'",_.i18n.LocaleException.MESSAGE_SYNTAX,{key:t,expected:a.tag,position:a.position});return u<t.length&&i.children.push(t.substring(u)),e[t]=i.children},r=function(n,e,t,o){for(var a,i,l,u,c,s="html"===t?"":"dom"===t?o.document.createDocumentFragment():[],f=0;f<n.length;f++)if("string"!=typeof(a=n[f])){if(!e||!Object.prototype.hasOwnProperty.call(e,a.tag)||"function"!=typeof e[a.tag]&&"string"!=typeof e[a.tag])throw new _.i18n.LocaleException("Unknown tag '<"+a.tag+">' in rich-text message: no renderer given for it",_.i18n.LocaleException.UNKNOWN_TAG,{key:a.tag});i=e[a.tag],l=r(a.children,e,t,o),"html"===t?s+="string"!=typeof i?String(i(l,a.tag)):a.empty?"<"+i+"/>":"<"+i+">"+l+"</"+i+">":"dom"===t?("string"==typeof i?(u=o.document.createElement(i)).appendChild(l):u=i(l,a.tag),s.appendChild(u)):(o.key++,s.push("string"==typeof i?{tag:i,children:l}:i(l,a.tag,o.key)))}else c=o.text(a),"html"===t?s+=_.i18n.LocaleEncoder.encode("html",c):"dom"===t?s.appendChild(o.document.createTextNode(c)):s.push(c);return s};return{parse:t,render:function(n,e,o,a){if(a=a||{},"html"!==(o=o||"html")&&"dom"!==o&&"nodes"!==o)throw new _.i18n.LocaleException("Unknown rich-text output: '"+o+"'",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:o});var i={document:a.document||("undefined"!=typeof document?document:null),key:0,text:a.text||String};if("dom"===o&&null===i.document)throw new _.i18n.LocaleException("No document to render the rich-text message with",_.i18n.LocaleException.UNKNOWN_FORMAT,{actual:o});return r(t(n),e,o,i)}}}(),_.i18n.LocalePseudo=(O={A:"Å",B:"Ɓ",C:"Ç",D:"Đ",E:"É",F:"Ƒ",G:"Ĝ",H:"Ĥ",I:"Î",J:"Ĵ",K:"Ķ",L:"Ļ",M:"Ṁ",N:"Ñ",O:"Ö",P:"Þ",Q:"Ǫ",R:"Ŕ",S:"Š",T:"Ŧ",U:"Û",V:"Ṽ",W:"Ŵ",X:"Ẋ",Y:"Ý",Z:"Ž",a:"å",b:"ƀ",c:"ç",d:"đ",e:"é",f:"ƒ",g:"ĝ",h:"ĥ",i:"î",j:"ĵ",k:"ķ",l:"ļ",m:"ɱ",n:"ñ",o:"ö",p:"þ",q:"ǫ",r:"ŕ",s:"š",t:"ŧ",u:"û",v:"ṽ",w:"ŵ",x:"ẋ",y:"ý",z:"ž"},I=/%%|%(?:\d+\$|\([^)]+\))?\+?(?:0|'[\s\S])?-?\d*(?:\.\d+)?[bcdeEfgiosuxXj]|\{[^{}]*\}|<\/?[A-Za-z][^<>]*>|&#?\w+;/g,N={accents:!0,padding:.3,prefix:"[",suffix:"]",rtl:!1},P=function(n){var e={};for(var t in n=n||{},N)e[t]=void 0!==n[t]?n[t]:N[t];return e},{transform:function(n,e){e=P(e),n=String(n);var t,r="",o=0,a=0;for(I.lastIndex=0;null!==(t=I.exec(n));)a+=t.index-o,r+=S(n.substring(o,t.index),e)+t[0],o=t.index+t[0].length;a+=n.length-o,r+=S(n.substring(o),e);var i=D(a,e);return i[0]+r+i[1]},transformText:S=function(n,e){return e=P(e),""===(n=String(n))?n:(e.accents&&(n=n.replace(/[A-Za-z]/g,function(n){return O[n]})),e.rtl?"‮"+n+"‬":n)},brackets:D=function(n,e){e=P(e);var t=Math.ceil(n*e.padding);return[e.prefix,(t>0?" "+new Array(t+1).join("~"):"")+e.suffix]}}),_.i18n.LocaleDOM=function(n,e,t){var r="[data-i18n], [data-i18n-attr]";if(!(n instanceof _.i18n.Locale))throw new TypeError("LocaleDOM expects a CorbeauPerdu.i18n.Locale instance");t=t||{};var o=n,a=n.withEncoder(null),i=e||("undefined"!=typeof document?document:null),l=new WeakMap,u=null,c=[],s=this;if(null===i)throw new TypeError("LocaleDOM needs a root element or document to translate");var f=function(n,e){var t=n.closest("[data-i18n-domain]"),r=null!==t?t.getAttribute("data-i18n-domain"):null,o=n.hasAttribute("data-i18n-context")?n.getAttribute("data-i18n-context"):null,i=n.hasAttribute("data-i18n-plural")?n.getAttribute("data-i18n-plural"):null,l=null!==i?parseFloat(n.getAttribute("data-i18n-n")):null,u=[];if(n.hasAttribute("data-i18n-args")){var c=JSON.parse(n.getAttribute("data-i18n-args"));u=Array.isArray(c)?c:[c]}else null!==i&&(u=[l]);return null===i?null!==r?a.dpgettext.apply(null,[r,o,e].concat(u)):a.pgettext.apply(null,[o,e].concat(u)):null!==r?a.dnpgettext.apply(null,[r,o,e,i,l].concat(u)):a.npgettext.apply(null,[o,e,i,l].concat(u))},p=function(n){try{var e=function(n){var e=l.get(n);return void 0===e&&(e={text:n.textContent.trim(),attributes:{}},l.set(n,e)),e}(n);if(n.hasAttribute("data-i18n")){var t=n.getAttribute("data-i18n")||e.text,r=f(n,t);n.textContent!==r&&(n.textContent=r)}if(n.hasAttribute("data-i18n-attr"))for(var o=n.getAttribute("data-i18n-attr").split(/[\s,]+/),a=0;a<o.length;a++)""!==o[a]&&(n.hasAttribute(o[a])||Object.prototype.hasOwnProperty.call(e.attributes,o[a]))&&(Object.prototype.hasOwnProperty.call(e.attributes,o[a])||(e.attributes[o[a]]=n.getAttribute(o[a])),n.setAttribute(o[a],f(n,e.attributes[o[a]])))}catch(n){console.error(n)}};if(this.translate=function(n){1===(n=n||i).nodeType&&n.matches(r)&&p(n);for(var e=n.querySelectorAll(r),t=0;t<e.length;t++)p(e[t])},this.disconnect=function(){for(null!==u&&u.disconnect(),u=null;c.length>0;)c.pop()()},this.translate(),c.push(o.on("languagechange",function(){s.translate()})),c.push(o.on("domainloaded",function(){s.translate()})),c.push(o.on("domainunloaded",function(){s.translate()})),!1!==t.observe){var d=(i.ownerDocument||i).defaultView,g=d&&d.MutationObserver||("undefined"!=typeof MutationObserver?MutationObserver:null);null!==g?(u=new g(function(n){for(var e=0;e<n.length;e++)if("attributes"!==n[e].type)for(var t=0;t<n[e].addedNodes.length;t++)1===n[e].addedNodes[t].nodeType&&s.translate(n[e].addedNodes[t]);else p(n[e].target)})).observe(i,{childList:!0,subtree:!0,attributes:!0,attributeFilter:["data-i18n","data-i18n-domain","data-i18n-context","data-i18n-plural","data-i18n-n","data-i18n-args","data-i18n-attr"]}):console.warn("LocaleDOM: no MutationObserver, the inserted elements won't be translated")}},_.i18n.LocaleReact=function(n){var e=["languagechange","domainloaded","domainunloaded"];if(!n||"function"!=typeof n.createContext)throw new TypeError("LocaleReact expects the React module");var t=n.createContext(null),r=function(e,t,r){return n.createElement.apply(n,[e,t].concat(r))},o=function(){var e=n.useContext(t);if(null===e)throw new TypeError("useLocale() must be used under a LocaleProvider");return e};return{LocaleProvider:function(r){if(!(r.locale instanceof _.i18n.Locale))throw new TypeError("LocaleProvider expects a CorbeauPerdu.i18n.Locale instance as 'locale'");var o=n.useState(0),a=r.locale;n.useEffect(function(){var n=function(){o[1](function(n){return n+1})},t=e.map(function(e){return a.on(e,n)});return function(){for(;t.length>0;)t.pop()()}},[a]);var i=n.useMemo(function(){var n=a.withEncoder(null);return n.locale=a,n.lang=a.getLang(),n},[a,o[0]]);return n.createElement(t.Provider,{value:i},r.children)},useLocale:o,Trans:function(e){var t=o(),a=e.components||{},i={};Object.keys(a).forEach(function(e){var t;i[e]=(t=a[e],function(e,o,a){return n.isValidElement(t)?e.length>0?n.cloneElement.apply(n,[t,{key:a}].concat(e)):n.cloneElement(t,{key:a}):r(t,{key:a},e)})});var l={output:"nodes",values:e.values,context:e.context,plural:e.plural,n:e.n};void 0===l.values&&void 0!==l.plural&&(l.values=[l.n]);try{var u=void 0!==e.domain?t.locale.drich(e.domain,e.message,i,l):t.locale.rich(e.message,i,l);return r(n.Fragment,null,u)}catch(t){return console.error(t),n.createElement(n.Fragment,null,e.message)}}}},_.i18n.LocaleVue=function(n){var e=["languagechange","domainloaded","domainunloaded"],t="function"==typeof Symbol?Symbol("CorbeauPerdu.i18n.LocaleVue"):"CorbeauPerdu.i18n.LocaleVue";if(!n||"function"!=typeof n.h||"function"!=typeof n.shallowRef)throw new TypeError("LocaleVue expects the Vue 3 module");return{install:function(r,o){var a=(o||{}).locale;if(!(a instanceof _.i18n.Locale))throw new TypeError("LocaleVue expects a CorbeauPerdu.i18n.Locale instance as 'locale' option");var i=n.shallowRef(0),l=function(n,e){var t=n.withEncoder(null),r={locale:n};return Object.keys(t).forEach(function(n){r[n]=function(){return e.value,t[n].apply(null,arguments)}}),Object.defineProperty(r,"lang",{enumerable:!0,get:function(){return e.value,n.getLang()}}),r}(a,i),u=new Map,c=function(n){try{var e=function(n,e){if(null===e||"object"!=typeof e)return n.gettext(String(e));var t=void 0!==e.domain?e.domain:null,r=void 0!==e.context?e.context:null,o=void 0!==e.plural?e.plural:null,a=[];return void 0!==e.values?a=Array.isArray(e.values)?e.values:[e.values]:null!==o&&(a=[e.n]),null===o?null!==t?n.dpgettext.apply(null,[t,r,e.message].concat(a)):n.pgettext.apply(null,[r,e.message].concat(a)):null!==t?n.dnpgettext.apply(null,[t,r,e.message,o,e.n].concat(a)):n.npgettext.apply(null,[r,e.message,o,e.n].concat(a))}(l,u.get(n));n.textContent!==e&&(n.textContent=e)}catch(n){console.error(n)}},s=e.map(function(n){return a.on(n,function(){i.value++,u.forEach(function(n,e){c(e)})})});"function"==typeof r.onUnmount&&r.onUnmount(function(){for(;s.length>0;)s.pop()()}),r.provide(t,l),r.config.globalProperties.$locale=l,r.config.globalProperties.$t=l.gettext,r.config.globalProperties.$tn=l.ngettext,r.directive("t",{mounted:function(n,e){u.set(n,e.value),c(n)},updated:function(n,e){u.set(n,e.value),c(n)},unmounted:function(n){u.delete(n)}}),r.component("Trans",function(e){return{name:"Trans",props:{message:{type:String,required:!0},plural:{type:String,default:void 0},n:{type:Number,default:void 0},domain:{type:String,default:void 0},context:{type:String,default:void 0},values:{type:[Array,Object],default:void 0},components:{type:Object,default:function(){return{}}}},setup:function(t,r){return function(){var o={},a=r.slots;Object.keys(a).concat(Object.keys(t.components)).forEach(function(e){o[e]=function(r,o,i){return"function"==typeof a[e]?n.h(n.Fragment,{key:i},a[e]({content:function(){return r}})):n.h(t.components[e],{key:i},"string"==typeof t.components[e]?r:{default:function(){return r}})}});var i={output:"nodes",values:t.values,context:t.context,plural:t.plural,n:t.n};void 0===i.values&&void 0!==i.plural&&(i.values=[i.n]),e.lang;try{return void 0!==t.domain?e.locale.drich(t.domain,t.message,o,i):e.locale.rich(t.message,o,i)}catch(n){return console.error(n),t.message}}}}}(l))},useLocale:function(){var e=n.inject(t,null);if(null===e)throw new TypeError("useLocale() must be used in an app with the LocaleVue plugin installed");return e}}},_.i18n.LocaleException=class extends Error{constructor(n,e,t){for(var r in super(n),this.name="LocaleException",this.code=e,t||{})void 0!==t[r]&&(this[r]=t[r])}},_.i18n.LocaleException.INVALID_JSON=1,_.i18n.LocaleException.BAD_NPLURALS=2,_.i18n.LocaleException.MISSING_PLURAL=3,_.i18n.LocaleException.PLURAL_MISMATCH=4,_.i18n.LocaleException.PLURAL_COUNT_MISMATCH=5,_.i18n.LocaleException.INVALID_NUMBER=6,_.i18n.LocaleException.INVALID_PLURAL_CHAR=7,_.i18n.LocaleException.PLURAL_SYNTAX=8,_.i18n.LocaleException.PO_SYNTAX=9,_.i18n.LocaleException.MO_DATA=10,_.i18n.LocaleException.INVALID_FALLBACK=11,_.i18n.LocaleException.LOAD_FAILED=12,_.i18n.LocaleException.UNKNOWN_FORMAT=13,_.i18n.LocaleException.INVALID_VALUE=14,_.i18n.LocaleException.MESSAGE_SYNTAX=15,_.i18n.LocaleException.EMPTY_TRANSLATION=16,_.i18n.LocaleException.PLACEHOLDER_MISMATCH=17,_.i18n.LocaleException.UNKNOWN_TAG=18,_.i18n.LocaleException.INVALID_DOMAIN=19,_.i18n});
@@ -0,0 +1,5573 @@
+/**
+ * Locale class wrapper to get translations data from a JSON array object
+ * 
+ * MIT License
+ * 
+ * Copyright (c) 2020 Patrick Roy
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * Usage:
+ * <pre>
+ * <script src="Locale.js"></script>
+ *
+ * <script>
+ * var lang = "fr_FR";
+ * var defaultDomainName = "main";
+ * var defaultDomainData = {"":{"domain":"main","language":"fr_FR","nplurals":"1","plural":"(n > 1)"},"User Listing":"Gestion des usagers","Search":"Recherche","Home":"Accueil","Modify":"Modifier"};
+ * var useCustomPluralForms = true;
+ * var debug = true;
+ *
+ * init locale with default domain data
+ * locale = new CorbeauPerdu.i18n.Locale(lang, defaultDomainName, defaultDomainData, useCustomPluralForms, debug);
+ *
+ * load additional domain:
+ * locale.loadDomain("navbar", {"":{"domain":"navbar","language":"fr_FR","nplurals":"1","plural":"(n > 1)"},"Home":"Accueil","User management":"Gestion des usagers","Logout":"Déconnexion"});
+ *
+ * load additional domain from a gettext .po file's content (or .mo file's content as an ArrayBuffer, with loadDomainMO()):
+ * locale.loadDomainPO("emails", poFileContent);
+ *
+ * load additional domain from a catalog compiled ahead of time with locale-compile (validated, plural rule compiled, optionally hashed keys):
+ * import navbarCatalog from "./i18n/fr_FR/navbar.js"; // npx locale-compile --hash i18n/fr_FR/navbar.json
+ * locale.loadCompiledDomain("navbar", navbarCatalog);
+ *
+ * share the catalogs between the page's components: lightweight Locale views of a registry, sharing its translations and plural rules:
+ * var registry = new CorbeauPerdu.i18n.LocaleRegistry();
+ * registry.loadDomain("fr_FR", "main", frMainData);             // loaded once for all the "fr_FR" views, notified with a "domainloaded" event
+ * var widgetLocale = registry.createLocale("fr_FR", "widgets"); // a Locale bound to a language and a default domain
+ * registry.release(widgetLocale);                               // stop notifying a view no longer used
+ *
+ * encode all returned messages for their output ("html", "htmlAttr", "js", "url", "markdown" or "raw"), for all the domains, a domain, or a single call:
+ * locale.setEncoder("html");                    // same as setFormatMessages4Web(true): '<' becomes '&lt;' and linebreaks '\n' become '<br/>'
+ * locale.setEncoder("raw", "emails");           // the "emails" domain isn't encoded
+ * locale.withEncoder("url")._("search %s", q);  // the message and the placeholder values are encoded separately
+ * locale.setFormatMessages4WebInclPlaceholders(false); // don't encode the placeholder values (only if already encoded or trusted), default is true
+ *
+ * pseudo-localize all the returned messages, to test the layouts and spot the hard-coded strings before the real translations arrive:
+ * locale.setPseudoLocalization(true);             // "Home" becomes "[Ĥöɱé ~~]", placeholders and markup are left intact
+ * locale.setPseudoLocalization({ rtl: true });    // also mirrored, to test right-to-left layouts (options: accents, padding, prefix, suffix, rtl)
+ * locale.setPseudoLocalization(null);             // turn it off
+ *
+ * load domains from urls, asynchronously (JSON data, or .po / .mo files): concurrent loads of the same domain share the same request
+ * locale.setDomainLoader({
+ *   path: "/i18n/{lang}/{domain}.json", // url template used when no url is given to loadDomainFrom()
+ *   cache: "localStorage",              // or "indexedDB", or your own { getItem(key), setItem(key, value) } object
+ *   version: "3f2a1c",                  // catalogs version: cached domains are only used if cached with the same version
+ *   lazy: true,                         // fetch domains not loaded yet on their first lookup
+ *   fetch: myFetch                      // optional: defaults to the browser's fetch()
+ * });
+ * locale.loadDomainFrom("navbar").then(function(locale) { ... });
+ * locale.loadDomainFrom("emails", "/i18n/fr_FR/emails.po");
+ * locale.ready().then(function(locale) { ... }); // once all the pending loads are done
+ *
+ * switch the running language: the domains loaded from a "{lang}" url are reloaded, then swapped in all at once
+ * locale.setLang("de_DE").then(function(locale) { ... });
+ * locale.setLang("de_DE", { "main": deMainData }); // or give the new language's translations of some domains
+ * // the other domains (i.e. the default domain given to the constructor, if not given here: it has no "{lang}" url) are unloaded, with "domainunloaded" events
+ *
+ * subscribe to events ("languagechange", "domainloaded", "domainunloaded" and "missingkey"), i.e. to re-render the page:
+ * var unsubscribe = locale.on("languagechange", function(event) { console.log(event.previousLang + " -> " + event.lang); });
+ * locale.off("languagechange", handler); // or unsubscribe();
+ *
+ * collect the missing translations while the app is running (i.e. during a QA run), then export them as a gettext POT template or JSON:
+ * locale.setMissingCollector({ onMissing: function(entry) { console.log(entry.domain + ': ' + entry.msgid + ' x' + entry.hits); } }); // the handler is optional
+ * console.log(locale.getMissing());            // [{ lang, domain, msgctxt, msgid, msgid_plural, hits, undefinedDomain }, ...]
+ * var pot = locale.exportMissing("pot", "navbar"); // or exportMissing("json"), for all the domains when none given
+ * locale.setMissingCollector(null);            // stop collecting; locale.clearMissing() forgets the collected translations
+
+ * get translations:
+ * locale.gettext("User Listing");                                         // can also use locale._(...)
+ * locale.ngettext("You have one contract", "You have %d contracts", 6);   // can also use locale._n(...)
+ * locale.dgettext("navbar","Logout");                                     // can also use locale._d(...)
+ * locale.dngettext("navbar","You have one mail", "You have %d mails", 6); // can also use locale._dn(...)
+ *
+ * get translations with a context (gettext's msgctxt), for the same message having different meanings:
+ * locale.pgettext("verb", "Open");                                                  // can also use locale._p(...)
+ * locale.npgettext("status", "%d file open", "%d files open", 6, 6);                // can also use locale._np(...)
+ * locale.dpgettext("navbar", "verb", "Open");                                       // can also use locale._dp(...)
+ * locale.dnpgettext("navbar", "status", "%d file open", "%d files open", 6, 6);     // can also use locale._dnp(...)
+ *
+ * get ICU MessageFormat translations, with plural (using the domain's plural rule), selectordinal and select arguments in one message:
+ * locale.format("{user} liked {count, plural, one {# photo} other {# photos}} of {gender, select, female {hers} male {his} other {theirs}}", { user: "John", count: 3, gender: "male" });
+ * locale.dformat("navbar", "{count, plural, =0 {No mail} one {One mail} other {# mails}}", { count: 6 });
+ * locale.format("{count, plural, one {# photo} other {# photos}}", { count: 1.5 }); // "1.5 photos": decimal numbers get their CLDR category (i.e. "1,5 photo" in French)
+ *
+ * get rich-text translations, with inline tags rendered by your renderers (tags without renderer are rejected), the text being escaped:
+ * locale.rich("Read the <link>terms</link>, %s", { link: function(content) { return '<a href="/terms">' + content + '</a>'; } }, { values: [userName] });
+ * locale.rich("Read the <link>terms</link>", { link: "a" }, { output: "dom" });       // DocumentFragment, or output: "nodes" for an array of nodes (React, Vue...)
+ * locale.drich("navbar", "<b>%d</b> new mail", { b: "strong" }, { plural: "<b>%d</b> new mails", n: 6, values: [6] });
+ *
+ * translate the page's elements declaratively with data attributes: translated when bound, when inserted later on, and on each language change
+ * <h1 data-i18n="User Listing"></h1>
+ * <p data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="6" data-i18n-domain="navbar"></p>
+ * <p data-i18n="Welcome, {name}!" data-i18n-args='{"name": "John"}'></p>
+ * <input placeholder="Search" title="Search the users" data-i18n-attr="placeholder title">
+ * var binding = new CorbeauPerdu.i18n.LocaleDOM(locale, document.body); // binding.disconnect() to stop
+ * or with React / Vue, re-rendering on each language change and domain loaded (see CorbeauPerdu.i18n.LocaleReact and CorbeauPerdu.i18n.LocaleVue):
+ * var { LocaleProvider, useLocale, Trans } = CorbeauPerdu.i18n.LocaleReact(React); // <LocaleProvider locale={locale}><App /></LocaleProvider>
+ * var i18n = useLocale(); i18n._n("%d file", "%d files", count, count);          // in the components
+ * <Trans message="Read the <link>terms</link>" components={{ link: <Link to="/terms" /> }} />
+ * Vue.createApp(App).use(CorbeauPerdu.i18n.LocaleVue(Vue), { locale: locale }); // $t(), $tn(), v-t="'Logout'" and <Trans> in the templates
+ *
+ * format numbers, amounts, dates and relative times with the running language (backed by Intl: "fr_FR" is used as "fr-FR"):
+ * locale.formatNumber(1234.5);                     // "1 234,5" (or with a style: "integer", "percent", "compact", "currency:EUR", or Intl options)
+ * locale.formatCurrency(1234.5, "EUR");            // "1 234,50 €"
+ * locale.formatDate(new Date(), "long");           // "18 octobre 2026" ("short", "medium", "long" or "full"), formatTime() for the time
+ * locale.formatRelative(Date.now() - 7200000);     // "il y a 2 heures", or formatRelative(-1, "day") for "hier"
+ * or right in the messages, with typed placeholders:
+ * locale._("Total: {price, number, currency:EUR}, ordered {when, date, short} ({ago, relative})", { price: 12.5, when: orderDate, ago: orderDate });
+ * locale.format("{count, plural, one {# file} other {# files}} on {when, date, full}", { count: 1234, when: new Date() });
+ *
+ * or with template literals, the message IDs being derived from them (numbered placeholders, or named ones with ${{ name }}):
+ * locale.t`Hello ${name}, you have ${{ count }} items`;     // looks up "Hello {0}, you have {count} items"
+ * locale.tn(count)`You have ${count} item``You have ${count} items`; // plural form: the singular template, then the plural one
+ * locale.dt("navbar")`Welcome ${name}`;                     // in a given domain, dtn("navbar", count)```` for the plural form
+
+ * lookup missing translations in other locales, in order, before falling back to the untranslated message (i.e. fr_CA -> fr_FR -> en):
+ * locale.setFallbackLocales([frFRLocale, enLocale]); // each fallback locale uses its own plural rules
+
+ * check a domain's translations before loading it (i.e. in a CI job), all the problems are reported at once:
+ * locale.validateDomain(data, { domain: "navbar", lang: "fr_FR" }); // [{ severity: "error", code: 17, message: "Placeholder '%1' type mismatch...", key: "Hello %s", ... }, ...]
+ * locale.setLenientLoading(true); // then loadDomain() drops the invalid translations (with a warning in debug mode), instead of failing the whole domain
+
+ * manage the loaded domains:
+ * locale.setDomainParent("admin", "main");            // "admin" extends "main": its missing messages are looked up in "main"
+ * locale.mergeDomain("admin", { "Logs": "Journaux", "Old key": null }); // patch a few translations (null removes one), validated as a whole
+ * locale.hasDomain("admin");                          // true
+ * locale.unloadDomain("admin");                       // forget a domain, emits a "domainunloaded" event
+ * locale.setDefaultDomain("admin");                   // default domain of gettext(), ngettext()... getDefaultDomain() to get it
+ *
+ * get loaded domains data:
+ * console.log(locale.getLoadedDomains()); // a read-only snapshot
+ *
+ * get the plural rule of a domain (each domain has its own, compiled once when loaded):
+ * console.log(locale.getPluralRule("navbar")); // { nplurals: 1, plural: "(n > 1)" }
+
+ * get running language:
+ * console.log(locale.getLang())
+ * </script>
+ * </pre>
+ *
+ * Notes about sprintf functionnality:
+ * You can provide any of the *gettext() functions 1 or many 'v' optional argument(s).
+ * These values will be used to replace the sprintf's placeholders! i.e.:
+ * locale._n("Welcome, %s! You have %d mail.", "Welcome, %s! You have %d emails.", 5, "John", 5);
+ *
+ * The placeholders are replaced by the built-in CorbeauPerdu.i18n.LocaleFormatter: no need to load a sprintf() library anymore.
+ * Give a single object to use named placeholders, so translators can reorder them safely (or use sprintf's argument swapping: "%2$s"):
+ * locale._n("Welcome, {name}! You have {count} mail.", "Welcome, {name}! You have {count} emails.", 5, { name: "John", count: 5 });
+ * locale._("Welcome, %(name)s!", { name: "John" });
+ * The '{name}' placeholders are only replaced with named values: with positional values, i.e. locale._("Hello %s, {0} items", "Bob"), the braces are left as is.
+ * To use your own formatter instead (i.e. the sprintf.js library): locale.setFormatter(function(message, args) { return sprintf.apply(null, [message].concat(args)); });
+ *
+ * Notes about the errors:
+ * Errors are thrown as CorbeauPerdu.i18n.LocaleException instances, with a named 'code' (i.e. LocaleException.PLURAL_COUNT_MISMATCH)
+ * and the error details as fields ('domain', 'key', 'plural', 'expected', 'actual'...): see the LocaleException class at the bottom of this file.
+ * Errors loading the default domain in the constructor are only output to console, unless the 'strict' mode is set:
+ *   locale = new CorbeauPerdu.i18n.Locale(lang, defaultDomainName, defaultDomainData, useCustomPluralForms, debug, true);
+ *
+ * Notes about the modules:
+ * This file is a UMD module: in a page, it defines the CorbeauPerdu.i18n namespace as always.
+ * It can also be loaded as a CommonJS module (Node.js, Jest...) or an AMD module, with no 'window' needed:
+ *   const { Locale, LocaleException } = require("corbeauperdu-locale");
+ * or as an ES module (dist/Locale.mjs):
+ *   import { Locale, LocaleException } from "corbeauperdu-locale";
+ * dist/Locale.mjs and the minified UMD bundle dist/Locale.min.js are built from src/Locale.js with: npm run build
+ *
+ * Notes about the JSON data:
+ * If you are using gettext's mo/po files on your site for translations, you can load them directly with loadDomainPO() / loadDomainMO(),
+ * or convert them to JSON data with CorbeauPerdu.i18n.LocaleParser.parsePO() / parseMO() and pass that to the constructor/loadDomain().
+ * You can also always try/modify po2json, to convert .PO files to JSON data:
+ *   https://github.com/guillaumepotier/gettext.js/blob/master/bin/po2json
+ *   https://github.com/mikeedwards/po2json
+ *
+ *   and also look at: https://toolkit.translatehouse.org/
+ *
+ * To build or update the JSON catalogs from your sources, extract their gettext() / _() calls messages with the locale-extract command:
+ *   npx locale-extract --lang fr_FR --output "i18n/{lang}/{domain}.json" src/ index.html
+ * The translations are kept, the new messages are added with empty translations, the ones no longer used are flagged 'obsolete',
+ * and the source references are kept in the header's "meta" object (see bin/locale-extract.js --help)
+ *
+ * JSON Data HAS to have the following headers: "domain" and "language" are optional!
+ * {
+ *   "": {
+ *     "domain": "prestadesk",
+ *     "language": "fr_FR",
+ *     "nplurals": "1",
+ *     "plural": "(n > 1)"
+ *   },
+ *
+ *   "simple key": "It's translation",
+ *   "verb\u0004Open": "Ouvrir"
+ * }
+ *
+ * Messages with a context are keyed as "context" + "\u0004" + "message" (gettext's own format), i.e. "verb\u0004Open" above, used by the *pgettext() functions.
+ *
+ * 'nplurals' has to be the number of possible plural forms, EXCLUDING the singular form!
+ * Gettext puts the singular form in the same array has the plural forms, thus in the above case, nplurals (for gettext!) would be equal to 2!
+ *
+ * I have written this class (and the PHP Locale class) as to have:
+ *
+ *    "some singular message": "some singular translation",
+ *    "some plural message": [
+ *      "some plural translation message v1",
+ *      "some plural translation message v2",
+ *      "some plural translation message v3"
+ *    ]
+ *
+ * where v1, v2, or v3 is applied based on what is returned from the 'plural' test!
+ *
+ * The 'plural' test can use any of gettext's Plural-Forms syntax: the 'n' variable, numbers, parentheses and the ?: || && == != < > <= >= + - * / % ! operators.
+ * It is parsed (no eval()!) when the domain is loaded, and any error is reported with its position in the test.
+ * The values it returns for n = 0 to 1000 (as gettext's msgfmt checks them) must be plural array ids: 0 or 1 if nplurals is 1, else 0 to nplurals-1.
+ *
+ * If for some reason you don't provide the nplurals/plural value in the JSON data, the script will use the built-in CLDR plural rule of the language
+ * (the header's "language", else the constructor's 'lang', i.e. "fr_FR", "pl" or "ar-EG"): the plural arrays then hold the forms in the CLDR categories order (zero, one, two, few, many, other).
+ * The same goes if you set useCustomPluralForms to FALSE in the constructor: the JSON data's plural forms are then ignored,
+ * and a plural array with fewer forms than the rule expects only gets a warning (in debug mode), its missing forms falling back to its last one.
+ * If the language has no known CLDR rule, the script will use the simple DEFAULTPLURAL test which is set (a simple true/false test) to determine whether to use plural value or not.
+ * Either way, you can override it with setDefaultPlural("(n > 1)"). To get the CLDR plural category of a number: locale.getPluralCategory(3) or, for ordinals, locale.getPluralCategory(3, true).
+ *
+ * Last Modified:
+ * <pre>
+ *   2020/04/20 by PRoy - First release
+ *   2020/04/25 by PRoy - Added sprintf call in gettext() and dgettext()
+ *   2020/04/27 by PRoy - Added ngettext() and dngettext(), with sprintf functionality inside!
+ *   2020/04/28 by PRoy - Now using strict, and had to re-locate functions and re-adjust scopes as to what is private and what is public
+ *                        Added debug to constructor
+ *   2020/05/31 by PRoy - Added setFormatMessages4Web(), setFormatMessages4WebInclPlaceholders() and stringToWeb() to htmlentities'like the returned messages and replace linebreaks '\n' with '<br/>'
+ *   2026/10/18 by agent - Added LocaleParser to import gettext .PO / .MO catalogs, and loadDomainPO() / loadDomainMO()
+ *                         Added pgettext(), npgettext(), dpgettext() and dnpgettext() for context-aware lookups
+ *                         Plural rules are now compiled once per domain when loaded; added getPluralRule()
+ *                         Replaced the eval() of the plural rules with the LocalePlural parser (no more 'unsafe-eval' needed for a Content-Security-Policy),
+ *                         and 'nplurals' is now checked against the values returned by the 'plural' test, as msgfmt does, instead of its '?' count
+ *                         Added built-in CLDR plural rules by language, used when no plural forms are given; added getPluralCategory()
+ *                         Added setFallbackLocales() to lookup missing translations in a chain of other Locale instances
+ *                         Added loadDomainFrom(), setDomainLoader() and ready() to load domains asynchronously from urls, with caching and lazy loading
+ *                         Added setLang() to switch the running language at runtime, and on() / off() to subscribe to the Locale's events
+ *                         Added setMissingCollector() to collect the missing translations, with getMissing(), clearMissing() and exportMissing() as POT / JSON
+ *                         Added the built-in LocaleFormatter, with named placeholders: no more global sprintf() needed; added setFormatter() to plug your own
+ *                         Added format() and dformat() for ICU MessageFormat messages, parsed by LocaleMessageFormat
+ *                         Added LocaleIntl with formatNumber(), formatCurrency(), formatDate(), formatTime(), formatRelative() and getLanguageTag(),
+ *                         and typed placeholders i.e. {price, number, currency:EUR}, {when, date, short} and {ago, relative}
+ *                         Now a UMD module, usable from Node.js without a 'window'; added the ES module and minified builds (npm run build)
+ *                         LocaleException is now a real Error subclass, with named codes and the error details as fields; added the constructor's 'strict' mode
+ *                         Added validateDomain() to report all the problems of a domain's translations at once, and setLenientLoading() to drop the invalid ones when loading
+ *                         Added LocaleEncoder output encoders (html, htmlAttr, js, url, markdown) selected with setEncoder() per locale or domain, or withEncoder() per call,
+ *                         encoding the message and the placeholder values separately; replaces stringToWeb(), which lost its escaping when replacing the linebreaks
+ *                         Added rich() and drich() for rich-text translations with inline tags, i.e. "Read the <link>terms</link>", rendered by LocaleRichText
+ *                         as an HTML string, a DocumentFragment or an array of nodes
+ *                         Added LocaleDOM to translate the page's elements from their data-i18n* attributes, watching the inserted ones with a MutationObserver
+ *                         Added the locale-extract command, extracting the messages of JS / HTML sources into per-domain JSON catalogs
+ *                         Added setPseudoLocalization() and LocalePseudo, to pseudo-localize the returned messages (accented, padded, bracketed, optionally mirrored)
+ *                         Added unloadDomain(), hasDomain(), mergeDomain(), setDefaultDomain() and setDomainParent() for the domains inheritance;
+ *                         getLoadedDomains() now returns a read-only snapshot
+ *                         Added the t``, tn()```` template tags (and dt(), dtn()), deriving the message IDs from the template literals
+ *                         Added LocaleReact (LocaleProvider, useLocale(), Trans) and LocaleVue (plugin with $t(), $tn(), v-t, Trans) bindings
+ *                         Added the locale-compile command and loadCompiledDomain(), to load catalogs compiled ahead of time into JS modules;
+ *                         added LocalePlural.toSource() and LocaleCompiled
+ *                         Added LocaleRegistry, handing out Locale views which share their catalogs and plural rules, by language
+ * </pre>
+ *
+ * @author Patrick Roy (ravenlost2@gmail.com)
+ * @version     1.4.0
+ */
+
+const i18n = (function(i18n) {
+
+// the classes are defined in here, and returned as the module's exports
+var CorbeauPerdu = { i18n: i18n };
+
+
+/**
+ * Constructor - define privates in here
+ * @param string lang page running 'lang'
+ * @param string domain default domain to retrieve data from
+ * @param object json translation data of the default domain
+ * @param boolean useCustomPluralForms use custom plural forms (if false, plural test will be done with DEFAULTPLURAL)
+ * @param boolean debug if set, output info message and errors to console
+ * @param boolean strict (optional!) if set, errors loading the default domain are thrown back, instead of being output to console
+ * @param object shared (optional!) catalogs shared with other instances: given by CorbeauPerdu.i18n.LocaleRegistry, don't pass it yourself
+ */
+CorbeauPerdu.i18n.Locale = function (lang, domain, data, useCustomPluralForms, debug, strict, shared) {
+
+  // -------------------------------------------------
+  // INIT PRIVATE VARIABLES AND FUNCTIONS
+  // -------------------------------------------------
+  var _DEFAULTPLURAL = '(n != 1)';     // default plural test (for use in *ngettext() functions, if none specified in JSON data, and no CLDR rule known for the language)
+  var _CONTEXTSEPARATOR = '\u0004';    // gettext's separator between a message context and the message, in the translations keys
+
+  var _lang = lang,                    // running language: used for the built-in plural rules and the domains urls (see setLang())
+      _defaultDomain = domain,         // default lookup domain for translations!
+      _loadedDomains = {},             // this holds the translations!
+      _pluralRules = {},               // compiled plural tests, by domain (see _compilePlural())
+      _compiledDomains = {},           // domains loaded from compiled catalogs, { hashed: are their keys hashed }, by domain (see loadCompiledDomain())
+      _domainParents = {},             // parent domain, by domain: lookups fall through to it (see setDomainParent())
+      _defaultPluralRule = null,       // plural rule used when not using custom plural forms (see setDefaultPlural())
+      _defaultPluralOverridden = false, // was the default plural rule set with setDefaultPlural() ?
+      _useCustomPluralForms = useCustomPluralForms,
+      _debug = debug,
+      _encoder = null,                 // output encoder of the messages (i.e. 'html'), null for none (see setEncoder())
+      _domainEncoders = {},            // output encoders, by domain
+      _callEncoder = undefined,        // output encoder of the current withEncoder() call
+      _formatMessages4WebInclPlaceholders = true, // also encode the placeholders values ?
+      _fallbackLocales = [],           // Locale instances to lookup missing translations into, in order (see setFallbackLocales())
+      _domainLoader = {},              // loadDomainFrom() options (see setDomainLoader())
+      _pendingLoads = {},              // loadDomainFrom() promises, by domain and url
+      _lazyDomains = {},               // domains already requested by the 'lazy' option of setDomainLoader()
+      _domainTemplates = {},           // url templates of the domains loaded by loadDomainFrom() with a '{lang}': reloaded by setLang()
+      _langChangeId = 0,               // id of the last setLang() call
+      _listeners = {},                 // event handlers, by event type (see on())
+      _missingCollector = null,        // options of the missing translations collector, null if not collecting (see setMissingCollector())
+      _missing = {},                   // collected missing translations, by language, domain and message
+      _formatter = null,               // function(message, args) replacing the placeholders of the messages, null for the built-in LocaleFormatter (see setFormatter())
+      _lenientLoading = false,         // drop the invalid translations of a domain instead of failing the whole domain (see setLenientLoading())
+      _pseudo = null,                  // pseudo-localization options, null if off (see setPseudoLocalization())
+      _shared = shared || null,        // catalogs shared with the other instances of a LocaleRegistry, null if not shared
+      _self = this;
+  
+
+  /**
+   * _validJSON()
+   * Checks to see if we got a proper JSON string
+   *
+   * @param string jsonString
+   * @returns boolean
+   */
+  var _validJSON = function(jsonString){
+    return jsonString instanceof Array || jsonString instanceof Object ? true : false;
+  };
+
+  /**
+  * _compilePlural()
+  * Compile the plural ternary test conditions into a function returning the plural array id to use for the matched condition,
+  * so the conditions are only validated and parsed once, and not on every *ngettext() call
+  *
+  * @param string plural plural to compile
+  * @param string domain the working domain
+  * @returns function(n) returning the plural array id for number 'n'
+  */
+  var _compilePlural = function(plural, workingDomain) {
+    try {
+      return CorbeauPerdu.i18n.LocalePlural.compile(plural);
+    }
+    catch(error) {
+      var details = { domain: workingDomain || null, plural: plural, position: error.position };
+
+      if (workingDomain) {
+        throw new CorbeauPerdu.i18n.LocaleException("Invalid 'plural' ternary conditions format in the '" + workingDomain + "' domain: '" + plural + "'\n\n" + error.message, error.code, details);
+      }
+      else {
+        throw new CorbeauPerdu.i18n.LocaleException("Invalid default 'plural' ternary conditions format specified: '" + plural + "'\n\n" + error.message, error.code, details);
+      }
+    }
+  }
+
+  /**
+   * _getEncoder()
+   * Get the output encoder of a domain: the one given to withEncoder() for the current call, else the domain's, else the locale's (see setEncoder())
+   *
+   * @param string domain
+   * @return function(text) encoder, or null for no encoding
+   */
+  var _getEncoder = function(domain) {
+    var encoder = _encoder;
+
+    if (typeof _callEncoder !== 'undefined') encoder = _callEncoder;
+    else if (Object.prototype.hasOwnProperty.call(_domainEncoders, domain)) encoder = _domainEncoders[domain];
+
+    return (encoder === null) ? null : CorbeauPerdu.i18n.LocaleEncoder.get(encoder);
+  }
+
+  /**
+   * _contextKey()
+   * Get the translations key of a message: gettext's "context\u0004message" if a context is given, else the message itself
+   *
+   * @param string context message context (msgctxt), or null for none
+   * @param string message
+   * @return string
+   */
+  var _contextKey = function(context, message) {
+    return ( (typeof context === 'undefined') || (context === null) ) ? message : context + _CONTEXTSEPARATOR + message;
+  }
+
+  /**
+   * _describeKey()
+   * Describe a message and its context for the debug messages
+   *
+   * @param string context message context (msgctxt), or null for none
+   * @param string message
+   * @return string
+   */
+  var _describeKey = function(context, message) {
+    return "'" + message + "'" + ( ( (typeof context === 'undefined') || (context === null) ) ? '' : " (context '" + context + "')" );
+  }
+
+  /**
+  * _lookup()
+  * Lookup a message in a given domain and context of this locale only: no fallback locales, no formatting
+  *
+  * @param string domain to retrieve message from
+  * @param string context message context (msgctxt), or null for none
+  * @param string msgid1 The singular message ID (or the message, for singular form)
+  * @param string msgid2 The plural message ID, or null for singular form
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @returns object { translation: string or null if not found, message: UNtranslated message to use if not found, arrayId: plural array id if any, undefinedDomain: boolean }
+  */
+  var _lookup = function(domain, context, msgid1, msgid2, n) {
+    var translation, domainTranslations = _loadedDomains[domain];
+    var result = { translation: null, message: msgid1, arrayId: undefined, undefinedDomain: false };
+
+    if (typeof domainTranslations === 'undefined' || domainTranslations === null) {
+      result.undefinedDomain = true;
+      return result;
+    }
+
+    // compiled catalogs translations are already trimmed, and maybe keyed by hash
+    var compiled = _compiledDomains[domain];
+    var keyOf = ( compiled && compiled.hashed ) ? function(message) { return CorbeauPerdu.i18n.LocaleCompiled.hash(_contextKey(context, message)); } : function(message) { return _contextKey(context, message); };
+    var trim = compiled ? function(text) { return text; } : function(text) { return (typeof text === 'string') ? text.trim() : text; };
+
+    // ************************
+    // singular form
+    if ( (typeof msgid2 === 'undefined') || (msgid2 === null) ) {
+      translation = domainTranslations[keyOf(msgid1)];
+      if ( (typeof translation === 'string') && (trim(translation) !== '') ) result.translation = translation;
+      return result;
+    }
+
+    // get the translations
+    var translation_singular = trim(domainTranslations[keyOf(msgid1)]);
+    var translation_plural = trim(domainTranslations[keyOf(msgid2)]);
+
+
+    // ************************
+    // get the domain's plural rule: its own if using custom plurals, else the default plural rule (see setDefaultPlural())
+    var rule = _getPluralRule(domain);
+    var nplurals = rule.nplurals;
+    var plural = rule.plural;
+
+    // if the language as many plural forms, say NOT like Japanese (nplurals=1; plural=0;)
+    // get the plural ternary test conditions and retrieve the right plural array value
+    if ( nplurals >= 1 )
+    {
+      try {
+        var plural_value_id = _ruleIndex(rule, _domainLanguage(domain), n);
+
+        // if we have a single nplurals, thus a single plural testcase (i.e. (n > 1)),
+        // and test returned 'true', get the translation[0] (i.e. the first translation)
+        if ( ( nplurals == 1 ) && ( plural_value_id == 1 ) )
+        {
+          translation = Array.isArray(translation_plural) ? translation_plural[0] : translation_plural;
+          result.message = msgid2; // if we dont have a plural translation, set to $msgid2
+        }
+        // single nplural, but test returned false: return singular!
+        else if ( ( nplurals == 1 ) && ( plural_value_id == 0 ) )
+        {
+          translation = translation_singular; // if we dont have a singular translation, set to $msgid1
+        }
+        // everything else: get the right array value based on ternary conditions returned from the plural test
+        else
+        {
+          // if our available translations is just a single string (a.k.a NOT an array!), it's a mistake since we should have many plurals available at this point ($nplurals >=2 )
+          // ditch the single string translation! Otherwise, kinda dumb to keep it as THE right translation!
+          // an array shorter than the plural rule expects (i.e. checked against a default plural rule it wasn't written for) falls back to its last form
+          translation = ( Array.isArray(translation_plural) && (translation_plural.length > 0) ) ? translation_plural[Math.min(plural_value_id, translation_plural.length - 1)] : undefined;
+
+          result.message = msgid2; // gettext, here, would return the singular untranslated text... I prefer the plural, since we did get a return value from the plurals test conditions!
+          result.arrayId = plural_value_id;
+        }
+      }
+      catch (error){
+        console.error("Plural evaluation for key '" + msgid1 + "' caused an exception with plural ('" + plural + "'):\n\n" + error.message);
+        return result;
+      }
+    }
+    // we have no plural values possible for the language (i.e. nplurals=0 ),
+    // meaning the language has no plural! Return singular form...
+    else
+    {
+      translation = translation_singular;
+    }
+
+    translation = trim(translation);
+    if ( (typeof translation === 'string') && (translation !== '') ) result.translation = translation;
+
+    return result;
+  }
+
+  /**
+  * _lookupWithFallbacks()
+  * Lookup a message in this locale (in the domain, then its parent domains), then in the fallback locales (each with its own plural rules), in order, until found
+  *
+  * @param string domain to retrieve message from
+  * @param string context message context (msgctxt), or null for none
+  * @param string msgid1 The singular message ID (or the message, for singular form)
+  * @param string msgid2 The plural message ID, or null for singular form
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param array visited locales already looked up in the chain (prevents endless loops)
+  * @returns object see _lookup()
+  */
+  var _lookupWithFallbacks = function(domain, context, msgid1, msgid2, n, visited) {
+    var result = _lookup(domain, context, msgid1, msgid2, n);
+
+    // then in the parent domains, each with its own plural rule (see setDomainParent())
+    for (var parent = _domainParents[domain]; ( result.translation === null ) && ( typeof parent !== 'undefined' ); parent = _domainParents[parent]) {
+      result.translation = _lookup(parent, context, msgid1, msgid2, n).translation;
+    }
+
+    for (var i = 0; ( result.translation === null ) && ( i < _fallbackLocales.length ); i++) {
+      if (visited.indexOf(_fallbackLocales[i]) !== -1) continue;
+
+      visited.push(_fallbackLocales[i]);
+      result.translation = _fallbackLocales[i].lookup(domain, context, msgid1, msgid2, n, visited).translation;
+    }
+
+    return result;
+  }
+
+  /**
+  * _resolve()
+  * Lookup a message in a given domain and context, reporting it if missing: used by all the *gettext() and *format() functions
+  *
+  * @param string domain to retrieve message from
+  * @param string context message context (msgctxt), or null for none
+  * @param string msgid1 The singular message ID (or the message, for singular form)
+  * @param string msgid2 The plural message ID, or null for singular form
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @returns string translated message if present, else original UNtranslated message
+  */
+  var _resolve = function(domain, context, msgid1, msgid2, n) {
+    var result = _lookupWithFallbacks(domain, context, msgid1, msgid2, n, []);
+    var translation = result.translation;
+
+    if (translation === null) {
+      if (_missingCollector !== null) _collectMissing(domain, context, msgid1, msgid2, result.undefinedDomain);
+      _emit('missingkey', { domain: domain, context: context, msgid1: msgid1, msgid2: msgid2, n: n, message: result.message, undefinedDomain: result.undefinedDomain });
+    }
+
+    // domain not loaded yet: fetch it in the background if the lazy loading is on
+    if ( result.undefinedDomain && _domainLoader.lazy && _domainLoader.path && !_lazyDomains[domain] ) {
+      _lazyDomains[domain] = true;
+      _self.loadDomainFrom(domain).catch(function(error) { console.error(error); });
+    }
+
+    if (translation === null) {
+      if (_debug) {
+        if (result.undefinedDomain) console.error("Undefined domain: " + domain);
+        else console.warn("Undefined message in domain '" + domain + "': " + _describeKey(context, result.message) + ( (typeof result.arrayId !== 'undefined') ? " [array id: " + result.arrayId + "]" : '' ));
+      }
+      translation = result.message;
+    }
+
+    return translation;
+  }
+
+  /**
+  * _translate()
+  * Lookup a message in a given domain and context, and format it: used by all the *gettext() functions
+  *
+  * @param string domain to retrieve message from
+  * @param string context message context (msgctxt), or null for none
+  * @param string msgid1 The singular message ID (or the message, for singular form)
+  * @param string msgid2 The plural message ID, or null for singular form
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param array args values to replace the placeholders with
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  var _translate = function(domain, context, msgid1, msgid2, n, args) {
+    var translation = _resolve(domain, context, msgid1, msgid2, n);
+    if (_pseudo !== null) translation = CorbeauPerdu.i18n.LocalePseudo.transform(translation, _pseudo);
+    var encode = _getEncoder(domain);
+    var encodeValues = (encode !== null) && ( _formatMessages4WebInclPlaceholders === true );
+
+    if (args.length === 0) return (encode !== null) ? encode(translation) : translation;
+
+    // replace the placeholders with the given values, encoding the message and the values separately
+    try {
+      if (_formatter === null) {
+        return CorbeauPerdu.i18n.LocaleFormatter.format(translation, args, { formatArgument: _formatArgument, escape: encode, escapeValue: encodeValues ? encode : null });
+      }
+
+      // a custom formatter can't tell the values from the message: encode the message before, or the whole result after
+      if ( (encode !== null) && !encodeValues ) return _formatter.call(_self, encode(translation), args, { formatArgument: _formatArgument });
+
+      translation = _formatter.call(_self, translation, args, { formatArgument: _formatArgument });
+      return (encode !== null) ? encode(translation) : translation;
+    }
+    catch (error) {
+      console.error(error); // show the message as is, rather than nothing
+      return (encode !== null) ? encode(translation) : translation;
+    }
+  }
+
+  /**
+  * _formatICU()
+  * Lookup an ICU MessageFormat message in a given domain and format it: used by the *format() functions
+  *
+  * @param string domain to retrieve message from
+  * @param string key ICU message ID
+  * @param object values argument values, by name
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  var _formatICU = function(domain, key, values) {
+    var message = _resolve(domain, null, key, null, null);
+    var encode = _getEncoder(domain);
+    var encodeValues = (encode !== null) && ( _formatMessages4WebInclPlaceholders === true );
+    var escape = encode, length = 0, result;
+
+    // pseudo-localization: the ICU syntax is left intact by transforming the text parts only
+    if (_pseudo !== null) {
+      escape = function(text) {
+        length += text.length;
+        text = CorbeauPerdu.i18n.LocalePseudo.transformText(text, _pseudo);
+        return (encode !== null) ? encode(text) : text;
+      };
+    }
+
+    try {
+      result = CorbeauPerdu.i18n.LocaleMessageFormat.format(message, values, {
+        pluralCategory: function(n, ordinal) { return _pluralCategory(domain, n, ordinal); },
+        escape: escape,
+        escapeValue: encodeValues ? encode : null,
+        formatArgument: _formatArgument
+      });
+    }
+    catch (error) {
+      console.error(error); // show the message as is, rather than nothing
+      result = (escape !== null) ? escape(message) : message;
+    }
+
+    if (_pseudo === null) return result;
+
+    var brackets = CorbeauPerdu.i18n.LocalePseudo.brackets(length, _pseudo);
+    if (encode !== null) brackets = brackets.map(encode);
+
+    return brackets[0] + result + brackets[1];
+  }
+
+  /**
+  * _renderRich()
+  * Lookup a rich-text message in a given domain, replace its placeholders and render its tags: used by rich() and drich()
+  *
+  * @param string domain to retrieve message from
+  * @param string message The message ID (the singular one, for a plural message)
+  * @param object renderers renderer by tag name (see CorbeauPerdu.i18n.LocaleRichText.render())
+  * @param object options see rich()
+  * @returns mixed html string, DocumentFragment, or array of nodes
+  */
+  var _renderRich = function(domain, message, renderers, options) {
+    options = options || {};
+
+    var context = (typeof options.context !== 'undefined') ? options.context : null;
+    var plural = (typeof options.plural !== 'undefined') ? options.plural : null;
+    var translation = _resolve(domain, context, message, plural, (plural !== null) ? options.n : null);
+    var values = [], text = null;
+
+    if (_pseudo !== null) translation = CorbeauPerdu.i18n.LocalePseudo.transform(translation, _pseudo);
+
+    // replace the placeholders before parsing the tags, with tokens put back in the text nodes: so the values are always text, never tags
+    if (typeof options.values !== 'undefined') {
+      try {
+        translation = CorbeauPerdu.i18n.LocaleFormatter.format(translation, Array.isArray(options.values) ? options.values : [options.values], {
+          formatArgument: _formatArgument,
+          escapeValue: function(value) { values.push(value); return '\uE000' + (values.length - 1) + '\uE001'; }
+        });
+        text = function(value) { return value.replace(/\uE000(\d+)\uE001/g, function(token, index) { return values[index]; }); };
+      }
+      catch (error) {
+        console.error(error); // show the message as is, rather than nothing
+      }
+    }
+
+    return CorbeauPerdu.i18n.LocaleRichText.render(translation, renderers, options.output, { document: options.document, text: text });
+  }
+
+  /**
+  * _templateMessage()
+  * Get the message ID and the placeholder values of a tagged template literal: each interpolation becomes a numbered placeholder,
+  * i.e. `Hello ${name}` gives "Hello {0}", or a named one for an object of a single value, i.e. `Hello ${{ name }}` gives "Hello {name}"
+  * The '%' of the template are escaped as '%%', as the message goes through the *gettext() functions placeholders replacement
+  *
+  * @param array strings template strings
+  * @param array values interpolated values
+  * @returns object { message: message ID, values: placeholder values, by name }
+  */
+  var _templateMessage = function(strings, values) {
+    var message = String(strings[0]).replace(/%/g, '%%'), named = {}, name, value;
+
+    for (var i = 0; i < values.length; i++) {
+      name = String(i);
+      value = values[i];
+
+      if ( (value !== null) && (typeof value === 'object') && (Object.prototype.toString.call(value) === '[object Object]') && (Object.keys(value).length === 1) ) {
+        name = Object.keys(value)[0];
+        value = value[name];
+      }
+
+      named[name] = value;
+      message += '{' + name + '}' + String(strings[i + 1]).replace(/%/g, '%%');
+    }
+
+    return { message: message, values: named };
+  }
+
+  /**
+  * _templateTag()
+  * Get a template tag translating its template in a given domain: used by t() and dt()
+  *
+  * @param string domain to retrieve message from
+  * @returns function(strings, ...values) returning the translated message
+  */
+  var _templateTag = function(domain) {
+    return function(strings) {
+      var template = _templateMessage(strings, Array.prototype.slice.call(arguments, 1));
+      return _self.dgettext(domain, template.message, template.values);
+    };
+  }
+
+  /**
+  * _pluralTemplateTag()
+  * Get a template tag for the singular template, returning a template tag for the plural template: used by tn() and dtn()
+  *
+  * @param string domain to retrieve message from
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @returns function(strings, ...values) returning a function(strings, ...values) returning the translated message
+  */
+  var _pluralTemplateTag = function(domain, n) {
+    return function(strings) {
+      var singular = _templateMessage(strings, Array.prototype.slice.call(arguments, 1));
+
+      return function(strings) {
+        var plural = _templateMessage(strings, Array.prototype.slice.call(arguments, 1));
+        return _self.dngettext(domain, singular.message, plural.message, n, Object.assign({}, singular.values, plural.values));
+      };
+    };
+  }
+
+  /**
+   * _formatArgument()
+   * Format the value of a typed placeholder with the running language, i.e. '{price, number, currency:EUR}' (see CorbeauPerdu.i18n.LocaleIntl)
+   *
+   * @param mixed value
+   * @param string type 'number', 'date', 'time', 'relative', or null to format by the value's type
+   * @param mixed style style name, or Intl options object
+   * @return string
+   */
+  var _formatArgument = function(value, type, style) {
+    return CorbeauPerdu.i18n.LocaleIntl.format(_lang, value, type, style);
+  }
+
+  /**
+   * _collectMissing()
+   * Record a missing translation (see setMissingCollector()), and pass it to the 'onMissing' handler if any
+   *
+   * @param string domain
+   * @param string context message context, or null for none
+   * @param string msgid1 singular message ID
+   * @param string msgid2 plural message ID, or null for singular form
+   * @param boolean undefinedDomain is the whole domain missing ?
+   */
+  var _collectMissing = function(domain, context, msgid1, msgid2, undefinedDomain) {
+    var key = [_lang, domain, _contextKey(context, msgid1), (msgid2 === null) ? '' : msgid2].join('|');
+    var entry = _missing[key];
+
+    if (typeof entry === 'undefined') {
+      entry = _missing[key] = {
+        lang: _lang,
+        domain: domain,
+        msgctxt: context,
+        msgid: msgid1,
+        msgid_plural: msgid2,
+        hits: 0,
+        undefinedDomain: undefinedDomain
+      };
+    }
+    entry.hits++;
+
+    if (typeof _missingCollector.onMissing === 'function') {
+      try {
+        _missingCollector.onMissing.call(_self, _copyMissing(entry));
+      }
+      catch (error) {
+        console.error(error); // a broken handler must not break the translations
+      }
+    }
+  }
+
+  /**
+   * _copyMissing()
+   * Copy a collected missing translation, so the collection can't be altered from outside
+   *
+   * @param object entry
+   * @return object
+   */
+  var _copyMissing = function(entry) {
+    var copy = {};
+    for (var key in entry) copy[key] = entry[key];
+    return copy;
+  }
+
+  /**
+   * _poString()
+   * Quote and escape a string for a PO/POT file (i.e. 'Say "hi"' + linebreak becomes '"Say \"hi\"\n"')
+   *
+   * @param string value
+   * @return string
+   */
+  var _poString = function(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t') + '"';
+  }
+
+  /**
+   * _storage()
+   * Get the cache storage adapter for the 'cache' option of setDomainLoader(): every adapter has getItem(key) and setItem(key, value)
+   * methods, working with strings and returning a value or a Promise
+   *
+   * @param mixed cache 'localStorage', 'indexedDB', or a custom storage object
+   * @return object storage adapter, or null if not available
+   */
+  var _storage = function(cache) {
+    if ( (cache === 'localStorage') && (typeof localStorage !== 'undefined') ) return localStorage;
+
+    if ( (cache === 'indexedDB') && (typeof indexedDB !== 'undefined') ) {
+      // run a request on the 'domains' object store of our database
+      var request = function(mode, action) {
+        return new Promise(function(resolve, reject) {
+          var open = indexedDB.open('CorbeauPerdu.i18n', 1);
+          open.onupgradeneeded = function() { open.result.createObjectStore('domains'); };
+          open.onerror = function() { reject(open.error); };
+          open.onsuccess = function() {
+            var req = action(open.result.transaction('domains', mode).objectStore('domains'));
+            req.onsuccess = function() { resolve(req.result); };
+            req.onerror = function() { reject(req.error); };
+          };
+        });
+      };
+
+      return {
+        getItem: function(key) { return request('readonly', function(store) { return store.get(key); }); },
+        setItem: function(key, value) { return request('readwrite', function(store) { return store.put(value, key); }); }
+      };
+    }
+
+    if ( cache && (typeof cache.getItem === 'function') && (typeof cache.setItem === 'function') ) return cache;
+
+    return null;
+  }
+
+  /**
+   * _domainUrl()
+   * Get the url of a domain from a url template, i.e. the 'path' template of setDomainLoader(): '/i18n/{lang}/{domain}.json'
+   *
+   * @param string domain
+   * @param string template url template
+   * @param string lang language to get the url for
+   * @return string
+   */
+  var _domainUrl = function(domain, template, lang) {
+    return template.replace(/\{lang\}/g, encodeURIComponent(lang)).replace(/\{domain\}/g, encodeURIComponent(domain)).replace(/\{version\}/g, encodeURIComponent(_domainLoader.version || ''));
+  }
+
+  /**
+   * _fetchDomain()
+   * Fetch and parse the data of a domain: .po and .mo files are parsed to JSON data, anything else is expected to be JSON
+   *
+   * @param string domain
+   * @param string url
+   * @return Promise resolving with the JSON data of the domain
+   */
+  var _fetchDomain = function(domain, url) {
+    var fetchFunction = _domainLoader.fetch || ( (typeof fetch !== 'undefined') ? fetch : null );
+    var format = (url.split(/[?#]/)[0].match(/\.(po|mo)$/i) || [null, 'json'])[1].toLowerCase();
+
+    if (fetchFunction === null) return Promise.reject(new CorbeauPerdu.i18n.LocaleException("No fetch() function available to load domain '" + domain + "': set one with setDomainLoader()", CorbeauPerdu.i18n.LocaleException.LOAD_FAILED, { domain: domain, url: url }));
+
+    return Promise.resolve(fetchFunction(url)).then(function(response) {
+      if ( response && (typeof response.ok === 'boolean') && !response.ok ) {
+        throw new CorbeauPerdu.i18n.LocaleException("Unable to load domain '" + domain + "' from '" + url + "': HTTP status " + response.status, CorbeauPerdu.i18n.LocaleException.LOAD_FAILED, { domain: domain, url: url, actual: response.status });
+      }
+
+      // a fetch() Response, or directly the content for custom fetch functions
+      if (format === 'mo') return (response && typeof response.arrayBuffer === 'function') ? response.arrayBuffer() : response;
+      if (format === 'po') return (response && typeof response.text === 'function') ? response.text() : response;
+      if (response && typeof response.json === 'function') return response.json();
+      return (typeof response === 'string') ? JSON.parse(response) : response;
+    })
+    .then(function(content) {
+      if (format === 'mo') return CorbeauPerdu.i18n.LocaleParser.parseMO(content, { domain: domain });
+      if (format === 'po') return CorbeauPerdu.i18n.LocaleParser.parsePO(content, { domain: domain });
+      return content;
+    });
+  }
+
+  /**
+   * _readCache()
+   * Get the cached data of a domain url, if cached with the current catalog 'version' of setDomainLoader()
+   *
+   * @param string url
+   * @return Promise resolving with the JSON data, or null if not cached
+   */
+  var _readCache = function(url) {
+    var storage = _storage(_domainLoader.cache);
+
+    if ( (storage === null) || !_domainLoader.version ) return Promise.resolve(null);
+
+    return Promise.resolve().then(function() {
+      return storage.getItem('CorbeauPerdu.i18n|' + url);
+    })
+    .then(function(value) {
+      var entry = value ? JSON.parse(value) : null;
+      return ( entry && (entry.version === _domainLoader.version) ) ? entry.data : null;
+    })
+    .catch(function(error) {
+      if (_debug) console.warn("Unable to read the cache of '" + url + "': " + error.message);
+      return null;
+    });
+  }
+
+  /**
+   * _writeCache()
+   * Cache the data of a domain url with the current catalog 'version' of setDomainLoader()
+   *
+   * @param string url
+   * @param object data
+   * @return Promise
+   */
+  var _writeCache = function(url, data) {
+    var storage = _storage(_domainLoader.cache);
+
+    if ( (storage === null) || !_domainLoader.version ) return Promise.resolve();
+
+    return Promise.resolve().then(function() {
+      return storage.setItem('CorbeauPerdu.i18n|' + url, JSON.stringify({ version: _domainLoader.version, data: data }));
+    })
+    .catch(function(error) {
+      if (_debug) console.warn("Unable to cache '" + url + "': " + error.message);
+    });
+  }
+
+  /**
+   * _checkPluralForms()
+   * Validate the plural forms of a domain and compile its plural rule, reporting all the problems found
+   *
+   * @param string domain name
+   * @param object data json translation data for domain
+   * @param string lang language of the translations (for the built-in CLDR plural rules)
+   * @return object { rule: compiled plural rule of the domain, or null if not using custom plural forms or invalid, errors: array of LocaleException }
+   */
+  var _checkPluralForms = function(domain, data, lang) {
+    var rule = null, errors = [], evaluate = null;
+
+    if (!_useCustomPluralForms) return { rule: rule, errors: errors };
+
+    var header = data[""] || {};
+    var nplurals = header["nplurals"];
+    var plural = header["plural"];
+    var languageRule = null;
+
+    // no plural forms at all in the header: use the default plural set with setDefaultPlural(), else the built-in CLDR plural rule
+    // of the domain's language (or the running language), else the DEFAULTPLURAL test
+    if ( (typeof nplurals === 'undefined') && (typeof plural === 'undefined') )
+    {
+      languageRule = _defaultPluralOverridden ? _defaultPluralRule : _languagePluralRule(header["language"] || lang);
+      nplurals = String(languageRule.nplurals);
+      plural = languageRule.plural;
+    }
+
+    var validNplurals = !( (typeof nplurals !== 'string') || (nplurals.trim() === '') || (nplurals.match('^[^0-9]*$')) || ( nplurals < 0 ) );
+    var hasPlural = (typeof plural === 'string') && (plural.trim() !== '');
+
+    // validate 'nplurals' value
+    if (!validNplurals)
+    {
+      errors.push(new CorbeauPerdu.i18n.LocaleException("Missing or invalid 'nplurals' number in domain '" + domain + "'", CorbeauPerdu.i18n.LocaleException.BAD_NPLURALS, { domain: domain, actual: nplurals }));
+    }
+    // validate 'plural' value
+    else if ( nplurals >= 1 )
+    {
+      // validate we have a plural value set!
+      if (!hasPlural)
+      {
+        errors.push(new CorbeauPerdu.i18n.LocaleException("Missing 'plural' ternary test conditions in domain '" + domain + "'", CorbeauPerdu.i18n.LocaleException.MISSING_PLURAL, { domain: domain }));
+      }
+    }
+
+    // compile the 'plural' conditions once for the domain: this also makes sure it validates and doesnt return an exception
+    if ( hasPlural && ( !validNplurals || ( nplurals >= 1 ) ) )
+    {
+      try {
+        evaluate = _compilePlural(plural.trim(), domain);
+      }
+      catch (error) {
+        errors.push(error);
+      }
+    }
+
+    // validate that the 'plural' test only returns plural array ids: 0 or 1 for a single plural form (a true/false test), else 0 to nplurals-1
+    if ( (evaluate !== null) && validNplurals && ( nplurals >= 1 ) )
+    {
+      var forms = (parseInt(nplurals, 10) == 1) ? 2 : parseInt(nplurals, 10);
+      var values = CorbeauPerdu.i18n.LocalePlural.range(evaluate);
+      var outOfRange = (values.min < 0) ? values.min : ( (values.max >= forms) ? values.max : null );
+
+      if (outOfRange !== null)
+      {
+        errors.push(new CorbeauPerdu.i18n.LocaleException("The 'plural' conditions can return " + outOfRange + ", out of the 0 to " + (forms - 1) + " range allowed by the 'nplurals' value in domain '" + domain + "'", CorbeauPerdu.i18n.LocaleException.PLURAL_MISMATCH, { domain: domain, plural: plural, expected: parseInt(nplurals, 10), actual: outOfRange }));
+      }
+    }
+
+    if (errors.length > 0) return { rule: null, errors: errors };
+
+    if ( nplurals >= 1 )
+    {
+      // trim the plural forms
+      nplurals = nplurals.trim();
+      plural = plural.trim();
+      if (languageRule === null)
+      {
+        data[""]["nplurals"] = nplurals;
+        data[""]["plural"] = plural;
+      }
+
+      rule = { nplurals: parseInt(nplurals, 10), plural: plural, evaluate: evaluate };
+    }
+    // no plural forms for the language: always the singular
+    else
+    {
+      rule = { nplurals: 0, plural: '0', evaluate: function() { return 0; } };
+    }
+
+    return { rule: rule, errors: errors };
+  }
+
+  /**
+   * _checkKeys()
+   * Validate the translations of a domain, reporting all the problems found: wrong plural translations count,
+   * and if 'full' is set, invalid values, empty translations and placeholders not matching their message's ones
+   *
+   * @param string domain name
+   * @param object data json translation data for domain
+   * @param int nplurals expected plural translations count, or null not to check it
+   * @param boolean full do all the checks, else only the plural translations count
+   * @param string countSeverity (optional!) severity of a wrong plural translations count: 'error' (default), or 'warning' when checking against the default plural rule
+   * @return array of { severity: 'error' or 'warning', exception: LocaleException }
+   */
+  var _checkKeys = function(domain, data, nplurals, full, countSeverity) {
+    var problems = [], key, value, forms, message, expected, actual, id, i;
+
+    var report = function(severity, text, code, details) {
+      details.domain = domain;
+      details.key = key;
+      problems.push({ severity: severity, exception: new CorbeauPerdu.i18n.LocaleException(text + " for key '" + key + "' in domain '" + domain + "'", code, details) });
+    };
+
+    for (key in data) {
+      if (key === '') continue;
+
+      value = data[key];
+      forms = Array.isArray(value) ? value : [value];
+
+      // validate the key's plurals array count is equal to nplurals value: did the user provide right amount of plural translations per key!?
+      if ( Array.isArray(value) && (nplurals !== null) && (nplurals >= 1) && (value.length != nplurals) ) {
+        problems.push({ severity: countSeverity || 'error', exception: new CorbeauPerdu.i18n.LocaleException("Possible plurals count (" + value.length + ") for key '" + key + "' in domain '" + domain + "' doesn't match the 'nplurals' value (" + nplurals + ") !", CorbeauPerdu.i18n.LocaleException.PLURAL_COUNT_MISMATCH, { domain: domain, key: key, expected: nplurals, actual: value.length }) });
+      }
+
+      if (!full) continue;
+
+      // the message is the key, without its context
+      message = key.substr(key.indexOf(_CONTEXTSEPARATOR) + 1);
+      expected = CorbeauPerdu.i18n.LocaleFormatter.placeholders(message);
+
+      for (i = 0; i < forms.length; i++) {
+        if (typeof forms[i] !== 'string') {
+          report('error', "Invalid translation (expecting a string, got " + typeof forms[i] + ")", CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { actual: forms[i] });
+          continue;
+        }
+        if (forms[i] === '') {
+          report('warning', "Empty translation", CorbeauPerdu.i18n.LocaleException.EMPTY_TRANSLATION, {});
+          continue;
+        }
+
+        actual = CorbeauPerdu.i18n.LocaleFormatter.placeholders(forms[i]);
+
+        for (id in actual) {
+          if (!Object.prototype.hasOwnProperty.call(expected, id)) {
+            report('error', "Placeholder '" + id + "' of the translation isn't in the message", CorbeauPerdu.i18n.LocaleException.PLACEHOLDER_MISMATCH, { actual: id });
+          }
+          else if ( (expected[id] !== null) && (actual[id] !== null) && (expected[id].replace('i', 'd') !== actual[id].replace('i', 'd')) ) {
+            report('error', "Placeholder '" + id + "' type mismatch ('" + expected[id] + "' in the message, '" + actual[id] + "' in the translation)", CorbeauPerdu.i18n.LocaleException.PLACEHOLDER_MISMATCH, { expected: expected[id], actual: actual[id] });
+          }
+        }
+        for (id in expected) {
+          if (!Object.prototype.hasOwnProperty.call(actual, id)) {
+            report('warning', "Placeholder '" + id + "' of the message isn't in the translation", CorbeauPerdu.i18n.LocaleException.PLACEHOLDER_MISMATCH, { expected: id });
+          }
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * _checkPluralCounts()
+   * Validate the translations of a domain (see _checkKeys()), checking the plural translations count against the domain's plural rule,
+   * else, when not using custom plural forms, against the default plural rule: as it may change after loading (see setLang() and setDefaultPlural()),
+   * a wrong count is then only a warning, and the missing plural forms fall back to the last one given
+   *
+   * @param string domain name
+   * @param object data json translation data for domain
+   * @param object rule compiled plural rule of the domain (see _checkPluralForms()), or null
+   * @param boolean full do all the checks, else only the plural translations count
+   * @return array of { severity: 'error' or 'warning', exception: LocaleException }
+   */
+  var _checkPluralCounts = function(domain, data, rule, full) {
+    if (rule !== null) return _checkKeys(domain, data, rule.nplurals, full);
+    if (_useCustomPluralForms) return _checkKeys(domain, data, null, full);
+    return _checkKeys(domain, data, _defaultPluralRule.nplurals, full, 'warning');
+  }
+
+  /**
+   * _prepareDomain()
+   * Validate the translations JSON data of a domain and compile its plural rule, without loading it
+   * In lenient mode (see setLenientLoading()), the translations with errors are dropped instead of failing the whole domain
+   *
+   * @param string domain name
+   * @param object data json translation data for domain
+   * @param string lang language of the translations (for the built-in CLDR plural rules)
+   * @return object { data: translations to load, rule: compiled plural rule of the domain, or null if not using custom plural forms }
+   */
+  var _prepareDomain = function(domain, data, lang) {
+    if (!_validJSON(data)) throw new CorbeauPerdu.i18n.LocaleException("Invalid JSON data for domain: '" + domain + "'", CorbeauPerdu.i18n.LocaleException.INVALID_JSON, { domain: domain });
+
+    var pluralForms = _checkPluralForms(domain, data, lang);
+    if (pluralForms.errors.length > 0) throw pluralForms.errors[0];
+
+    var problems = _checkPluralCounts(domain, data, pluralForms.rule, _lenientLoading);
+    var dropped = {}, key, i;
+
+    for (i = 0; i < problems.length; i++) {
+      if (problems[i].severity !== 'error') {
+        if ( _debug && (problems[i].exception.code === CorbeauPerdu.i18n.LocaleException.PLURAL_COUNT_MISMATCH) ) console.warn(problems[i].exception.message);
+        continue;
+      }
+      if (!_lenientLoading) throw problems[i].exception;
+
+      // lenient mode: drop the invalid translation, but keep the others
+      if ( _debug && !dropped[problems[i].exception.key] ) console.warn("Translation dropped: " + problems[i].exception.message);
+      dropped[problems[i].exception.key] = true;
+    }
+
+    if (Object.keys(dropped).length > 0) {
+      var kept = {};
+      for (key in data) {
+        if (!dropped[key]) kept[key] = data[key];
+      }
+      data = kept;
+    }
+
+    return { data: data, rule: pluralForms.rule };
+  }
+
+  /**
+   * _commitDomain()
+   * Load the translations JSON data and plural rule of a domain validated by _prepareDomain()
+   *
+   * @param string domain name
+   * @param object data json translation data for domain
+   * @param object rule compiled plural rule of the domain, or null
+   */
+  var _commitDomain = function(domain, data, rule) {
+    _loadedDomains[domain] = data;
+    delete(_compiledDomains[domain]);
+
+    if (rule !== null) _pluralRules[domain] = rule;
+    else delete(_pluralRules[domain]);
+  }
+
+  /**
+   * _snapshot()
+   * Get a read-only deep copy of a value
+   *
+   * @param mixed value
+   * @return mixed frozen copy of the value
+   */
+  var _snapshot = function(value) {
+    if ( (value === null) || (typeof value !== 'object') ) return value;
+
+    var copy = Array.isArray(value) ? [] : {};
+    for (var key in value) copy[key] = _snapshot(value[key]);
+
+    return Object.freeze(copy);
+  }
+
+  /**
+   * _languagePluralRule()
+   * Get the default plural rule of a language: its built-in CLDR rule if known, else the DEFAULTPLURAL test
+   *
+   * @param string lang
+   * @return object { nplurals: int, plural: string, evaluate: function(n) }
+   */
+  var _languagePluralRule = function(lang) {
+    var rule = CorbeauPerdu.i18n.LocalePlural.getRule(lang);
+    return (rule !== null) ? rule : { nplurals: 1, plural: _DEFAULTPLURAL, evaluate: _compilePlural(_DEFAULTPLURAL) };
+  }
+
+  /**
+   * _emit()
+   * Call the handlers registered with on() for an event
+   *
+   * @param string type event type
+   * @param object detail event details, passed to the handlers: 'type' and 'lang' are added to it
+   */
+  var _emit = function(type, detail) {
+    var handlers = (_listeners[type] || []).slice();
+
+    detail.type = type;
+    detail.lang = _lang;
+
+    for (var i = 0; i < handlers.length; i++) {
+      try {
+        handlers[i].call(_self, detail);
+      }
+      catch (error) {
+        console.error(error); // a broken handler must not break the translations
+      }
+    }
+  }
+
+  /**
+   * _emitShared()
+   * Call the handlers registered with on() for a domain event, then notify the instances sharing the catalogs of the running language (see LocaleRegistry)
+   *
+   * @param string type event type: 'domainloaded' or 'domainunloaded'
+   * @param object detail event details
+   */
+  var _emitShared = function(type, detail) {
+    _emit(type, detail);
+    if (_shared !== null) _shared.notify(_self, _lang, type, detail.domain);
+  }
+
+  /**
+   * _useCatalogs()
+   * Switch to the catalogs of a language: the registry's ones if shared (see LocaleRegistry), else new empty ones
+   *
+   * @param string lang
+   */
+  var _useCatalogs = function(lang) {
+    var catalogs = (_shared !== null) ? _shared.catalogsOf(lang) : { domains: {}, pluralRules: {}, compiledDomains: {} };
+
+    _loadedDomains = catalogs.domains;
+    _pluralRules = catalogs.pluralRules;
+    _compiledDomains = catalogs.compiledDomains;
+  }
+
+  /**
+   * _getDomainData()
+   * Get the translations of a domain from the cache, else fetch them from their url
+   *
+   * @param string domain
+   * @param string url
+   * @return Promise resolving with { domain: string, url: string, data: object, cached: boolean }
+   */
+  var _getDomainData = function(domain, url) {
+    return _readCache(url).then(function(cachedData) {
+      if (cachedData !== null) {
+        if (_debug) console.log("Loading domain '" + domain + "' from cache...");
+        return { domain: domain, url: url, data: cachedData, cached: true };
+      }
+
+      return _fetchDomain(domain, url).then(function(data) {
+        return { domain: domain, url: url, data: data, cached: false };
+      });
+    });
+  }
+
+  /**
+   * _domainLanguage()
+   * Get the language of a domain: its header's "language", else the running language
+   *
+   * @param string domain
+   * @return string
+   */
+  var _domainLanguage = function(domain) {
+    var header = (typeof _loadedDomains[domain] !== 'undefined') ? _loadedDomains[domain][""] : null;
+    return (header && header["language"]) ? header["language"] : _lang;
+  }
+
+  /**
+   * _pluralCategory()
+   * Get the CLDR plural category of a number with the plural rule of a domain, i.e. for the ICU messages 'plural' arguments.
+   * Custom plural forms get the categories of the language's CLDR rule if it has the same number of forms, else 'one' for the first form and 'other' for the others
+   *
+   * @param string domain
+   * @param number n
+   * @param boolean ordinal get the ordinal category (i.e. 1st, 2nd, 3rd) instead of the cardinal one: these always use the language's CLDR rule
+   * @return string 'zero', 'one', 'two', 'few', 'many' or 'other'
+   */
+  var _pluralCategory = function(domain, n, ordinal) {
+    if (ordinal) return CorbeauPerdu.i18n.LocalePlural.getCategory(_domainLanguage(domain), n, 'ordinal');
+
+    return _ruleCategory(_getPluralRule(domain), _domainLanguage(domain), n);
+  }
+
+  /**
+   * _isDecimal()
+   * Is a number a decimal number (i.e. 1.5)? The plural rules are the integer ones (as gettext's, and the CLDR rules shipped in LocalePlural),
+   * so the decimal numbers of the rules with CLDR categories get theirs from LocalePlural.getCategory() (i.e. "1,5 photo" in French, but "1.5 photos" in English)
+   *
+   * @param number n
+   * @return boolean
+   */
+  var _isDecimal = function(n) {
+    n = Number(n);
+    return isFinite(n) && (n % 1 !== 0);
+  }
+
+  /**
+   * _ruleCategories()
+   * Get the CLDR plural categories of the forms of a compiled plural rule: the language's CLDR rule ones if it has the same number of forms
+   *
+   * @param object rule { nplurals: int, plural: string, evaluate: function(n) }
+   * @param string lang language of the rule
+   * @return array categories, by form index, or null if unknown
+   */
+  var _ruleCategories = function(rule, lang) {
+    var forms = (rule.nplurals <= 1) ? rule.nplurals + 1 : rule.nplurals; // gettext's number of forms, see the nplurals notes at the top of this file
+    var languageRule;
+
+    // find the categories of custom plural forms only once
+    if (typeof rule.categories === 'undefined') {
+      languageRule = CorbeauPerdu.i18n.LocalePlural.getRule(lang);
+      rule.categories = ( (languageRule !== null) && (languageRule.categories.length === forms) ) ? languageRule.categories : null;
+    }
+
+    return rule.categories;
+  }
+
+  /**
+   * _ruleIndex()
+   * Get the plural form index of a number with a compiled plural rule, i.e. for the *ngettext() functions:
+   * the decimal numbers get the form of their CLDR category (see _isDecimal()), or the last form if the rule has none for it
+   *
+   * @param object rule { nplurals: int, plural: string, evaluate: function(n) }
+   * @param string lang language of the rule
+   * @param number n
+   * @return int form index
+   */
+  var _ruleIndex = function(rule, lang, n) {
+    var categories = _ruleCategories(rule, lang), index;
+
+    if ( _isDecimal(n) && (categories !== null) ) {
+      index = categories.indexOf(CorbeauPerdu.i18n.LocalePlural.getCategory(lang, n));
+      return (index !== -1) ? index : categories.length - 1;
+    }
+
+    return Number(rule.evaluate(n));
+  }
+
+  /**
+   * _ruleCategory()
+   * Get the CLDR plural category of a number with a compiled plural rule: see _pluralCategory()
+   *
+   * @param object rule { nplurals: int, plural: string, evaluate: function(n) }
+   * @param string lang language of the rule, for the categories of its forms
+   * @param number n
+   * @return string 'zero', 'one', 'two', 'few', 'many' or 'other'
+   */
+  var _ruleCategory = function(rule, lang, n) {
+    var categories = _ruleCategories(rule, lang);
+
+    if ( _isDecimal(n) && (categories !== null) ) return CorbeauPerdu.i18n.LocalePlural.getCategory(lang, n);
+
+    var index = Number(rule.evaluate(n));
+
+    if (categories !== null) return categories[index] || 'other';
+    return ( (index === 0) && (rule.nplurals >= 1) ) ? 'one' : 'other';
+  }
+
+  /**
+   * _getPluralRule()
+   * Get the compiled plural rule of a domain: its own if loaded with custom plural forms, else the default plural rule
+   *
+   * @param string domain
+   * @return object { nplurals: int, plural: string, evaluate: function(n) }
+   */
+  var _getPluralRule = function(domain) {
+    return (typeof _pluralRules[domain] !== 'undefined') ? _pluralRules[domain] : _defaultPluralRule;
+  }
+
+  // get the default plural rule of the running language
+  _defaultPluralRule = _languagePluralRule(_lang);
+
+  // -------------------------------------------------
+  // INIT PUBLIC VARIABLES AND FUNCTIONS
+  // -------------------------------------------------
+
+  /**
+  * Getter for _loadedDomains
+  * Get the loaded domains array: a read-only snapshot, use loadDomain(), mergeDomain() and unloadDomain() to change them
+  * @returns associative array of all domains translations
+  */
+  this.getLoadedDomains = function(){
+    return _snapshot(_loadedDomains);
+  }
+
+  /**
+  * hasDomain()
+  * Is a domain loaded ?
+  *
+  * @param string domain
+  * @returns boolean
+  */
+  this.hasDomain = function(domain){
+    return Object.prototype.hasOwnProperty.call(_loadedDomains, domain);
+  }
+
+  /**
+  * Getter for _defaultDomain
+  * @returns string default lookup domain
+  */
+  this.getDefaultDomain = function(){
+    return _defaultDomain;
+  }
+
+  /**
+  * Setter for _defaultDomain
+  * Set the default lookup domain, used by the functions without a domain argument (i.e. gettext(), ngettext(), format())
+  * @param string domain
+  * @return string old default domain which was set
+  */
+  this.setDefaultDomain = function(domain){
+    var ov = _defaultDomain;
+    _defaultDomain = domain;
+    return ov;
+  }
+
+  /**
+  * setDomainParent()
+  * Declare a domain as extending another one: the messages missing in the domain are looked up in its parent domain (and the parent's parent...),
+  * before the fallback locales. i.e. locale.setDomainParent("admin", "main");
+  *
+  * @param string domain
+  * @param string parent parent domain, or null to remove the domain's parent
+  * @return string old parent domain which was set, or null if none
+  * @throws LocaleException if the parent domain already extends the domain
+  */
+  this.setDomainParent = function(domain, parent){
+    for (var ancestor = parent; ( typeof ancestor !== 'undefined' ) && ( ancestor !== null ); ancestor = _domainParents[ancestor]) {
+      if (ancestor === domain) throw new CorbeauPerdu.i18n.LocaleException("Domain '" + domain + "' can't extend the '" + parent + "' domain, which already extends it", CorbeauPerdu.i18n.LocaleException.INVALID_DOMAIN, { domain: domain, actual: parent });
+    }
+
+    var ov = Object.prototype.hasOwnProperty.call(_domainParents, domain) ? _domainParents[domain] : null;
+
+    if (parent === null) delete(_domainParents[domain]);
+    else _domainParents[domain] = parent;
+
+    return ov;
+  }
+
+  /**
+  * Getter for _domainParents
+  * @param string domain
+  * @returns string parent domain of the domain, or null if none
+  */
+  this.getDomainParent = function(domain){
+    return Object.prototype.hasOwnProperty.call(_domainParents, domain) ? _domainParents[domain] : null;
+  }
+
+  /**
+  * Getter for _lang
+  * Get the running language/locale set
+  * @returns string working lang
+  */
+  this.getLang = function(){
+    return _lang;
+  }
+
+  /**
+   * getLanguageTag()
+   * Get the running language as a BCP 47 language tag, for the Intl API: i.e. "fr_FR" becomes "fr-FR"
+   *
+   * @return string BCP 47 language tag, or undefined if the running language isn't a valid one
+   */
+  this.getLanguageTag = function(){
+    return CorbeauPerdu.i18n.LocaleIntl.toLanguageTag(_lang);
+  }
+
+  /**
+   * setFormatter()
+   * Set the function replacing the placeholders of the messages with the values given to the *gettext() functions.
+   * Default is the built-in CorbeauPerdu.i18n.LocaleFormatter.format(), i.e. to use the sprintf.js library instead:
+   * locale.setFormatter(function(message, args) { return sprintf.apply(null, [message].concat(args)); });
+   *
+   * @param function formatter function(message, args, options) returning the formatted message, or null for the built-in formatter
+   *                            options.formatArgument(value, type, style) formats a value with the running language (see CorbeauPerdu.i18n.LocaleIntl)
+   *                            With an encoder set (see setEncoder()), the message is encoded before formatting, or the whole formatted message after,
+   *                            when the placeholder values are also encoded: the built-in formatter encodes them separately
+   * @return function old formatter which was set
+   */
+  this.setFormatter = function(formatter){
+    var ov = _formatter;
+
+    if ( (typeof formatter !== 'undefined') && (formatter !== null) && (typeof formatter !== 'function') ) throw new TypeError("Formatter is not a function");
+
+    _formatter = formatter || null;
+    return ov;
+  }
+
+  /**
+   * setMissingCollector()
+   * Collect the missing translations (messages not found in their domain, nor in the fallback locales) while the app is running, i.e. during a QA run.
+   * The collected translations stay available after the collector is turned off (see getMissing() and exportMissing())
+   *
+   * @param object options collector options, or null to stop collecting: {
+   *   onMissing: function(entry) (optional!) called on every missing translation with the collected entry (see getMissing())
+   * }
+   * @return object old options which were set
+   */
+  this.setMissingCollector = function(options){
+    var ov = _missingCollector;
+    _missingCollector = options || null;
+    return ov;
+  }
+
+  /**
+   * getMissing()
+   * Get the collected missing translations (see setMissingCollector())
+   *
+   * @param string domain (optional!) only get the missing translations of this domain
+   * @return array of { lang: string, domain: string, msgctxt: string or null, msgid: string, msgid_plural: string or null, hits: int, undefinedDomain: boolean }
+   */
+  this.getMissing = function(domain){
+    var entries = [];
+
+    for (var key in _missing) {
+      if ( (typeof domain === 'undefined') || (domain === null) || (_missing[key].domain === domain) ) entries.push(_copyMissing(_missing[key]));
+    }
+
+    return entries;
+  }
+
+  /**
+   * clearMissing()
+   * Forget the collected missing translations
+   */
+  this.clearMissing = function(){
+    _missing = {};
+  }
+
+  /**
+   * exportMissing()
+   * Export the collected missing translations (see setMissingCollector())
+   *
+   * @param string format 'pot' for a gettext POT template (default), or 'json'
+   * @param string domain (optional!) only export the missing translations of this domain
+   * @return string content of the POT template / JSON array
+   */
+  this.exportMissing = function(format, domain){
+    var entries = this.getMissing(domain);
+
+    format = format || 'pot';
+    if (format === 'json') return JSON.stringify(entries, null, 2);
+    if (format !== 'pot') throw new CorbeauPerdu.i18n.LocaleException("Unknown missing translations export format: '" + format + "'", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: format });
+
+    // group the same message missing in many languages / domains in one template entry
+    var messages = {}, keys = [], lines, i, j;
+
+    for (i = 0; i < entries.length; i++) {
+      var key = _contextKey(entries[i].msgctxt, entries[i].msgid) + '|' + ( (entries[i].msgid_plural === null) ? '' : entries[i].msgid_plural );
+
+      if (typeof messages[key] === 'undefined') {
+        messages[key] = [];
+        keys.push(key);
+      }
+      messages[key].push(entries[i]);
+    }
+
+    lines = [
+      'msgid ""',
+      'msgstr ""',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '"Content-Transfer-Encoding: 8bit\\n"'
+    ];
+    if ( (typeof domain !== 'undefined') && (domain !== null) ) lines.push('"X-Domain: ' + _poString(domain).slice(1, -1) + '\\n"');
+
+    for (i = 0; i < keys.length; i++) {
+      var entry = messages[keys[i]][0];
+
+      lines.push('');
+      for (j = 0; j < messages[keys[i]].length; j++) {
+        lines.push('#. domain: ' + messages[keys[i]][j].domain + ', language: ' + messages[keys[i]][j].lang + ', hits: ' + messages[keys[i]][j].hits);
+      }
+      if (entry.msgctxt !== null) lines.push('msgctxt ' + _poString(entry.msgctxt));
+      lines.push('msgid ' + _poString(entry.msgid));
+
+      if (entry.msgid_plural !== null) {
+        lines.push('msgid_plural ' + _poString(entry.msgid_plural));
+        lines.push('msgstr[0] ""');
+        lines.push('msgstr[1] ""');
+      }
+      else {
+        lines.push('msgstr ""');
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * formatNumber()
+   * Format a number with the running language
+   *
+   * @param number value
+   * @param mixed style (optional!) 'integer', 'percent', 'compact', 'currency:XXX', or an Intl.NumberFormat options object
+   * @return string
+   */
+  this.formatNumber = function(value, style){
+    return _formatArgument(value, 'number', style);
+  }
+
+  /**
+   * formatCurrency()
+   * Format an amount of money with the running language
+   *
+   * @param number value
+   * @param string currency ISO 4217 currency code, i.e. 'EUR'
+   * @return string
+   */
+  this.formatCurrency = function(value, currency){
+    return _formatArgument(value, 'number', 'currency:' + currency);
+  }
+
+  /**
+   * formatDate()
+   * Format a date with the running language
+   *
+   * @param mixed value Date, timestamp (milliseconds) or date string
+   * @param mixed style (optional!) 'short', 'medium' (default), 'long', 'full', or an Intl.DateTimeFormat options object
+   * @return string
+   */
+  this.formatDate = function(value, style){
+    return _formatArgument(value, 'date', style);
+  }
+
+  /**
+   * formatTime()
+   * Format the time of a date with the running language
+   *
+   * @param mixed value Date, timestamp (milliseconds) or date string
+   * @param mixed style (optional!) 'short', 'medium' (default), 'long', 'full', or an Intl.DateTimeFormat options object
+   * @return string
+   */
+  this.formatTime = function(value, style){
+    return _formatArgument(value, 'time', style);
+  }
+
+  /**
+   * formatRelative()
+   * Format a relative time with the running language, i.e. "2 hours ago" or "tomorrow"
+   *
+   * @param mixed value date relative to now (Date, timestamp or date string), or a number of units
+   * @param string unit (optional!) unit of a number of units: 'second', 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+   * @return string
+   */
+  this.formatRelative = function(value, unit){
+    return _formatArgument(value, 'relative', unit);
+  }
+
+  /**
+   * setLang()
+   * Switch the running language: reload the domains loaded with a '{lang}' url template (see loadDomainFrom()) for the new language,
+   * and swap them in all at once when they are all loaded. Domains which are neither reloaded nor given in 'domains' are unloaded (with a warning in debug mode):
+   * this includes the domains loaded from inline data, which have no '{lang}' url, i.e. the default domain given to the constructor, so give their new language's translations in 'domains'.
+   * The old translations stay in use until then, and are kept if any domain fails to load.
+   * With a LocaleRegistry, the view switches to the registry's catalogs of the new language: their loaded domains are kept.
+   * Emits a 'domainunloaded' event per unloaded domain, a 'domainloaded' event per loaded domain, then a 'languagechange' event (see on())
+   *
+   * @param string lang new language/locale
+   * @param object domains (optional!) translations JSON data of the new language, by domain name, i.e. { messages: {...} }
+   * @return Promise resolving with this Locale once the language is switched, or rejected with the first load error
+   */
+  this.setLang = function(lang, domains){
+    var self = this, changeId = ++_langChangeId, previousLang = _lang, loads = [], domain, key = 'setLang|' + lang;
+
+    domains = domains || {};
+
+    for (domain in domains) {
+      loads.push({ domain: domain, url: null, data: domains[domain], cached: true });
+    }
+    for (domain in _domainTemplates) {
+      if (typeof domains[domain] === 'undefined') loads.push(_getDomainData(domain, _domainUrl(domain, _domainTemplates[domain], lang)));
+    }
+
+    var promise = Promise.all(loads).then(function(results) {
+      var prepared = [], unloaded = [], i;
+
+      if (_pendingLoads[key] === promise) delete(_pendingLoads[key]);
+
+      // setLang() was called again meanwhile: the last call wins
+      if (changeId !== _langChangeId) return self;
+
+      // validate everything before touching the running translations
+      for (i = 0; i < results.length; i++) prepared.push(_prepareDomain(results[i].domain, results[i].data, lang));
+
+      var previousDomains = Object.keys(_loadedDomains);
+
+      // swap in the new language
+      _lang = lang;
+      _useCatalogs(lang);
+      _lazyDomains = {};
+      if (!_defaultPluralOverridden) _defaultPluralRule = _languagePluralRule(lang);
+
+      for (i = 0; i < results.length; i++) _commitDomain(results[i].domain, prepared[i].data, prepared[i].rule);
+
+      // the domains with no translations for the new language are gone
+      for (i = 0; i < previousDomains.length; i++) {
+        if (typeof _loadedDomains[previousDomains[i]] !== 'undefined') continue;
+
+        if (_debug) console.warn("Domain '" + previousDomains[i] + "' has no '" + lang + "' translations (no '{lang}' url, nor given to setLang()): unloaded");
+        unloaded.push(previousDomains[i]);
+      }
+
+      if (_debug) console.log("Language switched from '" + previousLang + "' to '" + lang + "'");
+
+      // only this locale lost these domains: the other views of the registry aren't notified
+      for (i = 0; i < unloaded.length; i++) _emit('domainunloaded', { domain: unloaded[i] });
+      for (i = 0; i < results.length; i++) _emitShared('domainloaded', { domain: results[i].domain });
+      _emit('languagechange', { previousLang: previousLang });
+
+      return Promise.all(results.map(function(result) {
+        return result.cached ? null : _writeCache(result.url, result.data);
+      }))
+      .then(function() { return self; });
+    }, function(error) {
+      if (_pendingLoads[key] === promise) delete(_pendingLoads[key]);
+      throw error;
+    });
+
+    _pendingLoads[key] = promise;
+    return promise;
+  }
+
+  /**
+   * on()
+   * Subscribe to an event:
+   *   'languagechange': the language was switched by setLang(), detail { lang, previousLang }
+   *   'domainloaded': a domain was loaded (or merged into), detail { lang, domain }
+   *   'domainunloaded': a domain was unloaded, detail { lang, domain }
+   *   'missingkey': a message has no translation, detail { lang, domain, context, msgid1, msgid2, n, message, undefinedDomain }
+   *
+   * @param string type event type
+   * @param function handler function(detail), called with this Locale as 'this'
+   * @return function to call to unsubscribe the handler
+   */
+  this.on = function(type, handler){
+    var self = this;
+
+    if (typeof handler !== 'function') throw new TypeError("Event handler for '" + type + "' is not a function");
+
+    (_listeners[type] = _listeners[type] || []).push(handler);
+
+    return function() { self.off(type, handler); };
+  }
+
+  /**
+   * off()
+   * Unsubscribe from an event
+   *
+   * @param string type event type
+   * @param function handler handler given to on()
+   * @return boolean true if the handler was subscribed
+   */
+  this.off = function(type, handler){
+    var handlers = _listeners[type] || [], index = handlers.indexOf(handler);
+
+    if (index === -1) return false;
+
+    handlers.splice(index, 1);
+    return true;
+  }
+
+  /**
+  * Getter for the default domain's plural
+  * Get the running plural: kept for backward compatibility, use getPluralRule() to get the plural of a given domain
+  * @returns string working plural tests
+  */
+  this.getWorkingPlural = function(){
+    return _getPluralRule(_defaultDomain).plural;
+  }
+
+  /**
+  * getPluralRule()
+  * Get the plural rule used by a given domain: its own plural if using custom plural forms, else the default plural (see setDefaultPlural())
+  * @param string domain name
+  * @returns object { nplurals: int, plural: string }, or null if the domain isn't loaded
+  */
+  this.getPluralRule = function(domain){
+    if (typeof _loadedDomains[domain] === 'undefined') return null;
+
+    var rule = _getPluralRule(domain);
+    return { nplurals: rule.nplurals, plural: rule.plural };
+  }
+
+  /**
+  * getPluralCategory()
+  * Get the CLDR plural category of a number for the running language, or with the default plural rule if set with setDefaultPlural()
+  * Decimal numbers (i.e. 1.5) get their CLDR category (see LocalePlural.getCategory()), as the *ngettext() functions and the ICU messages 'plural' arguments
+  * @param number n The number (e.g. item count)
+  * @param boolean ordinal (optional!) get the ordinal category (i.e. 1st, 2nd, 3rd) instead of the cardinal one
+  * @returns string 'zero', 'one', 'two', 'few', 'many' or 'other'
+  */
+  this.getPluralCategory = function(n, ordinal){
+    // unknown language, or default plural set with setDefaultPlural(): use the default plural rule
+    if ( !ordinal && ( (CorbeauPerdu.i18n.LocalePlural.getRule(_lang) === null) || _defaultPluralOverridden ) ) return _ruleCategory(_defaultPluralRule, _lang, n);
+
+    return CorbeauPerdu.i18n.LocalePlural.getCategory(_lang, n, ordinal ? 'ordinal' : 'cardinal');
+  }
+
+  /**
+  * Setter for the default plural
+  * Set the default plural to use if not using from JSON data: this overrides the language's built-in CLDR plural rule (or the DEFAULTPLURAL if none known)
+  * @param string default plural to use if not using plural-forms from JSON data
+  * @param int nplurals (optional!) number of plural forms, EXCLUDING the singular form (see notes at the top), default is 1
+  */
+  this.setDefaultPlural = function(defaultPlural, nplurals){
+
+    // compile the 'defaultPlural' conditions: this makes sure it validates and doesn't return an exception
+    try
+    {
+      _defaultPluralRule = {
+        nplurals: (typeof nplurals === 'undefined') ? 1 : parseInt(nplurals, 10),
+        plural: defaultPlural,
+        evaluate: _compilePlural(defaultPlural)
+      };
+      _defaultPluralOverridden = true;
+    }
+    catch (error)
+    {
+      throw error;
+    }
+  }
+
+  /**
+   * Setter for _encoder
+   * Format all returned messages for web output ? Default is false!
+   * i.e. '<' becomes '&lt;', and also '\n' becomes '<br/>': same as setEncoder(v ? 'html' : null)
+   * @param bool $formatMessages4Web
+   * @return bool old value which was set
+   */
+  this.setFormatMessages4Web = function(v){
+    var ov = (_encoder === 'html');
+    _encoder = (v === true) ? 'html' : null;
+    return ov;
+  }
+
+  /**
+   * Setter for _formatMessages4WebInclPlaceholders
+   * If an encoder is set (see setEncoder() and setFormatMessages4Web()), do we want to also encode the placeholder values? Default is true!
+   * Turn it off only for placeholder values already encoded, or trusted (i.e. links html)
+   * @param bool $inclPlaceholders
+   * @return bool old value which was set
+   */
+  this.setFormatMessages4WebInclPlaceholders = function(v){
+    var ov = _formatMessages4WebInclPlaceholders;
+    _formatMessages4WebInclPlaceholders = v;
+    return ov;
+  }
+
+  /**
+   * Setter for _encoder
+   * Set the output encoder of the returned messages, for all the domains or for a given domain:
+   * the message and the placeholder values are encoded separately (see setFormatMessages4WebInclPlaceholders())
+   * i.e. locale.setEncoder("html"); locale.setEncoder("raw", "emails");
+   *
+   * @param mixed encoder 'html', 'htmlAttr', 'js', 'url', 'markdown', 'raw' or any encoder registered in CorbeauPerdu.i18n.LocaleEncoder,
+   *                      a function(text) returning the encoded text, or null for no encoding (for a domain: use the locale's encoder)
+   * @param string domain (optional!) domain to set the encoder of
+   * @return mixed old encoder which was set
+   */
+  this.setEncoder = function(encoder, domain){
+    if (encoder !== null) CorbeauPerdu.i18n.LocaleEncoder.get(encoder); // validate it
+
+    var ov;
+
+    if (typeof domain === 'undefined') {
+      ov = _encoder;
+      _encoder = encoder;
+    }
+    else {
+      ov = Object.prototype.hasOwnProperty.call(_domainEncoders, domain) ? _domainEncoders[domain] : null;
+      if (encoder === null) delete(_domainEncoders[domain]);
+      else _domainEncoders[domain] = encoder;
+    }
+
+    return ov;
+  }
+
+  /**
+   * Getter for _encoder
+   * @param string domain (optional!) get the encoder of a domain, if it has its own
+   * @return mixed encoder name or function, or null if none
+   */
+  this.getEncoder = function(domain){
+    if ( (typeof domain !== 'undefined') && Object.prototype.hasOwnProperty.call(_domainEncoders, domain) ) return _domainEncoders[domain];
+    return _encoder;
+  }
+
+  /**
+   * withEncoder()
+   * Get the translation functions of this locale, encoding their messages with a given encoder: to select the encoder per call
+   * i.e. '<a href="?q=' + locale.withEncoder("url")._("search") + '" title="' + locale.withEncoder("htmlAttr")._("Search %s", name) + '">'
+   *
+   * @param mixed encoder see setEncoder(), null for no encoding
+   * @return object the *gettext() functions, their aliases, format(), dformat() and the t() template tag
+   */
+  this.withEncoder = function(encoder){
+    if (encoder !== null) CorbeauPerdu.i18n.LocaleEncoder.get(encoder); // validate it
+
+    var encoded = {};
+    var names = ['gettext', 'ngettext', 'dgettext', 'dngettext', 'pgettext', 'npgettext', 'dpgettext', 'dnpgettext', 'format', 'dformat', 't',
+                 '_', '_n', '_d', '_dn', '_p', '_np', '_dp', '_dnp'];
+
+    names.forEach(function(name) {
+      encoded[name] = function() {
+        var previous = _callEncoder;
+        _callEncoder = encoder;
+
+        try {
+          return _self[name].apply(_self, arguments);
+        }
+        finally {
+          _callEncoder = previous;
+        }
+      };
+    });
+
+    return encoded;
+  }
+
+  /**
+   * Setter for _pseudo
+   * Pseudo-localize all the returned messages, to test the layouts and spot the hard-coded strings before the real translations arrive:
+   * i.e. "Home" becomes "[Ĥöɱé ~~]", placeholders and markup being left intact (see CorbeauPerdu.i18n.LocalePseudo)
+   * @param mixed options true for the default options, { accents, padding, prefix, suffix, rtl } options, or null / false to turn it off
+   * @return object old options which were set, or null if it was off
+   */
+  this.setPseudoLocalization = function(options){
+    var ov = _pseudo;
+
+    if ( (options === null) || (options === false) || (typeof options === 'undefined') ) _pseudo = null;
+    else _pseudo = (options === true) ? {} : options;
+
+    return ov;
+  }
+
+  /**
+   * Getter for the default plural
+   * Get the default plural used if not using from JSON data
+   * @returns string default plural used if not using custom plurals from JSON data
+   */
+  this.getDefaultPlural = function(){
+    return _defaultPluralRule.plural;
+  }
+
+  /**
+   * Setter for _fallbackLocales
+   * Set the locales to lookup a missing translation into, in order, before falling back to the UNtranslated message
+   * i.e. for a fr_CA locale: locale.setFallbackLocales([frFRLocale, enLocale]);
+   * Each fallback locale uses its own plural rules, and its own fallback locales if it has any
+   * @param mixed locales a CorbeauPerdu.i18n.Locale instance, or an array of them (an empty array removes the fallbacks)
+   * @return array old fallback locales which were set
+   */
+  this.setFallbackLocales = function(locales){
+    if (!Array.isArray(locales)) locales = [locales];
+
+    for (var i = 0; i < locales.length; i++) {
+      if ( !(locales[i] instanceof CorbeauPerdu.i18n.Locale) || (locales[i] === this) ) {
+        throw new CorbeauPerdu.i18n.LocaleException("Invalid fallback locale #" + i + ": expected another CorbeauPerdu.i18n.Locale instance", CorbeauPerdu.i18n.LocaleException.INVALID_FALLBACK, { key: i });
+      }
+    }
+
+    var ov = _fallbackLocales;
+    _fallbackLocales = locales.slice();
+    return ov;
+  }
+
+  /**
+   * Getter for _fallbackLocales
+   * @return array fallback locales
+   */
+  this.getFallbackLocales = function(){
+    return _fallbackLocales.slice();
+  }
+
+  /**
+   * lookup()
+   * Lookup a message in this locale and its fallback locales, without any formatting: used by the fallback locales chain
+   *
+   * @param string domain to retrieve message from
+   * @param string context message context (msgctxt), or null for none
+   * @param string msgid1 The singular message ID (or the message, for singular form)
+   * @param string msgid2 The plural message ID, or null for singular form
+   * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+   * @param array visited (optional!) locales already looked up in the chain
+   * @returns object { translation: string or null if not found, message: UNtranslated message to use if not found, arrayId: plural array id if any, undefinedDomain: boolean }
+   */
+  this.lookup = function(domain, context, msgid1, msgid2, n, visited){
+    visited = visited || [this];
+    return _lookupWithFallbacks(domain, context, msgid1, msgid2, n, visited);
+  }
+
+  /**
+   * Setter for _lenientLoading
+   * In lenient mode, the translations with errors (wrong plural translations count, invalid value, placeholders not matching their message's ones)
+   * are dropped (with a warning in debug mode) when loading a domain, instead of failing the whole domain. Errors in the plural forms header still fail the domain.
+   * @param bool lenient
+   * @return bool old value which was set
+   */
+  this.setLenientLoading = function(lenient){
+    var ov = _lenientLoading;
+    _lenientLoading = (lenient === true);
+    return ov;
+  }
+
+  /**
+   * validateDomain()
+   * Check the translations JSON data of a domain, without loading it, and report all the problems found at once:
+   * plural forms header, plural translations count, invalid values, empty translations and placeholders not matching their message's ones
+   *
+   * @param object data json translation data for domain
+   * @param object options (optional!) { domain: domain name for the reports, lang: language of the translations (default is the running language) }
+   * @return array diagnostics, empty if all is fine: {
+   *   severity: 'error' (the translation is dropped in lenient mode, see setLenientLoading(); a wrong plural translations count fails the whole domain otherwise) or 'warning', code: CorbeauPerdu.i18n.LocaleException code, message: description,
+   *   and the details of the problem: domain, key, expected, actual, plural, position (see CorbeauPerdu.i18n.LocaleException)
+   * }
+   */
+  this.validateDomain = function(data, options){
+    options = options || {};
+
+    var domain = (typeof options.domain !== 'undefined') ? options.domain : _defaultDomain;
+    var diagnostics = [], i;
+
+    var report = function(severity, exception) {
+      var diagnostic = { severity: severity, code: exception.code, message: exception.message };
+      for (var field in exception) {
+        if ( (field !== 'name') && (field !== 'code') ) diagnostic[field] = exception[field];
+      }
+      diagnostics.push(diagnostic);
+    };
+
+    if (!_validJSON(data)) {
+      report('error', new CorbeauPerdu.i18n.LocaleException("Invalid JSON data for domain: '" + domain + "'", CorbeauPerdu.i18n.LocaleException.INVALID_JSON, { domain: domain }));
+      return diagnostics;
+    }
+
+    // work on a copy of the header: validating doesn't trim the plural forms of the data
+    var copy = Object.assign({}, data);
+    if (copy[""]) copy[""] = Object.assign({}, copy[""]);
+
+    var pluralForms = _checkPluralForms(domain, copy, options.lang || _lang);
+    for (i = 0; i < pluralForms.errors.length; i++) report('error', pluralForms.errors[i]);
+
+    var problems = _checkPluralCounts(domain, copy, pluralForms.rule, true);
+    for (i = 0; i < problems.length; i++) report(problems[i].severity, problems[i].exception);
+
+    return diagnostics;
+  }
+
+  /**
+   * loadDomain()
+   * Sets the translations JSON array for a given domain
+   *
+   * @param string domain name to assign translations to
+   * @param object data json translation data for domain
+   */
+  this.loadDomain = function(domain, data){
+    var prepared;
+
+    // info msg only...
+    if (_debug) console.log('Loading domain: ' + domain + '...');
+
+    try {
+      prepared = _prepareDomain(domain, data, _lang);
+    }
+    catch (error) {
+      // don't keep the previous translations, forcing the admin to fix the issue!
+      if (_validJSON(data)) {
+        delete(_loadedDomains[domain]);
+        delete(_pluralRules[domain]);
+        delete(_compiledDomains[domain]);
+      }
+      throw error;
+    }
+
+    _commitDomain(domain, prepared.data, prepared.rule);
+
+    // info msg only...
+    if (_debug) console.log( '  loaded ' + (( _useCustomPluralForms ) ? 'with custom plural: ' : 'with default plural: ') + this.getPluralRule(domain).plural);
+
+    _emitShared('domainloaded', { domain: domain });
+  }
+
+  /**
+   * loadCompiledDomain()
+   * Sets the translations of a given domain from a compiled catalog (see CorbeauPerdu.i18n.LocaleCompiled and bin/locale-compile.js):
+   * a fast path to loadDomain(), the catalog being validated when compiled, with its plural rule compiled into a plain function
+   *
+   * @param string domain name to assign translations to
+   * @param object compiled compiled catalog, or the ES module exporting it as default
+   * @throws LocaleException if not a compiled catalog, or compiled with another version
+   */
+  this.loadCompiledDomain = function(domain, compiled){
+    if ( compiled && CorbeauPerdu.i18n.LocaleCompiled.isCompiled(compiled.default) ) compiled = compiled.default;
+
+    if (!CorbeauPerdu.i18n.LocaleCompiled.isCompiled(compiled)) {
+      if ( compiled && (typeof compiled.version !== 'undefined') ) {
+        throw new CorbeauPerdu.i18n.LocaleException("Compiled catalog version " + compiled.version + " for domain '" + domain + "' isn't supported: compile it again", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { domain: domain, expected: CorbeauPerdu.i18n.LocaleCompiled.VERSION, actual: compiled.version });
+      }
+      throw new CorbeauPerdu.i18n.LocaleException("Invalid compiled catalog for domain: '" + domain + "'", CorbeauPerdu.i18n.LocaleException.INVALID_JSON, { domain: domain });
+    }
+
+    // info msg only...
+    if (_debug) console.log('Loading compiled domain: ' + domain + '...');
+
+    var header = compiled.data[""] || {}, rule = null;
+    var nplurals = parseInt(header["nplurals"], 10);
+
+    // the plural forms are resolved by the compiler: no header, language rule or default plural to look for
+    if (_useCustomPluralForms) {
+      if (nplurals >= 1) rule = { nplurals: nplurals, plural: header["plural"], evaluate: CorbeauPerdu.i18n.LocalePlural.compile(header["plural"], compiled.evaluate) };
+      else rule = { nplurals: 0, plural: '0', evaluate: function() { return 0; } };
+    }
+
+    _commitDomain(domain, compiled.data, rule);
+    _compiledDomains[domain] = { hashed: compiled.hashed === true };
+
+    _emitShared('domainloaded', { domain: domain });
+  }
+
+  /**
+   * mergeDomain()
+   * Patch translations into a loaded domain, i.e. a plugin's few strings, without sending the whole catalog again:
+   * the patched domain is validated as a whole (i.e. the plural translations count), and left as it was on error
+   *
+   * @param string domain name of the loaded domain
+   * @param object data json translations to add or replace: a null translation removes the key; a "" header is merged with the domain's header
+   * @throws LocaleException if the domain isn't loaded, or the patched domain isn't valid
+   */
+  this.mergeDomain = function(domain, data){
+    if (!_validJSON(data)) throw new CorbeauPerdu.i18n.LocaleException("Invalid JSON data for domain: '" + domain + "'", CorbeauPerdu.i18n.LocaleException.INVALID_JSON, { domain: domain });
+    if (!this.hasDomain(domain)) throw new CorbeauPerdu.i18n.LocaleException("Domain '" + domain + "' isn't loaded: load it with loadDomain() before merging translations into it", CorbeauPerdu.i18n.LocaleException.INVALID_DOMAIN, { domain: domain });
+    if ( _compiledDomains[domain] && _compiledDomains[domain].hashed ) throw new CorbeauPerdu.i18n.LocaleException("Domain '" + domain + "' was loaded from a compiled catalog with hashed keys: translations can't be merged into it", CorbeauPerdu.i18n.LocaleException.INVALID_DOMAIN, { domain: domain });
+
+    var merged = Object.assign({}, _loadedDomains[domain]);
+
+    for (var key in data) {
+      if (key === '') merged[''] = Object.assign({}, merged[''] || {}, data['']);
+      else if (data[key] === null) delete(merged[key]);
+      else merged[key] = data[key];
+    }
+
+    // info msg only...
+    if (_debug) console.log('Merging ' + Object.keys(data).length + ' translations into domain: ' + domain + '...');
+
+    var prepared = _prepareDomain(domain, merged, _lang);
+    _commitDomain(domain, prepared.data, prepared.rule);
+
+    _emitShared('domainloaded', { domain: domain });
+  }
+
+  /**
+   * unloadDomain()
+   * Unload a domain: its translations, plural rule and url template (so setLang() doesn't reload it) are forgotten
+   *
+   * @param string domain
+   * @return boolean true if the domain was loaded
+   */
+  this.unloadDomain = function(domain){
+    var loaded = this.hasDomain(domain);
+
+    delete(_loadedDomains[domain]);
+    delete(_pluralRules[domain]);
+    delete(_compiledDomains[domain]);
+    delete(_domainTemplates[domain]);
+
+    if (loaded) _emitShared('domainunloaded', { domain: domain });
+
+    return loaded;
+  }
+
+  /**
+   * loadDomainPO()
+   * Sets the translations for a given domain from the content of a gettext .PO file
+   *
+   * @param string domain name to assign translations to
+   * @param string text content of the .PO file
+   * @param object options (optional!) parser options, see CorbeauPerdu.i18n.LocaleParser.parsePO()
+   */
+  this.loadDomainPO = function(domain, text, options){
+    options = options || {};
+    if (typeof options.domain === 'undefined') options.domain = domain;
+
+    this.loadDomain(domain, CorbeauPerdu.i18n.LocaleParser.parsePO(text, options));
+  }
+
+  /**
+   * loadDomainMO()
+   * Sets the translations for a given domain from the content of a compiled gettext .MO file
+   *
+   * @param string domain name to assign translations to
+   * @param mixed buffer content of the .MO file (ArrayBuffer, Uint8Array or Node.js Buffer)
+   * @param object options (optional!) parser options, see CorbeauPerdu.i18n.LocaleParser.parseMO()
+   */
+  this.loadDomainMO = function(domain, buffer, options){
+    options = options || {};
+    if (typeof options.domain === 'undefined') options.domain = domain;
+
+    this.loadDomain(domain, CorbeauPerdu.i18n.LocaleParser.parseMO(buffer, options));
+  }
+
+  /**
+   * setDomainLoader()
+   * Set how loadDomainFrom() loads the domains from urls
+   *
+   * @param object options {
+   *   path: string url template of the domains, i.e. '/i18n/{lang}/{domain}.json' ({version} can also be used),
+   *   fetch: function(url) returning a Promise of a fetch() Response or of the content itself (default is the browser's fetch()),
+   *   cache: 'localStorage', 'indexedDB' or a custom storage object with getItem(key) / setItem(key, value) methods (default none),
+   *   version: string catalogs version (i.e. a hash of your build): cached domains are only used if cached with the same version,
+   *   lazy: boolean if set, looking up a message in a domain not loaded yet fetches the domain from the 'path' template (default false)
+   * }
+   * @return object old options which were set
+   */
+  this.setDomainLoader = function(options){
+    var ov = _domainLoader;
+    _domainLoader = options || {};
+    _lazyDomains = {};
+    return ov;
+  }
+
+  /**
+   * loadDomainFrom()
+   * Load the translations of a given domain from a url (JSON data, or a gettext .po / .mo file)
+   * Concurrent loads of the same domain and url share the same request
+   *
+   * @param string domain name to assign translations to
+   * @param string url (optional!) url of the domain, default is the 'path' template of setDomainLoader()
+   *                   a url with a '{lang}' placeholder is a template: the domain then gets reloaded by setLang()
+   * @return Promise resolving with this Locale once the domain is loaded
+   */
+  this.loadDomainFrom = function(domain, url){
+    var self = this, lang = _lang, template = url || _domainLoader.path, key;
+
+    if (!template) return Promise.reject(new CorbeauPerdu.i18n.LocaleException("No url given for domain '" + domain + "', and no 'path' template set with setDomainLoader()", CorbeauPerdu.i18n.LocaleException.LOAD_FAILED, { domain: domain }));
+
+    // a domain with a language dependent url gets reloaded by setLang()
+    if (template.indexOf('{lang}') !== -1) _domainTemplates[domain] = template;
+
+    url = _domainUrl(domain, template, lang);
+    key = domain + '|' + url;
+    if (typeof _pendingLoads[key] !== 'undefined') return _pendingLoads[key];
+
+    var promise = _getDomainData(domain, url).then(function(result) {
+      delete(_pendingLoads[key]);
+
+      // the language was changed meanwhile: the domain is setLang()'s business now
+      if (lang !== _lang) return self;
+
+      self.loadDomain(domain, result.data);
+      return result.cached ? self : _writeCache(url, result.data).then(function() { return self; });
+    }, function(error) {
+      delete(_pendingLoads[key]);
+      throw error;
+    });
+
+    _pendingLoads[key] = promise;
+    return promise;
+  }
+
+  /**
+   * ready()
+   * Wait for all the domains being loaded by loadDomainFrom() and setLang()
+   *
+   * @return Promise resolving with this Locale once all the pending loads are done, or rejected with the first load error
+   */
+  this.ready = function(){
+    var self = this, pending = [];
+
+    for (var key in _pendingLoads) pending.push(_pendingLoads[key]);
+
+    return Promise.all(pending).then(function() { return self; });
+  }
+
+  /**
+  * gettext()
+  * Lookup a message in the current domain, singular form
+  *
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.gettext = function(message, v) {
+    // just call the dgettext() with default domain
+    var args = Array.prototype.slice.call(arguments);
+    args.unshift(_defaultDomain); // put the default domain as first arg to pass to dgettext()
+    return this.dgettext.apply(this, args);
+  }
+
+  /**
+  * ngettext()
+  * Lookup a message in the current domain, plural form
+  *
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.ngettext = function(msgid1, msgid2, n, v) {
+    // just call the dngettext() with default domain
+    var args = Array.prototype.slice.call(arguments);
+    args.unshift(_defaultDomain); // put the default domain as first arg to pass to dngettext()
+    return this.dngettext.apply(this, args);
+  }
+
+  /**
+  * dgettext()
+  * Lookup a message in a given domain, singular form
+  *
+  * @param string domain to retrieve message from
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.dgettext = function(domain, message, v) {
+    return _translate(domain, null, message, null, null, Array.prototype.slice.call(arguments, 2));
+  }
+
+  /**
+  * dngettext()
+  * Lookup a message in a given domain, plural form
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.dngettext = function(domain, msgid1, msgid2, n, v) {
+    return _translate(domain, null, msgid1, msgid2, n, Array.prototype.slice.call(arguments, 4));
+  }
+
+  /**
+  * format()
+  * Lookup an ICU MessageFormat message in the current domain, and format it with named values
+  * i.e. "{user} liked {count, plural, one {# photo} other {# photos}}": 'plural' uses the domain's plural rule (see CorbeauPerdu.i18n.LocaleMessageFormat)
+  *
+  * @param string key ICU message ID (the UNtranslated message)
+  * @param object values (optional!) argument values, by name
+  * @returns string translated / formatted message if present, else original UNtranslated message, formatted
+  */
+  this.format = function(key, values) {
+    return _formatICU(_defaultDomain, key, values);
+  }
+
+  /**
+  * dformat()
+  * Lookup an ICU MessageFormat message in a given domain, and format it with named values
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param string key ICU message ID (the UNtranslated message)
+  * @param object values (optional!) argument values, by name
+  * @returns string translated / formatted message if present, else original UNtranslated message, formatted
+  */
+  this.dformat = function(domain, key, values) {
+    return _formatICU(domain, key, values);
+  }
+
+  /**
+  * rich()
+  * Lookup a rich-text message in the current domain, and render its tags with the given renderers, i.e.:
+  * locale.rich("Read the <link>terms</link>", { link: function(content) { return '<a href="/terms">' + content + '</a>'; } });
+  * The text and the placeholder values are escaped for the 'html' output, whatever the encoder set (see setEncoder())
+  *
+  * @param string message The message ID (the singular one, for a plural message)
+  * @param object renderers renderer by tag name: a function, or an element name (see CorbeauPerdu.i18n.LocaleRichText.render())
+  * @param object options (optional!) {
+  *   output: 'html' (default) for an HTML string, 'dom' for a DocumentFragment, or 'nodes' for an array of nodes (i.e. for React or Vue),
+  *   values: placeholder values, an array or a plain object of named values (replaced by the built-in LocaleFormatter),
+  *   context: message context (msgctxt), plural: plural message ID, n: number for the plural form,
+  *   document: document to create the 'dom' nodes with
+  * }
+  * @returns mixed html string, DocumentFragment, or array of nodes
+  * @throws LocaleException if the message has a syntax error, or a tag without renderer
+  */
+  this.rich = function(message, renderers, options) {
+    return _renderRich(_defaultDomain, message, renderers, options);
+  }
+
+  /**
+  * drich()
+  * Lookup a rich-text message in a given domain, and render its tags with the given renderers (see rich())
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param string message The message ID (the singular one, for a plural message)
+  * @param object renderers renderer by tag name
+  * @param object options (optional!) see rich()
+  * @returns mixed html string, DocumentFragment, or array of nodes
+  * @throws LocaleException if the message has a syntax error, or a tag without renderer
+  */
+  this.drich = function(domain, message, renderers, options) {
+    return _renderRich(domain, message, renderers, options);
+  }
+
+  /**
+  * t()
+  * Template tag looking up a message in the current domain, singular form: the message ID is derived from the template,
+  * with a numbered placeholder per interpolation, or a named one for an object of a single value (see _templateMessage()), i.e.:
+  * locale.t`Hello ${name}, you have ${{ count }} items`; // looks up "Hello {0}, you have {count} items"
+  *
+  * @param array strings template strings
+  * @param mixed values (optional!) interpolated values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.t = function(strings, values) {
+    return _templateTag(_defaultDomain).apply(null, arguments);
+  }
+
+  /**
+  * dt()
+  * Get a template tag looking up a message in a given domain, singular form (see t()), i.e.:
+  * locale.dt("navbar")`Welcome ${name}`;
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @returns function template tag
+  */
+  this.dt = function(domain) {
+    return _templateTag(domain);
+  }
+
+  /**
+  * tn()
+  * Get the template tags looking up a message in the current domain, plural form: the singular template, then the plural one, i.e.:
+  * locale.tn(count)`You have ${count} item``You have ${count} items`; // looks up "You have {0} item" / "You have {0} items"
+  *
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @returns function template tag of the singular template, returning the template tag of the plural template
+  */
+  this.tn = function(n) {
+    return _pluralTemplateTag(_defaultDomain, n);
+  }
+
+  /**
+  * dtn()
+  * Get the template tags looking up a message in a given domain, plural form (see tn()), i.e.:
+  * locale.dtn("navbar", count)`${count} new mail``${count} new mails`;
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @returns function template tag of the singular template, returning the template tag of the plural template
+  */
+  this.dtn = function(domain, n) {
+    return _pluralTemplateTag(domain, n);
+  }
+
+  /**
+  * pgettext()
+  * Lookup a message in the current domain with a context, singular form
+  *
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.pgettext = function(context, message, v) {
+    return _translate(_defaultDomain, context, message, null, null, Array.prototype.slice.call(arguments, 2));
+  }
+
+  /**
+  * npgettext()
+  * Lookup a message in the current domain with a context, plural form
+  *
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.npgettext = function(context, msgid1, msgid2, n, v) {
+    return _translate(_defaultDomain, context, msgid1, msgid2, n, Array.prototype.slice.call(arguments, 4));
+  }
+
+  /**
+  * dpgettext()
+  * Lookup a message in a given domain with a context, singular form
+  *
+  * @param string domain to retrieve message from
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.dpgettext = function(domain, context, message, v) {
+    return _translate(domain, context, message, null, null, Array.prototype.slice.call(arguments, 3));
+  }
+
+  /**
+  * dnpgettext()
+  * Lookup a message in a given domain with a context, plural form
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this.dnpgettext = function(domain, context, msgid1, msgid2, n, v) {
+    return _translate(domain, context, msgid1, msgid2, n, Array.prototype.slice.call(arguments, 5));
+  }
+
+  /**
+  * _() Alias to gettext()
+  * Lookup a message in the current domain, singular form
+  *
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._ = function(message, v) {
+    // just call the dgettext() with default domain
+    var args = Array.prototype.slice.call(arguments);
+    args.unshift(_defaultDomain); // put the default domain as first arg to pass to dgettext()
+    return this.dgettext.apply(this, args);
+  }
+
+  /**
+  * _n() Alias to ngettext()
+  * Lookup a message in the current domain, plural form
+  *
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._n = function(msgid1, msgid2, n, v) {
+    // just call the dngettext() with default domain
+    var args = Array.prototype.slice.call(arguments);
+    args.unshift(_defaultDomain); // put the default domain as first arg to pass to dngettext()
+    return this.dngettext.apply(this, args);
+  }
+
+  /**
+  * _d() Alias to dgettext()
+  * Lookup a message in a given domain, singular form
+  *
+  * @param string domain to retrieve message from
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._d = function(domain, message, v) {
+    return this.dgettext.apply(this, Array.prototype.slice.call(arguments));
+  }
+
+  /**
+  * _dn() Alias to dngettext()
+  * Lookup a message in a given domain, singular form
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._dn = function(domain, msgid1, msgid2, n, v) {
+    return this.dngettext.apply(this, Array.prototype.slice.call(arguments));
+  }
+
+  /**
+  * _p() Alias to pgettext()
+  * Lookup a message in the current domain with a context, singular form
+  *
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._p = function(context, message, v) {
+    return this.pgettext.apply(this, Array.prototype.slice.call(arguments));
+  }
+
+  /**
+  * _np() Alias to npgettext()
+  * Lookup a message in the current domain with a context, plural form
+  *
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._np = function(context, msgid1, msgid2, n, v) {
+    return this.npgettext.apply(this, Array.prototype.slice.call(arguments));
+  }
+
+  /**
+  * _dp() Alias to dpgettext()
+  * Lookup a message in a given domain with a context, singular form
+  *
+  * @param string domain to retrieve message from
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string message to translate
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._dp = function(domain, context, message, v) {
+    return this.dpgettext.apply(this, Array.prototype.slice.call(arguments));
+  }
+
+  /**
+  * _dnp() Alias to dnpgettext()
+  * Lookup a message in a given domain with a context, plural form
+  *
+  * @param string domain The lookup domain to retrieve message from
+  * @param string context message context (msgctxt) i.e. 'verb'
+  * @param string msgid1 The singular message ID
+  * @param string msgid2 The plural message ID
+  * @param int n The number (e.g. item count) to determine the translation for the respective grammatical number
+  * @param mixed v (optional!) value(s) to replace the placeholders with: positional values, or a single object of named values
+  * @returns string translated / formatted message if present, else original UNtranslated message
+  */
+  this._dnp = function(domain, context, msgid1, msgid2, n, v) {
+    return this.dnpgettext.apply(this, Array.prototype.slice.call(arguments));
+  }
+
+  // -------------------------------------------------
+  // LOAD THE DEFAULT DOMAIN
+  // -------------------------------------------------
+
+  // just an info msg
+  if (_debug) console.log("Locale is loading with lang: " + lang);
+
+  // share the catalogs of the registry, and its notifications
+  if (_shared !== null) {
+    _useCatalogs(_lang);
+    _shared.attach(_self, _emit);
+  }
+
+  // load the default domain translations
+  try {
+    // strict mode: no data given to load the default domain later on (i.e. with loadDomainFrom()) isn't an error
+    if ( !strict || ( (typeof data !== 'undefined') && (data !== null) ) ) this.loadDomain(domain, data);
+  }
+  catch (error) {
+    if (strict) throw error; // the caller wants to know, and deal with it!
+    console.error(error); // not throwing back otherwise 'Locale' object won't get created and all the calls to gettext() won't at least show just the keys!
+  }
+}
+
+
+/**
+ * LocaleRegistry
+ * Shares the catalogs between Locale instances, i.e. the embedded components of a page: the registry owns the translations and the
+ * compiled plural rules, by language and domain, and hands out lightweight Locale views bound to a language and a default domain.
+ * The views of a language share its catalogs: a domain loaded, merged or unloaded by the registry or by any view reaches them all,
+ * the other views being notified with 'domainloaded' / 'domainunloaded' events (see Locale.on())
+ *
+ * Usage:
+ * var registry = new CorbeauPerdu.i18n.LocaleRegistry({ useCustomPluralForms: true });
+ * registry.loadDomain("fr_FR", "main", frMainData);             // or loadCompiledDomain(), mergeDomain(), unloadDomain()
+ * var widgetLocale = registry.createLocale("fr_FR", "widgets"); // a Locale view, with "widgets" as default domain
+ * widgetLocale.loadDomain("widgets", widgetsData);              // loaded for all the "fr_FR" views
+ * widgetLocale.setLang("de_DE");                                // switches the view to the registry's "de_DE" catalogs
+ * registry.release(widgetLocale);                               // stop notifying a view no longer used
+ *
+ * Notes:
+ * - the views' settings (default domain, encoders, domain parents, fallback locales, domain loader, event handlers...) are their own
+ * - the plural forms setting is the registry's, as the compiled plural rules are shared
+ *
+ * @param object options (optional!) { useCustomPluralForms: use custom plural forms, default is true, debug: output info messages and errors to console, default is false }
+ */
+CorbeauPerdu.i18n.LocaleRegistry = function (options) {
+
+  // -------------------------------------------------
+  // INIT PRIVATE VARIABLES AND FUNCTIONS
+  // -------------------------------------------------
+  options = options || {};
+
+  var _useCustomPluralForms = (options.useCustomPluralForms !== false),
+      _debug = (options.debug === true),
+      _catalogs = {},                  // shared catalogs, by language: { domains, pluralRules, compiledDomains }
+      _views = [],                     // the views sharing the catalogs: { locale, emit: its events emitter }
+      _loaders = {};                   // views loading the registry's own domains, by language
+
+  // what the views get to share the catalogs (see the Locale's 'shared' argument)
+  var _shared = {
+    catalogsOf: function(lang) {
+      if (!Object.prototype.hasOwnProperty.call(_catalogs, lang)) _catalogs[lang] = { domains: {}, pluralRules: {}, compiledDomains: {} };
+      return _catalogs[lang];
+    },
+    attach: function(locale, emit) {
+      _views.push({ locale: locale, emit: emit });
+    },
+    notify: function(origin, lang, type, domain) {
+      var views = _views.slice();
+
+      for (var i = 0; i < views.length; i++) {
+        if ( (views[i].locale !== origin) && (views[i].locale.getLang() === lang) ) views[i].emit(type, { domain: domain });
+      }
+    }
+  };
+
+  /**
+   * _loaderOf()
+   * Get the view loading the registry's domains of a language
+   *
+   * @param string lang
+   * @return CorbeauPerdu.i18n.Locale
+   */
+  var _loaderOf = function(lang) {
+    if (!Object.prototype.hasOwnProperty.call(_loaders, lang)) _loaders[lang] = new CorbeauPerdu.i18n.Locale(lang, null, null, _useCustomPluralForms, _debug, true, _shared);
+    return _loaders[lang];
+  }
+
+  /**
+   * createLocale()
+   * Get a new Locale view bound to a language and a default domain, sharing the registry's catalogs
+   *
+   * @param string lang running language of the view
+   * @param string domain default domain of the view
+   * @return CorbeauPerdu.i18n.Locale
+   */
+  this.createLocale = function(lang, domain){
+    return new CorbeauPerdu.i18n.Locale(lang, domain, null, _useCustomPluralForms, _debug, true, _shared);
+  }
+
+  /**
+   * release()
+   * Stop notifying a view no longer used: it keeps its translations, but isn't notified of the catalogs changes anymore
+   *
+   * @param CorbeauPerdu.i18n.Locale locale view given by createLocale()
+   * @return boolean true if the view was notified
+   */
+  this.release = function(locale){
+    var count = _views.length;
+
+    _views = _views.filter(function(view) { return view.locale !== locale; });
+
+    return (_views.length !== count);
+  }
+
+  /**
+   * loadDomain()
+   * Sets the translations JSON data of a domain, for all the views of a language (see Locale.loadDomain())
+   *
+   * @param string lang language of the translations
+   * @param string domain name to assign translations to
+   * @param object data json translation data for domain
+   */
+  this.loadDomain = function(lang, domain, data){
+    _loaderOf(lang).loadDomain(domain, data);
+  }
+
+  /**
+   * loadCompiledDomain()
+   * Sets the translations of a domain from a compiled catalog, for all the views of a language (see Locale.loadCompiledDomain())
+   *
+   * @param string lang language of the translations
+   * @param string domain name to assign translations to
+   * @param object compiled compiled catalog, or the ES module exporting it as default
+   */
+  this.loadCompiledDomain = function(lang, domain, compiled){
+    _loaderOf(lang).loadCompiledDomain(domain, compiled);
+  }
+
+  /**
+   * mergeDomain()
+   * Patch translations into a loaded domain, for all the views of a language (see Locale.mergeDomain())
+   *
+   * @param string lang language of the translations
+   * @param string domain name of the loaded domain
+   * @param object data json translations to add or replace, a null translation removing the key
+   */
+  this.mergeDomain = function(lang, domain, data){
+    _loaderOf(lang).mergeDomain(domain, data);
+  }
+
+  /**
+   * unloadDomain()
+   * Unload a domain, for all the views of a language (see Locale.unloadDomain())
+   *
+   * @param string lang
+   * @param string domain
+   * @return boolean true if the domain was loaded
+   */
+  this.unloadDomain = function(lang, domain){
+    return _loaderOf(lang).unloadDomain(domain);
+  }
+
+  /**
+   * hasDomain()
+   * Check if a domain is loaded for a language
+   *
+   * @param string lang
+   * @param string domain
+   * @return boolean
+   */
+  this.hasDomain = function(lang, domain){
+    return Object.prototype.hasOwnProperty.call(_catalogs, lang) && Object.prototype.hasOwnProperty.call(_catalogs[lang].domains, domain);
+  }
+
+  /**
+   * getLanguages()
+   * Get the languages having loaded domains
+   *
+   * @return array
+   */
+  this.getLanguages = function(){
+    return Object.keys(_catalogs).filter(function(lang) { return Object.keys(_catalogs[lang].domains).length > 0; });
+  }
+
+  /**
+   * getDomains()
+   * Get the loaded domains of a language
+   *
+   * @param string lang
+   * @return array domain names
+   */
+  this.getDomains = function(lang){
+    return Object.prototype.hasOwnProperty.call(_catalogs, lang) ? Object.keys(_catalogs[lang].domains) : [];
+  }
+}
+
+
+/**
+ * LocalePlural
+ * Safe parser and evaluator for gettext's 'plural' ternary test conditions (C-like expressions on the 'n' variable),
+ * which doesn't need eval() and thus works under a strict Content-Security-Policy
+ *
+ * Supports the whole GNU gettext Plural-Forms grammar:
+ *   the 'n' variable, decimal numbers, parentheses, and the operators ?: || && == != < > <= >= + - * / % !
+ *
+ * Usage:
+ * var test = CorbeauPerdu.i18n.LocalePlural.compile("(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)");
+ * test(5); // 2
+ * CorbeauPerdu.i18n.LocalePlural.toSource("(n != 1)"); // "((n !== 1) ? 1 : 0)": plain JS, i.e. for the compiled catalogs (see bin/locale-compile.js)
+ * CorbeauPerdu.i18n.LocalePlural.range(test); // { min: 0, max: 2 }: the values returned for 'n' from 0 to 1000, as msgfmt checks them
+ *
+ * Exceptions thrown have a 'position' property, the offset of the offending character in the expression:
+ *   code LocaleException.INVALID_PLURAL_CHAR (7) for an invalid character, LocaleException.PLURAL_SYNTAX (8) for an invalid syntax
+ *
+ * It also ships the CLDR cardinal and ordinal plural rules of the languages:
+ * var rule = CorbeauPerdu.i18n.LocalePlural.getRule("pl_PL");  // { categories: ['one', 'few', 'many'], plural: "(n == 1 ? 0 : ...)", nplurals: 3, evaluate: function(n) }
+ * rule.categories[rule.evaluate(5)];                          // 'many'
+ * CorbeauPerdu.i18n.LocalePlural.getCategory("fr_FR", 1.5);    // 'one': decimal numbers get their category from their CLDR operands (with Intl.PluralRules)
+ */
+CorbeauPerdu.i18n.LocalePlural = (function() {
+
+  var _OPERATORS = ['||', '&&', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')'];
+
+  /**
+   * CLDR plural rules, by language, as gettext 'plural' tests returning the index of the matching category
+   * Derived from the Unicode CLDR plural rules for integer numbers (categories only used by decimal or compact numbers are left out,
+   * as to stay compatible with the gettext catalogs)
+   * Each rule: [ categories, plural, languages ]
+   */
+  var _CARDINALRULES = [
+    [['other'], '0', 'bm bo dz hnj id ig ii ja jbo jv kde kea km ko lkt lo ms my nqo osa sah ses sg su th to tpi vi wo yo yue zh'],
+    [['one', 'other'], '(n != 1)', 'af an asa ast az bal bem bez bg brx ca ce cgg chr ckb da de dv ee el en eo es et eu fi fo fur fy gl gsw ha haw hu ia io it jgo jmc ka kaj kcg kk kkj kl ks ksb ku ky lb lg mas mgo ml mn mr nah nb nd ne nl nn nnh no nr ny nyn om or os pap ps pt-pt rm rof rwk saq sc sd sdh seh sn so sq ss ssy st sv sw syr ta te teo tig tk tn tr ts ug ur uz ve vo vun wae xh xog yi'],
+    [['one', 'other'], '(n > 1)', 'ak am as bho bn doi fa ff fr gu guw hi hy kab kn ln mg nso pa pt si ti wa zu'],
+    [['one', 'other'], '(n%10 != 1 || n%100 == 11)', 'is mk'],
+    [['one', 'other'], '(n != 1 && n != 2 && n != 3 && (n%10 == 4 || n%10 == 6 || n%10 == 9))', 'ceb fil tl'],
+    [['zero', 'one', 'other'], '(n == 0 ? 0 : n == 1 ? 1 : 2)', 'ksh lag'],
+    [['zero', 'one', 'other'], '(n%10 == 0 || (n%100 >= 11 && n%100 <= 19) ? 0 : n%10 == 1 && n%100 != 11 ? 1 : 2)', 'lv prg'],
+    [['one', 'two', 'other'], '(n == 1 ? 0 : n == 2 ? 1 : 2)', 'he iu naq sat se sma smi smj smn sms'],
+    [['one', 'few', 'other'], '(n <= 1 ? 0 : n <= 10 ? 1 : 2)', 'shi'],
+    [['one', 'few', 'other'], '(n == 1 ? 0 : n >= 2 && n <= 4 ? 1 : 2)', 'cs sk'],
+    [['one', 'few', 'other'], '(n == 1 ? 0 : n == 0 || (n%100 >= 1 && n%100 <= 19) ? 1 : 2)', 'mo ro'],
+    [['one', 'few', 'other'], '(n%10 == 1 && n%100 != 11 ? 0 : n%10 >= 2 && n%10 <= 4 && (n%100 < 12 || n%100 > 14) ? 1 : 2)', 'bs hr sh sr'],
+    [['one', 'few', 'other'], '(n%10 == 1 && (n%100 < 11 || n%100 > 19) ? 0 : n%10 >= 2 && (n%100 < 11 || n%100 > 19) ? 1 : 2)', 'lt'],
+    [['one', 'few', 'many'], '(n%10 == 1 && n%100 != 11 ? 0 : n%10 >= 2 && n%10 <= 4 && (n%100 < 12 || n%100 > 14) ? 1 : 2)', 'be ru uk'],
+    [['one', 'few', 'many'], '(n == 1 ? 0 : n%10 >= 2 && n%10 <= 4 && (n%100 < 12 || n%100 > 14) ? 1 : 2)', 'pl'],
+    [['one', 'two', 'few', 'other'], '(n%100 == 1 ? 0 : n%100 == 2 ? 1 : n%100 == 3 || n%100 == 4 ? 2 : 3)', 'dsb hsb sl'],
+    [['one', 'two', 'few', 'other'], '(n == 1 || n == 11 ? 0 : n == 2 || n == 12 ? 1 : (n >= 3 && n <= 10) || (n >= 13 && n <= 19) ? 2 : 3)', 'gd'],
+    [['one', 'two', 'few', 'many', 'other'], '(n == 1 ? 0 : n == 2 ? 1 : n >= 3 && n <= 6 ? 2 : n >= 7 && n <= 10 ? 3 : 4)', 'ga'],
+    [['one', 'two', 'few', 'many', 'other'], '(n == 1 ? 0 : n == 2 ? 1 : n == 0 || (n%100 >= 3 && n%100 <= 10) ? 2 : n%100 >= 11 && n%100 <= 19 ? 3 : 4)', 'mt'],
+    [['one', 'two', 'few', 'many', 'other'], '(n%10 == 1 && n%100 != 11 && n%100 != 71 && n%100 != 91 ? 0 : n%10 == 2 && n%100 != 12 && n%100 != 72 && n%100 != 92 ? 1 : (n%10 == 3 || n%10 == 4 || n%10 == 9) && (n%100 < 10 || n%100 > 19) && (n%100 < 70 || n%100 > 79) && (n%100 < 90 || n%100 > 99) ? 2 : n != 0 && n%1000000 == 0 ? 3 : 4)', 'br'],
+    [['zero', 'one', 'two', 'few', 'many', 'other'], '(n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n%100 >= 3 && n%100 <= 10 ? 3 : n%100 >= 11 ? 4 : 5)', 'ar ars'],
+    [['zero', 'one', 'two', 'few', 'many', 'other'], '(n == 0 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n == 3 ? 3 : n == 6 ? 4 : 5)', 'cy']
+  ];
+
+  var _ORDINALRULES = [
+    [['one', 'other'], '(n != 1)', 'fil fr ga hy lo ms ro tl vi'],
+    [['one', 'other'], '(n < 1 || n > 4)', 'ne'],
+    [['one', 'other'], '(n != 1 && n != 5)', 'hu'],
+    [['one', 'other'], '((n%10 != 1 && n%10 != 2) || n%100 == 11 || n%100 == 12)', 'sv'],
+    [['few', 'other'], '(n%10 != 3 || n%100 == 13)', 'uk'],
+    [['many', 'other'], '(n != 11 && n != 8 && n != 80 && n != 800)', 'it sc'],
+    [['many', 'other'], '(n%10 != 6 && n%10 != 9 && (n%10 != 0 || n == 0))', 'kk'],
+    [['one', 'many', 'other'], '(n == 1 ? 0 : n%10 == 4 && n%100 != 14 ? 1 : 2)', 'sq'],
+    [['one', 'many', 'other'], '(n == 1 ? 0 : n == 0 || (n%100 >= 2 && n%100 <= 20) || n%100 == 40 || n%100 == 60 || n%100 == 80 ? 1 : 2)', 'ka'],
+    [['one', 'two', 'few', 'other'], '(n%10 == 1 && n%100 != 11 ? 0 : n%10 == 2 && n%100 != 12 ? 1 : n%10 == 3 && n%100 != 13 ? 2 : 3)', 'en'],
+    [['one', 'two', 'few', 'other'], '(n == 1 || n == 3 ? 0 : n == 2 ? 1 : n == 4 ? 2 : 3)', 'ca'],
+    [['one', 'two', 'few', 'other'], '(n == 1 ? 0 : n == 2 || n == 3 ? 1 : n == 4 ? 2 : 3)', 'mr'],
+    [['one', 'two', 'few', 'other'], '(n == 1 || n == 11 ? 0 : n == 2 || n == 12 ? 1 : n == 3 || n == 13 ? 2 : 3)', 'gd'],
+    [['one', 'two', 'many', 'other'], '(n%10 == 1 && n%100 != 11 ? 0 : n%10 == 2 && n%100 != 12 ? 1 : (n%10 == 7 || n%10 == 8) && n%100 != 17 && n%100 != 18 ? 2 : 3)', 'mk'],
+    [['one', 'two', 'few', 'many', 'other'], '(n == 1 ? 0 : n == 2 || n == 3 ? 1 : n == 4 ? 2 : n == 6 ? 3 : 4)', 'gu hi'],
+    [['one', 'two', 'few', 'many', 'other'], '(n == 1 || n == 5 || (n >= 7 && n <= 10) ? 0 : n == 2 || n == 3 ? 1 : n == 4 ? 2 : n == 6 ? 3 : 4)', 'as bn'],
+    [['zero', 'one', 'two', 'few', 'many', 'other'], '(n == 0 || n == 7 || n == 8 || n == 9 ? 0 : n == 1 ? 1 : n == 2 ? 2 : n == 3 || n == 4 ? 3 : n == 5 || n == 6 ? 4 : 5)', 'cy']
+  ];
+
+  var _rulesCache = { cardinal: {}, ordinal: {} }; // compiled rules, by type and language
+  var _intlRulesCache = { cardinal: {}, ordinal: {} }; // Intl.PluralRules, by type and language (null if not supported)
+
+  /**
+   * _exception()
+   * Create a LocaleException pointing at a position in the expression
+   *
+   * @param string message
+   * @param int code exception code
+   * @param string plural the expression
+   * @param int position offset in the expression
+   * @returns LocaleException
+   */
+  var _exception = function(message, code, plural, position) {
+    return new CorbeauPerdu.i18n.LocaleException(message + " at position " + position + ":\n" + plural + "\n" + new Array(position + 1).join(' ') + '^', code, { plural: plural, position: position });
+  };
+
+  /**
+   * _tokenize()
+   * Split the expression into tokens
+   *
+   * @param string plural
+   * @returns array of { type: 'number'|'n'|'op'|'end', value: mixed, position: int }
+   */
+  var _tokenize = function(plural) {
+    var tokens = [], i = 0, match;
+
+    while (i < plural.length) {
+      var c = plural.charAt(i);
+
+      if (/\s/.test(c)) {
+        i++;
+      }
+      // a trailing semicolon ends the expression, as in the Plural-Forms header
+      else if (c === ';' && plural.substr(i + 1).trim() === '') {
+        break;
+      }
+      else if ( (match = plural.substr(i).match(/^[0-9]+/)) ) {
+        tokens.push({ type: 'number', value: parseInt(match[0], 10), position: i });
+        i += match[0].length;
+      }
+      else if (c === 'n' && !/^[A-Za-z0-9_]/.test(plural.charAt(i + 1))) {
+        tokens.push({ type: 'n', value: 'n', position: i });
+        i++;
+      }
+      else {
+        var op = null;
+        for (var j = 0; j < _OPERATORS.length; j++) {
+          if (plural.substr(i, _OPERATORS[j].length) === _OPERATORS[j]) {
+            op = _OPERATORS[j];
+            break;
+          }
+        }
+
+        if (op === null) throw _exception("Invalid character '" + c + "' in plural", CorbeauPerdu.i18n.LocaleException.INVALID_PLURAL_CHAR, plural, i);
+
+        tokens.push({ type: 'op', value: op, position: i });
+        i += op.length;
+      }
+    }
+
+    tokens.push({ type: 'end', value: null, position: plural.length });
+
+    return tokens;
+  };
+
+  /**
+   * _binary()
+   * Create the evaluation function of a binary operator
+   *
+   * @param string op operator
+   * @param function left
+   * @param function right
+   * @returns function(n)
+   */
+  var _binary = function(op, left, right) {
+    switch (op) {
+      case '||': return function(n) { return (left(n) || right(n)) ? 1 : 0; };
+      case '&&': return function(n) { return (left(n) && right(n)) ? 1 : 0; };
+      case '==': return function(n) { return (left(n) === right(n)) ? 1 : 0; };
+      case '!=': return function(n) { return (left(n) !== right(n)) ? 1 : 0; };
+      case '<':  return function(n) { return (left(n) < right(n)) ? 1 : 0; };
+      case '>':  return function(n) { return (left(n) > right(n)) ? 1 : 0; };
+      case '<=': return function(n) { return (left(n) <= right(n)) ? 1 : 0; };
+      case '>=': return function(n) { return (left(n) >= right(n)) ? 1 : 0; };
+      case '+':  return function(n) { return left(n) + right(n); };
+      case '-':  return function(n) { return left(n) - right(n); };
+      case '*':  return function(n) { return left(n) * right(n); };
+      // integer division, as in C: a division by zero returns 0 instead of crashing
+      case '/':  return function(n) { var r = right(n); return (r === 0) ? 0 : Math.trunc(left(n) / r); };
+      case '%':  return function(n) { var r = right(n); return (r === 0) ? 0 : left(n) % r; };
+    }
+  };
+
+  /**
+   * _binarySource()
+   * Get the JS source of a binary operator, with the same results as _binary()
+   *
+   * @param string op operator
+   * @param string left source of the left operand
+   * @param string right source of the right operand
+   * @returns string
+   */
+  var _binarySource = function(op, left, right) {
+    var divisor = /^[0-9]+$/.test(right) && (parseInt(right, 10) !== 0); // a non-zero number: no need to check it at runtime
+
+    switch (op) {
+      case '||':
+      case '&&': return '((' + left + ' ' + op + ' ' + right + ') ? 1 : 0)';
+      case '==':
+      case '!=': return '((' + left + ' ' + op + '= ' + right + ') ? 1 : 0)';
+      case '<':
+      case '>':
+      case '<=':
+      case '>=': return '((' + left + ' ' + op + ' ' + right + ') ? 1 : 0)';
+      case '/':  return divisor ? 'Math.trunc(' + left + ' / ' + right + ')' : '((' + right + ' === 0) ? 0 : Math.trunc(' + left + ' / ' + right + '))';
+      case '%':  return divisor ? '(' + left + ' % ' + right + ')' : '((' + right + ' === 0) ? 0 : ' + left + ' % ' + right + ')';
+      default:   return '(' + left + ' ' + op + ' ' + right + ')';
+    }
+  };
+
+  // builders of the parsed expression: evaluation functions, or JS source
+  var _EVALUATOR = {
+    number: function(value) { return function() { return value; }; },
+    n: function() { return function(n) { return n; }; },
+    not: function(operand) { return function(n) { return operand(n) ? 0 : 1; }; },
+    binary: _binary,
+    ternary: function(condition, ifTrue, ifFalse) { return function(n) { return condition(n) ? ifTrue(n) : ifFalse(n); }; }
+  };
+
+  var _SOURCE = {
+    number: function(value) { return String(value); },
+    n: function() { return 'n'; },
+    not: function(operand) { return '(' + operand + ' ? 0 : 1)'; },
+    binary: _binarySource,
+    ternary: function(condition, ifTrue, ifFalse) { return '(' + condition + ' ? ' + ifTrue + ' : ' + ifFalse + ')'; }
+  };
+
+  /**
+   * _parse()
+   * Parse the expression (recursive descent, with C's operators precedence), building its nodes with a builder
+   *
+   * @param string plural the expression, i.e. '(n != 1)'
+   * @param object builder _EVALUATOR or _SOURCE
+   * @returns mixed the built expression
+   */
+  var _parse = function(plural, builder) {
+    plural = String(plural);
+
+    var tokens = _tokenize(plural), pos = 0;
+
+    var peek = function() { return tokens[pos]; };
+    var isOp = function(values) { return peek().type === 'op' && values.indexOf(peek().value) !== -1; };
+    var unexpected = function() {
+      var token = peek();
+      return _exception(token.type === 'end' ? "Unexpected end of plural" : "Unexpected '" + token.value + "' in plural", CorbeauPerdu.i18n.LocaleException.PLURAL_SYNTAX, plural, token.position);
+    };
+
+    // each level of precedence, from lowest to highest
+    var ternary, logicalOr, logicalAnd, equality, relational, additive, multiplicative, unary, primary;
+
+    var leftAssociative = function(operators, next) {
+      return function() {
+        var left = next();
+        while (isOp(operators)) {
+          var op = tokens[pos++].value;
+          left = builder.binary(op, left, next());
+        }
+        return left;
+      };
+    };
+
+    ternary = function() {
+      var condition = logicalOr();
+      if (!isOp(['?'])) return condition;
+
+      pos++;
+      var ifTrue = ternary();
+      if (!isOp([':'])) throw unexpected();
+      pos++;
+      var ifFalse = ternary();
+
+      return builder.ternary(condition, ifTrue, ifFalse);
+    };
+
+    primary = function() {
+      var token = peek();
+
+      if (token.type === 'number') {
+        pos++;
+        return builder.number(token.value);
+      }
+      if (token.type === 'n') {
+        pos++;
+        return builder.n();
+      }
+      if (isOp(['('])) {
+        pos++;
+        var inner = ternary();
+        if (!isOp([')'])) throw unexpected();
+        pos++;
+        return inner;
+      }
+
+      throw unexpected();
+    };
+
+    unary = function() {
+      if (isOp(['!'])) {
+        pos++;
+        return builder.not(unary());
+      }
+      return primary();
+    };
+
+    multiplicative = leftAssociative(['*', '/', '%'], unary);
+    additive = leftAssociative(['+', '-'], multiplicative);
+    relational = leftAssociative(['<', '>', '<=', '>='], additive);
+    equality = leftAssociative(['==', '!='], relational);
+    logicalAnd = leftAssociative(['&&'], equality);
+    logicalOr = leftAssociative(['||'], logicalAnd);
+
+    var expression = ternary();
+    if (peek().type !== 'end') throw unexpected();
+
+    return expression;
+  };
+
+  /**
+   * parse()
+   * Parse the expression into an evaluation function
+   *
+   * @param string plural the expression, i.e. '(n != 1)'
+   * @returns function(n) returning the plural array id for the number 'n'
+   */
+  var parse = function(plural) {
+    return _parse(plural, _EVALUATOR);
+  };
+
+  /**
+   * toSource()
+   * Parse the expression into the source of an equivalent JS expression of 'n' (a positive integer), i.e. to compile it ahead of time
+   *
+   * @param string plural the expression, i.e. '(n != 1)'
+   * @returns string JS source, i.e. '((n !== 1) ? 1 : 0)'
+   */
+  var toSource = function(plural) {
+    return _parse(plural, _SOURCE);
+  };
+
+  /**
+   * compile()
+   * Parse the expression and return a function validating 'n' before evaluating the expression with its absolute value
+   *
+   * @param string plural the expression, i.e. '(n != 1)'
+   * @param function expression (optional!) the expression already compiled, i.e. from toSource(): it isn't parsed again
+   * @returns function(n) returning the plural array id for the number 'n'
+   */
+  var compile = function(plural, expression) {
+    expression = expression || parse(plural);
+
+    return function(n) {
+      if (isNaN(n)) throw new CorbeauPerdu.i18n.LocaleException("Invalid 'n' number (e.g. item count) passed!", CorbeauPerdu.i18n.LocaleException.INVALID_NUMBER, { plural: plural, actual: n });
+      return expression(Math.floor(Math.abs(n))); // positive integer 'n' for tests, as gettext's unsigned long
+    };
+  };
+
+  /**
+   * range()
+   * Get the range of the values returned by a compiled expression, checked as GNU gettext's msgfmt does: for 'n' from 0 to 1000
+   *
+   * @param function evaluate see compile()
+   * @returns object { min: int, max: int }
+   */
+  var range = function(evaluate) {
+    var min = Infinity, max = -Infinity;
+
+    for (var n = 0; n <= 1000; n++) {
+      var value = evaluate(n);
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    return { min: min, max: max };
+  };
+
+  /**
+   * _languageTags()
+   * Get the lookup tags of a language, from the most specific to the least: i.e. 'pt_PT' gives ['pt-pt', 'pt']
+   *
+   * @param string lang i.e. 'fr_FR', 'pl', 'ar-EG'
+   * @returns array
+   */
+  var _languageTags = function(lang) {
+    var chunks = String(lang).toLowerCase().split(/[-_.@]/), tags = [];
+
+    for (var i = chunks.length; i > 0; i--) tags.push(chunks.slice(0, i).join('-'));
+
+    return tags;
+  };
+
+  /**
+   * getRule()
+   * Get the built-in CLDR plural rule of a language
+   *
+   * @param string lang i.e. 'fr_FR', 'pl', 'ar-EG'
+   * @param string type (optional!) 'cardinal' (default) or 'ordinal'
+   * @returns object { categories: array, plural: string, nplurals: int (this class's convention), evaluate: function(n) returning the category index },
+   *          or null if no cardinal rule is known for the language (unknown languages only have the 'other' ordinal category)
+   */
+  var getRule = function(lang, type) {
+    type = (type === 'ordinal') ? 'ordinal' : 'cardinal';
+
+    var rules = (type === 'ordinal') ? _ORDINALRULES : _CARDINALRULES, tags = _languageTags(lang);
+
+    for (var i = 0; i < tags.length; i++) {
+      if (typeof _rulesCache[type][tags[i]] !== 'undefined') return _rulesCache[type][tags[i]];
+
+      for (var j = 0; j < rules.length; j++) {
+        if ((' ' + rules[j][2] + ' ').indexOf(' ' + tags[i] + ' ') !== -1) {
+          var count = rules[j][0].length;
+
+          return _rulesCache[type][tags[i]] = {
+            categories: rules[j][0],
+            plural: rules[j][1],
+            nplurals: (count <= 2) ? count - 1 : count, // this class's nplurals convention: see the notes at the top of this file!
+            evaluate: compile(rules[j][1])
+          };
+        }
+      }
+    }
+
+    if (type === 'ordinal') return { categories: ['other'], plural: '0', nplurals: 0, evaluate: compile('0') };
+
+    return null;
+  };
+
+  /**
+   * _intlRules()
+   * Get the Intl.PluralRules of a language
+   *
+   * @param string lang i.e. 'fr_FR', 'pl', 'ar-EG'
+   * @param string type 'cardinal' or 'ordinal'
+   * @returns object Intl.PluralRules, or null if not supported
+   */
+  var _intlRules = function(lang, type) {
+    var tag = _languageTags(lang)[0];
+
+    if (typeof _intlRulesCache[type][tag] === 'undefined') {
+      try {
+        _intlRulesCache[type][tag] = ( (typeof Intl !== 'undefined') && (typeof Intl.PluralRules === 'function') ) ? new Intl.PluralRules(tag, { type: type }) : null;
+      }
+      catch (error) {
+        _intlRulesCache[type][tag] = null;
+      }
+    }
+
+    return _intlRulesCache[type][tag];
+  };
+
+  /**
+   * getCategory()
+   * Get the CLDR plural category of a number in a language: with its built-in rule for the integers,
+   * and with the CLDR operands (integer and fraction digits) for the decimal numbers, as the built-in rules are the integer ones:
+   * i.e. 1.5 is 'one' in French but 'other' in English. These need Intl.PluralRules: without it, the built-in rule is used too
+   *
+   * @param string lang i.e. 'fr_FR', 'pl', 'ar-EG'
+   * @param number n
+   * @param string type (optional!) 'cardinal' (default) or 'ordinal'
+   * @returns string 'zero', 'one', 'two', 'few', 'many' or 'other', or null if no cardinal rule is known for the language
+   */
+  var getCategory = function(lang, n, type) {
+    type = (type === 'ordinal') ? 'ordinal' : 'cardinal';
+    n = Number(n);
+
+    var rule = getRule(lang, type), intlRules;
+
+    if (rule === null) return null;
+
+    if ( isFinite(n) && (n % 1 !== 0) && ( (intlRules = _intlRules(lang, type)) !== null ) ) return intlRules.select(n);
+
+    return rule.categories[rule.evaluate(n)] || 'other';
+  };
+
+  return {
+    parse: parse,
+    toSource: toSource,
+    compile: compile,
+    range: range,
+    getRule: getRule,
+    getCategory: getCategory
+  };
+})();
+
+
+/**
+ * LocaleParser
+ * Converts gettext .PO (text) and .MO (binary) catalogs to the JSON data expected by Locale.loadDomain()
+ *
+ * Usage:
+ * var data = CorbeauPerdu.i18n.LocaleParser.parsePO(poText, { domain: "main" });
+ * var data = CorbeauPerdu.i18n.LocaleParser.parseMO(moArrayBuffer, { domain: "main" });
+ *
+ * Notes:
+ * - the 'Plural-Forms' header is converted to this class's 'nplurals' convention (see the notes at the top of this file):
+ *   gettext's nplurals=2 becomes nplurals=1 where the plural key holds a single translation, nplurals=1 (no plurals) becomes nplurals=0,
+ *   and 3 or more forms are kept as is, with all forms (singular included) in the plural key's array
+ * - entries with a 'msgctxt' are keyed as "context\u0004msgid", as gettext does
+ * - flags, translator comments, extracted comments and references are kept in the header, under "meta", by key
+ * - fuzzy translations are kept empty (hence untranslated) unless the 'useFuzzy' option is set, like msgfmt does
+ */
+CorbeauPerdu.i18n.LocaleParser = (function() {
+
+  var _CONTEXTSEPARATOR = '\u0004'; // gettext's separator between msgctxt and msgid
+  var _MOMAGIC = 0x950412de;         // .MO files magic number
+
+  /**
+   * _newEntry()
+   * Create a blank catalog entry
+   *
+   * @returns object
+   */
+  var _newEntry = function() {
+    return { msgctxt: null, msgid: null, msgid_plural: null, msgstr: [], flags: [], comments: [], extracted: [], references: [], obsolete: false };
+  };
+
+  /**
+   * _unescapeString()
+   * Unescape a C-like quoted PO string (i.e. '"Hello\n"' becomes 'Hello' + linebreak)
+   *
+   * @param string value quoted string
+   * @param int lineNumber line number in the PO content (for exceptions)
+   * @returns string
+   */
+  var _unescapeString = function(value, lineNumber) {
+    var match = value.match(/^"((?:[^"\\]|\\.)*)"$/);
+
+    if (!match) throw new CorbeauPerdu.i18n.LocaleException("Invalid PO string on line " + lineNumber + ": " + value, CorbeauPerdu.i18n.LocaleException.PO_SYNTAX, { line: lineNumber });
+
+    return match[1].replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, function(all, seq) {
+      switch (seq.charAt(0)) {
+        case 'n': return '\n';
+        case 't': return '\t';
+        case 'r': return '\r';
+        case 'a': return '\x07';
+        case 'b': return '\b';
+        case 'f': return '\f';
+        case 'v': return '\v';
+        case 'x': return String.fromCharCode(parseInt(seq.substr(1), 16));
+        default:
+          if (/^[0-7]+$/.test(seq)) return String.fromCharCode(parseInt(seq, 8));
+          return seq; // \" \\ \' \?
+      }
+    });
+  };
+
+  /**
+   * _parseHeaders()
+   * Parse the catalog's header entry (msgid "") into a key/value object
+   *
+   * @param string header
+   * @returns object
+   */
+  var _parseHeaders = function(header) {
+    var headers = {}, lines = String(header).split('\n');
+
+    for (var i = 0; i < lines.length; i++) {
+      var pos = lines[i].indexOf(':');
+      if (pos > 0) headers[lines[i].substr(0, pos).trim()] = lines[i].substr(pos + 1).trim();
+    }
+
+    return headers;
+  };
+
+  /**
+   * _parsePluralForms()
+   * Get the gettext nplurals and plural values from the 'Plural-Forms' header
+   *
+   * @param string pluralForms i.e. 'nplurals=2; plural=(n != 1);'
+   * @returns object { nplurals: int, plural: string } or null if none or invalid
+   */
+  var _parsePluralForms = function(pluralForms) {
+    if (!pluralForms) return null;
+
+    var nplurals = pluralForms.match(/nplurals\s*=\s*(\d+)/);
+    var plural = pluralForms.match(/plural\s*=\s*([^;]+);?/);
+
+    if (!nplurals || !plural) return null;
+
+    return { nplurals: parseInt(nplurals[1], 10), plural: plural[1].trim() };
+  };
+
+  /**
+   * _buildDomain()
+   * Build the JSON domain data from the parsed entries
+   *
+   * @param array entries parsed catalog entries
+   * @param object options parser options
+   * @returns object JSON data to give to Locale.loadDomain()
+   */
+  var _buildDomain = function(entries, options) {
+    var data = {}, meta = {}, headers = {}, i, j;
+
+    // find the header entry first: we need the plural forms to build the plural keys
+    for (i = 0; i < entries.length; i++) {
+      if (entries[i].msgid === '' && entries[i].msgctxt === null && !entries[i].obsolete) {
+        headers = _parseHeaders(entries[i].msgstr[0]);
+        break;
+      }
+    }
+
+    var pluralForms = _parsePluralForms(headers['Plural-Forms']) || { nplurals: 2, plural: '(n != 1)' };
+    var formsCount = pluralForms.nplurals;
+
+    data[''] = {
+      domain: (typeof options.domain !== 'undefined') ? options.domain : (headers['X-Domain'] || ''),
+      language: headers['Language'] || '',
+      nplurals: String(formsCount <= 2 ? Math.max(formsCount - 1, 0) : formsCount), // this class's nplurals convention: see notes above!
+      plural: pluralForms.plural,
+      headers: headers,
+      meta: meta
+    };
+
+    for (i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+
+      if (entry.obsolete || entry.msgid === null) continue;
+      if (entry.msgid === '' && entry.msgctxt === null) continue; // header
+
+      var prefix = (entry.msgctxt !== null) ? entry.msgctxt + _CONTEXTSEPARATOR : '';
+      var key = prefix + entry.msgid;
+      var fuzzy = entry.flags.indexOf('fuzzy') !== -1;
+      var msgstr = [];
+
+      for (j = 0; j < Math.max(entry.msgstr.length, 1); j++) {
+        msgstr.push((fuzzy && !options.useFuzzy) || typeof entry.msgstr[j] === 'undefined' ? '' : entry.msgstr[j]);
+      }
+
+      data[key] = msgstr[0];
+
+      if (entry.msgid_plural !== null) {
+        if (formsCount == 2) data[prefix + entry.msgid_plural] = msgstr.slice(1);
+        else if (formsCount > 2) data[prefix + entry.msgid_plural] = msgstr;
+      }
+
+      if (entry.msgctxt !== null || entry.flags.length || entry.comments.length || entry.extracted.length || entry.references.length) {
+        meta[key] = {
+          context: entry.msgctxt,
+          flags: entry.flags,
+          comments: entry.comments,
+          extracted: entry.extracted,
+          references: entry.references
+        };
+        if (entry.msgid_plural !== null) meta[key].plural = entry.msgid_plural;
+      }
+    }
+
+    return data;
+  };
+
+  /**
+   * _decodeBytes()
+   * Decode a range of bytes to a string with the given charset
+   *
+   * @param Uint8Array bytes
+   * @param string charset
+   * @returns string
+   */
+  var _decodeBytes = function(bytes, charset) {
+    if (typeof TextDecoder !== 'undefined') {
+      try {
+        return new TextDecoder(charset).decode(bytes);
+      }
+      catch (error) {
+        // unknown charset: fall back to utf-8 below
+      }
+    }
+
+    var retval = '', i = 0;
+
+    if (/^(iso-8859-1|latin1|us-ascii|ascii)$/i.test(charset)) {
+      for (i = 0; i < bytes.length; i++) retval += String.fromCharCode(bytes[i]);
+      return retval;
+    }
+
+    // simple utf-8 decoder
+    while (i < bytes.length) {
+      var c = bytes[i++], cp;
+
+      if (c < 0x80) cp = c;
+      else if (c < 0xe0) cp = ((c & 0x1f) << 6) | (bytes[i++] & 0x3f);
+      else if (c < 0xf0) cp = ((c & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+      else cp = ((c & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+
+      if (cp > 0xffff) {
+        cp -= 0x10000;
+        retval += String.fromCharCode(0xd800 + (cp >> 10), 0xdc00 + (cp & 0x3ff));
+      }
+      else {
+        retval += String.fromCharCode(cp);
+      }
+    }
+
+    return retval;
+  };
+
+  /**
+   * parsePO()
+   * Parse the content of a .PO file
+   *
+   * @param string text .PO file content
+   * @param object options (optional!) { domain: string domain name to set in the header, useFuzzy: boolean use fuzzy translations (default false) }
+   * @returns object JSON data to give to Locale.loadDomain()
+   */
+  var parsePO = function(text, options) {
+    options = options || {};
+
+    if (typeof text !== 'string') throw new CorbeauPerdu.i18n.LocaleException("Invalid PO data: expected a string", CorbeauPerdu.i18n.LocaleException.PO_SYNTAX);
+
+    var lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    var entries = [], entry = _newEntry(), field = null, index = 0, match;
+
+    // push the current entry if it has anything, and start a new one
+    var flush = function() {
+      if (entry.msgid !== null) entries.push(entry);
+      entry = _newEntry();
+      field = null;
+    };
+
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i].trim(), lineNumber = i + 1;
+
+      if (line === '') {
+        continue;
+      }
+
+      // obsolete entries (#~): parse them as usual, but flag them so they're not kept
+      var obsolete = (line.substr(0, 2) === '#~');
+      if (obsolete) {
+        line = line.substr(2).trim();
+        if (line === '' || line.charAt(0) === '|') continue;
+      }
+
+      if (line.charAt(0) === '#') {
+        // a comment after an entry starts a new entry
+        if (entry.msgid !== null) flush();
+
+        var type = line.charAt(1), value = line.substr(2).trim();
+
+        if (type === ',') {
+          var flags = value.split(',');
+          for (var f = 0; f < flags.length; f++) if (flags[f].trim() !== '') entry.flags.push(flags[f].trim());
+        }
+        else if (type === '.') entry.extracted.push(value);
+        else if (type === ':') entry.references = entry.references.concat(value.split(/\s+/));
+        else if (type !== '|') entry.comments.push(line.substr(1).replace(/^ /, '')); // '#|' previous msgid: ignored
+
+        continue;
+      }
+
+      if ( (match = line.match(/^msgctxt\s+(".*")$/)) ) {
+        if (entry.msgid !== null) flush();
+        entry.msgctxt = _unescapeString(match[1], lineNumber);
+        field = 'msgctxt';
+      }
+      else if ( (match = line.match(/^msgid\s+(".*")$/)) ) {
+        if (entry.msgid !== null) flush();
+        entry.msgid = _unescapeString(match[1], lineNumber);
+        field = 'msgid';
+      }
+      else if ( (match = line.match(/^msgid_plural\s+(".*")$/)) ) {
+        if (entry.msgid === null) throw new CorbeauPerdu.i18n.LocaleException("Unexpected msgid_plural on line " + lineNumber + " of PO data", CorbeauPerdu.i18n.LocaleException.PO_SYNTAX, { line: lineNumber });
+        entry.msgid_plural = _unescapeString(match[1], lineNumber);
+        field = 'msgid_plural';
+      }
+      else if ( (match = line.match(/^msgstr(?:\[(\d+)\])?\s+(".*")$/)) ) {
+        if (entry.msgid === null) throw new CorbeauPerdu.i18n.LocaleException("Unexpected msgstr on line " + lineNumber + " of PO data", CorbeauPerdu.i18n.LocaleException.PO_SYNTAX, { line: lineNumber });
+        index = (typeof match[1] !== 'undefined') ? parseInt(match[1], 10) : 0;
+        entry.msgstr[index] = _unescapeString(match[2], lineNumber);
+        field = 'msgstr';
+      }
+      else if (line.charAt(0) === '"') {
+        if (field === null) throw new CorbeauPerdu.i18n.LocaleException("Unexpected string on line " + lineNumber + " of PO data", CorbeauPerdu.i18n.LocaleException.PO_SYNTAX, { line: lineNumber });
+
+        var str = _unescapeString(line, lineNumber);
+        if (field === 'msgstr') entry.msgstr[index] += str;
+        else entry[field] += str;
+      }
+      else {
+        throw new CorbeauPerdu.i18n.LocaleException("Invalid PO syntax on line " + lineNumber + ": " + lines[i], CorbeauPerdu.i18n.LocaleException.PO_SYNTAX, { line: lineNumber });
+      }
+
+      if (obsolete) entry.obsolete = true;
+    }
+
+    flush();
+
+    return _buildDomain(entries, options);
+  };
+
+  /**
+   * parseMO()
+   * Parse the content of a compiled .MO file (little or big endian)
+   *
+   * @param mixed buffer .MO file content: ArrayBuffer, Uint8Array or Node.js Buffer
+   * @param object options (optional!) { domain: string domain name to set in the header, useFuzzy: boolean (has no effect: msgfmt never compiles fuzzy entries) }
+   * @returns object JSON data to give to Locale.loadDomain()
+   */
+  var parseMO = function(buffer, options) {
+    options = options || {};
+
+    var bytes;
+    if (typeof ArrayBuffer !== 'undefined' && buffer instanceof ArrayBuffer) bytes = new Uint8Array(buffer);
+    else if (buffer && typeof buffer.byteLength === 'number' && buffer.buffer) bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    else throw new CorbeauPerdu.i18n.LocaleException("Invalid MO data: expected an ArrayBuffer or Uint8Array", CorbeauPerdu.i18n.LocaleException.MO_DATA);
+
+    if (bytes.length < 28) throw new CorbeauPerdu.i18n.LocaleException("Invalid MO data: file is too short", CorbeauPerdu.i18n.LocaleException.MO_DATA);
+
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var littleEndian;
+
+    if (view.getUint32(0, true) === _MOMAGIC) littleEndian = true;
+    else if (view.getUint32(0, false) === _MOMAGIC) littleEndian = false;
+    else throw new CorbeauPerdu.i18n.LocaleException("Invalid MO data: bad magic number", CorbeauPerdu.i18n.LocaleException.MO_DATA);
+
+    var count = view.getUint32(8, littleEndian);
+    var originalsOffset = view.getUint32(12, littleEndian);
+    var translationsOffset = view.getUint32(16, littleEndian);
+
+    // read a string from the originals or translations table
+    var readString = function(tableOffset, i, charset) {
+      var length = view.getUint32(tableOffset + i * 8, littleEndian);
+      var offset = view.getUint32(tableOffset + i * 8 + 4, littleEndian);
+
+      if (offset + length > bytes.length) throw new CorbeauPerdu.i18n.LocaleException("Invalid MO data: string #" + i + " is out of bounds", CorbeauPerdu.i18n.LocaleException.MO_DATA);
+
+      return _decodeBytes(bytes.subarray(offset, offset + length), charset);
+    };
+
+    if (originalsOffset + count * 8 > bytes.length || translationsOffset + count * 8 > bytes.length) {
+      throw new CorbeauPerdu.i18n.LocaleException("Invalid MO data: string tables are out of bounds", CorbeauPerdu.i18n.LocaleException.MO_DATA);
+    }
+
+    // get the charset from the header first (the header is msgid "")
+    var charset = 'utf-8', i;
+    for (i = 0; i < count; i++) {
+      if (view.getUint32(originalsOffset + i * 8, littleEndian) === 0) {
+        var charsetMatch = readString(translationsOffset, i, 'utf-8').match(/charset\s*=\s*([^\s;]+)/i);
+        if (charsetMatch && charsetMatch[1].toUpperCase() !== 'CHARSET') charset = charsetMatch[1];
+        break;
+      }
+    }
+
+    var entries = [];
+    for (i = 0; i < count; i++) {
+      var entry = _newEntry();
+      var original = readString(originalsOffset, i, charset).split('\u0000');
+      var translation = readString(translationsOffset, i, charset);
+
+      var ctxtPos = original[0].indexOf(_CONTEXTSEPARATOR);
+      if (ctxtPos !== -1) {
+        entry.msgctxt = original[0].substr(0, ctxtPos);
+        original[0] = original[0].substr(ctxtPos + 1);
+      }
+
+      entry.msgid = original[0];
+      if (original.length > 1) entry.msgid_plural = original[1];
+      entry.msgstr = (entry.msgid_plural !== null) ? translation.split('\u0000') : [translation];
+
+      entries.push(entry);
+    }
+
+    return _buildDomain(entries, options);
+  };
+
+  return {
+    parsePO: parsePO,
+    parseMO: parseMO
+  };
+})();
+
+
+/**
+ * LocaleCompiled
+ * Compiled catalogs: the JSON catalogs turned ahead of time into JS modules by the locale-compile command (see bin/locale-compile.js),
+ * already validated, with trimmed translations, the plural rule compiled into a plain function, and optionally hashed keys.
+ * Loaded with the Locale's loadCompiledDomain(), skipping the validation and the plural rule parsing of loadDomain()
+ *
+ * A compiled catalog is an object: {
+ *   version: compiled catalog format version (see VERSION),
+ *   hashed: true if the keys are hashed with hash(),
+ *   evaluate: function(n) returning the plural array id for a positive integer 'n' (see LocalePlural.toSource()), or null if no plural forms,
+ *   data: the translations, with the "" header holding the resolved 'nplurals' and 'plural'
+ * }
+ *
+ * Usage:
+ * import catalog from "./i18n/fr_FR/main.js"; // compiled with: npx locale-compile --hash i18n/fr_FR/main.json
+ * locale.loadCompiledDomain("main", catalog);
+ * CorbeauPerdu.i18n.LocaleCompiled.hash("verb\u0004Open"); // "l0u1kde5ci", the key of a message in the hashed catalogs
+ */
+CorbeauPerdu.i18n.LocaleCompiled = (function() {
+
+  var VERSION = 1;
+
+  /**
+   * hash()
+   * Hash a translations key (cyrb53: a 53 bits hash, collisions are checked by the compiler)
+   *
+   * @param string key message, or "context\u0004message"
+   * @returns string base 36 hash
+   */
+  var hash = function(key) {
+    var h1 = 0xdeadbeef, h2 = 0x41c6ce57, c;
+
+    key = String(key);
+
+    for (var i = 0; i < key.length; i++) {
+      c = key.charCodeAt(i);
+      h1 = Math.imul(h1 ^ c, 2654435761);
+      h2 = Math.imul(h2 ^ c, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  };
+
+  /**
+   * isCompiled()
+   * Check if a value is a compiled catalog of the supported format version
+   *
+   * @param mixed value
+   * @returns boolean
+   */
+  var isCompiled = function(value) {
+    return (value !== null) && (typeof value === 'object') && (value.version === VERSION) && (value.data !== null) && (typeof value.data === 'object') &&
+           ( (value.evaluate === null) || (typeof value.evaluate === 'function') );
+  };
+
+  return {
+    VERSION: VERSION,
+    hash: hash,
+    isCompiled: isCompiled
+  };
+})();
+
+
+/**
+ * LocaleFormatter
+ * Built-in interpolation of the translated messages: the Locale's default formatter (see Locale.setFormatter())
+ *
+ * Usage:
+ * CorbeauPerdu.i18n.LocaleFormatter.format("%s has %d mails", ["John", 5]);                 // sprintf positional placeholders
+ * CorbeauPerdu.i18n.LocaleFormatter.format("%2$s, %1$s!", ["John", "Hello"]);              // sprintf argument swapping
+ * CorbeauPerdu.i18n.LocaleFormatter.format("%(name)s has %(count)d mails", [{ name: "John", count: 5 }]); // sprintf named placeholders
+ * CorbeauPerdu.i18n.LocaleFormatter.format("{name} has {count} mails", [{ name: "John", count: 5 }]);     // named placeholders
+ * CorbeauPerdu.i18n.LocaleFormatter.format("{0} has {1} mails", ["John", 5], { braces: true }); // indexed placeholders
+ *
+ * Notes:
+ * - the values are named when given a single plain object, else positional
+ * - '{name}' placeholders are only replaced with named values, or with the 'braces' option: the braces of the sprintf messages (positional values) are left as is
+ * - sprintf placeholders: %[argnum$ or (name)][+][0 or 'padchar][-][width][.precision]type, with types b c d i e f g o s u x X j, and %% for a '%'
+ * - '{name}' placeholders with no matching value are left as is, so literal braces don't need escaping
+ * - typed placeholders, i.e. '{price, number, currency:EUR}', are formatted by the 'formatArgument' option (see CorbeauPerdu.i18n.LocaleIntl)
+ * - a sprintf placeholder with no matching value, or a non number value for a numeric type, throws a LocaleException
+ */
+CorbeauPerdu.i18n.LocaleFormatter = (function() {
+
+  // sprintf placeholders (argnum, name, sign, pad, left-align, width, precision, type), or '{name[, type[, style]]}' placeholders
+  var _PLACEHOLDERS = /%%|%(?:([1-9]\d*)\$|\(([^)]+)\))?(\+)?(0|'[\s\S])?(-)?(\d+)?(?:\.(\d+))?([bcdeEfgiosuxXj])|\{\s*([A-Za-z_$][\w$]*|\d+)\s*(?:,\s*([A-Za-z]+)\s*(?:,\s*([^{}]*?)\s*)?)?\}/g;
+
+  /**
+   * _isPlainObject()
+   * Is the value a plain object (a set of named values) ?
+   *
+   * @param mixed value
+   * @returns boolean
+   */
+  var _isPlainObject = function(value) {
+    return (value !== null) && (typeof value === 'object') && (Object.prototype.toString.call(value) === '[object Object]');
+  };
+
+  /**
+   * _number()
+   * Get the numeric value of a placeholder
+   *
+   * @param mixed value
+   * @param string placeholder (for exceptions)
+   * @param boolean integer truncate to an integer ?
+   * @returns number
+   */
+  var _number = function(value, placeholder, integer) {
+    var number = integer ? parseInt(value, 10) : parseFloat(value);
+
+    if (isNaN(number)) throw new CorbeauPerdu.i18n.LocaleException("Expecting a number for placeholder '" + placeholder + "', got: " + value, CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { key: placeholder, actual: value });
+
+    return number;
+  };
+
+  /**
+   * _formatValue()
+   * Format a value for a sprintf placeholder
+   *
+   * @param mixed value
+   * @param string placeholder whole placeholder (for exceptions)
+   * @param string sign '+' to always show the sign of numbers
+   * @param string pad '0' or "'" + padding character, default is a space
+   * @param string left '-' to left-align the value
+   * @param string width minimum width
+   * @param string precision decimals for floats, maximum length for strings
+   * @param string type conversion type
+   * @returns string
+   */
+  var _formatValue = function(value, placeholder, sign, pad, left, width, precision, type) {
+    var number, isNumber = false, prefix = '';
+
+    switch (type) {
+      case 'b': value = (_number(value, placeholder, true) >>> 0).toString(2); break;
+      case 'c': value = String.fromCharCode(_number(value, placeholder, true)); break;
+      case 'd':
+      case 'i': value = _number(value, placeholder, true); isNumber = true; break;
+      case 'e':
+      case 'E':
+        number = _number(value, placeholder, false);
+        value = (typeof precision !== 'undefined') ? number.toExponential(parseInt(precision, 10)) : number.toExponential();
+        if (type === 'E') value = value.toUpperCase();
+        isNumber = true;
+        break;
+      case 'f':
+        number = _number(value, placeholder, false);
+        value = (typeof precision !== 'undefined') ? number.toFixed(parseInt(precision, 10)) : String(number);
+        isNumber = true;
+        break;
+      case 'g':
+        number = _number(value, placeholder, false);
+        value = (typeof precision !== 'undefined') ? String(Number(number.toPrecision(parseInt(precision, 10)))) : String(number);
+        isNumber = true;
+        break;
+      case 'o': value = (_number(value, placeholder, true) >>> 0).toString(8); break;
+      case 'u': value = _number(value, placeholder, true) >>> 0; break;
+      case 'x': value = (_number(value, placeholder, true) >>> 0).toString(16); break;
+      case 'X': value = (_number(value, placeholder, true) >>> 0).toString(16).toUpperCase(); break;
+      case 'j': value = JSON.stringify(value, null, (typeof precision !== 'undefined') ? parseInt(precision, 10) : 0); break;
+      default:
+        value = String(value);
+        if (typeof precision !== 'undefined') value = value.substring(0, parseInt(precision, 10));
+    }
+
+    value = String(value);
+
+    // keep the sign apart, so the zero padding goes after it
+    if (isNumber) {
+      if (value.charAt(0) === '-') {
+        prefix = '-';
+        value = value.substr(1);
+      }
+      else if (sign) prefix = '+';
+    }
+
+    var padChar = pad ? ( (pad === '0') ? '0' : pad.charAt(1) ) : ' ';
+    var padLength = (typeof width !== 'undefined') ? parseInt(width, 10) - (prefix + value).length : 0;
+    var padding = (padLength > 0) ? new Array(padLength + 1).join(padChar) : '';
+
+    if (left) return prefix + value + padding.replace(/0/g, ' ');
+    return (padChar === '0') ? prefix + padding + value : padding + prefix + value;
+  };
+
+  /**
+   * format()
+   * Replace the placeholders of a message with values
+   *
+   * @param string message
+   * @param array args values: a single plain object for named values, else positional values
+   * @param object options (optional!) {
+   *   formatArgument: function(value, type, style) to format the value of a typed placeholder, i.e. '{price, number, currency:EUR}' (default is String(value)),
+   *   escape: function(text) to encode the text of the message, around the placeholders (i.e. for web output, see CorbeauPerdu.i18n.LocaleEncoder),
+   *   escapeValue: function(text) to encode the formatted values of the placeholders,
+   *   braces: boolean replace the '{0}' placeholders with positional values too (default is only the '{name}' placeholders with named values)
+   * }
+   * @returns string
+   */
+  var format = function(message, args, options) {
+    args = args || [];
+    options = options || {};
+    message = String(message);
+
+    var named = ( (args.length === 1) && _isPlainObject(args[0]) );
+    var values = named ? args[0] : args;
+    var escape = options.escape || String;
+    var escapeValue = options.escapeValue || String;
+    var index = 0, last = 0, result = '';
+
+    // replace all the placeholders in one pass, so values holding placeholders are left as is
+    message.replace(_PLACEHOLDERS, function(placeholder, argnum, name, sign, pad, left, width, precision, type, braceKey, braceType, braceStyle, offset) {
+      var value;
+
+      result += escape(message.substring(last, offset));
+      last = offset + placeholder.length;
+
+      if (placeholder === '%%') {
+        result += escape('%');
+      }
+      // '{name}' placeholder
+      else if (typeof braceKey !== 'undefined') {
+        if ( (!named && !options.braces) || !Object.prototype.hasOwnProperty.call(values, braceKey) || (typeof values[braceKey] === 'undefined') ) result += escape(placeholder);
+        else if ( (typeof braceType === 'undefined') || !options.formatArgument ) result += escapeValue(String(values[braceKey]));
+        else result += escapeValue(options.formatArgument(values[braceKey], braceType, (typeof braceStyle === 'undefined') ? null : braceStyle));
+      }
+      // sprintf placeholder
+      else {
+        if (typeof name !== 'undefined') value = values[name];
+        else if (typeof argnum !== 'undefined') value = values[parseInt(argnum, 10) - 1];
+        else value = values[index++];
+
+        if (typeof value === 'undefined') throw new CorbeauPerdu.i18n.LocaleException("Missing value for placeholder '" + placeholder + "'", CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { key: placeholder });
+
+        result += escapeValue(_formatValue(value, placeholder, sign, pad, left, width, precision, type));
+      }
+
+      return placeholder;
+    });
+
+    return result + escape(message.substring(last));
+  };
+
+  /**
+   * placeholders()
+   * List the placeholders of a message, i.e. to check a translation uses the same placeholders as its message
+   * The ICU 'plural', 'selectordinal' and 'select' arguments are listed too, as their name with the argument type
+   *
+   * @param string message
+   * @returns object placeholder type by placeholder id: '%1', '%2'... for sprintf positional placeholders, else the name;
+   *                 the type is the sprintf conversion type ('s', 'd'...), the placeholder type ('number', 'plural'...) or null
+   */
+  var placeholders = function(message) {
+    var result = {}, index = 0, match;
+
+    message = String(message);
+
+    message.replace(_PLACEHOLDERS, function(placeholder, argnum, name, sign, pad, left, width, precision, type, braceKey, braceType) {
+      if (placeholder === '%%') return placeholder;
+
+      if (typeof braceKey !== 'undefined') result[braceKey] = (typeof braceType !== 'undefined') ? braceType : null;
+      else if (typeof name !== 'undefined') result[name] = type;
+      else if (typeof argnum !== 'undefined') result['%' + argnum] = type;
+      else result['%' + (++index)] = type;
+
+      return placeholder;
+    });
+
+    var icuArguments = /\{\s*([A-Za-z_$][\w$]*|\d+)\s*,\s*(plural|selectordinal|select)\s*,/g;
+    while ( (match = icuArguments.exec(message)) !== null ) result[match[1]] = match[2];
+
+    return result;
+  };
+
+  return {
+    format: format,
+    placeholders: placeholders
+  };
+})();
+
+
+/**
+ * LocaleMessageFormat
+ * Parses and formats ICU MessageFormat messages: used by Locale.format() / dformat()
+ *
+ * Usage:
+ * CorbeauPerdu.i18n.LocaleMessageFormat.format("{user} liked {count, plural, one {# photo} other {# photos}}", { user: "John", count: 3 });
+ * CorbeauPerdu.i18n.LocaleMessageFormat.parse("{gender, select, female {hers} male {his} other {theirs}}"); // get the message's AST
+ *
+ * Notes:
+ * - supported: {arg}, {arg, plural, ...}, {arg, selectordinal, ...} (with 'offset:n', '=n' exact matches and '#'), {arg, select, ...}
+ *   and {arg, type[, style]} for the other argument types, formatted by the 'formatArgument' option
+ * - 'plural', 'selectordinal' and 'select' must have an 'other' option
+ * - apostrophes quote the special characters, i.e. "'{'literal'}'", and "''" is a single apostrophe
+ * - the parsed messages are cached: a message is only parsed once
+ * - syntax errors and missing values throw a LocaleException, with the error's position in the message for syntax errors
+ */
+CorbeauPerdu.i18n.LocaleMessageFormat = (function() {
+
+  var _astCache = {}; // parsed messages, by message
+
+  /**
+   * _has()
+   * Does an object have its own given property ?
+   *
+   * @param object object
+   * @param string key
+   * @returns boolean
+   */
+  var _has = function(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  };
+
+  /**
+   * parse()
+   * Parse an ICU message into its AST: an array of nodes, each being a text string or an object:
+   *   { type: 'argument', name: string, format: string or null, style: string or null }
+   *   { type: 'plural', name: string, ordinal: boolean, offset: int, options: { selector: nodes } }
+   *   { type: 'select', name: string, options: { selector: nodes } }
+   *   { type: 'pound' }
+   *
+   * @param string message
+   * @returns array
+   */
+  var parse = function(message) {
+    message = String(message);
+    if (_has(_astCache, message)) return _astCache[message];
+
+    var pos = 0, length = message.length;
+
+    // throw a syntax error, showing where it is in the message
+    var error = function(text, position) {
+      throw new CorbeauPerdu.i18n.LocaleException(text + " at position " + position + ":\n" + message + "\n" + new Array(position + 1).join(' ') + '^', CorbeauPerdu.i18n.LocaleException.MESSAGE_SYNTAX, { key: message, position: position });
+    };
+
+    var skipSpaces = function() {
+      while ( (pos < length) && /\s/.test(message.charAt(pos)) ) pos++;
+    };
+
+    // argument name, type or selector
+    var parseName = function() {
+      var start = pos;
+      while ( (pos < length) && !/[\s{},#']/.test(message.charAt(pos)) ) pos++;
+      return message.substring(start, pos);
+    };
+
+    var parseArgument;
+
+    // text and arguments, up to a closing '}' or the end of the message
+    var parseNodes = function(inPlural) {
+      var nodes = [], text = '', ch, next;
+
+      while (pos < length) {
+        ch = message.charAt(pos);
+
+        if ( (ch === '{') || (ch === '}') || ( (ch === '#') && inPlural ) ) {
+          if (text !== '') nodes.push(text);
+          text = '';
+
+          if (ch === '}') break;
+          if (ch === '#') {
+            nodes.push({ type: 'pound' });
+            pos++;
+          }
+          else nodes.push(parseArgument(inPlural));
+        }
+        else if (ch === "'") {
+          next = message.charAt(pos + 1);
+
+          // "''" is a single apostrophe
+          if (next === "'") {
+            text += "'";
+            pos += 2;
+          }
+          // quoted special characters, up to the next single apostrophe
+          else if ( (next === '{') || (next === '}') || (next === '|') || ( (next === '#') && inPlural ) ) {
+            pos++;
+            while (pos < length) {
+              ch = message.charAt(pos);
+              if (ch === "'") {
+                if (message.charAt(pos + 1) !== "'") {
+                  pos++;
+                  break;
+                }
+                pos++;
+              }
+              text += ch;
+              pos++;
+            }
+          }
+          else {
+            text += ch;
+            pos++;
+          }
+        }
+        else {
+          text += ch;
+          pos++;
+        }
+      }
+
+      if (text !== '') nodes.push(text);
+      return nodes;
+    };
+
+    // {name}, {name, type[, style]}, {name, plural|selectordinal|select, options}
+    parseArgument = function(inPlural) {
+      var start = pos, name, type, style, offset = 0, options = {}, selector, selectorPos;
+
+      pos++;
+      skipSpaces();
+      name = parseName();
+      if (name === '') error("Missing argument name", pos);
+      skipSpaces();
+
+      if (message.charAt(pos) === '}') {
+        pos++;
+        return { type: 'argument', name: name, format: null, style: null };
+      }
+      if (message.charAt(pos) !== ',') error("Expecting ',' or '}'", pos);
+
+      pos++;
+      skipSpaces();
+      type = parseName();
+      if (type === '') error("Missing argument type", pos);
+      skipSpaces();
+
+      if ( (type === 'plural') || (type === 'selectordinal') || (type === 'select') ) {
+        if (message.charAt(pos) !== ',') error("Expecting ',' after '" + type + "'", pos);
+        pos++;
+        skipSpaces();
+
+        if ( (type !== 'select') && (message.substr(pos, 7) === 'offset:') ) {
+          pos += 7;
+          skipSpaces();
+          var offsetMatch = message.substr(pos).match(/^\d+/);
+          if (!offsetMatch) error("Expecting a number after 'offset:'", pos);
+          offset = parseInt(offsetMatch[0], 10);
+          pos += offsetMatch[0].length;
+          skipSpaces();
+        }
+
+        while ( (pos < length) && (message.charAt(pos) !== '}') ) {
+          selectorPos = pos;
+          selector = parseName();
+          if (selector === '') error("Expecting a selector", pos);
+          if (_has(options, selector)) error("Duplicate selector '" + selector + "'", selectorPos);
+          skipSpaces();
+
+          if (message.charAt(pos) !== '{') error("Expecting '{' after selector '" + selector + "'", pos);
+          pos++;
+
+          // '#' is still the plural's number within a nested select
+          options[selector] = parseNodes( (type !== 'select') || inPlural );
+          if (message.charAt(pos) !== '}') error("Unclosed '{' of selector '" + selector + "'", selectorPos);
+          pos++;
+          skipSpaces();
+        }
+
+        if (pos >= length) error("Unclosed argument '" + name + "'", start);
+        if (!_has(options, 'other')) error("Missing the 'other' option of argument '" + name + "'", start);
+        pos++;
+
+        if (type === 'select') return { type: 'select', name: name, options: options };
+        return { type: 'plural', name: name, ordinal: (type === 'selectordinal'), offset: offset, options: options };
+      }
+
+      // other types, i.e. {price, number, currency}: the style is kept as is
+      style = null;
+      if (message.charAt(pos) === ',') {
+        var styleStart = ++pos, depth = 0;
+
+        while ( (pos < length) && ( (message.charAt(pos) !== '}') || (depth > 0) ) ) {
+          if (message.charAt(pos) === '{') depth++;
+          else if (message.charAt(pos) === '}') depth--;
+          pos++;
+        }
+        style = message.substring(styleStart, pos).trim();
+      }
+
+      if (message.charAt(pos) !== '}') error("Unclosed argument '" + name + "'", start);
+      pos++;
+
+      return { type: 'argument', name: name, format: type, style: style };
+    };
+
+    var ast = parseNodes(false);
+    if (pos < length) error("Unexpected '}'", pos);
+
+    return _astCache[message] = ast;
+  };
+
+  /**
+   * _value()
+   * Get the value of an argument
+   *
+   * @param object values
+   * @param string name
+   * @returns mixed
+   */
+  var _value = function(values, name) {
+    if ( !_has(values, name) || (typeof values[name] === 'undefined') ) throw new CorbeauPerdu.i18n.LocaleException("Missing value for argument '" + name + "'", CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { key: name });
+    return values[name];
+  };
+
+  /**
+   * _formatNodes()
+   * Format parsed nodes
+   *
+   * @param array nodes
+   * @param object values
+   * @param object options see format()
+   * @param number number value of the enclosing plural argument, for '#'
+   * @returns string
+   */
+  var _formatNodes = function(nodes, values, options, number) {
+    var result = '', node, value, branch;
+
+    for (var i = 0; i < nodes.length; i++) {
+      node = nodes[i];
+
+      if (typeof node === 'string') {
+        result += options.escape ? options.escape(node) : node;
+      }
+      else if (node.type === 'pound') {
+        value = options.formatArgument ? options.formatArgument(number, 'number', null) : String(number);
+        result += options.escapeValue ? options.escapeValue(value) : value;
+      }
+      else if (node.type === 'argument') {
+        value = _value(values, node.name);
+        value = options.formatArgument ? options.formatArgument(value, node.format, node.style) : String(value);
+        result += options.escapeValue ? options.escapeValue(value) : value;
+      }
+      else if (node.type === 'select') {
+        value = String(_value(values, node.name));
+        branch = _has(node.options, value) ? node.options[value] : node.options.other;
+        result += _formatNodes(branch, values, options, number);
+      }
+      else {
+        value = Number(_value(values, node.name));
+        if (isNaN(value)) throw new CorbeauPerdu.i18n.LocaleException("Expecting a number for argument '" + node.name + "', got: " + values[node.name], CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { key: node.name, actual: values[node.name] });
+
+        // exact matches use the value itself, plural categories and '#' use the value minus the offset
+        if (_has(node.options, '=' + value)) branch = node.options['=' + value];
+        else {
+          var category = options.pluralCategory ? options.pluralCategory(value - node.offset, node.ordinal) : ( (value - node.offset === 1) ? 'one' : 'other' );
+          branch = _has(node.options, category) ? node.options[category] : node.options.other;
+        }
+        result += _formatNodes(branch, values, options, value - node.offset);
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * format()
+   * Format an ICU message with values
+   *
+   * @param string message
+   * @param object values argument values, by name
+   * @param object options (optional!) {
+   *   pluralCategory: function(n, ordinal) returning the CLDR plural category of a number (default is 'one' for 1, else 'other')
+   *   escape: function(text) to encode the text of the message (i.e. for web output, see CorbeauPerdu.i18n.LocaleEncoder)
+   *   escapeValue: function(text) to encode the formatted argument values
+   *   formatArgument: function(value, format, style) to format an argument value, format being null for {arg} (default is String(value))
+   * }
+   * @returns string
+   */
+  var format = function(message, values, options) {
+    return _formatNodes(parse(message), values || {}, options || {}, null);
+  };
+
+  return {
+    parse: parse,
+    format: format
+  };
+})();
+
+
+/**
+ * LocaleIntl
+ * Locale-aware number, currency, date, time and relative time formatting, backed by the browser's Intl API:
+ * used by the Locale's format*() functions and typed placeholders, i.e. "{price, number, currency:EUR}"
+ *
+ * Usage:
+ * CorbeauPerdu.i18n.LocaleIntl.toLanguageTag("fr_FR");                                  // "fr-FR"
+ * CorbeauPerdu.i18n.LocaleIntl.format("fr_FR", 1234.5, "number", "currency:EUR");        // "1 234,50 €"
+ * CorbeauPerdu.i18n.LocaleIntl.format("fr_FR", new Date(), "date", "long");               // "18 octobre 2026"
+ * CorbeauPerdu.i18n.LocaleIntl.format("fr_FR", Date.now() - 7200000, "relative");         // "il y a 2 heures"
+ *
+ * Types and styles:
+ * - number: default, 'integer', 'percent', 'compact' or 'currency:XXX' (ISO 4217 currency code)
+ * - date / time: 'short', 'medium' (default), 'long' or 'full'
+ * - relative: a date (Date, timestamp or date string) relative to now, in the best unit;
+ *   or a number of units, with the unit as style: 'second', 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+ * - no type: numbers are formatted as 'number', dates as 'date', anything else as a string
+ * - the style can also be an object of Intl options, i.e. { minimumFractionDigits: 2 }
+ *
+ * Notes:
+ * - gettext's language tags (i.e. "fr_FR", "sr_RS@latin", "de_DE.UTF-8") are converted to BCP 47 language tags for Intl
+ * - the Intl formatters are cached, by language, type and style
+ * - without Intl support, the values are formatted as strings
+ */
+CorbeauPerdu.i18n.LocaleIntl = (function() {
+
+  var _formattersCache = {}; // Intl formatters, by language, type and style
+
+  // relative time units, with their length in seconds: used to find the best unit of a date relative to now
+  var _RELATIVEUNITS = [
+    ['second', 1],
+    ['minute', 60],
+    ['hour', 3600],
+    ['day', 86400],
+    ['week', 604800],
+    ['month', 2629800],
+    ['year', 31557600]
+  ];
+
+  var _DATESTYLES = ['short', 'medium', 'long', 'full'];
+
+  /**
+   * toLanguageTag()
+   * Convert a gettext language tag to a BCP 47 language tag, i.e. "fr_FR" becomes "fr-FR"
+   *
+   * @param string lang
+   * @returns string BCP 47 language tag, or undefined (Intl's default language) if not valid
+   */
+  var toLanguageTag = function(lang) {
+    var tag = String(lang || '').replace(/[.@].*$/, '').replace(/_/g, '-');
+
+    if (tag === '') return undefined;
+    if ( (typeof Intl === 'undefined') || (typeof Intl.getCanonicalLocales !== 'function') ) return tag;
+
+    try {
+      return Intl.getCanonicalLocales(tag)[0];
+    }
+    catch (error) {
+      return undefined;
+    }
+  };
+
+  /**
+   * _date()
+   * Get a date value as a Date
+   *
+   * @param mixed value Date, timestamp (milliseconds) or date string
+   * @returns Date
+   */
+  var _date = function(value) {
+    var date = (value instanceof Date) ? value : new Date(value);
+
+    if (isNaN(date.getTime())) throw new CorbeauPerdu.i18n.LocaleException("Expecting a date, got: " + value, CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { actual: value });
+
+    return date;
+  };
+
+  /**
+   * _number()
+   * Get a number value as a number
+   *
+   * @param mixed value
+   * @returns number
+   */
+  var _number = function(value) {
+    var number = Number(value);
+
+    if ( (value === null) || (value === '') || isNaN(number) ) throw new CorbeauPerdu.i18n.LocaleException("Expecting a number, got: " + value, CorbeauPerdu.i18n.LocaleException.INVALID_VALUE, { actual: value });
+
+    return number;
+  };
+
+  /**
+   * _options()
+   * Get the Intl options of a type and style
+   *
+   * @param string type 'number', 'date', 'time' or 'relative'
+   * @param mixed style style name, or Intl options object
+   * @returns object Intl options
+   */
+  var _options = function(type, style) {
+    if ( (style !== null) && (typeof style === 'object') ) return style;
+    if ( (typeof style === 'undefined') || (style === null) || (style === '') ) style = null;
+
+    switch (type) {
+      case 'number':
+        if (style === null) return {};
+        if (style === 'integer') return { maximumFractionDigits: 0 };
+        if (style === 'percent') return { style: 'percent' };
+        if (style === 'compact') return { notation: 'compact' };
+        if (/^currency:[A-Za-z]{3}$/.test(style)) return { style: 'currency', currency: style.substr(9).toUpperCase() };
+        break;
+
+      case 'date':
+      case 'time':
+        if (style === null) style = 'medium';
+        if (_DATESTYLES.indexOf(style) !== -1) return (type === 'date') ? { dateStyle: style } : { timeStyle: style };
+        break;
+
+      case 'relative':
+        return { numeric: 'auto' };
+    }
+
+    throw new CorbeauPerdu.i18n.LocaleException("Unknown '" + type + "' style: '" + style + "'", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: style });
+  };
+
+  /**
+   * _formatter()
+   * Get the cached Intl formatter of a language, type and style
+   *
+   * @param string lang
+   * @param string type 'number', 'date', 'time' or 'relative'
+   * @param mixed style
+   * @returns object Intl.NumberFormat, Intl.DateTimeFormat or Intl.RelativeTimeFormat, or null if not supported
+   */
+  var _formatter = function(lang, type, style) {
+    var tag = toLanguageTag(lang);
+    var key = [tag, type, (style !== null && typeof style === 'object') ? JSON.stringify(style) : style].join('|');
+    var options = _options(type, style); // validate the style, even without Intl support
+
+    if (typeof _formattersCache[key] !== 'undefined') return _formattersCache[key];
+    if (typeof Intl === 'undefined') return null;
+
+    switch (type) {
+      case 'number': _formattersCache[key] = new Intl.NumberFormat(tag, options); break;
+      case 'relative': _formattersCache[key] = (typeof Intl.RelativeTimeFormat === 'function') ? new Intl.RelativeTimeFormat(tag, options) : null; break;
+      default: _formattersCache[key] = new Intl.DateTimeFormat(tag, options);
+    }
+
+    return _formattersCache[key];
+  };
+
+  /**
+   * _relative()
+   * Format a relative time
+   *
+   * @param string lang
+   * @param mixed value date relative to now, or number of units
+   * @param string style unit of a number of units, else the best unit for the date is used
+   * @returns string
+   */
+  var _relative = function(lang, value, style) {
+    var unit = style, amount, formatter;
+
+    if ( (typeof unit === 'undefined') || (unit === null) || (unit === '') ) {
+      var seconds = (_date(value).getTime() - Date.now()) / 1000;
+
+      for (var i = 0; i < _RELATIVEUNITS.length; i++) {
+        unit = _RELATIVEUNITS[i][0];
+        amount = Math.round(seconds / _RELATIVEUNITS[i][1]);
+        if ( (i + 1 === _RELATIVEUNITS.length) || (Math.abs(seconds) < _RELATIVEUNITS[i + 1][1]) ) break;
+      }
+    }
+    else {
+      if (!/^(second|minute|hour|day|week|month|quarter|year)s?$/.test(unit)) throw new CorbeauPerdu.i18n.LocaleException("Unknown 'relative' style: '" + unit + "'", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: unit });
+      amount = _number(value);
+    }
+
+    formatter = _formatter(lang, 'relative', null);
+    return (formatter !== null) ? formatter.format(amount, unit) : amount + ' ' + unit;
+  };
+
+  /**
+   * format()
+   * Format a value for a language
+   *
+   * @param string lang language, gettext or BCP 47 tag
+   * @param mixed value
+   * @param string type 'number', 'date', 'time', 'relative', or null to format by the value's type
+   * @param mixed style (optional!) style name, or Intl options object (see the notes above)
+   * @returns string
+   */
+  var format = function(lang, value, type, style) {
+    var formatter;
+
+    if ( (typeof type === 'undefined') || (type === null) ) {
+      if ( (typeof value === 'number') && isFinite(value) ) type = 'number';
+      else if ( (value instanceof Date) && !isNaN(value.getTime()) ) type = 'date';
+      else return String(value);
+    }
+
+    switch (type) {
+      case 'number':
+        value = _number(value);
+        break;
+      case 'date':
+      case 'time':
+        value = _date(value);
+        break;
+      case 'relative':
+        return _relative(lang, value, style);
+      default:
+        throw new CorbeauPerdu.i18n.LocaleException("Unknown argument type: '" + type + "'", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: type });
+    }
+
+    formatter = _formatter(lang, type, (typeof style === 'undefined') ? null : style);
+    return (formatter !== null) ? formatter.format(value) : String(value);
+  };
+
+  return {
+    toLanguageTag: toLanguageTag,
+    format: format
+  };
+})();
+
+
+/**
+ * LocaleEncoder
+ * Output encoders, to make the translated messages safe wherever they are injected: used by the Locale's setEncoder() and withEncoder()
+ * The message and the placeholder values are encoded separately, so the placeholders syntax is never encoded
+ *
+ * Usage:
+ * CorbeauPerdu.i18n.LocaleEncoder.encode("html", "Tom & Jerry\n<3");     // "Tom &amp; Jerry<br/>&lt;3"
+ * CorbeauPerdu.i18n.LocaleEncoder.encode("url", "Tom & Jerry");          // "Tom%20%26%20Jerry"
+ * CorbeauPerdu.i18n.LocaleEncoder.register("upper", function(text) { return text.toUpperCase(); });
+ *
+ * Encoders:
+ * - html: HTML text content; '\n' becomes '<br/>'
+ * - htmlAttr: HTML attribute value (quoted); line breaks are kept as character references
+ * - js: content of a JavaScript string literal (single, double or back quoted), safe inside a <script> element
+ * - url: URL component (RFC 3986)
+ * - markdown: Markdown text, its formatting characters are backslash-escaped
+ * - raw: no encoding at all, i.e. to turn off the encoding of a domain
+ */
+CorbeauPerdu.i18n.LocaleEncoder = (function() {
+
+  var _HTMLENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;', '`': '&#096;', '\n': '&#10;', '\r': '&#13;' };
+
+  /**
+   * _unicodeEscape()
+   * Get the JavaScript unicode escape sequence of a character, i.e. '<' becomes '\u003C'
+   *
+   * @param string character
+   * @returns string
+   */
+  var _unicodeEscape = function(character) {
+    return '\\u' + ('0000' + character.charCodeAt(0).toString(16).toUpperCase()).slice(-4);
+  };
+
+  var _encoders = {
+    html: function(text) {
+      // line breaks are replaced after the escaping, not instead of it
+      return String(text).replace(/[&<>"']/g, function(character) { return _HTMLENTITIES[character]; }).replace(/\r?\n/g, '<br/>');
+    },
+    htmlAttr: function(text) {
+      return String(text).replace(/[&<>"'`\n\r]/g, function(character) { return _HTMLENTITIES[character]; });
+    },
+    js: function(text) {
+      return String(text).replace(/[\\'"`]/g, '\\$&').replace(/[\u0000-\u001F\u007F<>&$\u2028\u2029]/g, _unicodeEscape);
+    },
+    url: function(text) {
+      return encodeURIComponent(String(text)).replace(/[!'()*]/g, function(character) { return '%' + character.charCodeAt(0).toString(16).toUpperCase(); });
+    },
+    markdown: function(text) {
+      return String(text).replace(/[\\`*_{}\[\]()#+\-.!|<>~]/g, '\\$&');
+    },
+    raw: function(text) {
+      return String(text);
+    }
+  };
+
+  /**
+   * get()
+   * Get an encoder function
+   *
+   * @param mixed encoder name of a registered encoder ('html', 'htmlAttr', 'js', 'url', 'markdown', 'raw'...), or a function(text) returning the encoded text
+   * @returns function(text)
+   * @throws LocaleException if the encoder is unknown
+   */
+  var get = function(encoder) {
+    if (typeof encoder === 'function') return encoder;
+
+    if ( (typeof encoder !== 'string') || !Object.prototype.hasOwnProperty.call(_encoders, encoder) ) {
+      throw new CorbeauPerdu.i18n.LocaleException("Unknown encoder: '" + encoder + "'", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: encoder });
+    }
+
+    return _encoders[encoder];
+  };
+
+  /**
+   * encode()
+   * Encode a text
+   *
+   * @param mixed encoder name of a registered encoder, or a function(text)
+   * @param string text
+   * @returns string
+   */
+  var encode = function(encoder, text) {
+    return get(encoder)(text);
+  };
+
+  /**
+   * register()
+   * Register an encoder by name, or replace a built-in one
+   *
+   * @param string name
+   * @param function encoder function(text) returning the encoded text
+   */
+  var register = function(name, encoder) {
+    if (typeof encoder !== 'function') throw new TypeError("The '" + name + "' encoder must be a function");
+    _encoders[name] = encoder;
+  };
+
+  return {
+    get: get,
+    encode: encode,
+    register: register
+  };
+})();
+
+
+/**
+ * LocaleRichText
+ * Rich-text messages: inline markup tags in the translations (i.e. "Read the <link>terms</link>") are rendered by the caller's renderers,
+ * so translators can bold words or wrap links without putting raw HTML in the catalogs. Used by the Locale's rich() and drich() functions
+ *
+ * Usage:
+ * var renderers = { b: "strong", link: function(content) { return '<a href="/terms">' + content + '</a>'; } };
+ * CorbeauPerdu.i18n.LocaleRichText.render("Read the <link>terms</link> & <b>agree</b>", renderers);   // 'Read the <a href="/terms">terms</a> &amp; <strong>agree</strong>'
+ * CorbeauPerdu.i18n.LocaleRichText.render("Read the <link>terms</link>", { link: function(fragment) { var a = document.createElement("a"); a.href = "/terms"; a.appendChild(fragment); return a; } }, "dom");
+ * CorbeauPerdu.i18n.LocaleRichText.render("Read the <link>terms</link>", { link: function(children, tag, key) { return React.createElement("a", { key: key, href: "/terms" }, children); } }, "nodes");
+ *
+ * Syntax:
+ * - tags are '<name>content</name>' or '<name/>', with names of letters, digits, '_' and '-', and no attributes: the renderers add them
+ * - tags can be nested, i.e. "<b>Read the <link>terms</link></b>", but must be closed in order
+ * - a '<' not starting a tag is text, i.e. "1 < 2"
+ *
+ * Outputs:
+ * - 'html' (default): an HTML string, the text being escaped; a renderer gets the html content and returns html
+ * - 'dom': a DocumentFragment; a renderer gets a DocumentFragment of the content and returns a DOM Node
+ * - 'nodes': an array of strings and rendered nodes, i.e. for React or Vue; a renderer gets the array of children, the tag name, and a unique key
+ * A renderer can also be an element name, i.e. { b: "strong" }, rendered as '<strong>content</strong>', a 'strong' element, or { tag: "strong", children: [...] }
+ */
+CorbeauPerdu.i18n.LocaleRichText = (function() {
+
+  var _TAGS = /<(\/?)([A-Za-z][\w-]*)\s*(\/?)>/g;
+
+  var _parsedCache = {}; // parsed messages, by message
+
+  /**
+   * parse()
+   * Parse a rich-text message into a tree of text and tag nodes
+   *
+   * @param string message
+   * @returns array nodes: strings, or { tag: name, children: nodes, empty: true for a self-closing tag }
+   * @throws LocaleException if a tag isn't closed, or closed out of order
+   */
+  var parse = function(message) {
+    message = String(message);
+
+    if (Object.prototype.hasOwnProperty.call(_parsedCache, message)) return _parsedCache[message];
+
+    var root = { tag: null, children: [], position: 0 };
+    var stack = [root], last = 0, match, current, node;
+
+    _TAGS.lastIndex = 0;
+
+    while ( (match = _TAGS.exec(message)) !== null ) {
+      current = stack[stack.length - 1];
+      if (match.index > last) current.children.push(message.substring(last, match.index));
+      last = _TAGS.lastIndex;
+
+      // closing tag
+      if (match[1] === '/') {
+        if (current.tag !== match[2]) {
+          throw new CorbeauPerdu.i18n.LocaleException("Unexpected closing tag '</" + match[2] + ">' at position " + match.index + " in rich-text message: '" + message + "'", CorbeauPerdu.i18n.LocaleException.MESSAGE_SYNTAX, { key: message, expected: current.tag, actual: match[2], position: match.index });
+        }
+        delete(current.position);
+        stack.pop();
+        continue;
+      }
+
+      node = { tag: match[2], children: [], position: match.index };
+      current.children.push(node);
+
+      // self-closing tag, i.e. '<br/>'
+      if (match[3] === '/') {
+        delete(node.position);
+        node.empty = true;
+      }
+      else stack.push(node);
+    }
+
+    if (stack.length > 1) {
+      node = stack[stack.length - 1];
+      throw new CorbeauPerdu.i18n.LocaleException("Unclosed tag '<" + node.tag + ">' at position " + node.position + " in rich-text message: '" + message + "'", CorbeauPerdu.i18n.LocaleException.MESSAGE_SYNTAX, { key: message, expected: node.tag, position: node.position });
+    }
+
+    if (last < message.length) root.children.push(message.substring(last));
+
+    return (_parsedCache[message] = root.children);
+  };
+
+  /**
+   * _renderNodes()
+   * Render parsed nodes
+   *
+   * @param array nodes
+   * @param object renderers renderer (function or element name) by tag name
+   * @param string output 'html', 'dom' or 'nodes'
+   * @param object state { document: for the 'dom' output, key: last key given to the 'nodes' renderers, text: function(text) for the text nodes }
+   * @returns mixed html string, DocumentFragment, or array of nodes
+   */
+  var _renderNodes = function(nodes, renderers, output, state) {
+    var result = (output === 'html') ? '' : (output === 'dom') ? state.document.createDocumentFragment() : [];
+    var node, renderer, content, rendered, text;
+
+    for (var i = 0; i < nodes.length; i++) {
+      node = nodes[i];
+
+      if (typeof node === 'string') {
+        text = state.text(node);
+        if (output === 'html') result += CorbeauPerdu.i18n.LocaleEncoder.encode('html', text);
+        else if (output === 'dom') result.appendChild(state.document.createTextNode(text));
+        else result.push(text);
+        continue;
+      }
+
+      if ( !renderers || !Object.prototype.hasOwnProperty.call(renderers, node.tag) || ( (typeof renderers[node.tag] !== 'function') && (typeof renderers[node.tag] !== 'string') ) ) {
+        throw new CorbeauPerdu.i18n.LocaleException("Unknown tag '<" + node.tag + ">' in rich-text message: no renderer given for it", CorbeauPerdu.i18n.LocaleException.UNKNOWN_TAG, { key: node.tag });
+      }
+
+      renderer = renderers[node.tag];
+      content = _renderNodes(node.children, renderers, output, state);
+
+      if (output === 'html') {
+        if (typeof renderer !== 'string') result += String(renderer(content, node.tag));
+        else result += node.empty ? '<' + renderer + '/>' : '<' + renderer + '>' + content + '</' + renderer + '>';
+      }
+      else if (output === 'dom') {
+        if (typeof renderer === 'string') {
+          rendered = state.document.createElement(renderer);
+          rendered.appendChild(content);
+        }
+        else rendered = renderer(content, node.tag);
+        result.appendChild(rendered);
+      }
+      else {
+        state.key++;
+        result.push( (typeof renderer === 'string') ? { tag: renderer, children: content } : renderer(content, node.tag, state.key) );
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * render()
+   * Render a rich-text message with renderers for its tags
+   *
+   * @param string message
+   * @param object renderers renderer by tag name: a function(content, tag, key) returning the rendered tag, or an element name (see the outputs above)
+   * @param string output (optional!) 'html' (default), 'dom' or 'nodes'
+   * @param object options (optional!) {
+   *   document: document to create the 'dom' nodes with (default is the page's document),
+   *   text: function(text) returning the text of a text node (i.e. to put back the placeholder values)
+   * }
+   * @returns mixed html string, DocumentFragment, or array of nodes
+   * @throws LocaleException if the message has a syntax error, or a tag without renderer
+   */
+  var render = function(message, renderers, output, options) {
+    output = output || 'html';
+    options = options || {};
+
+    if ( (output !== 'html') && (output !== 'dom') && (output !== 'nodes') ) {
+      throw new CorbeauPerdu.i18n.LocaleException("Unknown rich-text output: '" + output + "'", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: output });
+    }
+
+    var state = {
+      document: options.document || ( (typeof document !== 'undefined') ? document : null ),
+      key: 0,
+      text: options.text || String
+    };
+
+    if ( (output === 'dom') && (state.document === null) ) {
+      throw new CorbeauPerdu.i18n.LocaleException("No document to render the rich-text message with", CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT, { actual: output });
+    }
+
+    return _renderNodes(parse(message), renderers, output, state);
+  };
+
+  return {
+    parse: parse,
+    render: render
+  };
+})();
+
+
+/**
+ * LocalePseudo
+ * Pseudo-localization of the messages, to test the layouts and the translations coverage before the real translations arrive:
+ * the letters are accented, the messages padded (translations are often longer) and bracketed (truncations show),
+ * and optionally mirrored with bidi overrides, to test right-to-left layouts. Used by the Locale's setPseudoLocalization()
+ * The placeholders ('%s', '%1$d', '{name}'...), markup tags ('<b>', '<link/>'...) and HTML entities ('&amp;'...) are left intact
+ *
+ * Usage:
+ * CorbeauPerdu.i18n.LocalePseudo.transform("Home");                                     // "[Ĥöɱé ~~]"
+ * CorbeauPerdu.i18n.LocalePseudo.transform("Hello <b>%s</b>", { rtl: true, padding: 0 }); // "[\u202EĤéļļö \u202C<b>%s</b>]"
+ *
+ * Options:
+ * - accents: accent the letters, default is true
+ * - padding: padding length, as a ratio of the text length, default is 0.3 (30% longer)
+ * - prefix / suffix: brackets around the messages, default is '[' and ']'
+ * - rtl: mirror the text with a right-to-left override, default is false
+ */
+CorbeauPerdu.i18n.LocalePseudo = (function() {
+
+  var _ACCENTS = {
+    A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Đ', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ŧ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+    a: 'å', b: 'ƀ', c: 'ç', d: 'đ', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ŧ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž'
+  };
+
+  // placeholders, markup tags and HTML entities: left intact
+  var _INTACT = /%%|%(?:\d+\$|\([^)]+\))?\+?(?:0|'[\s\S])?-?\d*(?:\.\d+)?[bcdeEfgiosuxXj]|\{[^{}]*\}|<\/?[A-Za-z][^<>]*>|&#?\w+;/g;
+
+  var _DEFAULTS = { accents: true, padding: 0.3, prefix: '[', suffix: ']', rtl: false };
+
+  /**
+   * _options()
+   * Get the options, with their default values
+   *
+   * @param object options
+   * @returns object
+   */
+  var _options = function(options) {
+    var result = {};
+    options = options || {};
+
+    for (var name in _DEFAULTS) result[name] = (typeof options[name] !== 'undefined') ? options[name] : _DEFAULTS[name];
+
+    return result;
+  };
+
+  /**
+   * transformText()
+   * Accent and mirror a text with no placeholders nor markup
+   *
+   * @param string text
+   * @param object options (optional!) see above
+   * @returns string
+   */
+  var transformText = function(text, options) {
+    options = _options(options);
+    text = String(text);
+
+    if (text === '') return text;
+    if (options.accents) text = text.replace(/[A-Za-z]/g, function(letter) { return _ACCENTS[letter]; });
+
+    // right-to-left override ... pop directional formatting
+    return options.rtl ? '\u202E' + text + '\u202C' : text;
+  };
+
+  /**
+   * brackets()
+   * Get the brackets around a pseudo-localized text, the padding being in the closing one
+   *
+   * @param int length text length
+   * @param object options (optional!) see above
+   * @returns array [opening bracket, padding (a space and '~' characters) and closing bracket]
+   */
+  var brackets = function(length, options) {
+    options = _options(options);
+
+    var count = Math.ceil(length * options.padding);
+    return [options.prefix, ( (count > 0) ? ' ' + new Array(count + 1).join('~') : '' ) + options.suffix];
+  };
+
+  /**
+   * transform()
+   * Pseudo-localize a message: accent, mirror, pad and bracket it, leaving its placeholders, markup tags and HTML entities intact
+   *
+   * @param string message
+   * @param object options (optional!) see above
+   * @returns string
+   */
+  var transform = function(message, options) {
+    options = _options(options);
+    message = String(message);
+
+    var result = '', last = 0, length = 0, match;
+
+    _INTACT.lastIndex = 0;
+
+    while ( (match = _INTACT.exec(message)) !== null ) {
+      length += match.index - last;
+      result += transformText(message.substring(last, match.index), options) + match[0];
+      last = match.index + match[0].length;
+    }
+
+    length += message.length - last;
+    result += transformText(message.substring(last), options);
+
+    var around = brackets(length, options);
+    return around[0] + result + around[1];
+  };
+
+  return {
+    transform: transform,
+    transformText: transformText,
+    brackets: brackets
+  };
+})();
+
+
+/**
+ * LocaleDOM
+ * Declarative translation of a page's elements with data attributes, bound to a Locale instance:
+ * the elements are translated when bound, when inserted later on (watched with a MutationObserver), and again on each language change
+ *
+ * Usage:
+ * <h1 data-i18n="User Listing"></h1>                          translated text content (set as text, never as html)
+ * <h1 data-i18n>User Listing</h1>                             same, the message being the element's text
+ * <p data-i18n="Logout" data-i18n-domain="navbar"></p>        from a domain (also inherited from an ancestor's data-i18n-domain)
+ * <p data-i18n="Open" data-i18n-context="verb"></p>           with a context (msgctxt)
+ * <p data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="6"></p>   plural form: the number is also the placeholder value when no args
+ * <p data-i18n="Welcome, {name}!" data-i18n-args='{"name": "John"}'></p>    placeholder values: a JSON array, or a JSON object of named values
+ * <input placeholder="Search" title="Search the users" data-i18n-attr="placeholder title">   translated attributes: their values are the messages
+ *
+ * var binding = new CorbeauPerdu.i18n.LocaleDOM(locale, document.body);
+ * binding.translate(element); // translate an element and its descendants right away, i.e. after changing its data-i18n-n
+ * binding.disconnect();       // stop watching the page and the language changes
+ *
+ * Notes:
+ * - the elements are translated with no encoder (see Locale.setEncoder()), as the translations are set as text
+ * - the original messages of the data-i18n elements with no value, and of the data-i18n-attr attributes, are kept to translate them again
+ * - the document and the MutationObserver are the root's own: i.e. under jsdom, new CorbeauPerdu.i18n.LocaleDOM(locale, dom.window.document)
+ *
+ * @param CorbeauPerdu.i18n.Locale locale to translate with
+ * @param Node root element or document to translate, and to watch (default is the page's document)
+ * @param object options (optional!) { observe: watch the inserted elements and the data-i18n* attributes changes, default is true }
+ */
+CorbeauPerdu.i18n.LocaleDOM = function (locale, root, options) {
+
+  // -------------------------------------------------
+  // INIT PRIVATE VARIABLES AND FUNCTIONS
+  // -------------------------------------------------
+  var _ATTRIBUTES = ['data-i18n', 'data-i18n-domain', 'data-i18n-context', 'data-i18n-plural', 'data-i18n-n', 'data-i18n-args', 'data-i18n-attr'];
+  var _SELECTOR = '[data-i18n], [data-i18n-attr]';
+
+  if (!(locale instanceof CorbeauPerdu.i18n.Locale)) throw new TypeError("LocaleDOM expects a CorbeauPerdu.i18n.Locale instance");
+
+  options = options || {};
+
+  var _locale = locale,
+      _translator = locale.withEncoder(null), // translations are set as text: no encoding
+      _root = root || ( (typeof document !== 'undefined') ? document : null ),
+      _originals = new WeakMap(),             // original messages of the elements, { text, attributes }
+      _observer = null,
+      _unsubscribers = [],
+      _self = this;
+
+  if (_root === null) throw new TypeError("LocaleDOM needs a root element or document to translate");
+
+  /**
+   * _originalsOf()
+   * Get the original messages of an element, keeping them on first call
+   *
+   * @param Element element
+   * @return object { text: original text content, attributes: original value by attribute name }
+   */
+  var _originalsOf = function(element) {
+    var originals = _originals.get(element);
+
+    if (typeof originals === 'undefined') {
+      originals = { text: element.textContent.trim(), attributes: {} };
+      _originals.set(element, originals);
+    }
+
+    return originals;
+  }
+
+  /**
+   * _translateMessage()
+   * Translate a message with an element's domain, context, plural and placeholder values
+   *
+   * @param Element element
+   * @param string message
+   * @return string
+   */
+  var _translateMessage = function(element, message) {
+    var domainElement = element.closest('[data-i18n-domain]');
+    var domain = (domainElement !== null) ? domainElement.getAttribute('data-i18n-domain') : null;
+    var context = element.hasAttribute('data-i18n-context') ? element.getAttribute('data-i18n-context') : null;
+    var plural = element.hasAttribute('data-i18n-plural') ? element.getAttribute('data-i18n-plural') : null;
+    var n = (plural !== null) ? parseFloat(element.getAttribute('data-i18n-n')) : null;
+    var args = [];
+
+    if (element.hasAttribute('data-i18n-args')) {
+      var values = JSON.parse(element.getAttribute('data-i18n-args'));
+      args = Array.isArray(values) ? values : [values];
+    }
+    // the number is the placeholder value of a plural message, if no values given
+    else if (plural !== null) args = [n];
+
+    if (plural === null) {
+      return (domain !== null) ? _translator.dpgettext.apply(null, [domain, context, message].concat(args)) : _translator.pgettext.apply(null, [context, message].concat(args));
+    }
+
+    return (domain !== null) ? _translator.dnpgettext.apply(null, [domain, context, message, plural, n].concat(args)) : _translator.npgettext.apply(null, [context, message, plural, n].concat(args));
+  }
+
+  /**
+   * _translateElement()
+   * Translate an element's text content and attributes, from its data-i18n* attributes
+   *
+   * @param Element element
+   */
+  var _translateElement = function(element) {
+    try {
+      var originals = _originalsOf(element);
+
+      if (element.hasAttribute('data-i18n')) {
+        var message = element.getAttribute('data-i18n') || originals.text;
+        var translation = _translateMessage(element, message);
+
+        if (element.textContent !== translation) element.textContent = translation;
+      }
+
+      if (element.hasAttribute('data-i18n-attr')) {
+        var names = element.getAttribute('data-i18n-attr').split(/[\s,]+/);
+
+        for (var i = 0; i < names.length; i++) {
+          if ( (names[i] === '') || !( element.hasAttribute(names[i]) || Object.prototype.hasOwnProperty.call(originals.attributes, names[i]) ) ) continue;
+          if (!Object.prototype.hasOwnProperty.call(originals.attributes, names[i])) originals.attributes[names[i]] = element.getAttribute(names[i]);
+
+          element.setAttribute(names[i], _translateMessage(element, originals.attributes[names[i]]));
+        }
+      }
+    }
+    catch (error) {
+      console.error(error); // keep translating the other elements
+    }
+  }
+
+  /**
+   * _onMutations()
+   * Translate the inserted elements, and the elements whose data-i18n* attributes changed
+   *
+   * @param array mutations MutationRecord list
+   */
+  var _onMutations = function(mutations) {
+    for (var i = 0; i < mutations.length; i++) {
+      if (mutations[i].type === 'attributes') {
+        _translateElement(mutations[i].target);
+        continue;
+      }
+
+      for (var j = 0; j < mutations[i].addedNodes.length; j++) {
+        if (mutations[i].addedNodes[j].nodeType === 1) _self.translate(mutations[i].addedNodes[j]);
+      }
+    }
+  }
+
+  /**
+   * translate()
+   * Translate an element and its descendants with data-i18n* attributes
+   *
+   * @param Node element (optional!) element, fragment or document, default is the root
+   */
+  this.translate = function(element) {
+    element = element || _root;
+
+    if ( (element.nodeType === 1) && element.matches(_SELECTOR) ) _translateElement(element);
+
+    var elements = element.querySelectorAll(_SELECTOR);
+    for (var i = 0; i < elements.length; i++) _translateElement(elements[i]);
+  }
+
+  /**
+   * disconnect()
+   * Stop watching the inserted elements and the language changes: the elements keep their translations
+   */
+  this.disconnect = function() {
+    if (_observer !== null) _observer.disconnect();
+    _observer = null;
+
+    while (_unsubscribers.length > 0) _unsubscribers.pop()();
+  }
+
+  // -------------------------------------------------
+  // TRANSLATE AND WATCH THE ROOT
+  // -------------------------------------------------
+  this.translate();
+
+  // translate everything again on a language change, and when a domain is loaded (i.e. lazily, or from an url) or unloaded
+  _unsubscribers.push(_locale.on('languagechange', function() { _self.translate(); }));
+  _unsubscribers.push(_locale.on('domainloaded', function() { _self.translate(); }));
+  _unsubscribers.push(_locale.on('domainunloaded', function() { _self.translate(); }));
+
+  if (options.observe !== false) {
+    var view = (_root.ownerDocument || _root).defaultView;
+    var Observer = (view && view.MutationObserver) || ( (typeof MutationObserver !== 'undefined') ? MutationObserver : null );
+
+    if (Observer !== null) {
+      _observer = new Observer(_onMutations);
+      _observer.observe(_root, { childList: true, subtree: true, attributes: true, attributeFilter: _ATTRIBUTES });
+    }
+    else console.warn("LocaleDOM: no MutationObserver, the inserted elements won't be translated");
+  }
+}
+
+
+/**
+ * LocaleReact
+ * React bindings of a Locale instance: a provider, a hook and a component for the rich-text messages.
+ * The components using them are rendered again when the language changes, and when a domain is loaded or unloaded
+ *
+ * Usage:
+ * var LocaleBindings = CorbeauPerdu.i18n.LocaleReact(React); // the bindings of your React module
+ * var LocaleProvider = LocaleBindings.LocaleProvider, useLocale = LocaleBindings.useLocale, Trans = LocaleBindings.Trans;
+ *
+ * <LocaleProvider locale={locale}><App /></LocaleProvider>
+ *
+ * function Inbox(props) {
+ *   var i18n = useLocale(); // the *gettext() functions and their aliases, t``, format(), and { locale, lang }
+ *   return <p title={i18n._("Inbox")}>{i18n._n("%d new mail", "%d new mails", props.count, props.count)}</p>;
+ * }
+ *
+ * components inside the translated sentences, by tag name: an element (its children being the tag content), a component, or an element name:
+ * <Trans message="Read the <link>terms</link>, <b>{name}</b>" values={{ name: user.name }} components={{ link: <Link to="/terms" />, b: "strong" }} />
+ * <Trans message="%d file" plural="%d files" n={count} domain="navbar" context="upload" />   the number is also the placeholder value when no values
+ *
+ * Notes:
+ * - the messages are translated with no encoder (see Locale.setEncoder()), as React escapes the text itself
+ * - a Trans message with a syntax error, or a tag without component, is shown untranslated (the error being logged)
+ *
+ * @param object React the React module
+ * @returns object { LocaleProvider, useLocale, Trans }
+ */
+CorbeauPerdu.i18n.LocaleReact = function (React) {
+
+  // -------------------------------------------------
+  // INIT PRIVATE VARIABLES AND FUNCTIONS
+  // -------------------------------------------------
+  var _EVENTS = ['languagechange', 'domainloaded', 'domainunloaded'];
+
+  if ( !React || (typeof React.createContext !== 'function') ) throw new TypeError("LocaleReact expects the React module");
+
+  var _LocaleContext = React.createContext(null);
+
+  /**
+   * _createElement()
+   * Create an element, its children being an array of strings and elements (spread, as they are static)
+   *
+   * @param mixed type element name, or component
+   * @param object props
+   * @param array children
+   * @return React element
+   */
+  var _createElement = function(type, props, children) {
+    return React.createElement.apply(React, [type, props].concat(children));
+  }
+
+  /**
+   * _rendererOf()
+   * Get the rich-text renderer of a Trans component
+   *
+   * @param mixed component element, component, or element name
+   * @return function(children, tag, key) returning the rendered element
+   */
+  var _rendererOf = function(component) {
+    return function(children, tag, key) {
+      if (React.isValidElement(component)) {
+        return (children.length > 0) ? React.cloneElement.apply(React, [component, { key: key }].concat(children)) : React.cloneElement(component, { key: key });
+      }
+
+      return _createElement(component, { key: key }, children);
+    };
+  }
+
+  /**
+   * LocaleProvider()
+   * Provide a locale to the components, rendering them again on its language and domains changes
+   *
+   * @param object props { locale: the CorbeauPerdu.i18n.Locale to translate with, children }
+   * @return React element
+   */
+  var LocaleProvider = function(props) {
+    if (!(props.locale instanceof CorbeauPerdu.i18n.Locale)) throw new TypeError("LocaleProvider expects a CorbeauPerdu.i18n.Locale instance as 'locale'");
+
+    var version = React.useState(0);
+    var locale = props.locale;
+
+    React.useEffect(function() {
+      var update = function() { version[1](function(value) { return value + 1; }); };
+      var unsubscribers = _EVENTS.map(function(type) { return locale.on(type, update); });
+
+      return function() {
+        while (unsubscribers.length > 0) unsubscribers.pop()();
+      };
+    }, [locale]);
+
+    // a new value on each change: so the consumers render again
+    var value = React.useMemo(function() {
+      var translator = locale.withEncoder(null); // React escapes the text itself: no encoding
+
+      translator.locale = locale;
+      translator.lang = locale.getLang();
+
+      return translator;
+    }, [locale, version[0]]);
+
+    return React.createElement(_LocaleContext.Provider, { value: value }, props.children);
+  };
+
+  /**
+   * useLocale()
+   * Get the translation functions of the provided locale
+   *
+   * @return object the *gettext() functions, their aliases, format(), dformat(), t``, and { locale, lang }
+   * @throws TypeError if not used under a LocaleProvider
+   */
+  var useLocale = function() {
+    var value = React.useContext(_LocaleContext);
+
+    if (value === null) throw new TypeError("useLocale() must be used under a LocaleProvider");
+
+    return value;
+  };
+
+  /**
+   * Trans()
+   * Translate a rich-text message, rendering its tags with components (see Locale.rich())
+   *
+   * @param object props {
+   *   message: message ID, plural: plural message ID, n: number for the plural form, domain: lookup domain, context: message context,
+   *   values: placeholder values, an array or a plain object of named values, components: element, component or element name, by tag name
+   * }
+   * @return React element
+   */
+  var Trans = function(props) {
+    var i18n = useLocale();
+    var components = props.components || {}, renderers = {};
+
+    Object.keys(components).forEach(function(tag) { renderers[tag] = _rendererOf(components[tag]); });
+
+    var options = { output: 'nodes', values: props.values, context: props.context, plural: props.plural, n: props.n };
+
+    // the number is the placeholder value of a plural message, if no values given
+    if ( (typeof options.values === 'undefined') && (typeof options.plural !== 'undefined') ) options.values = [options.n];
+
+    try {
+      var nodes = (typeof props.domain !== 'undefined') ? i18n.locale.drich(props.domain, props.message, renderers, options) : i18n.locale.rich(props.message, renderers, options);
+      return _createElement(React.Fragment, null, nodes);
+    }
+    catch (error) {
+      console.error(error); // show the message as is, rather than nothing
+      return React.createElement(React.Fragment, null, props.message);
+    }
+  };
+
+  return {
+    LocaleProvider: LocaleProvider,
+    useLocale: useLocale,
+    Trans: Trans
+  };
+}
+
+
+/**
+ * LocaleVue
+ * Vue 3 plugin of a Locale instance: the $t() and $tn() functions, a v-t directive, a Trans component and a useLocale() composable.
+ * The components using them are rendered again when the language changes, and when a domain is loaded or unloaded
+ *
+ * Usage:
+ * var LocalePlugin = CorbeauPerdu.i18n.LocaleVue(Vue); // the plugin for your Vue module
+ * Vue.createApp(App).use(LocalePlugin, { locale: locale }).mount("#app");
+ *
+ * <p :title="$t('Inbox')">{{ $tn("%d new mail", "%d new mails", count, count) }}</p>   *gettext() / *ngettext() arguments
+ * <p v-t="'Logout'"></p>                                                                 translated text content (set as text, never as html)
+ * <p v-t="{ message: '%d file', plural: '%d files', n: count, domain: 'navbar', context: 'upload', values: [count] }"></p>
+ *
+ * components inside the translated sentences, by tag name: a slot (its 'content' prop being the tag content), or a component / element name:
+ * <Trans message="Read the <link>terms</link>, <b>{name}</b>" :values="{ name: user.name }" :components="{ b: 'strong' }">
+ *   <template #link="{ content }"><router-link to="/terms"><component :is="content" /></router-link></template>
+ * </Trans>
+ *
+ * in the setup() functions: var i18n = LocalePlugin.useLocale(); i18n._("Inbox"); // the *gettext() functions and their aliases, t``, format(), and { locale, lang }
+ *
+ * Notes:
+ * - the messages are translated with no encoder (see Locale.setEncoder()), as Vue escapes the text itself
+ * - $locale is the useLocale() object, in the templates
+ * - a Trans message with a syntax error, or a tag without slot or component, is shown untranslated (the error being logged)
+ *
+ * @param object Vue the Vue module
+ * @returns object plugin { install(app, { locale }), useLocale }
+ */
+CorbeauPerdu.i18n.LocaleVue = function (Vue) {
+
+  // -------------------------------------------------
+  // INIT PRIVATE VARIABLES AND FUNCTIONS
+  // -------------------------------------------------
+  var _EVENTS = ['languagechange', 'domainloaded', 'domainunloaded'];
+  var _KEY = (typeof Symbol === 'function') ? Symbol('CorbeauPerdu.i18n.LocaleVue') : 'CorbeauPerdu.i18n.LocaleVue';
+
+  if ( !Vue || (typeof Vue.h !== 'function') || (typeof Vue.shallowRef !== 'function') ) throw new TypeError("LocaleVue expects the Vue 3 module");
+
+  /**
+   * _translateBinding()
+   * Translate a v-t directive value
+   *
+   * @param object translator the useLocale() object
+   * @param mixed value message, or { message, plural, n, domain, context, values }
+   * @return string
+   */
+  var _translateBinding = function(translator, value) {
+    if ( (value === null) || (typeof value !== 'object') ) return translator.gettext(String(value));
+
+    var domain = (typeof value.domain !== 'undefined') ? value.domain : null;
+    var context = (typeof value.context !== 'undefined') ? value.context : null;
+    var plural = (typeof value.plural !== 'undefined') ? value.plural : null;
+    var args = [];
+
+    if (typeof value.values !== 'undefined') args = Array.isArray(value.values) ? value.values : [value.values];
+    // the number is the placeholder value of a plural message, if no values given
+    else if (plural !== null) args = [value.n];
+
+    if (plural === null) {
+      return (domain !== null) ? translator.dpgettext.apply(null, [domain, context, value.message].concat(args)) : translator.pgettext.apply(null, [context, value.message].concat(args));
+    }
+
+    return (domain !== null) ? translator.dnpgettext.apply(null, [domain, context, value.message, plural, value.n].concat(args)) : translator.npgettext.apply(null, [context, value.message, plural, value.n].concat(args));
+  }
+
+  /**
+   * _createTranslator()
+   * Get the translation functions of a locale, depending on a version ref: so the renders using them are tracked, and run again on its changes
+   *
+   * @param CorbeauPerdu.i18n.Locale locale
+   * @param object version ref, incremented on the locale's changes
+   * @return object the *gettext() functions, their aliases, format(), dformat(), t``, and { locale, lang }
+   */
+  var _createTranslator = function(locale, version) {
+    var encoded = locale.withEncoder(null), translator = { locale: locale }; // Vue escapes the text itself: no encoding
+
+    Object.keys(encoded).forEach(function(name) {
+      translator[name] = function() {
+        version.value; // track the version
+        return encoded[name].apply(null, arguments);
+      };
+    });
+
+    Object.defineProperty(translator, 'lang', { enumerable: true, get: function() { version.value; return locale.getLang(); } });
+
+    return translator;
+  }
+
+  /**
+   * _createTrans()
+   * Get the Trans component: translate a rich-text message, rendering its tags with slots or components (see Locale.rich())
+   *
+   * @param object translator the useLocale() object
+   * @return object component
+   */
+  var _createTrans = function(translator) {
+    return {
+      name: 'Trans',
+      props: {
+        message: { type: String, required: true },
+        plural: { type: String, default: undefined },
+        n: { type: Number, default: undefined },
+        domain: { type: String, default: undefined },
+        context: { type: String, default: undefined },
+        values: { type: [Array, Object], default: undefined },
+        components: { type: Object, default: function() { return {}; } }
+      },
+      setup: function(props, setupContext) {
+        return function() {
+          var renderers = {}, slots = setupContext.slots;
+
+          Object.keys(slots).concat(Object.keys(props.components)).forEach(function(tag) {
+            renderers[tag] = function(children, name, key) {
+              if (typeof slots[tag] === 'function') return Vue.h(Vue.Fragment, { key: key }, slots[tag]({ content: function() { return children; } }));
+              return Vue.h(props.components[tag], { key: key }, (typeof props.components[tag] === 'string') ? children : { default: function() { return children; } });
+            };
+          });
+
+          var options = { output: 'nodes', values: props.values, context: props.context, plural: props.plural, n: props.n };
+
+          // the number is the placeholder value of a plural message, if no values given
+          if ( (typeof options.values === 'undefined') && (typeof options.plural !== 'undefined') ) options.values = [options.n];
+
+          translator.lang; // track the version
+
+          try {
+            return (typeof props.domain !== 'undefined') ? translator.locale.drich(props.domain, props.message, renderers, options) : translator.locale.rich(props.message, renderers, options);
+          }
+          catch (error) {
+            console.error(error); // show the message as is, rather than nothing
+            return props.message;
+          }
+        };
+      }
+    };
+  }
+
+  /**
+   * install()
+   * Install the plugin in an app: app.use(plugin, { locale: locale })
+   *
+   * @param object app Vue app
+   * @param object options { locale: the CorbeauPerdu.i18n.Locale to translate with }
+   */
+  var install = function(app, options) {
+    var locale = (options || {}).locale;
+
+    if (!(locale instanceof CorbeauPerdu.i18n.Locale)) throw new TypeError("LocaleVue expects a CorbeauPerdu.i18n.Locale instance as 'locale' option");
+
+    var version = Vue.shallowRef(0);
+    var translator = _createTranslator(locale, version);
+    var elements = new Map(); // v-t elements, and their values
+
+    var translateElement = function(element) {
+      try {
+        var translation = _translateBinding(translator, elements.get(element));
+        if (element.textContent !== translation) element.textContent = translation;
+      }
+      catch (error) {
+        console.error(error); // keep translating the other elements
+      }
+    };
+
+    // render again on a language change, and when a domain is loaded (i.e. lazily, or from an url) or unloaded
+    var unsubscribers = _EVENTS.map(function(type) {
+      return locale.on(type, function() {
+        version.value++;
+        elements.forEach(function(value, element) { translateElement(element); });
+      });
+    });
+
+    if (typeof app.onUnmount === 'function') {
+      app.onUnmount(function() {
+        while (unsubscribers.length > 0) unsubscribers.pop()();
+      });
+    }
+
+    app.provide(_KEY, translator);
+    app.config.globalProperties.$locale = translator;
+    app.config.globalProperties.$t = translator.gettext;
+    app.config.globalProperties.$tn = translator.ngettext;
+
+    app.directive('t', {
+      mounted: function(element, binding) { elements.set(element, binding.value); translateElement(element); },
+      updated: function(element, binding) { elements.set(element, binding.value); translateElement(element); },
+      unmounted: function(element) { elements.delete(element); }
+    });
+
+    app.component('Trans', _createTrans(translator));
+  };
+
+  /**
+   * useLocale()
+   * Get the translation functions of the app's locale, in a setup() function
+   *
+   * @return object the *gettext() functions, their aliases, format(), dformat(), t``, and { locale, lang }
+   * @throws TypeError if the plugin isn't installed in the app
+   */
+  var useLocale = function() {
+    var translator = Vue.inject(_KEY, null);
+
+    if (translator === null) throw new TypeError("useLocale() must be used in an app with the LocaleVue plugin installed");
+
+    return translator;
+  };
+
+  return {
+    install: install,
+    useLocale: useLocale
+  };
+}
+
+/**
+ * Locale Exception class
+ * Thrown by all the CorbeauPerdu.i18n classes, with a 'code' matching one of the named codes below,
+ * and the details of the error as fields: i.e. 'domain', 'key', 'plural', 'expected' and 'actual'
+ *
+ * Usage:
+ * try { locale.loadDomain("navbar", data); }
+ * catch (error) {
+ *   if ( (error instanceof CorbeauPerdu.i18n.LocaleException) && (error.code === CorbeauPerdu.i18n.LocaleException.PLURAL_COUNT_MISMATCH) ) {
+ *     console.log(error.domain + ": key '" + error.key + "' has " + error.actual + " plurals instead of " + error.expected);
+ *   }
+ * }
+ *
+ * @param string error message
+ * @param int error code
+ * @param object details (optional!) details of the error, set as fields of the exception: {
+ *   domain: domain name, key: message key, placeholder or argument name, plural: plural expression,
+ *   expected: expected value, actual: actual value, position: position in an expression, line: line number in a PO file, url: domain url
+ * }
+ */
+CorbeauPerdu.i18n.LocaleException = class LocaleException extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = "LocaleException";
+    this.code = code;
+
+    for (var field in (details || {})) {
+      if (typeof details[field] !== 'undefined') this[field] = details[field];
+    }
+  }
+};
+
+// named error codes
+CorbeauPerdu.i18n.LocaleException.INVALID_JSON = 1;           // invalid JSON data for a domain
+CorbeauPerdu.i18n.LocaleException.BAD_NPLURALS = 2;           // missing or invalid 'nplurals' number
+CorbeauPerdu.i18n.LocaleException.MISSING_PLURAL = 3;         // missing 'plural' test conditions
+CorbeauPerdu.i18n.LocaleException.PLURAL_MISMATCH = 4;        // the 'plural' conditions can return values out of the 'nplurals' range
+CorbeauPerdu.i18n.LocaleException.PLURAL_COUNT_MISMATCH = 5;  // a key's plural translations count doesn't match 'nplurals'
+CorbeauPerdu.i18n.LocaleException.INVALID_NUMBER = 6;         // invalid 'n' number given to a plural test
+CorbeauPerdu.i18n.LocaleException.INVALID_PLURAL_CHAR = 7;    // invalid character in a plural expression
+CorbeauPerdu.i18n.LocaleException.PLURAL_SYNTAX = 8;          // syntax error in a plural expression
+CorbeauPerdu.i18n.LocaleException.PO_SYNTAX = 9;              // invalid .PO data
+CorbeauPerdu.i18n.LocaleException.MO_DATA = 10;               // invalid .MO data
+CorbeauPerdu.i18n.LocaleException.INVALID_FALLBACK = 11;      // invalid fallback locale
+CorbeauPerdu.i18n.LocaleException.LOAD_FAILED = 12;           // unable to load a domain from its url
+CorbeauPerdu.i18n.LocaleException.UNKNOWN_FORMAT = 13;        // unknown export format, placeholder type or style
+CorbeauPerdu.i18n.LocaleException.INVALID_VALUE = 14;         // missing or invalid value for a placeholder
+CorbeauPerdu.i18n.LocaleException.MESSAGE_SYNTAX = 15;        // syntax error in an ICU message
+CorbeauPerdu.i18n.LocaleException.EMPTY_TRANSLATION = 16;     // empty translation (see validateDomain())
+CorbeauPerdu.i18n.LocaleException.PLACEHOLDER_MISMATCH = 17;  // a translation's placeholders don't match its message's ones
+CorbeauPerdu.i18n.LocaleException.UNKNOWN_TAG = 18;           // tag without renderer in a rich-text message
+CorbeauPerdu.i18n.LocaleException.INVALID_DOMAIN = 19;        // domain not loaded, or domains inheritance cycle
+
+return CorbeauPerdu.i18n;
+})({});
+
+export const Locale = i18n.Locale;
+export const LocaleRegistry = i18n.LocaleRegistry;
+export const LocalePlural = i18n.LocalePlural;
+export const LocaleParser = i18n.LocaleParser;
+export const LocaleCompiled = i18n.LocaleCompiled;
+export const LocaleFormatter = i18n.LocaleFormatter;
+export const LocaleMessageFormat = i18n.LocaleMessageFormat;
+export const LocaleIntl = i18n.LocaleIntl;
+export const LocaleEncoder = i18n.LocaleEncoder;
+export const LocaleRichText = i18n.LocaleRichText;
+export const LocalePseudo = i18n.LocalePseudo;
+export const LocaleDOM = i18n.LocaleDOM;
+export const LocaleReact = i18n.LocaleReact;
+export const LocaleVue = i18n.LocaleVue;
+export const LocaleException = i18n.LocaleException;
+export default i18n;
@@ -0,0 +1,64 @@
+/**
+ * Build the dist/ files from src/Locale.js:
+ *   dist/Locale.mjs     ES module, exporting the CorbeauPerdu.i18n classes
+ *   dist/Locale.min.js  minified UMD bundle (CommonJS, AMD, or the page's 'CorbeauPerdu.i18n' namespace)
+ *
+ * Usage: npm run build
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+const pkg = require('../package.json');
+const srcFile = path.join(__dirname, '..', 'src', 'Locale.js');
+const distDir = path.join(__dirname, '..', 'dist');
+
+// the UMD wrapper lines of src/Locale.js, around the classes definitions
+const FACTORY_START = "})( (typeof self !== 'undefined') ? self : this, function(i18n) {\n";
+const FACTORY_END = "\nreturn CorbeauPerdu.i18n;\n});\n";
+
+const banner = '/*! CorbeauPerdu.i18n.Locale v' + pkg.version + ' | MIT License | (c) 2020 Patrick Roy */\n';
+
+/**
+ * buildESM()
+ * Get the ES module version of the source: the UMD wrapper is replaced with exports
+ *
+ * @param string source content of src/Locale.js
+ * @returns string
+ */
+const buildESM = function(source) {
+  const header = source.substr(0, source.indexOf('*/') + 2);
+  const start = source.indexOf(FACTORY_START);
+  const end = source.lastIndexOf(FACTORY_END);
+
+  if ( (start === -1) || (end === -1) ) throw new Error("Unable to find the UMD wrapper in " + srcFile);
+
+  const body = source.substring(start + FACTORY_START.length, end);
+  const classes = Object.keys(require(srcFile));
+
+  return header + '\n\n' +
+    'const i18n = (function(i18n) {\n' + body + '\nreturn CorbeauPerdu.i18n;\n})({});\n\n' +
+    classes.map(function(name) { return 'export const ' + name + ' = i18n.' + name + ';\n'; }).join('') +
+    'export default i18n;\n';
+};
+
+const build = async function() {
+  const source = fs.readFileSync(srcFile, 'utf8').replace(/\r\n/g, '\n');
+
+  fs.mkdirSync(distDir, { recursive: true });
+
+  fs.writeFileSync(path.join(distDir, 'Locale.mjs'), buildESM(source));
+
+  const minified = await minify(source, { compress: true, mangle: true, format: { comments: false } });
+  fs.writeFileSync(path.join(distDir, 'Locale.min.js'), banner + minified.code + '\n');
+
+  console.log('Built dist/Locale.mjs and dist/Locale.min.js');
+};
+
+build().catch(function(error) {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Locale, LocalePlural, LocaleCompiled } = require('../src/Locale.js');
+
+const BIN = path.join(__dirname, '..', 'bin', 'locale-compile.js');
+
+const CATALOG = {
+  '': { language: 'pl', domain: 'main', nplurals: '3', plural: '(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)', meta: { 'Home': { references: ['src/app.js:1'] } } },
+  'Home': ' Strona główna ',
+  'Untranslated': '',
+  'menu\u0004Open': 'Otwórz',
+  '%d file': '%d plik',
+  '%d files': ['%d plik', '%d pliki', '%d plików']
+};
+
+describe('locale-compile', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locale-compile-'));
+    fs.mkdirSync(path.join(dir, 'i18n'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * run()
+   * Compile the catalog into a CommonJS module of the temporary directory, and load that module
+   */
+  const run = function(catalog, args) {
+    fs.writeFileSync(path.join(dir, 'i18n', 'main.json'), JSON.stringify(catalog));
+
+    const result = spawnSync(process.execPath, [BIN, '--format', 'cjs', '--output', 'dist/{domain}.js'].concat(args || []).concat(['i18n']), { cwd: dir, encoding: 'utf8' });
+    result.module = function() { return require(path.join(dir, 'dist', 'main.js')); };
+
+    return result;
+  };
+
+  test.each([
+    ['without --hash', [], false],
+    ['with --hash', ['--hash'], true]
+  ])('compiles a catalog %s, for loadCompiledDomain()', function(name, args, hashed) {
+    const result = run(CATALOG, args);
+    expect(result.status).toBe(0);
+
+    const compiled = result.module();
+    expect(LocaleCompiled.isCompiled(compiled)).toBe(true);
+    expect(compiled.hashed).toBe(hashed);
+    expect(compiled.data['']).toEqual({ language: 'pl', domain: 'main', nplurals: '3', plural: CATALOG[''].plural });
+    expect(Object.prototype.hasOwnProperty.call(compiled.data, 'Home')).toBe(!hashed);
+    expect(Object.prototype.hasOwnProperty.call(compiled.data, LocaleCompiled.hash('Home'))).toBe(hashed);
+
+    const locale = new Locale('pl', 'main', null, true, false, true);
+    locale.loadCompiledDomain('main', compiled);
+
+    expect(locale._('Home')).toBe('Strona główna');
+    expect(locale._('Untranslated')).toBe('Untranslated');
+    expect(locale._p('menu', 'Open')).toBe('Otwórz');
+    expect([1, 3, 5, 22].map(function(n) { return locale._n('%d file', '%d files', n, n); })).toEqual(['1 plik', '3 pliki', '5 plików', '22 pliki']);
+  });
+
+  test('the compiled plural function matches LocalePlural.compile()', function() {
+    const compiled = run(CATALOG).module();
+    const test = LocalePlural.compile(CATALOG[''].plural);
+
+    for (let n = 0; n <= 1000; n++) expect(compiled.evaluate(n)).toBe(test(n));
+  });
+
+  test('resolves the plural forms of the catalogs without any', function() {
+    const catalog = { '': { language: 'fr_FR' }, 'One file': 'Un fichier', '%d files': ['%d fichiers'] };
+    const compiled = run(catalog).module();
+    const rule = LocalePlural.getRule('fr_FR');
+
+    expect(compiled.data['']).toEqual(expect.objectContaining({ nplurals: '1', plural: rule.plural }));
+    for (let n = 0; n <= 100; n++) expect(compiled.evaluate(n)).toBe(rule.evaluate(n));
+  });
+
+  test('fails the invalid catalogs, unless --lenient', function() {
+    const catalog = Object.assign({}, CATALOG, { '%d files': ['%d plik', '%d pliki'] });
+
+    const strict = run(catalog);
+    expect(strict.status).toBe(1);
+    expect(strict.stderr).toContain('not compiled');
+
+    const lenient = run(catalog, ['--lenient']);
+    expect(lenient.status).toBe(0);
+    expect(lenient.stderr).toContain('dropped: ');
+    expect(Object.prototype.hasOwnProperty.call(lenient.module().data, '%d files')).toBe(false);
+  });
+});
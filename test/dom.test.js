@@ -0,0 +1,152 @@
+/**
+ * @jest-environment jsdom
+ */
+"use strict";
+
+const { Locale, LocaleDOM } = require('../src/Locale.js');
+
+const FR = {
+  '': { language: 'fr_FR', nplurals: '1', plural: '(n > 1)' },
+  'User Listing': 'Gestion des usagers',
+  'Search': 'Recherche',
+  'Search the users': 'Rechercher les usagers',
+  'Welcome, {name}!': 'Bienvenue, {name} !',
+  '%d file': '%d fichier',
+  '%d files': ['%d fichiers'],
+  'verb\u0004Open': 'Ouvrir',
+  '<b>bold</b>': '<b>gras</b>'
+};
+const FR_NAVBAR = { '': { language: 'fr_FR' }, 'Logout': 'Déconnexion' };
+const DE_NAVBAR = { '': { language: 'de_DE' }, 'Logout': 'Abmelden' };
+const DE = { '': { language: 'de_DE', nplurals: '1', plural: '(n != 1)' }, 'User Listing': 'Benutzerverwaltung', 'Search': 'Suche', '%d file': '%d Datei', '%d files': ['%d Dateien'] };
+
+const copy = function(data) { return JSON.parse(JSON.stringify(data)); };
+
+// let the MutationObserver callbacks run
+const mutations = function() { return new Promise(function(resolve) { setTimeout(resolve, 0); }); };
+
+describe('LocaleDOM', function() {
+  let locale, binding;
+
+  beforeEach(function() {
+    locale = new Locale('fr_FR', 'main', copy(FR));
+    locale.loadDomain('navbar', copy(FR_NAVBAR));
+  });
+
+  afterEach(function() {
+    if (binding) binding.disconnect();
+    binding = null;
+    document.body.innerHTML = '';
+  });
+
+  test('translates the data-i18n elements, from their attribute or their text', function() {
+    document.body.innerHTML = '<h1 id="a" data-i18n="User Listing"></h1><h2 id="b" data-i18n>Search</h2><p id="c" data-i18n="Untranslated"></p>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('a').textContent).toBe('Gestion des usagers');
+    expect(document.getElementById('b').textContent).toBe('Recherche');
+    expect(document.getElementById('c').textContent).toBe('Untranslated');
+  });
+
+  test('sets the translations as text, never as html', function() {
+    document.body.innerHTML = '<p id="a" data-i18n="&lt;b&gt;bold&lt;/b&gt;"></p>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('a').textContent).toBe('<b>gras</b>');
+    expect(document.getElementById('a').children.length).toBe(0);
+  });
+
+  test('uses the domain, inherited from an ancestor, and the context', function() {
+    document.body.innerHTML = '<nav data-i18n-domain="navbar"><a id="a" data-i18n="Logout"></a></nav><button id="b" data-i18n="Open" data-i18n-context="verb"></button>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('a').textContent).toBe('Déconnexion');
+    expect(document.getElementById('b').textContent).toBe('Ouvrir');
+  });
+
+  test('translates the plural forms with data-i18n-plural and data-i18n-n', function() {
+    document.body.innerHTML = '<p id="one" data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="1"></p><p id="many" data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="6"></p>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('one').textContent).toBe('1 fichier');
+    expect(document.getElementById('many').textContent).toBe('6 fichiers');
+  });
+
+  test('replaces the placeholders with the data-i18n-args values', function() {
+    document.body.innerHTML = '<p id="a" data-i18n="Welcome, {name}!" data-i18n-args=\'{"name": "<John>"}\'></p><p id="b" data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="2" data-i18n-args="[3]"></p>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('a').textContent).toBe('Bienvenue, <John> !');
+    expect(document.getElementById('b').textContent).toBe('3 fichiers');
+  });
+
+  test('translates the data-i18n-attr attributes', function() {
+    document.body.innerHTML = '<input id="a" placeholder="Search" title="Search the users" aria-label="Search" data-i18n-attr="placeholder title aria-label">';
+    binding = new LocaleDOM(locale, document.body);
+
+    const input = document.getElementById('a');
+    expect(input.getAttribute('placeholder')).toBe('Recherche');
+    expect(input.getAttribute('title')).toBe('Rechercher les usagers');
+    expect(input.getAttribute('aria-label')).toBe('Recherche');
+  });
+
+  test('translates the elements inserted later on, with the MutationObserver', async function() {
+    binding = new LocaleDOM(locale, document.body);
+
+    const section = document.createElement('section');
+    section.innerHTML = '<h1 data-i18n="User Listing"></h1><input placeholder="Search" data-i18n-attr="placeholder">';
+    document.body.appendChild(section);
+    await mutations();
+
+    expect(section.querySelector('h1').textContent).toBe('Gestion des usagers');
+    expect(section.querySelector('input').getAttribute('placeholder')).toBe('Recherche');
+  });
+
+  test('translates again the elements whose data-i18n attributes change', async function() {
+    document.body.innerHTML = '<p id="a" data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="1"></p>';
+    binding = new LocaleDOM(locale, document.body);
+
+    document.getElementById('a').setAttribute('data-i18n-n', '4');
+    await mutations();
+
+    expect(document.getElementById('a').textContent).toBe('4 fichiers');
+  });
+
+  test('translates everything again on a language change', async function() {
+    document.body.innerHTML = '<h1 id="a" data-i18n>User Listing</h1><input id="b" placeholder="Search" data-i18n-attr="placeholder"><p id="c" data-i18n="%d file" data-i18n-plural="%d files" data-i18n-n="0"></p>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('c').textContent).toBe('0 fichier');
+
+    await locale.setLang('de_DE', { main: copy(DE), navbar: copy(DE_NAVBAR) });
+
+    expect(document.getElementById('a').textContent).toBe('Benutzerverwaltung');
+    expect(document.getElementById('b').getAttribute('placeholder')).toBe('Suche');
+    expect(document.getElementById('c').textContent).toBe('0 Dateien');
+  });
+
+  test('translates again when a domain is loaded', function() {
+    document.body.innerHTML = '<a id="a" data-i18n="Logout" data-i18n-domain="admin"></a>';
+    binding = new LocaleDOM(locale, document.body);
+
+    expect(document.getElementById('a').textContent).toBe('Logout');
+
+    locale.loadDomain('admin', { '': {}, 'Logout': 'Se déconnecter' });
+    expect(document.getElementById('a').textContent).toBe('Se déconnecter');
+  });
+
+  test('stops watching once disconnected', async function() {
+    binding = new LocaleDOM(locale, document.body);
+    binding.disconnect();
+
+    document.body.innerHTML = '<h1 id="a" data-i18n="User Listing"></h1>';
+    await mutations();
+    await locale.setLang('de_DE', { main: copy(DE), navbar: copy(DE_NAVBAR) });
+
+    expect(document.getElementById('a').textContent).toBe('');
+  });
+
+  test('rejects anything but a Locale', function() {
+    expect(function() { new LocaleDOM({}, document.body); }).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,131 @@
+"use strict";
+
+const { Locale, LocaleException } = require('../src/Locale.js');
+
+const MAIN = { '': { nplurals: '1', plural: '(n > 1)' }, 'Save': 'Enregistrer', 'Cancel': 'Annuler', 'One file': 'Un fichier', '%d files': ['%d fichiers'] };
+const ADMIN = { '': {}, 'Save': 'Sauvegarder', 'Users': 'Usagers' };
+const SUPER = { '': {}, 'Roles': 'Rôles' };
+
+const copy = function(data) {
+  return JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * createLocale()
+ * Get a locale with the main, admin and super domains loaded
+ */
+const createLocale = function() {
+  const result = new Locale('fr_FR', 'main', copy(MAIN), true);
+  result.loadDomain('admin', copy(ADMIN));
+  result.loadDomain('super', copy(SUPER));
+  return result;
+};
+
+describe('setDomainParent()', function() {
+  test('looks up the missing messages in the parent chain, the nearest first', function() {
+    const locale = createLocale();
+
+    expect(locale.setDomainParent('admin', 'main')).toBeNull();
+    expect(locale.setDomainParent('super', 'admin')).toBeNull();
+
+    expect(locale._d('super', 'Roles')).toBe('Rôles');
+    expect(locale._d('super', 'Users')).toBe('Usagers');
+    expect(locale._d('super', 'Save')).toBe('Sauvegarder');
+    expect(locale._d('super', 'Cancel')).toBe('Annuler');
+    expect(locale._dn('super', 'One file', '%d files', 3, 3)).toBe('3 fichiers');
+    expect(locale._d('super', 'Unknown')).toBe('Unknown');
+    expect(locale._d('main', 'Users')).toBe('Users');
+  });
+
+  test('rejects the parent cycles', function() {
+    const locale = createLocale();
+    locale.setDomainParent('admin', 'main');
+    locale.setDomainParent('super', 'admin');
+
+    expect(function() { locale.setDomainParent('main', 'super'); }).toThrow(expect.objectContaining({ code: LocaleException.INVALID_DOMAIN, domain: 'main', actual: 'super' }));
+    expect(function() { locale.setDomainParent('main', 'main'); }).toThrow(expect.objectContaining({ code: LocaleException.INVALID_DOMAIN }));
+    expect(locale.getDomainParent('main')).toBeNull();
+    expect(locale._d('main', 'Roles')).toBe('Roles');
+  });
+
+  test('removes a parent with null', function() {
+    const locale = createLocale();
+    locale.setDomainParent('admin', 'main');
+
+    expect(locale.setDomainParent('admin', null)).toBe('main');
+    expect(locale.getDomainParent('admin')).toBeNull();
+    expect(locale._d('admin', 'Cancel')).toBe('Cancel');
+  });
+});
+
+describe('mergeDomain()', function() {
+  test('adds and overrides translations, and removes the null ones', function() {
+    const locale = createLocale();
+    const events = [];
+    locale.on('domainloaded', function(event) { events.push(event.domain); });
+
+    locale.mergeDomain('main', { 'Save': 'Sauver', 'Delete': 'Supprimer', 'Cancel': null, '%d files': ['%d documents'] });
+
+    expect(locale._('Save')).toBe('Sauver');
+    expect(locale._('Delete')).toBe('Supprimer');
+    expect(locale._('Cancel')).toBe('Cancel');
+    expect(locale._n('One file', '%d files', 2, 2)).toBe('2 documents');
+    expect(events).toEqual(['main']);
+  });
+
+  test('merges the header, and overrides the parent domain translations', function() {
+    const locale = createLocale();
+    locale.setDomainParent('admin', 'main');
+    locale.mergeDomain('admin', { '': { language: 'fr_CA' }, 'Cancel': 'Annuler (admin)' });
+
+    expect(locale.getLoadedDomains().admin['']).toEqual({ language: 'fr_CA' });
+    expect(locale._d('admin', 'Cancel')).toBe('Annuler (admin)');
+    expect(locale._d('main', 'Cancel')).toBe('Annuler');
+  });
+
+  test('leaves the domain as it was if the merged one is invalid, and rejects the unloaded domains', function() {
+    const locale = createLocale();
+
+    expect(function() { locale.mergeDomain('main', { '%d files': ['%d fichiers', 'trop'] }); }).toThrow(expect.objectContaining({ code: LocaleException.PLURAL_COUNT_MISMATCH }));
+    expect(locale._n('One file', '%d files', 2, 2)).toBe('2 fichiers');
+    expect(function() { locale.mergeDomain('nope', { 'a': 'b' }); }).toThrow(expect.objectContaining({ code: LocaleException.INVALID_DOMAIN, domain: 'nope' }));
+  });
+});
+
+describe('unloadDomain()', function() {
+  test('forgets the translations, with an event', function() {
+    const locale = createLocale();
+    const events = [];
+    locale.on('domainunloaded', function(event) { events.push(event.domain); });
+
+    expect(locale.unloadDomain('admin')).toBe(true);
+    expect(locale.unloadDomain('admin')).toBe(false);
+    expect(locale.hasDomain('admin')).toBe(false);
+    expect(locale._d('admin', 'Users')).toBe('Users');
+    expect(events).toEqual(['admin']);
+  });
+
+  test('the child domains fall back to the next loaded ancestor', function() {
+    const locale = createLocale();
+    locale.setDomainParent('admin', 'main');
+    locale.setDomainParent('super', 'admin');
+    locale.unloadDomain('admin');
+
+    expect(locale._d('super', 'Users')).toBe('Users');
+    expect(locale._d('super', 'Cancel')).toBe('Annuler');
+  });
+});
+
+describe('setDefaultDomain()', function() {
+  test('switches the domain of the functions without a domain argument', function() {
+    const locale = createLocale();
+
+    expect(locale.setDefaultDomain('admin')).toBe('main');
+    expect(locale.getDefaultDomain()).toBe('admin');
+    expect(locale._('Save')).toBe('Sauvegarder');
+    expect(locale._('Cancel')).toBe('Cancel');
+
+    locale.setDomainParent('admin', 'main');
+    expect(locale._('Cancel')).toBe('Annuler');
+  });
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+const { Locale, LocaleEncoder, LocaleException } = require('../src/Locale.js');
+
+describe('LocaleEncoder', function() {
+  test('html escapes the markup, and keeps its escaping when replacing the line breaks', function() {
+    expect(LocaleEncoder.encode('html', 'Tom & Jerry\n<3')).toBe('Tom &amp; Jerry<br/>&lt;3');
+    expect(LocaleEncoder.encode('html', '<b>"1"</b>\r\n\'2\'')).toBe('&lt;b&gt;&quot;1&quot;&lt;/b&gt;<br/>&#039;2&#039;');
+  });
+
+  test('htmlAttr escapes the quotes and keeps the line breaks as character references', function() {
+    expect(LocaleEncoder.encode('htmlAttr', 'Say "hi" & `bye`\n<now>\r')).toBe('Say &quot;hi&quot; &amp; &#096;bye&#096;&#10;&lt;now&gt;&#13;');
+  });
+
+  test('js escapes the quotes, backslashes and control characters, and the characters closing a <script>', function() {
+    expect(LocaleEncoder.encode('js', 'It\'s "ok" `${x}` \\')).toBe('It\\\'s \\"ok\\" \\`\\u0024{x}\\` \\\\');
+    expect(LocaleEncoder.encode('js', '</script>\n\u2028')).toBe('\\u003C/script\\u003E\\u000A\\u2028');
+  });
+
+  test('url encodes an URL component, as RFC 3986', function() {
+    expect(LocaleEncoder.encode('url', "Tom & Jerry's (new)!*")).toBe('Tom%20%26%20Jerry%27s%20%28new%29%21%2A');
+    expect(LocaleEncoder.encode('url', 'été/?')).toBe('%C3%A9t%C3%A9%2F%3F');
+  });
+
+  test('markdown escapes the formatting characters', function() {
+    expect(LocaleEncoder.encode('markdown', '*bold* _it_ [link](url) #1 `code`')).toBe('\\*bold\\* \\_it\\_ \\[link\\]\\(url\\) \\#1 \\`code\\`');
+  });
+
+  test('raw, registered and unknown encoders', function() {
+    expect(LocaleEncoder.encode('raw', '<b>')).toBe('<b>');
+
+    LocaleEncoder.register('upper', function(text) { return text.toUpperCase(); });
+    expect(LocaleEncoder.encode('upper', 'abc')).toBe('ABC');
+
+    expect(function() { LocaleEncoder.get('nope'); }).toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_FORMAT, actual: 'nope' }));
+    expect(function() { LocaleEncoder.register('bad', 'html'); }).toThrow(TypeError);
+  });
+});
+
+describe('Locale encoders', function() {
+  const DATA = { '': {}, 'Hello %s': 'Bonjour %s\n<b>!</b>', 'Search': 'Chercher & trouver' };
+
+  test('setFormatMessages4Web() escapes the html before replacing the line breaks', function() {
+    const locale = new Locale('fr_FR', 'main', DATA);
+
+    expect(locale.setFormatMessages4Web(true)).toBe(false);
+    expect(locale._('Hello %s', '<i>Bob</i>')).toBe('Bonjour &lt;i&gt;Bob&lt;/i&gt;<br/>&lt;b&gt;!&lt;/b&gt;');
+    expect(locale.getEncoder()).toBe('html');
+  });
+
+  test('the placeholder values are encoded separately, unless excluded', function() {
+    const locale = new Locale('fr_FR', 'main', DATA);
+    locale.setEncoder('html');
+
+    expect(locale.setFormatMessages4WebInclPlaceholders(false)).toBe(true);
+    expect(locale._('Hello %s', '<i>Bob</i>')).toBe('Bonjour <i>Bob</i><br/>&lt;b&gt;!&lt;/b&gt;');
+  });
+
+  test('selects the encoder per domain, or per call', function() {
+    const locale = new Locale('fr_FR', 'main', DATA);
+    locale.loadDomain('emails', { '': {}, 'Search': 'Chercher & trouver' });
+    locale.setEncoder('html');
+    locale.setEncoder('raw', 'emails');
+
+    expect(locale._('Search')).toBe('Chercher &amp; trouver');
+    expect(locale._d('emails', 'Search')).toBe('Chercher & trouver');
+    expect(locale.withEncoder('url')._('Search')).toBe('Chercher%20%26%20trouver');
+    expect(locale.withEncoder('js')._d('emails', 'Hello %s', "O'Neil")).toBe("Hello O\\'Neil");
+    expect(locale._('Search')).toBe('Chercher &amp; trouver');
+
+    expect(locale.setEncoder(null, 'emails')).toBe('raw');
+    expect(locale._d('emails', 'Search')).toBe('Chercher &amp; trouver');
+    expect(function() { locale.setEncoder('nope'); }).toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_FORMAT }));
+  });
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'locale-extract.js');
+
+describe('locale-extract', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locale-extract-'));
+    fs.mkdirSync(path.join(dir, 'src'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * run()
+   * Extract the sources (by file name) into the i18n/{domain}.json catalogs of the temporary directory
+   */
+  const run = function(sources, args) {
+    Object.keys(sources).forEach(function(name) { fs.writeFileSync(path.join(dir, 'src', name), sources[name]); });
+
+    const result = spawnSync(process.execPath, [BIN, '--output', 'i18n/{domain}.json'].concat(args || []).concat(['src']), { cwd: dir, encoding: 'utf8' });
+    result.catalog = function(domain) { return JSON.parse(fs.readFileSync(path.join(dir, 'i18n', domain + '.json'), 'utf8')); };
+
+    return result;
+  };
+
+  test('extracts the gettext calls and their aliases into per-domain catalogs', function() {
+    const result = run({
+      'app.js': "_('Home');\nlocale.ngettext('%d file', '%d files', n, n);\n_dn('navbar', 'One user', '%d users', n);\n_p('verb', 'Open');\n_(notALiteral);\n"
+    }, ['--lang', 'fr_FR']);
+
+    expect(result.status).toBe(0);
+
+    const main = result.catalog('main');
+    expect(main['']).toEqual(expect.objectContaining({ domain: 'main', language: 'fr_FR', nplurals: '1', plural: '(n > 1)' }));
+    expect(main['Home']).toBe('');
+    expect(main['%d files']).toEqual(['']);
+    expect(main['verb\u0004Open']).toBe('');
+    expect(main[''].meta['Home'].references).toEqual(['src/app.js:1']);
+    expect(result.catalog('navbar')['%d users']).toEqual(['']);
+    expect(result.stderr).toContain('skipped _() call');
+  });
+
+  test('extracts the template tags with the message IDs they look up', function() {
+    const result = run({ 'tags.js': 'const a = t`Hello ${name}`;\nconst b = tn(count)`${{ count }} file``${{ count }} files`;\n' });
+
+    expect(Object.keys(result.catalog('main')).sort()).toEqual(['', 'Hello {0}', '{count} file', '{count} files']);
+  });
+
+  test('skips the quotes of the regular expression literals', function() {
+    const result = run({
+      'regex.js': [
+        "const escaped = text.replace(/'/g, \"\\\\'\");",
+        "const parts = line.split(/\"/);",
+        "if (/[`'\"]/.test(value)) { _('Quoted'); }",
+        "const re = /a\\/'b/i, ratio = total / 2 / count;",
+        "function check() { return /'/.test(x) ? _('Yes') : _('No'); }",
+        "_(text.split(/\"/).length ? 'Split' : 'Not split');",
+        "_('After the regexes');"
+      ].join('\n')
+    });
+
+    expect(result.status).toBe(0);
+    expect(result.stderr).toBe('src/regex.js:6: skipped _() call, its domain, context and messages must be string literals\n');
+    expect(Object.keys(result.catalog('main')).sort()).toEqual(['', 'After the regexes', 'No', 'Quoted', 'Yes']);
+  });
+
+  test('keeps the divisions as divisions', function() {
+    const result = run({ 'divide.js': "const half = (a + b) / 2, quarter = half / 4 / 'x'.length;\n_('After the divisions');\n" });
+
+    expect(Object.keys(result.catalog('main'))).toContain('After the divisions');
+  });
+
+  test('warns about the unterminated strings', function() {
+    const result = run({ 'broken.js': "_('Home');\nconst broken = 'oops;\n_('Lost');\n" });
+
+    expect(result.stderr).toBe('src/broken.js:2: unterminated string literal\n');
+    expect(Object.keys(result.catalog('main')).sort()).toEqual(['', 'Home', 'Lost']);
+  });
+
+  test('flags the messages no longer in the sources as obsolete, keeping their translations', function() {
+    fs.mkdirSync(path.join(dir, 'i18n'));
+    fs.writeFileSync(path.join(dir, 'i18n', 'main.json'), JSON.stringify({ '': { nplurals: '1', plural: '(n > 1)' }, 'Home': 'Accueil', 'Old': 'Vieux' }));
+
+    const catalog = run({ 'app.js': "_('Home'); _('New');" }).catalog('main');
+
+    expect(catalog['Home']).toBe('Accueil');
+    expect(catalog['New']).toBe('');
+    expect(catalog['Old']).toBe('Vieux');
+    expect(catalog[''].meta['Old'].flags).toContain('obsolete');
+
+    expect(run({}, ['--purge']).catalog('main')).not.toHaveProperty('Old');
+  });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const { Locale, LocaleException } = require('../src/Locale.js');
+
+const FR_CA = { '': {}, 'Email': 'Courriel' };
+const FR_FR = { '': { nplurals: '1', plural: '(n > 1)' }, 'Email': 'E-mail', 'Save': 'Enregistrer', 'One file': 'Un fichier', '%d files': ['%d fichiers'] };
+const EN = { '': { nplurals: '1', plural: '(n != 1)' }, 'Save': 'Save it', 'Cancel': 'Cancel it', 'One file': 'One file', '%d files': ['%d files (en)'] };
+
+describe('setFallbackLocales()', function() {
+  test('looks up the missing translations in the fallback locales, in order', function() {
+    const canadian = new Locale('fr_CA', 'main', FR_CA, true);
+    const french = new Locale('fr_FR', 'main', FR_FR, true);
+    const english = new Locale('en', 'main', EN, true);
+
+    expect(canadian.setFallbackLocales([french, english])).toEqual([]);
+    expect(canadian.getFallbackLocales()).toEqual([french, english]);
+
+    expect(canadian._('Email')).toBe('Courriel');
+    expect(canadian._('Save')).toBe('Enregistrer');
+    expect(canadian._('Cancel')).toBe('Cancel it');
+    expect(canadian._('Unknown')).toBe('Unknown');
+
+    canadian.setFallbackLocales([english, french]);
+    expect(canadian._('Save')).toBe('Save it');
+  });
+
+  test('each fallback locale uses its own plural rule', function() {
+    const canadian = new Locale('fr_CA', 'main', FR_CA, true);
+    const french = new Locale('fr_FR', 'main', FR_FR, true);
+    const english = new Locale('en', 'main', EN, true);
+
+    canadian.setFallbackLocales(french);
+    expect(canadian._n('One file', '%d files', 0, 0)).toBe('Un fichier');
+
+    canadian.setFallbackLocales(english);
+    expect(canadian._n('One file', '%d files', 0, 0)).toBe('0 files (en)');
+  });
+
+  test('follows the fallback locales of the fallback locales', function() {
+    const canadian = new Locale('fr_CA', 'main', FR_CA, true);
+    const french = new Locale('fr_FR', 'main', FR_FR, true);
+    const english = new Locale('en', 'main', EN, true);
+
+    canadian.setFallbackLocales(french);
+    french.setFallbackLocales(english);
+
+    expect(canadian._('Cancel')).toBe('Cancel it');
+  });
+
+  test('stops at the cycles', function() {
+    const canadian = new Locale('fr_CA', 'main', FR_CA, true);
+    const french = new Locale('fr_FR', 'main', FR_FR, true);
+    const english = new Locale('en', 'main', EN, true);
+
+    canadian.setFallbackLocales([french, english]);
+    french.setFallbackLocales(canadian);
+    english.setFallbackLocales([french, canadian]);
+
+    expect(canadian._('Unknown')).toBe('Unknown');
+    expect(french._('Email')).toBe('E-mail');
+    expect(english._('Email')).toBe('E-mail');
+    expect(french._('Cancel')).toBe('Cancel it');
+  });
+
+  test('rejects the invalid fallback locales', function() {
+    const canadian = new Locale('fr_CA', 'main', FR_CA, true);
+
+    expect(function() { canadian.setFallbackLocales(canadian); }).toThrow(expect.objectContaining({ code: LocaleException.INVALID_FALLBACK, key: 0 }));
+    expect(function() { canadian.setFallbackLocales([new Locale('en', 'main', EN, true), 'fr_FR']); }).toThrow(expect.objectContaining({ code: LocaleException.INVALID_FALLBACK, key: 1 }));
+    expect(canadian.getFallbackLocales()).toEqual([]);
+  });
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+const { Locale, LocaleFormatter } = require('../src/Locale.js');
+
+describe('LocaleFormatter', function() {
+  test('replaces the sprintf and the named placeholders', function() {
+    expect(LocaleFormatter.format('%s has %d mails', ['John', 5])).toBe('John has 5 mails');
+    expect(LocaleFormatter.format('%2$s, %1$s!', ['John', 'Hello'])).toBe('Hello, John!');
+    expect(LocaleFormatter.format('%(name)s has %(count)d mails', [{ name: 'John', count: 5 }])).toBe('John has 5 mails');
+    expect(LocaleFormatter.format('{name} has {count} mails', [{ name: 'John', count: 5 }])).toBe('John has 5 mails');
+  });
+
+  test('leaves the braces of the messages with positional values as is', function() {
+    expect(LocaleFormatter.format('Hello %s, {0} items', ['Bob'])).toBe('Hello Bob, {0} items');
+    expect(LocaleFormatter.format('{0} has {1} mails', ['John', 5])).toBe('{0} has {1} mails');
+  });
+
+  test('replaces the indexed placeholders with positional values with the braces option', function() {
+    expect(LocaleFormatter.format('{0} has {1} mails', ['John', 5], { braces: true })).toBe('John has 5 mails');
+    expect(LocaleFormatter.format('{0} has {count} mails', [{ 0: 'John', count: 5 }])).toBe('John has 5 mails');
+  });
+});
+
+describe('*gettext() placeholders', function() {
+  test('legacy sprintf translations keep their braces', function() {
+    const locale = new Locale('fr_FR', 'main', { '': {}, 'Hello %s, {0} items': 'Bonjour %s, {0} items' });
+
+    expect(locale.gettext('Hello %s, {0} items', 'Bob')).toBe('Bonjour Bob, {0} items');
+  });
+
+  test('named values replace the braces', function() {
+    const locale = new Locale('fr_FR', 'main', { '': {}, 'Hello {name}': 'Bonjour {name}' });
+
+    expect(locale.gettext('Hello {name}', { name: 'Bob' })).toBe('Bonjour Bob');
+    expect(locale.t`Hello ${'Bob'}`).toBe('Hello Bob');
+  });
+});
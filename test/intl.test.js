@@ -0,0 +1,77 @@
+"use strict";
+
+const { Locale, LocaleIntl, LocaleException } = require('../src/Locale.js');
+
+const MESSAGE = 'Total: {price, number, currency:EUR}, ordered {when, date, short} ({ago, relative})';
+const FR = { '': {}, [MESSAGE]: 'Total : {price, number, currency:EUR}, commandé le {when, date, short} ({ago, relative})' };
+
+const WHEN = new Date(2026, 9, 18, 14, 30);
+
+// the expected values are formatted by Intl, as the spaces of the numbers and dates change with the ICU versions
+const EUR = function(tag, value) {
+  return new Intl.NumberFormat(tag, { style: 'currency', currency: 'EUR' }).format(value);
+};
+
+const SHORTDATE = function(tag, date) {
+  return new Intl.DateTimeFormat(tag, { dateStyle: 'short' }).format(date);
+};
+
+describe('typed placeholders', function() {
+  test('formats the currencies, dates and relative times of the messages with the running language', function() {
+    const locale = new Locale('fr_FR', 'main', FR);
+
+    expect(locale._(MESSAGE, { price: 1234.5, when: WHEN, ago: Date.now() - 7200000 }))
+      .toBe('Total : ' + EUR('fr-FR', 1234.5) + ', commandé le ' + SHORTDATE('fr-FR', WHEN) + ' (il y a 2 heures)');
+    expect(SHORTDATE('fr-FR', WHEN)).toBe('18/10/2026');
+  });
+
+  test('format() formats them too, in English', function() {
+    const locale = new Locale('en', 'main', { '': {} });
+
+    expect(locale.format('{price, number, currency:EUR} on {when, date, short}, {ago, relative}', { price: 1234.5, when: WHEN, ago: Date.now() + 3 * 86400000 }))
+      .toBe(EUR('en', 1234.5) + ' on ' + SHORTDATE('en', WHEN) + ', in 3 days');
+    expect(EUR('en', 1234.5)).toBe('€1,234.50');
+  });
+
+  test('shows the message as is, with an error, for the unknown styles and the invalid values', function() {
+    const locale = new Locale('fr_FR', 'main', FR);
+    const error = jest.spyOn(console, 'error').mockImplementation(function() {});
+
+    expect(locale.format('{price, number, bogus}', { price: 1 })).toBe('{price, number, bogus}');
+    expect(locale.format('{price, number}', { price: 'abc' })).toBe('{price, number}');
+    expect(locale.format('{when, date}', { when: 'never' })).toBe('{when, date}');
+
+    expect(error.mock.calls.map(function(call) { return call[0].code; })).toEqual([LocaleException.UNKNOWN_FORMAT, LocaleException.INVALID_VALUE, LocaleException.INVALID_VALUE]);
+    error.mockRestore();
+  });
+});
+
+describe('LocaleIntl', function() {
+  test('converts the gettext language tags', function() {
+    expect(LocaleIntl.toLanguageTag('fr_FR')).toBe('fr-FR');
+    expect(LocaleIntl.toLanguageTag('sr_RS@latin')).toBe('sr-RS');
+    expect(LocaleIntl.toLanguageTag('de_DE.UTF-8')).toBe('de-DE');
+    expect(LocaleIntl.toLanguageTag('')).toBeUndefined();
+    expect(LocaleIntl.toLanguageTag('!!')).toBeUndefined();
+    expect(new Locale('fr_FR', 'main', FR).getLanguageTag()).toBe('fr-FR');
+  });
+
+  test('formats by the value type, or with a unit for the relative times', function() {
+    expect(LocaleIntl.format('fr_FR', WHEN)).toBe(new Intl.DateTimeFormat('fr-FR', { dateStyle: 'medium' }).format(WHEN));
+    expect(LocaleIntl.format('fr_FR', 1234.5)).toBe(new Intl.NumberFormat('fr-FR').format(1234.5));
+    expect(LocaleIntl.format('fr_FR', 'text')).toBe('text');
+    expect(LocaleIntl.format('fr_FR', -1, 'relative', 'day')).toBe('hier');
+    expect(LocaleIntl.format('en', 3, 'relative', 'weeks')).toBe('in 3 weeks');
+    expect(function() { LocaleIntl.format('en', 3, 'relative', 'decade'); }).toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_FORMAT }));
+    expect(function() { LocaleIntl.format('en', 3, 'money'); }).toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_FORMAT, actual: 'money' }));
+  });
+
+  test('the Locale format*() functions use the running language', function() {
+    const locale = new Locale('fr_FR', 'main', FR);
+
+    expect(locale.formatCurrency(1234.5, 'EUR')).toBe(EUR('fr-FR', 1234.5));
+    expect(locale.formatNumber(0.25, 'percent')).toBe(new Intl.NumberFormat('fr-FR', { style: 'percent' }).format(0.25));
+    expect(locale.formatTime(WHEN, 'short')).toBe('14:30');
+    expect(locale.formatRelative(-1, 'day')).toBe('hier');
+  });
+});
@@ -0,0 +1,131 @@
+"use strict";
+
+const { Locale, LocaleException } = require('../src/Locale.js');
+
+const CATALOGS = {
+  '/i18n/fr_FR/main.json': { '': { language: 'fr_FR' }, 'Home': 'Accueil' },
+  '/i18n/fr_FR/navbar.json': { '': { language: 'fr_FR' }, 'Logout': 'Déconnexion' },
+  '/i18n/fr_FR/emails.po': 'msgid ""\nmsgstr ""\n"Language: fr_FR\\n"\n"Plural-Forms: nplurals=2; plural=(n > 1);\\n"\n\nmsgid "Hello"\nmsgstr "Bonjour"\n'
+};
+
+/**
+ * stubFetch()
+ * Get a fetch() stub answering with fetch() Response-like objects from CATALOGS, recording the requested urls
+ */
+const stubFetch = function() {
+  const stub = jest.fn(function(url) {
+    const content = CATALOGS[url];
+
+    return Promise.resolve({
+      ok: typeof content !== 'undefined',
+      status: (typeof content !== 'undefined') ? 200 : 404,
+      json: function() { return Promise.resolve(JSON.parse(JSON.stringify(content))); },
+      text: function() { return Promise.resolve(content); }
+    });
+  });
+
+  return stub;
+};
+
+/**
+ * memoryStorage()
+ * Get a custom cache storage, in memory
+ */
+const memoryStorage = function() {
+  const items = {};
+
+  return {
+    items: items,
+    getItem: function(key) { return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null; },
+    setItem: function(key, value) { items[key] = value; }
+  };
+};
+
+describe('loadDomainFrom()', function() {
+  let locale, fetch;
+
+  beforeEach(function() {
+    locale = new Locale('fr_FR', 'main', null, true, false, true);
+    fetch = stubFetch();
+    locale.setDomainLoader({ path: '/i18n/{lang}/{domain}.json', fetch: fetch });
+  });
+
+  test('loads a domain from the path template, with the injected fetch', async function() {
+    await expect(locale.loadDomainFrom('main')).resolves.toBe(locale);
+
+    expect(fetch).toHaveBeenCalledWith('/i18n/fr_FR/main.json');
+    expect(locale._('Home')).toBe('Accueil');
+  });
+
+  test('loads a domain from a given url, parsing the .po files', async function() {
+    await locale.loadDomainFrom('emails', '/i18n/{lang}/emails.po');
+
+    expect(locale._d('emails', 'Hello')).toBe('Bonjour');
+  });
+
+  test('accepts fetch functions returning the content itself', async function() {
+    locale.setDomainLoader({ fetch: function(url) { return JSON.stringify(CATALOGS[url]); } });
+    await locale.loadDomainFrom('navbar', '/i18n/fr_FR/navbar.json');
+
+    expect(locale._d('navbar', 'Logout')).toBe('Déconnexion');
+  });
+
+  test('shares the request of concurrent loads of the same domain', async function() {
+    const first = locale.loadDomainFrom('main');
+    const second = locale.loadDomainFrom('main');
+
+    expect(second).toBe(first);
+    await Promise.all([first, second]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('ready() waits for all the pending loads', async function() {
+    locale.loadDomainFrom('main');
+    locale.loadDomainFrom('navbar');
+
+    await expect(locale.ready()).resolves.toBe(locale);
+    expect(locale._('Home')).toBe('Accueil');
+    expect(locale._d('navbar', 'Logout')).toBe('Déconnexion');
+  });
+
+  test('rejects with a LOAD_FAILED exception on HTTP errors', async function() {
+    await expect(locale.loadDomainFrom('missing')).rejects.toEqual(expect.objectContaining({ code: LocaleException.LOAD_FAILED, domain: 'missing', actual: 404 }));
+  });
+
+  test('rejects without url nor path template', async function() {
+    locale.setDomainLoader({ fetch: fetch });
+
+    await expect(locale.loadDomainFrom('main')).rejects.toEqual(expect.objectContaining({ code: LocaleException.LOAD_FAILED }));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('fetches the domains not loaded yet on their first lookup with the lazy option', async function() {
+    locale.setDomainLoader({ path: '/i18n/{lang}/{domain}.json', fetch: fetch, lazy: true });
+
+    expect(locale._d('navbar', 'Logout')).toBe('Logout');
+    await locale.ready();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(locale._d('navbar', 'Logout')).toBe('Déconnexion');
+  });
+
+  test('caches the domains by catalog version', async function() {
+    const storage = memoryStorage();
+
+    locale.setDomainLoader({ path: '/i18n/{lang}/{domain}.json', fetch: fetch, cache: storage, version: 'abc123' });
+    await locale.loadDomainFrom('main');
+
+    const other = new Locale('fr_FR', 'main', null, true, false, true);
+    other.setDomainLoader({ path: '/i18n/{lang}/{domain}.json', fetch: fetch, cache: storage, version: 'abc123' });
+    await other.loadDomainFrom('main');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(other._('Home')).toBe('Accueil');
+
+    // a new catalogs version: the cached domains are outdated
+    other.setDomainLoader({ path: '/i18n/{lang}/{domain}.json', fetch: fetch, cache: storage, version: 'def456' });
+    await other.loadDomainFrom('main');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
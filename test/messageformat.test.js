@@ -0,0 +1,58 @@
+"use strict";
+
+const { Locale, LocaleMessageFormat } = require('../src/Locale.js');
+
+const PHOTOS = '{count, plural, one {# photo} other {# photos}}';
+
+describe('format()', function() {
+  const locale = function(lang, header) {
+    return new Locale(lang, 'main', { '': header || {} }, true, false, true);
+  };
+
+  test('uses the domain plural rule for the plural arguments', function() {
+    expect(locale('en').format(PHOTOS, { count: 1 })).toBe('1 photo');
+    expect(locale('en').format(PHOTOS, { count: 0 })).toBe('0 photos');
+    expect(locale('fr_FR').format(PHOTOS, { count: 0 })).toBe('0 photo');
+    expect(locale('pl').format('{n, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}', { n: 22 })).toBe('22 pliki');
+  });
+
+  test('gives the decimal numbers their CLDR category', function() {
+    expect(locale('en').format(PHOTOS, { count: 1.5 })).toBe('1.5 photos');
+    expect(locale('en').format(PHOTOS, { count: 1.0 })).toBe('1 photo');
+    expect(locale('fr_FR').format(PHOTOS, { count: 1.5 })).toBe('1,5 photo');
+    expect(locale('pt').format(PHOTOS, { count: 0.5 })).toBe('0,5 photo');
+    expect(locale('fr_FR').format(PHOTOS, { count: 2.5 })).toBe('2,5 photos');
+    expect(locale('pl').format('{n, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}', { n: 2.5 })).toBe('2,5 pliku');
+    expect(locale('en').format('{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { n: 1.5 })).toBe('1.5th');
+    expect(locale('de', { nplurals: '1', plural: 'n == 1 ? 0 : 1' }).format(PHOTOS, { count: 1.5 })).toBe('1,5 photos');
+  });
+
+  test('getPluralCategory() gives the decimal numbers their CLDR category', function() {
+    expect(locale('en').getPluralCategory(1)).toBe('one');
+    expect(locale('en').getPluralCategory(1.5)).toBe('other');
+    expect(locale('fr_FR').getPluralCategory(1.5)).toBe('one');
+    expect(locale('ru').getPluralCategory(21.5)).toBe('other');
+  });
+
+  test('the *ngettext() functions agree with the plural arguments on the decimal numbers', function() {
+    const french = new Locale('fr_FR', 'main', { '': {}, '%s photo': '%s photo', '%s photos': ['%s photos'] });
+    const polish = new Locale('pl', 'main', { '': {}, '%s file': '%s plik', '%s files': ['%s plik', '%s pliki', '%s plików'] });
+
+    expect(french.ngettext('%s photo', '%s photos', 1.5, '1,5')).toBe('1,5 photo');
+    expect(french.ngettext('%s photo', '%s photos', 2.5, '2,5')).toBe('2,5 photos');
+    // no form for the 'other' category of the decimal numbers in the gettext catalog: the last one
+    expect(polish.ngettext('%s file', '%s files', 2.5, '2,5')).toBe('2,5 plików');
+  });
+
+  test('handles select, offset and exact matches', function() {
+    const message = '{gender, select, female {She} other {They}} invited {guests, plural, offset:1 =0 {nobody} =1 {#} one {you and # other} other {you and # others}}';
+
+    expect(locale('en').format(message, { gender: 'female', guests: 0 })).toBe('She invited nobody');
+    expect(locale('en').format(message, { gender: 'male', guests: 2 })).toBe('They invited you and 1 other');
+    expect(locale('en').format(message, { gender: 'male', guests: 4 })).toBe('They invited you and 3 others');
+  });
+
+  test('the parsed messages are cached', function() {
+    expect(LocaleMessageFormat.parse(PHOTOS)).toBe(LocaleMessageFormat.parse(PHOTOS));
+  });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+const { Locale, LocaleParser, LocaleException } = require('../src/Locale.js');
+
+const FR = { '': {}, 'Hello': 'Bonjour' };
+
+/**
+ * collect()
+ * Get a locale collecting its missing translations, with some of them looked up
+ */
+const collect = function(options) {
+  const locale = new Locale('fr_FR', 'main', JSON.parse(JSON.stringify(FR)));
+  locale.setMissingCollector(options || {});
+
+  locale._('Hello');
+  locale._('Bye');
+  locale._('Bye');
+  locale._p('verb', 'Open');
+  locale._n('One "file"', '%d files', 2, 2);
+  locale._d('navbar', 'Home');
+
+  return locale;
+};
+
+describe('setMissingCollector()', function() {
+  test('collects the missing translations, counting their hits', function() {
+    const hits = [];
+    const locale = collect({ onMissing: function(entry) { hits.push(entry.msgid + ':' + entry.hits); } });
+
+    expect(hits).toEqual(['Bye:1', 'Bye:2', 'Open:1', 'One "file":1', 'Home:1']);
+    expect(locale.getMissing()).toEqual([
+      { lang: 'fr_FR', domain: 'main', msgctxt: null, msgid: 'Bye', msgid_plural: null, hits: 2, undefinedDomain: false },
+      { lang: 'fr_FR', domain: 'main', msgctxt: 'verb', msgid: 'Open', msgid_plural: null, hits: 1, undefinedDomain: false },
+      { lang: 'fr_FR', domain: 'main', msgctxt: null, msgid: 'One "file"', msgid_plural: '%d files', hits: 1, undefinedDomain: false },
+      { lang: 'fr_FR', domain: 'navbar', msgctxt: null, msgid: 'Home', msgid_plural: null, hits: 1, undefinedDomain: true }
+    ]);
+    expect(locale.getMissing('navbar').map(function(entry) { return entry.msgid; })).toEqual(['Home']);
+  });
+
+  test('stops collecting, but keeps the collected translations until cleared', function() {
+    const locale = collect();
+
+    expect(locale.setMissingCollector(null)).toEqual({});
+    locale._('Bye');
+    locale._('Farewell');
+
+    expect(locale.getMissing('main')[0]).toEqual(expect.objectContaining({ msgid: 'Bye', hits: 2 }));
+    expect(locale.getMissing().map(function(entry) { return entry.msgid; })).not.toContain('Farewell');
+
+    locale.clearMissing();
+    expect(locale.getMissing()).toEqual([]);
+  });
+
+  test('doesnt collect the translations found in the fallback locales', function() {
+    const locale = new Locale('fr_CA', 'main', { '': {} });
+    locale.setFallbackLocales(new Locale('fr_FR', 'main', JSON.parse(JSON.stringify(FR))));
+    locale.setMissingCollector({});
+
+    locale._('Hello');
+    locale._('Bye');
+
+    expect(locale.getMissing().map(function(entry) { return entry.msgid; })).toEqual(['Bye']);
+  });
+});
+
+describe('exportMissing()', function() {
+  test('exports a POT template, with the hits as comments', function() {
+    const pot = collect().exportMissing();
+
+    expect(pot).toBe([
+      'msgid ""',
+      'msgstr ""',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '"Content-Transfer-Encoding: 8bit\\n"',
+      '',
+      '#. domain: main, language: fr_FR, hits: 2',
+      'msgid "Bye"',
+      'msgstr ""',
+      '',
+      '#. domain: main, language: fr_FR, hits: 1',
+      'msgctxt "verb"',
+      'msgid "Open"',
+      'msgstr ""',
+      '',
+      '#. domain: main, language: fr_FR, hits: 1',
+      'msgid "One \\"file\\""',
+      'msgid_plural "%d files"',
+      'msgstr[0] ""',
+      'msgstr[1] ""',
+      '',
+      '#. domain: navbar, language: fr_FR, hits: 1',
+      'msgid "Home"',
+      'msgstr ""',
+      ''
+    ].join('\n'));
+  });
+
+  test('the POT template of a domain can be imported back', function() {
+    const pot = collect().exportMissing('pot', 'main');
+    const data = LocaleParser.parsePO(pot);
+
+    expect(pot).toContain('"X-Domain: main\\n"');
+    expect(pot).not.toContain('msgid "Home"');
+    expect(Object.keys(data).sort()).toEqual(['', '%d files', 'Bye', 'One "file"', 'verb\u0004Open']);
+  });
+
+  test('groups a message missing in many domains in one POT entry', function() {
+    const locale = collect();
+    locale._d('navbar', 'Bye');
+
+    const pot = locale.exportMissing();
+
+    expect(pot.match(/msgid "Bye"/g)).toHaveLength(1);
+    expect(pot).toContain('#. domain: main, language: fr_FR, hits: 2\n#. domain: navbar, language: fr_FR, hits: 1\nmsgid "Bye"');
+  });
+
+  test('exports a JSON array', function() {
+    const locale = collect();
+
+    expect(JSON.parse(locale.exportMissing('json'))).toEqual(locale.getMissing());
+    expect(JSON.parse(locale.exportMissing('json', 'navbar'))).toEqual([expect.objectContaining({ domain: 'navbar', msgid: 'Home', hits: 1, undefinedDomain: true })]);
+    expect(function() { locale.exportMissing('xliff'); }).toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_FORMAT, actual: 'xliff' }));
+  });
+});
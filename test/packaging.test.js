@@ -0,0 +1,50 @@
+"use strict";
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const i18n = require('../src/Locale.js');
+
+const CATALOG = { '': { domain: 'main', language: 'fr_FR', nplurals: '1', plural: '(n > 1)' }, 'Home': 'Accueil', 'One file': 'Un fichier', '%d files': ['%d fichiers'] };
+
+describe('packaging', function() {
+  test('the CommonJS module runs in Node, without any window', function() {
+    expect(typeof window).toBe('undefined');
+    expect(typeof i18n.Locale).toBe('function');
+    expect(typeof i18n.LocaleException).toBe('function');
+
+    const locale = new i18n.Locale('fr_FR', 'main', CATALOG);
+
+    expect(locale._('Home')).toBe('Accueil');
+    expect(locale._n('One file', '%d files', 3, 3)).toBe('3 fichiers');
+  });
+
+  test('the CommonJS module doesnt leak a global namespace', function() {
+    expect(typeof global.CorbeauPerdu).toBe('undefined');
+  });
+
+  test('the LocaleException is a real Error', function() {
+    const locale = new i18n.Locale('fr_FR', 'main', CATALOG);
+
+    expect(function() { locale.loadDomain('broken', 'not json'); }).toThrow(i18n.LocaleException);
+    expect(new i18n.LocaleException('oops', i18n.LocaleException.INVALID_JSON)).toBeInstanceOf(Error);
+  });
+
+  test('the ES module exports the same classes', function() {
+    const script = "import { Locale, LocaleException } from './dist/Locale.mjs';\n" +
+      "const locale = new Locale('fr_FR', 'main', " + JSON.stringify(CATALOG) + ");\n" +
+      "console.log(JSON.stringify([ typeof LocaleException, locale._('Home') ]));";
+
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+
+    expect(JSON.parse(output)).toEqual(['function', 'Accueil']);
+  });
+
+  test('the minified UMD bundle exports the same classes', function() {
+    const bundle = require('../dist/Locale.min.js');
+    const locale = new bundle.Locale('fr_FR', 'main', CATALOG);
+
+    expect(Object.keys(bundle).sort()).toEqual(Object.keys(i18n).sort());
+    expect(locale._('Home')).toBe('Accueil');
+  });
+});
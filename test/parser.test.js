@@ -0,0 +1,201 @@
+"use strict";
+
+const { Locale, LocaleParser, LocaleException } = require('../src/Locale.js');
+
+// the header of a catalog saved by Poedit, with the language's Plural-Forms
+const poeditHeader = function(language, pluralForms) {
+  return [
+    'msgid ""',
+    'msgstr ""',
+    '"Project-Id-Version: MyApp 1.0\\n"',
+    '"POT-Creation-Date: 2026-10-01 10:00+0200\\n"',
+    '"PO-Revision-Date: 2026-10-02 11:00+0200\\n"',
+    '"Last-Translator: \\n"',
+    '"Language-Team: \\n"',
+    '"Language: ' + language + '\\n"',
+    '"MIME-Version: 1.0\\n"',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"',
+    '"Plural-Forms: ' + pluralForms + '\\n"',
+    '"X-Generator: Poedit 3.4.2\\n"',
+    '"X-Poedit-Basepath: ..\\n"',
+    '"X-Poedit-KeywordsList: _;_n:1,2;_p:1c,2\\n"',
+    '"X-Poedit-SearchPath-0: src\\n"',
+    ''
+  ].join('\n');
+};
+
+const poEntries = function(forms) {
+  return [
+    '#. The home page link',
+    '#: src/navbar.js:12',
+    'msgid "Home"',
+    'msgstr "' + forms.home + '"',
+    '',
+    '#: src/files.js:40',
+    '#, c-format',
+    'msgid "%d file"',
+    'msgid_plural "%d files"',
+    forms.files.map(function(form, i) { return 'msgstr[' + i + '] "' + form + '"'; }).join('\n'),
+    '',
+    'msgctxt "verb"',
+    'msgid "Open"',
+    'msgstr "' + forms.open + '"',
+    '',
+    '#, fuzzy',
+    'msgid "Logout"',
+    'msgstr "' + forms.logout + '"',
+    ''
+  ].join('\n');
+};
+
+/**
+ * mo()
+ * Build a little-endian .MO file, as msgfmt writes it, from { key: translation }: the plural keys and translations are \0 separated
+ */
+const mo = function(messages) {
+  const keys = Object.keys(messages).sort();
+  const originals = keys.map(function(key) { return Buffer.from(key, 'utf8'); });
+  const translations = keys.map(function(key) { return Buffer.from(messages[key], 'utf8'); });
+  const tablesEnd = 28 + keys.length * 16;
+  const header = Buffer.alloc(tablesEnd);
+  let offset = tablesEnd;
+
+  header.writeUInt32LE(0x950412de, 0);
+  header.writeUInt32LE(0, 4);
+  header.writeUInt32LE(keys.length, 8);
+  header.writeUInt32LE(28, 12);
+  header.writeUInt32LE(28 + keys.length * 8, 16);
+
+  [originals, translations].forEach(function(strings, table) {
+    strings.forEach(function(string, i) {
+      header.writeUInt32LE(string.length, 28 + table * keys.length * 8 + i * 8);
+      header.writeUInt32LE(offset, 28 + table * keys.length * 8 + i * 8 + 4);
+      offset += string.length + 1;
+    });
+  });
+
+  const chunks = [header];
+  originals.concat(translations).forEach(function(string) { chunks.push(string, Buffer.alloc(1)); });
+
+  return Buffer.concat(chunks);
+};
+
+const moHeader = function(language, pluralForms) {
+  return 'Project-Id-Version: MyApp 1.0\nLanguage: ' + language + '\nMIME-Version: 1.0\nContent-Type: text/plain; charset=UTF-8\n' +
+    'Content-Transfer-Encoding: 8bit\nPlural-Forms: ' + pluralForms + '\nX-Generator: Poedit 3.4.2\n';
+};
+
+const GERMAN = { home: 'Startseite', files: ['%d Datei', '%d Dateien'], open: 'Öffnen', logout: 'Abmelden' };
+
+describe('PO import', function() {
+  test.each([
+    ['de', 'nplurals=2; plural=(n != 1);'],
+    ['de', 'nplurals=2; plural=n != 1;'],
+    ['de', 'nplurals=2; plural=n == 1 ? 0 : 1;'],
+    ['en', 'nplurals=2; plural=(n==1) ? 0 : 1;']
+  ])('loads a %s catalog saved by Poedit with "%s"', function(language, pluralForms) {
+    const locale = new Locale(language, 'main', null, true, false, true);
+
+    locale.loadDomainPO('main', poeditHeader(language, pluralForms) + '\n' + poEntries(GERMAN));
+
+    expect(locale._('Home')).toBe('Startseite');
+    expect(locale._n('%d file', '%d files', 1, 1)).toBe('1 Datei');
+    expect(locale._n('%d file', '%d files', 0, 0)).toBe('0 Dateien');
+    expect(locale._n('%d file', '%d files', 5, 5)).toBe('5 Dateien');
+    expect(locale.pgettext('verb', 'Open')).toBe('Öffnen');
+    expect(locale.getPluralRule('main').nplurals).toBe(1);
+  });
+
+  test('loads a French catalog, whose singular includes 0', function() {
+    const locale = new Locale('fr', 'main', null, true, false, true);
+
+    locale.loadDomainPO('main', poeditHeader('fr', 'nplurals=2; plural=(n > 1);') + '\n' + poEntries({ home: 'Accueil', files: ['%d fichier', '%d fichiers'], open: 'Ouvrir', logout: 'Déconnexion' }));
+
+    expect(locale._n('%d file', '%d files', 0, 0)).toBe('0 fichier');
+    expect(locale._n('%d file', '%d files', 2, 2)).toBe('2 fichiers');
+  });
+
+  test('loads a Russian catalog with 3 plural forms', function() {
+    const locale = new Locale('ru', 'main', null, true, false, true);
+    const pluralForms = 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);';
+
+    locale.loadDomainPO('main', poeditHeader('ru', pluralForms) + '\n' + poEntries({ home: 'Главная', files: ['%d файл', '%d файла', '%d файлов'], open: 'Открыть', logout: 'Выйти' }));
+
+    expect(locale._n('%d file', '%d files', 1, 1)).toBe('1 файл');
+    expect(locale._n('%d file', '%d files', 3, 3)).toBe('3 файла');
+    expect(locale._n('%d file', '%d files', 11, 11)).toBe('11 файлов');
+    expect(locale._n('%d file', '%d files', 21, 21)).toBe('21 файл');
+  });
+
+  test('loads a Japanese catalog, with no plural forms', function() {
+    const locale = new Locale('ja', 'main', null, true, false, true);
+
+    locale.loadDomainPO('main', poeditHeader('ja', 'nplurals=1; plural=0;') + '\n' + poEntries({ home: 'ホーム', files: ['%d ファイル'], open: '開く', logout: 'ログアウト' }));
+
+    expect(locale.getPluralRule('main').nplurals).toBe(0);
+    expect(locale._n('%d file', '%d files', 5, 5)).toBe('5 ファイル');
+  });
+
+  test('keeps the context, the fuzzy flags and the comments', function() {
+    const data = LocaleParser.parsePO(poeditHeader('de', 'nplurals=2; plural=(n != 1);') + '\n' + poEntries(GERMAN), { domain: 'main' });
+
+    expect(data[''].nplurals).toBe('1');
+    expect(data[''].headers['X-Generator']).toBe('Poedit 3.4.2');
+    expect(data['verb\u0004Open']).toBe('Öffnen');
+    expect(data['Logout']).toBe(''); // fuzzy: untranslated, as msgfmt does
+    expect(data[''].meta['Logout'].flags).toEqual(['fuzzy']);
+    expect(data[''].meta['Home'].extracted).toEqual(['The home page link']);
+    expect(data[''].meta['%d file']).toEqual(expect.objectContaining({ flags: ['c-format'], references: ['src/files.js:40'], plural: '%d files' }));
+  });
+
+  test('uses the fuzzy translations with the useFuzzy option', function() {
+    const data = LocaleParser.parsePO(poEntries(GERMAN), { useFuzzy: true });
+
+    expect(data['Logout']).toBe('Abmelden');
+  });
+
+  test('reports the syntax errors with their line', function() {
+    expect(function() { LocaleParser.parsePO('msgid "Home"\nmsgstr "Startseite'); }).toThrow(expect.objectContaining({ code: LocaleException.PO_SYNTAX }));
+  });
+});
+
+describe('MO import', function() {
+  const messages = function(language, pluralForms, files) {
+    return {
+      '': moHeader(language, pluralForms),
+      'Home': 'Startseite',
+      '%d file\u0000%d files': files.join('\u0000'),
+      'verb\u0004Open': 'Öffnen'
+    };
+  };
+
+  test.each([
+    ['nplurals=2; plural=(n != 1);'],
+    ['nplurals=2; plural=n == 1 ? 0 : 1;']
+  ])('loads a German catalog compiled from Poedit with "%s"', function(pluralForms) {
+    const locale = new Locale('de', 'main', null, true, false, true);
+
+    locale.loadDomainMO('main', mo(messages('de', pluralForms, ['%d Datei', '%d Dateien'])));
+
+    expect(locale._('Home')).toBe('Startseite');
+    expect(locale._n('%d file', '%d files', 1, 1)).toBe('1 Datei');
+    expect(locale._n('%d file', '%d files', 2, 2)).toBe('2 Dateien');
+    expect(locale.pgettext('verb', 'Open')).toBe('Öffnen');
+  });
+
+  test('loads a Polish catalog with 3 plural forms, from an ArrayBuffer', function() {
+    const locale = new Locale('pl', 'main', null, true, false, true);
+    const buffer = mo(messages('pl', 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);', ['%d plik', '%d pliki', '%d plików']));
+
+    locale.loadDomainMO('main', buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+
+    expect(locale._n('%d file', '%d files', 1, 1)).toBe('1 plik');
+    expect(locale._n('%d file', '%d files', 4, 4)).toBe('4 pliki');
+    expect(locale._n('%d file', '%d files', 5, 5)).toBe('5 plików');
+  });
+
+  test('rejects the files which arent MO files', function() {
+    expect(function() { LocaleParser.parseMO(Buffer.from('msgid "Home"\nmsgstr "Startseite"\n')); }).toThrow(expect.objectContaining({ code: LocaleException.MO_DATA }));
+  });
+});
@@ -0,0 +1,131 @@
+"use strict";
+
+const { Locale, LocalePlural, LocaleException } = require('../src/Locale.js');
+
+const catalog = function(nplurals, plural, forms) {
+  return { '': { nplurals: nplurals, plural: plural }, 'One file': 'Un fichier', '%d files': forms };
+};
+
+describe('LocalePlural', function() {
+  test('evaluates the C-like plural expressions without eval()', function() {
+    const test = LocalePlural.compile('(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)');
+
+    expect([1, 2, 5, 12, 22, 25].map(test)).toEqual([0, 1, 2, 2, 1, 2]);
+    expect(LocalePlural.compile('n % 100 >= 11')(111)).toBe(1);
+  });
+
+  test('reports the syntax errors with their position', function() {
+    expect(function() { LocalePlural.compile('(n != 1'); }).toThrow(expect.objectContaining({ code: LocaleException.PLURAL_SYNTAX, position: 7 }));
+    expect(function() { LocalePlural.compile('n = 1'); }).toThrow(expect.objectContaining({ code: LocaleException.INVALID_PLURAL_CHAR, position: 2 }));
+  });
+
+  test('gets the range of the values returned for n from 0 to 1000', function() {
+    expect(LocalePlural.range(LocalePlural.compile('n == 1 ? 0 : 1'))).toEqual({ min: 0, max: 1 });
+    expect(LocalePlural.range(LocalePlural.compile('n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2'))).toEqual({ min: 0, max: 2 });
+    expect(LocalePlural.range(LocalePlural.compile('n - 1'))).toEqual({ min: -1, max: 999 });
+  });
+});
+
+describe('plural forms validation', function() {
+  test.each([
+    ['1', 'n == 1 ? 0 : 1', ['%d fichiers']],
+    ['1', 'n != 1', ['%d fichiers']],
+    ['1', '(n > 1)', ['%d fichiers']],
+    ['2', 'n != 1', ['Un fichier', '%d fichiers']],
+    ['3', 'n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2', ['%d fichier', '%d fichiera', '%d fichierow']],
+    ['3', 'n==1 ? 0 : (n%10>=2 && n%10<=4) && (n%100<10 || n%100>=20) ? 1 : 2', ['%d fichier', '%d fichiera', '%d fichierow']],
+    ['3', '(n==0) ? 0 : (n==1) ? 1 : 2', ['%d zero', '%d one', '%d other']],
+    ['4', 'n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3', ['a', 'b', 'c', 'd']]
+  ])('accepts nplurals=%s; plural=%s', function(nplurals, plural, forms) {
+    const locale = new Locale('xx', 'main', null, true, false, true);
+
+    expect(function() { locale.loadDomain('main', catalog(nplurals, plural, forms)); }).not.toThrow();
+  });
+
+  test('the conditions count doesnt matter, only the returned values', function() {
+    const locale = new Locale('en', 'main', null, true, false, true);
+    locale.loadDomain('main', catalog('1', 'n == 1 ? 0 : 1', ['%d files translated']));
+
+    expect(locale._n('One file', '%d files', 1, 1)).toBe('Un fichier');
+    expect(locale._n('One file', '%d files', 3, 3)).toBe('3 files translated');
+  });
+
+  test.each([
+    ['1', 'n == 1 ? 0 : n == 2 ? 1 : 2', 2],
+    ['3', 'n%10 == 1 ? 0 : n%10 == 2 ? 1 : n%10 == 3 ? 2 : 3', 3],
+    ['2', 'n - 1', -1]
+  ])('rejects nplurals=%s; plural=%s, which can return %s', function(nplurals, plural, actual) {
+    const locale = new Locale('xx', 'main', null, true, false, true);
+
+    expect(function() { locale.loadDomain('main', catalog(nplurals, plural, [])); })
+      .toThrow(expect.objectContaining({ code: LocaleException.PLURAL_MISMATCH, expected: parseInt(nplurals, 10), actual: actual }));
+  });
+
+  test('validateDomain() reports the plural range errors', function() {
+    const locale = new Locale('xx', 'main', null, true, false, true);
+    const problems = locale.validateDomain(catalog('1', 'n == 1 ? 0 : n == 2 ? 1 : 2', ['a']));
+
+    expect(problems.map(function(problem) { return problem.code; })).toContain(LocaleException.PLURAL_MISMATCH);
+  });
+});
+
+describe('default plural rules', function() {
+  const HEADERLESS = { '': {}, 'One file': 'Un fichier', '%d files': ['%d fichiers'] };
+
+  test('catalogs without plural forms use the CLDR rule of their language', function() {
+    const locale = new Locale('fr_FR', 'main', null, true, false, true);
+    locale.loadDomain('main', HEADERLESS);
+
+    expect(locale.getPluralRule('main')).toEqual({ nplurals: 1, plural: '(n > 1)' });
+    expect(locale._n('One file', '%d files', 0, 0)).toBe('Un fichier');
+  });
+
+  test('catalogs without plural forms of an unknown language fall back to the DEFAULTPLURAL', function() {
+    const locale = new Locale('xx', 'main', null, true, false, true);
+
+    expect(function() { locale.loadDomain('x', { '': {}, a: 'b' }); }).not.toThrow();
+    expect(locale.getPluralRule('x')).toEqual({ nplurals: 1, plural: '(n != 1)' });
+
+    locale.loadDomain('main', HEADERLESS);
+    expect(locale._n('One file', '%d files', 0, 0)).toBe('0 fichiers');
+  });
+
+  test('setDefaultPlural() overrides the language rule of the catalogs without plural forms', function() {
+    const locale = new Locale('en', 'main', null, true, false, true);
+    locale.setDefaultPlural('(n > 1)');
+    locale.loadDomain('main', HEADERLESS);
+
+    expect(locale.getPluralRule('main')).toEqual({ nplurals: 1, plural: '(n > 1)' });
+    expect(locale._n('One file', '%d files', 0, 0)).toBe('Un fichier');
+  });
+
+  test('without custom plural forms, loadDomain() and validateDomain() agree on the plural arrays too short for the default rule', function() {
+    const data = { '': {}, 'file': 'файл', 'files': ['файлы'] };
+    const locale = new Locale('ru_RU', 'main', data, false);
+
+    expect(locale.validateDomain(data)).toEqual([expect.objectContaining({ severity: 'warning', code: LocaleException.PLURAL_COUNT_MISMATCH, key: 'files', expected: 3, actual: 1 })]);
+    expect(locale.ngettext('file', 'files', 5)).toBe('файлы');
+    expect(locale.ngettext('file', 'files', 2)).toBe('файлы');
+  });
+
+  test('getPluralCategory() uses the CLDR rules of the running language', function() {
+    const locale = new Locale('pl', 'main', null, true, false, true);
+
+    expect([1, 3, 5].map(function(n) { return locale.getPluralCategory(n); })).toEqual(['one', 'few', 'many']);
+    expect(new Locale('en', 'main', { '': {} }).getPluralCategory(2, true)).toBe('two');
+  });
+
+  test('getPluralCategory() uses the setDefaultPlural() override', function() {
+    const unknown = new Locale('xx', 'main', { '': {} });
+    const english = new Locale('en', 'main', { '': {} });
+
+    expect(unknown.getPluralCategory(0)).toBe('other');
+
+    unknown.setDefaultPlural('(n > 1)');
+    english.setDefaultPlural('(n > 1)');
+
+    expect(unknown.getPluralCategory(0)).toBe('one');
+    expect(english.getPluralCategory(0)).toBe('one');
+    expect(english.getPluralCategory(2)).toBe('other');
+  });
+});
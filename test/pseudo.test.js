@@ -0,0 +1,71 @@
+"use strict";
+
+const { Locale, LocalePseudo } = require('../src/Locale.js');
+
+describe('LocalePseudo', function() {
+  test('accents, pads and brackets the messages', function() {
+    expect(LocalePseudo.transform('Home')).toBe('[Ĥöɱé ~~]');
+    expect(LocalePseudo.transform('Home', { accents: false, padding: 0, prefix: '<<', suffix: '>>' })).toBe('<<Home>>');
+    expect(LocalePseudo.transform('')).toBe('[]');
+  });
+
+  test.each([
+    ['%s'],
+    ['%d'],
+    ['%2$s'],
+    ['%(name)s'],
+    ["%+05.2f"],
+    ["%'*10s"],
+    ['%%'],
+    ['{name}'],
+    ['{0}'],
+    ['{price, number, currency:EUR}'],
+    ['<b>'],
+    ['</link>'],
+    ['<br/>'],
+    ['&amp;'],
+    ['&#039;']
+  ])('leaves %s intact', function(intact) {
+    const transformed = LocalePseudo.transform('Hello ' + intact + ' world', { padding: 0 });
+
+    expect(transformed).toBe('[Ĥéļļö ' + intact + ' ŵöŕļđ]');
+  });
+
+  test('mirrors the text but not the placeholders for the right-to-left layouts', function() {
+    expect(LocalePseudo.transform('Hello <b>%s</b>', { rtl: true, padding: 0 })).toBe('[\u202EĤéļļö \u202C<b>%s</b>]');
+  });
+
+  test('pads after the text length, not counting the placeholders', function() {
+    expect(LocalePseudo.transform('Hi %s', { accents: false })).toBe('[Hi %s ~]');
+    expect(LocalePseudo.brackets(10)).toEqual(['[', ' ~~~]']);
+  });
+});
+
+describe('setPseudoLocalization()', function() {
+  const DATA = { '': {}, 'Hello %s': 'Bonjour %s', 'Welcome {name}': 'Bienvenue {name}', '%d file': '%d fichier', '%d files': ['%d fichiers'] };
+
+  test('pseudo-localizes the translated and the untranslated messages, then replaces the placeholders', function() {
+    const locale = new Locale('fr_FR', 'main', DATA);
+
+    expect(locale.setPseudoLocalization(true)).toBeNull();
+    expect(locale._('Hello %s', 'Bob')).toBe('[Ɓöñĵöûŕ Bob ~~~]');
+    expect(locale._('Welcome {name}', { name: 'Bob' })).toBe('[Ɓîéñṽéñûé Bob ~~~]');
+    expect(locale._n('%d file', '%d files', 3, 3)).toBe('[3 ƒîçĥîéŕš ~~~]');
+    expect(locale._('Not in the catalog')).toBe('[Ñöŧ îñ ŧĥé çåŧåļöĝ ~~~~~~]');
+  });
+
+  test('keeps the ICU arguments of format() intact', function() {
+    const locale = new Locale('en', 'main', { '': {} });
+    locale.setPseudoLocalization({ padding: 0 });
+
+    expect(locale.format('{count, plural, one {# photo} other {# photos}} by {user}', { count: 3, user: 'Bob' })).toBe('[3 þĥöŧöš ƀý Bob]');
+  });
+
+  test('can be turned off', function() {
+    const locale = new Locale('fr_FR', 'main', DATA);
+    locale.setPseudoLocalization({ rtl: true });
+
+    expect(locale.setPseudoLocalization(false)).toEqual({ rtl: true });
+    expect(locale._('Hello %s', 'Bob')).toBe('Bonjour Bob');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment jsdom
+ */
+"use strict";
+
+const React = require('react');
+const TestRenderer = require('react-test-renderer');
+const { Locale, LocaleReact } = require('../src/Locale.js');
+
+const h = React.createElement;
+const act = TestRenderer.act;
+
+const FR = {
+  '': { language: 'fr_FR', nplurals: '1', plural: '(n > 1)' },
+  'Inbox': 'Boîte de réception',
+  '%d new mail': '%d nouveau courriel',
+  '%d new mails': ['%d nouveaux courriels'],
+  'Read the <link>terms</link>, <b>{name}</b>': 'Lisez les <link>conditions</link>, <b>{name}</b>',
+  'Hello <b>{name}</b>': 'Bonjour <b>{name}</b>'
+};
+const DE = { '': { language: 'de_DE', nplurals: '1', plural: '(n != 1)' }, 'Inbox': 'Posteingang', '%d new mail': '%d neue Nachricht', '%d new mails': ['%d neue Nachrichten'] };
+
+const copy = function(data) { return JSON.parse(JSON.stringify(data)); };
+
+describe('LocaleReact', function() {
+  const { LocaleProvider, useLocale, Trans } = LocaleReact(React);
+  let locale, renders;
+
+  const Inbox = function(props) {
+    const i18n = useLocale();
+    renders++;
+    return h('p', { title: i18n._('Inbox') }, i18n._n('%d new mail', '%d new mails', props.count, props.count));
+  };
+
+  const render = function(element) {
+    let renderer;
+    act(function() { renderer = TestRenderer.create(h(LocaleProvider, { locale: locale }, element)); });
+    return renderer;
+  };
+
+  beforeEach(function() {
+    locale = new Locale('fr_FR', 'main', copy(FR));
+    renders = 0;
+  });
+
+  test('useLocale() gives the translation functions of the provided locale', function() {
+    const renderer = render(h(Inbox, { count: 3 }));
+    const p = renderer.root.findByType('p');
+
+    expect(p.props.title).toBe('Boîte de réception');
+    expect(p.children).toEqual(['3 nouveaux courriels']);
+  });
+
+  test('the messages are not html encoded: React escapes them itself', function() {
+    locale.setEncoder('html');
+
+    const Greeting = function() { return h('p', null, useLocale()._('Hello {name}', { name: '<John>' })); };
+    const renderer = render(h(Greeting));
+
+    expect(renderer.root.findByType('p').children).toEqual(['Hello <John>']);
+  });
+
+  test('renders again when the language changes', async function() {
+    const renderer = render(h(Inbox, { count: 1 }));
+
+    await act(function() { return locale.setLang('de_DE', { main: copy(DE) }); });
+
+    const p = renderer.root.findByType('p');
+    expect(p.props.title).toBe('Posteingang');
+    expect(p.children).toEqual(['1 neue Nachricht']);
+  });
+
+  test('renders again when a domain is loaded or unloaded', function() {
+    const Logout = function() { return h('a', null, useLocale()._d('navbar', 'Logout')); };
+    const renderer = render(h(Logout));
+
+    expect(renderer.root.findByType('a').children).toEqual(['Logout']);
+
+    act(function() { locale.loadDomain('navbar', { '': {}, 'Logout': 'Déconnexion' }); });
+    expect(renderer.root.findByType('a').children).toEqual(['Déconnexion']);
+
+    act(function() { locale.unloadDomain('navbar'); });
+    expect(renderer.root.findByType('a').children).toEqual(['Logout']);
+  });
+
+  test('<Trans> renders the components inside the translated sentence', function() {
+    const Link = function(props) { return h('a', { href: props.to }, props.children); };
+    const renderer = render(h(Trans, {
+      message: 'Read the <link>terms</link>, <b>{name}</b>',
+      values: { name: 'John' },
+      components: { link: h(Link, { to: '/terms' }), b: 'strong' }
+    }));
+
+    expect(renderer.toJSON()).toEqual(['Lisez les ', { type: 'a', props: { href: '/terms' }, children: ['conditions'] }, ', ', { type: 'strong', props: {}, children: ['John'] }]);
+  });
+
+  test('<Trans> translates the plural forms, and renders again on a language change', async function() {
+    locale.loadDomain('mails', { '': {}, '%d new mail': '<b>%d</b> nouveau courriel', '%d new mails': ['<b>%d</b> nouveaux courriels'] });
+
+    const renderer = render(h(Trans, { message: '%d new mail', plural: '%d new mails', n: 2, domain: 'mails', components: { b: 'b' } }));
+
+    expect(renderer.toJSON()).toEqual([{ type: 'b', props: {}, children: ['2'] }, ' nouveaux courriels']);
+
+    await act(function() { return locale.setLang('de_DE', { main: copy(DE), mails: { '': {}, '%d new mail': '<b>%d</b> neue Nachricht', '%d new mails': ['<b>%d</b> neue Nachrichten'] } }); });
+    expect(renderer.toJSON()).toEqual([{ type: 'b', props: {}, children: ['2'] }, ' neue Nachrichten']);
+  });
+
+  test('<Trans> shows the message as is on a tag without component', function() {
+    const error = jest.spyOn(console, 'error').mockImplementation(function() {});
+    const renderer = render(h(Trans, { message: 'Hello <b>{name}</b>', values: { name: 'John' } }));
+
+    expect(renderer.toJSON()).toBe('Hello <b>{name}</b>');
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  test('stops listening to the locale once unmounted', function() {
+    const renderer = render(h(Inbox, { count: 1 }));
+    const before = renders;
+
+    act(function() { renderer.unmount(); });
+    act(function() { locale.loadDomain('navbar', { '': {} }); });
+
+    expect(renders).toBe(before);
+  });
+
+  test('useLocale() needs a LocaleProvider', function() {
+    const error = jest.spyOn(console, 'error').mockImplementation(function() {});
+
+    expect(function() { act(function() { TestRenderer.create(h(Inbox, { count: 1 })); }); }).toThrow(TypeError);
+    error.mockRestore();
+  });
+});
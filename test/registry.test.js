@@ -0,0 +1,106 @@
+"use strict";
+
+const { LocaleRegistry } = require('../src/Locale.js');
+
+const FR = { '': { nplurals: '1', plural: '(n > 1)' }, 'Hello': 'Bonjour', 'One file': 'Un fichier', '%d files': ['%d fichiers'] };
+const FR_WIDGETS = { '': {}, 'Close': 'Fermer' };
+const DE = { '': {}, 'Hello': 'Hallo' };
+
+const copy = function(data) {
+  return JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * record()
+ * Record the domain events of a view
+ */
+const record = function(locale) {
+  const events = [];
+
+  locale.on('domainloaded', function(event) { events.push('domainloaded:' + event.lang + ':' + event.domain); });
+  locale.on('domainunloaded', function(event) { events.push('domainunloaded:' + event.lang + ':' + event.domain); });
+
+  return events;
+};
+
+describe('LocaleRegistry', function() {
+  test('the views of a language share its catalogs and plural rules', function() {
+    const registry = new LocaleRegistry();
+    registry.loadDomain('fr_FR', 'main', copy(FR));
+
+    const header = registry.createLocale('fr_FR', 'main');
+    const widget = registry.createLocale('fr_FR', 'widgets');
+
+    expect(header._('Hello')).toBe('Bonjour');
+    expect(widget._d('main', 'Hello')).toBe('Bonjour');
+    expect(widget._dn('main', 'One file', '%d files', 0, 0)).toBe('Un fichier');
+    expect(header.getPluralRule('main')).toEqual({ nplurals: 1, plural: '(n > 1)' });
+    expect(widget.getPluralRule('main')).toEqual(header.getPluralRule('main'));
+
+    // a domain loaded by a view reaches the others
+    widget.loadDomain('widgets', copy(FR_WIDGETS));
+    expect(header._d('widgets', 'Close')).toBe('Fermer');
+    expect(registry.hasDomain('fr_FR', 'widgets')).toBe(true);
+
+    registry.mergeDomain('fr_FR', 'main', { 'Hello': 'Salut' });
+    expect(widget._d('main', 'Hello')).toBe('Salut');
+
+    registry.unloadDomain('fr_FR', 'widgets');
+    expect(header.hasDomain('widgets')).toBe(false);
+    expect(widget._('Close')).toBe('Close');
+  });
+
+  test('the languages have their own catalogs', function() {
+    const registry = new LocaleRegistry();
+    registry.loadDomain('fr_FR', 'main', copy(FR));
+    registry.loadDomain('de_DE', 'main', copy(DE));
+
+    const french = registry.createLocale('fr_FR', 'main');
+    const german = registry.createLocale('de_DE', 'main');
+
+    expect(french._('Hello')).toBe('Bonjour');
+    expect(german._('Hello')).toBe('Hallo');
+    expect(registry.getLanguages().sort()).toEqual(['de_DE', 'fr_FR']);
+  });
+
+  test('domainloaded only reaches the other views of the same language', function() {
+    const registry = new LocaleRegistry();
+    const first = registry.createLocale('fr_FR', 'main');
+    const second = registry.createLocale('fr_FR', 'main');
+    const german = registry.createLocale('de_DE', 'main');
+    const firstEvents = record(first), secondEvents = record(second), germanEvents = record(german);
+
+    first.loadDomain('widgets', copy(FR_WIDGETS));
+
+    expect(firstEvents).toEqual(['domainloaded:fr_FR:widgets']);
+    expect(secondEvents).toEqual(['domainloaded:fr_FR:widgets']);
+    expect(germanEvents).toEqual([]);
+
+    registry.loadDomain('fr_FR', 'main', copy(FR));
+
+    expect(firstEvents).toEqual(['domainloaded:fr_FR:widgets', 'domainloaded:fr_FR:main']);
+    expect(secondEvents).toEqual(['domainloaded:fr_FR:widgets', 'domainloaded:fr_FR:main']);
+    expect(germanEvents).toEqual([]);
+
+    registry.unloadDomain('fr_FR', 'widgets');
+
+    expect(secondEvents).toEqual(['domainloaded:fr_FR:widgets', 'domainloaded:fr_FR:main', 'domainunloaded:fr_FR:widgets']);
+    expect(germanEvents).toEqual([]);
+  });
+
+  test('release() stops the notifications of a view', function() {
+    const registry = new LocaleRegistry();
+    const kept = registry.createLocale('fr_FR', 'main');
+    const released = registry.createLocale('fr_FR', 'main');
+    const keptEvents = record(kept), releasedEvents = record(released);
+
+    expect(registry.release(released)).toBe(true);
+    expect(registry.release(released)).toBe(false);
+
+    registry.loadDomain('fr_FR', 'main', copy(FR));
+
+    expect(keptEvents).toEqual(['domainloaded:fr_FR:main']);
+    expect(releasedEvents).toEqual([]);
+    expect(released._('Hello')).toBe('Bonjour');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+"use strict";
+
+const { Locale, LocaleRichText, LocaleException } = require('../src/Locale.js');
+
+const FR = {
+  '': {},
+  'Read the <link>terms</link> & <b>agree</b>': 'Lisez les <link>conditions</link> & <b>acceptez</b>',
+  'Hello <b>%s</b>': 'Bonjour <b>%s</b>',
+  'Hello <b>{name}</b>': 'Bonjour <b>{name}</b>',
+  'Hello <blink>you</blink>': 'Bonjour <blink>toi</blink>',
+  'Line<br/>break': 'Ligne<br/>coupée'
+};
+
+const LINK = function(content) { return '<a href="/terms">' + content + '</a>'; };
+
+describe('rich()', function() {
+  const locale = function() {
+    return new Locale('fr_FR', 'main', FR);
+  };
+
+  test('renders an HTML string with the text escaped', function() {
+    expect(locale().rich('Read the <link>terms</link> & <b>agree</b>', { link: LINK, b: 'strong' }))
+      .toBe('Lisez les <a href="/terms">conditions</a> &amp; <strong>acceptez</strong>');
+    expect(locale().rich('Line<br/>break', { br: 'br' })).toBe('Ligne<br/>coupée');
+    expect(LocaleRichText.render('1 < 2 <b>"x"</b>', { b: 'b' })).toBe('1 &lt; 2 <b>&quot;x&quot;</b>');
+  });
+
+  test('escapes the placeholder values, which never become tags', function() {
+    expect(locale().rich('Hello <b>%s</b>', { b: 'b' }, { values: ['<i>Bob</i>'] })).toBe('Bonjour <b>&lt;i&gt;Bob&lt;/i&gt;</b>');
+    expect(locale().rich('Hello <b>{name}</b>', { b: 'b' }, { values: { name: '<b>Bob</b>' } })).toBe('Bonjour <b>&lt;b&gt;Bob&lt;/b&gt;</b>');
+  });
+
+  test('escapes the text whatever the encoder set', function() {
+    const encoded = locale();
+    encoded.setEncoder('raw');
+
+    expect(encoded.rich('Read the <link>terms</link> & <b>agree</b>', { link: LINK, b: 'b' })).toContain('&amp;');
+  });
+
+  test('rejects the tags without renderer, and the tags not closed in order', function() {
+    expect(function() { locale().rich('Hello <blink>you</blink>', { b: 'b' }); })
+      .toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_TAG, key: 'blink' }));
+    expect(function() { locale().rich('Hello <blink>you</blink>', { blink: 42 }); })
+      .toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_TAG }));
+    expect(function() { LocaleRichText.parse('<b><i>x</b></i>'); }).toThrow(LocaleException);
+    expect(function() { locale().rich('Hello <b>%s</b>', { b: 'b' }, { output: 'pdf' }); })
+      .toThrow(expect.objectContaining({ code: LocaleException.UNKNOWN_FORMAT }));
+  });
+
+  test('renders a DocumentFragment', function() {
+    const fragment = locale().rich('Read the <link>terms</link> & <b>agree</b>', {
+      link: function(content) { const a = document.createElement('a'); a.href = '/terms'; a.appendChild(content); return a; },
+      b: 'strong'
+    }, { output: 'dom' });
+
+    expect(fragment).toBeInstanceOf(DocumentFragment);
+
+    const div = document.createElement('div');
+    div.appendChild(fragment);
+    expect(div.innerHTML).toBe('Lisez les <a href="/terms">conditions</a> &amp; <strong>acceptez</strong>');
+
+    const values = locale().rich('Hello <b>%s</b>', { b: 'b' }, { output: 'dom', values: ['<i>Bob</i>'] });
+    expect(values.querySelector('b').textContent).toBe('<i>Bob</i>');
+    expect(values.querySelector('i')).toBeNull();
+  });
+
+  test('renders an array of nodes, with unique keys', function() {
+    const keys = [];
+    const nodes = locale().rich('Read the <link>terms</link> & <b>agree</b>', {
+      link: function(children, tag, key) { keys.push(key); return { type: 'a', key: key, children: children }; },
+      b: 'strong'
+    }, { output: 'nodes' });
+
+    expect(nodes).toEqual(['Lisez les ', { type: 'a', key: 1, children: ['conditions'] }, ' & ', { tag: 'strong', children: ['acceptez'] }]);
+    expect(keys).toEqual([1]);
+  });
+
+  test('drich() looks up the plural form in a given domain', function() {
+    const files = locale();
+    files.loadDomain('files', { '': {}, '<b>One</b> file': '<b>Un</b> fichier', '<b>%d</b> files': ['<b>%d</b> fichiers'] });
+
+    expect(files.drich('files', '<b>One</b> file', { b: 'b' }, { plural: '<b>%d</b> files', n: 3, values: [3] })).toBe('<b>3</b> fichiers');
+    expect(files.drich('files', '<b>One</b> file', { b: 'b' }, { plural: '<b>%d</b> files', n: 1, values: [1] })).toBe('<b>Un</b> fichier');
+  });
+});
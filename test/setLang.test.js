@@ -0,0 +1,125 @@
+"use strict";
+
+const { Locale, LocaleRegistry } = require('../src/Locale.js');
+
+const FR = { '': { language: 'fr_FR' }, 'Hello': 'Bonjour' };
+const DE = { '': { language: 'de_DE' }, 'Hello': 'Hallo' };
+const FR_NAVBAR = { '': { language: 'fr_FR' }, 'Logout': 'Déconnexion' };
+const DE_NAVBAR = { '': { language: 'de_DE' }, 'Logout': 'Abmelden' };
+
+const copy = function(data) { return JSON.parse(JSON.stringify(data)); };
+
+/**
+ * record()
+ * Record the events of a locale, as 'type:domain' or 'type:lang'
+ */
+const record = function(locale) {
+  const events = [];
+
+  locale.on('domainloaded', function(event) { events.push('domainloaded:' + event.domain); });
+  locale.on('domainunloaded', function(event) { events.push('domainunloaded:' + event.domain); });
+  locale.on('languagechange', function(event) { events.push('languagechange:' + event.previousLang + '>' + event.lang); });
+
+  return events;
+};
+
+describe('setLang()', function() {
+  let warn;
+
+  beforeEach(function() {
+    warn = jest.spyOn(console, 'warn').mockImplementation(function() {});
+  });
+
+  afterEach(function() {
+    warn.mockRestore();
+  });
+
+  test('swaps in the translations given for the new language', async function() {
+    const locale = new Locale('fr_FR', 'main', copy(FR));
+    const events = record(locale);
+
+    await expect(locale.setLang('de_DE', { main: copy(DE) })).resolves.toBe(locale);
+
+    expect(locale._('Hello')).toBe('Hallo');
+    expect(events).toEqual(['domainloaded:main', 'languagechange:fr_FR>de_DE']);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('reloads the domains loaded from a {lang} url template', async function() {
+    const catalogs = { '/i18n/fr_FR/navbar.json': FR_NAVBAR, '/i18n/de_DE/navbar.json': DE_NAVBAR };
+    const locale = new Locale('fr_FR', 'main', copy(FR));
+
+    locale.setDomainLoader({ fetch: function(url) { return copy(catalogs[url]); } });
+    await locale.loadDomainFrom('navbar', '/i18n/{lang}/navbar.json');
+    await locale.setLang('de_DE', { main: copy(DE) });
+
+    expect(locale._d('navbar', 'Logout')).toBe('Abmelden');
+    expect(locale._('Hello')).toBe('Hallo');
+  });
+
+  test('unloads the in-memory domains without translations for the new language, with events', async function() {
+    const locale = new Locale('fr_FR', 'main', copy(FR));
+    const events = record(locale);
+
+    locale.loadDomain('navbar', copy(FR_NAVBAR));
+    events.length = 0;
+
+    await locale.setLang('de_DE', { navbar: copy(DE_NAVBAR) });
+
+    expect(locale._('Hello')).toBe('Hello');
+    expect(locale.hasDomain('main')).toBe(false);
+    expect(Object.keys(locale.getLoadedDomains())).toEqual(['navbar']);
+    expect(events).toEqual(['domainunloaded:main', 'domainloaded:navbar', 'languagechange:fr_FR>de_DE']);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('only warns about the unloaded domains in debug mode', async function() {
+    const log = jest.spyOn(console, 'log').mockImplementation(function() {});
+    const locale = new Locale('fr_FR', 'main', copy(FR), true, true);
+
+    await locale.setLang('de_DE');
+    log.mockRestore();
+
+    expect(locale.hasDomain('main')).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("Domain 'main' has no 'de_DE' translations"));
+  });
+
+  test('keeps the old translations if a domain fails to load', async function() {
+    const locale = new Locale('fr_FR', 'main', copy(FR));
+    const events = record(locale);
+
+    await expect(locale.setLang('de_DE', { main: 'not json' })).rejects.toThrow();
+
+    expect(locale.getLang()).toBe('fr_FR');
+    expect(locale._('Hello')).toBe('Bonjour');
+    expect(events).toEqual([]);
+  });
+
+  test('the last call wins', async function() {
+    const locale = new Locale('fr_FR', 'main', copy(FR));
+
+    await Promise.all([locale.setLang('de_DE', { main: copy(DE) }), locale.setLang('fr_FR', { main: copy(FR) })]);
+
+    expect(locale.getLang()).toBe('fr_FR');
+    expect(locale._('Hello')).toBe('Bonjour');
+  });
+
+  test('a registry view only notifies itself of the domains it lost', async function() {
+    const registry = new LocaleRegistry();
+
+    registry.loadDomain('fr_FR', 'main', copy(FR));
+    registry.loadDomain('de_DE', 'main', copy(DE));
+    registry.loadDomain('fr_FR', 'navbar', copy(FR_NAVBAR));
+
+    const view = registry.createLocale('fr_FR', 'main');
+    const other = registry.createLocale('fr_FR', 'main');
+    const events = record(view), otherEvents = record(other);
+
+    await view.setLang('de_DE');
+
+    expect(view._('Hello')).toBe('Hallo');
+    expect(events).toEqual(['domainunloaded:navbar', 'languagechange:fr_FR>de_DE']);
+    expect(otherEvents).toEqual([]);
+    expect(other._d('navbar', 'Logout')).toBe('Déconnexion');
+  });
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Locale } = require('../src/Locale.js');
+
+const BIN = path.join(__dirname, '..', 'bin', 'locale-extract.js');
+
+const SOURCE = [
+  't`Hello ${name}`;',
+  't`${{ count }} items`;',
+  't`100% ${done}`;',
+  'dt("navbar")`Welcome ${name}`;',
+  'tn(n)`${n} file``${n} files`;',
+  'dtn("navbar", n)`${{ count }} new mail``${{ count }} new mails`;'
+].join('\n');
+
+/**
+ * extract()
+ * Extract the SOURCE with locale-extract, and get its catalogs keys by domain
+ */
+const extract = function() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locale-templates-'));
+
+  try {
+    fs.writeFileSync(path.join(dir, 'app.js'), SOURCE);
+
+    const result = spawnSync(process.execPath, [BIN, '--lang', 'fr_FR', '--output', 'i18n/{domain}.json', 'app.js'], { cwd: dir, encoding: 'utf8' });
+    if (result.status !== 0) throw new Error(result.stderr);
+
+    const keys = function(domain) {
+      return Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'i18n', domain + '.json'), 'utf8'))).filter(function(key) { return key !== ''; }).sort();
+    };
+
+    return { main: keys('main'), navbar: keys('navbar') };
+  }
+  finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * run()
+ * Run the SOURCE template tags with a locale, recording the message IDs they look up by domain
+ */
+const run = function(locale) {
+  const looked = { main: [], navbar: [] }, results = [];
+  const name = 'Bob', count = 3, n = 2, done = 5;
+
+  locale.on('missingkey', function(event) {
+    looked[event.domain].push(event.msgid1);
+    if (event.msgid2 !== null && typeof event.msgid2 !== 'undefined') looked[event.domain].push(event.msgid2);
+  });
+
+  results.push(locale.t`Hello ${name}`);
+  results.push(locale.t`${{ count }} items`);
+  results.push(locale.t`100% ${done}`);
+  results.push(locale.dt('navbar')`Welcome ${name}`);
+  results.push(locale.tn(n)`${n} file``${n} files`);
+  results.push(locale.dtn('navbar', n)`${{ count }} new mail``${{ count }} new mails`);
+
+  looked.main.sort();
+  looked.navbar.sort();
+
+  return { looked: looked, results: results };
+};
+
+describe('template tags', function() {
+  test('derive numbered, named and %-escaped message IDs', function() {
+    const locale = new Locale('en', 'main', { '': {} });
+    locale.loadDomain('navbar', { '': {} });
+
+    const { looked, results } = run(locale);
+
+    expect(looked.main).toEqual(['100%% {0}', 'Hello {0}', '{0} file', '{0} files', '{count} items']);
+    expect(looked.navbar).toEqual(['Welcome {0}', '{count} new mail', '{count} new mails']);
+    expect(results).toEqual(['Hello Bob', '3 items', '100% 5', 'Welcome Bob', '2 files', '3 new mails']);
+  });
+
+  test('the message IDs match the ones locale-extract writes', function() {
+    const locale = new Locale('en', 'main', { '': {} });
+    locale.loadDomain('navbar', { '': {} });
+
+    const extracted = extract();
+    const { looked } = run(locale);
+
+    expect(looked.main).toEqual(extracted.main);
+    expect(looked.navbar).toEqual(extracted.navbar);
+  });
+
+  test('look up the translations of the derived message IDs', function() {
+    const locale = new Locale('fr_FR', 'main', { '': {}, 'Hello {0}': 'Bonjour {0}', '{count} items': '{count} articles', '100%% {0}': '100 %% {0}', '{0} file': '{0} fichier', '{0} files': ['{0} fichiers'] });
+    locale.loadDomain('navbar', { '': {}, 'Welcome {0}': 'Bienvenue {0}', '{count} new mail': '{count} nouveau mail', '{count} new mails': ['{count} nouveaux mails'] });
+
+    const { looked, results } = run(locale);
+
+    expect(looked).toEqual({ main: [], navbar: [] });
+    expect(results).toEqual(['Bonjour Bob', '3 articles', '100 % 5', 'Bienvenue Bob', '2 fichiers', '3 nouveaux mails']);
+  });
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const { Locale, LocaleException } = require('../src/Locale.js');
+
+const CATALOG = {
+  '': { nplurals: '1', plural: '(n > 1)' },
+  'Hello': 'Bonjour',
+  'One file': 'Un fichier',
+  '%d files': ['%d fichiers', '%d fichiers'],
+  'Hello %s': 'Bonjour %d',
+  'Bye': 42,
+  'Empty': '',
+  'Hi %s': 'Salut'
+};
+
+const copy = function(data) {
+  return JSON.parse(JSON.stringify(data));
+};
+
+const errorKeys = function(diagnostics) {
+  return diagnostics.filter(function(diagnostic) { return diagnostic.severity === 'error'; }).map(function(diagnostic) { return diagnostic.key; }).sort();
+};
+
+describe('validateDomain()', function() {
+  test('reports all the problems at once, without loading the domain', function() {
+    const locale = new Locale('fr_FR', 'main', null, true, false, true);
+    const diagnostics = locale.validateDomain(copy(CATALOG), { domain: 'main' });
+
+    expect(diagnostics).toEqual(expect.arrayContaining([
+      expect.objectContaining({ severity: 'error', code: LocaleException.PLURAL_COUNT_MISMATCH, key: '%d files', expected: 1, actual: 2 }),
+      expect.objectContaining({ severity: 'error', code: LocaleException.PLACEHOLDER_MISMATCH, key: 'Hello %s', expected: 's', actual: 'd' }),
+      expect.objectContaining({ severity: 'error', code: LocaleException.INVALID_VALUE, key: 'Bye', actual: 42 }),
+      expect.objectContaining({ severity: 'warning', code: LocaleException.EMPTY_TRANSLATION, key: 'Empty' }),
+      expect.objectContaining({ severity: 'warning', code: LocaleException.PLACEHOLDER_MISMATCH, key: 'Hi %s', expected: '%1' })
+    ]));
+    expect(locale.hasDomain('main')).toBe(false);
+    expect(locale._('Hello')).toBe('Hello');
+  });
+});
+
+describe('setLenientLoading()', function() {
+  let warn;
+
+  beforeEach(function() {
+    warn = jest.spyOn(console, 'warn').mockImplementation(function() {});
+  });
+
+  afterEach(function() {
+    warn.mockRestore();
+  });
+
+  test('without it, a wrong plural translations count fails the whole domain', function() {
+    const locale = new Locale('fr_FR', 'main', null, true, false, true);
+
+    expect(function() { locale.loadDomain('main', copy(CATALOG)); }).toThrow(expect.objectContaining({ code: LocaleException.PLURAL_COUNT_MISMATCH, key: '%d files' }));
+    expect(locale._('Hello')).toBe('Hello');
+  });
+
+  test('drops the translations validateDomain() reports as errors, and keeps the others', function() {
+    const locale = new Locale('fr_FR', 'main', null, true, false, true);
+    const dropped = errorKeys(locale.validateDomain(copy(CATALOG), { domain: 'main' }));
+
+    expect(locale.setLenientLoading(true)).toBe(false);
+    locale.loadDomain('main', copy(CATALOG));
+
+    expect(dropped).toEqual(['%d files', 'Bye', 'Hello %s']);
+    expect(locale._('Hello')).toBe('Bonjour');
+    expect(locale._('Hi %s', 'Bob')).toBe('Salut');
+    expect(locale._('Hello %s', 'Bob')).toBe('Hello Bob');
+    expect(locale._('Bye')).toBe('Bye');
+    expect(locale._n('One file', '%d files', 3, 3)).toBe('3 files');
+    expect(locale.setLenientLoading(false)).toBe(true);
+  });
+
+  test('only warns about the dropped translations in debug mode', function() {
+    const quiet = new Locale('fr_FR', 'main', null, true, false, true);
+    quiet.setLenientLoading(true);
+    quiet.loadDomain('main', copy(CATALOG));
+
+    expect(warn).not.toHaveBeenCalled();
+
+    const log = jest.spyOn(console, 'log').mockImplementation(function() {});
+    const debug = new Locale('fr_FR', 'main', null, true, true, true);
+    debug.setLenientLoading(true);
+    debug.loadDomain('main', copy(CATALOG));
+    log.mockRestore();
+
+    expect(warn).toHaveBeenCalledTimes(3);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^Translation dropped: .*'Bye'/));
+  });
+
+  test('loadDomain() and validateDomain() agree without custom plural forms too', function() {
+    const data = { '': {}, 'file': 'файл', 'files': ['файлы'] };
+    const locale = new Locale('ru_RU', 'main', null, false, false, true);
+
+    expect(locale.validateDomain(copy(data))).toEqual([expect.objectContaining({ severity: 'warning', code: LocaleException.PLURAL_COUNT_MISMATCH, key: 'files' })]);
+    expect(function() { locale.loadDomain('main', copy(data)); }).not.toThrow();
+    expect(locale.ngettext('file', 'files', 5)).toBe('файлы');
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"customExportConditions": ["node", "node-addons"]}
+ */
+"use strict";
+
+const Vue = require('vue');
+const { mount } = require('@vue/test-utils');
+const { Locale, LocaleVue } = require('../src/Locale.js');
+
+const FR = {
+  '': { language: 'fr_FR', nplurals: '1', plural: '(n > 1)' },
+  'Inbox': 'Boîte de réception',
+  'Logout': 'Déconnexion',
+  '%d new mail': '%d nouveau courriel',
+  '%d new mails': ['%d nouveaux courriels'],
+  'Read the <link>terms</link>, <b>{name}</b>': 'Lisez les <link>conditions</link>, <b>{name}</b>'
+};
+const DE = {
+  '': { language: 'de_DE', nplurals: '1', plural: '(n != 1)' },
+  'Inbox': 'Posteingang',
+  'Logout': 'Abmelden',
+  '%d new mail': '%d neue Nachricht',
+  '%d new mails': ['%d neue Nachrichten'],
+  'Read the <link>terms</link>, <b>{name}</b>': 'Lesen Sie die <link>Bedingungen</link>, <b>{name}</b>'
+};
+
+const copy = function(data) { return JSON.parse(JSON.stringify(data)); };
+
+describe('LocaleVue', function() {
+  const plugin = LocaleVue(Vue);
+  let locale;
+
+  const render = function(component, props) {
+    return mount(component, { props: props, global: { plugins: [[plugin, { locale: locale }]] } });
+  };
+
+  beforeEach(function() {
+    locale = new Locale('fr_FR', 'main', copy(FR));
+  });
+
+  test('$t() and $tn() translate in the templates', function() {
+    const wrapper = render({ props: ['count'], template: '<p :title="$t(\'Inbox\')">{{ $tn("%d new mail", "%d new mails", count, count) }}</p>' }, { count: 3 });
+
+    expect(wrapper.get('p').attributes('title')).toBe('Boîte de réception');
+    expect(wrapper.get('p').text()).toBe('3 nouveaux courriels');
+  });
+
+  test('the messages are not html encoded: Vue escapes them itself', function() {
+    locale.setEncoder('html');
+
+    const wrapper = render({ template: '<p>{{ $t("Hello {name}", { name: "<John>" }) }}</p>' });
+
+    expect(wrapper.get('p').text()).toBe('Hello <John>');
+    expect(wrapper.get('p').element.children.length).toBe(0);
+  });
+
+  test('renders again when the language changes', async function() {
+    const wrapper = render({ props: ['count'], template: '<p :title="$t(\'Inbox\')">{{ $tn("%d new mail", "%d new mails", count, count) }}</p>' }, { count: 1 });
+
+    await locale.setLang('de_DE', { main: copy(DE) });
+    await Vue.nextTick();
+
+    expect(wrapper.get('p').attributes('title')).toBe('Posteingang');
+    expect(wrapper.get('p').text()).toBe('1 neue Nachricht');
+  });
+
+  test('renders again when a domain is loaded or unloaded', async function() {
+    const wrapper = render({ template: '<a>{{ $locale._d("navbar", "Sign in") }}</a>' });
+
+    expect(wrapper.get('a').text()).toBe('Sign in');
+
+    locale.loadDomain('navbar', { '': {}, 'Sign in': 'Connexion' });
+    await Vue.nextTick();
+    expect(wrapper.get('a').text()).toBe('Connexion');
+
+    locale.unloadDomain('navbar');
+    await Vue.nextTick();
+    expect(wrapper.get('a').text()).toBe('Sign in');
+  });
+
+  test('useLocale() gives the translation functions in setup()', async function() {
+    const wrapper = render({
+      setup: function() {
+        const i18n = plugin.useLocale();
+        return function() { return Vue.h('p', { lang: i18n.lang }, i18n._('Inbox')); };
+      }
+    });
+
+    expect(wrapper.get('p').text()).toBe('Boîte de réception');
+
+    await locale.setLang('de_DE', { main: copy(DE) });
+    await Vue.nextTick();
+
+    expect(wrapper.get('p').attributes('lang')).toBe('de_DE');
+    expect(wrapper.get('p').text()).toBe('Posteingang');
+  });
+
+  test('the v-t directive translates the text content, plural forms included', async function() {
+    const wrapper = render({
+      props: ['count'],
+      template: '<div><p id="a" v-t="\'Logout\'"></p><p id="b" v-t="{ message: \'%d new mail\', plural: \'%d new mails\', n: count }"></p></div>'
+    }, { count: 1 });
+
+    expect(wrapper.get('#a').text()).toBe('Déconnexion');
+    expect(wrapper.get('#b').text()).toBe('1 nouveau courriel');
+
+    await wrapper.setProps({ count: 4 });
+    expect(wrapper.get('#b').text()).toBe('4 nouveaux courriels');
+
+    await locale.setLang('de_DE', { main: copy(DE) });
+    expect(wrapper.get('#a').text()).toBe('Abmelden');
+    expect(wrapper.get('#b').text()).toBe('4 neue Nachrichten');
+  });
+
+  test('<Trans> renders the slots and components inside the translated sentence', async function() {
+    const wrapper = render({
+      template: '<p><Trans message="Read the <link>terms</link>, <b>{name}</b>" :values="{ name: \'<John>\' }" :components="{ b: \'strong\' }">' +
+        '<template #link="{ content }"><a href="/terms"><component :is="content" /></a></template></Trans></p>'
+    });
+
+    expect(wrapper.get('p').html()).toBe('<p>Lisez les <a href="/terms">conditions</a>, <strong>&lt;John&gt;</strong></p>');
+
+    await locale.setLang('de_DE', { main: copy(DE) });
+    await Vue.nextTick();
+
+    expect(wrapper.get('p').html()).toBe('<p>Lesen Sie die <a href="/terms">Bedingungen</a>, <strong>&lt;John&gt;</strong></p>');
+  });
+
+  test('<Trans> shows the message as is on a tag without slot nor component', function() {
+    const error = jest.spyOn(console, 'error').mockImplementation(function() {});
+    const wrapper = render({ template: '<p><Trans message="Hello <b>{name}</b>" /></p>' });
+
+    expect(wrapper.get('p').text()).toBe('Hello <b>{name}</b>');
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  test('stops listening to the locale once the app is unmounted', function() {
+    const wrapper = render({ template: '<p>{{ $t("Inbox") }}</p>' });
+    const off = jest.spyOn(locale, 'off');
+
+    wrapper.unmount();
+    expect(off.mock.calls.map(function(call) { return call[0]; }).sort()).toEqual(['domainloaded', 'domainunloaded', 'languagechange']);
+    off.mockRestore();
+  });
+
+  test('the plugin needs a Locale', function() {
+    expect(function() { mount({ template: '<p></p>' }, { global: { plugins: [[plugin, {}]] } }); }).toThrow(TypeError);
+  });
+});